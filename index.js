@@ -5,29 +5,192 @@
  * @version 0.1.0
  */
 
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { EventEmitter } = require('events');
+const { PassThrough, pipeline } = require('stream');
+const { promisify } = require('util');
 const Storage = require('./lib/storage');
 const Encryption = require('./lib/encryption');
 const FileManager = require('./lib/fileManager');
+const JournalRegistry = require('./lib/registries/journal');
+const MemoryRegistry = require('./lib/registries/memory');
+const { detectFileContentType } = require('./lib/contentType');
+const { Hooks } = require('./lib/hooks');
+const { createTransferStream } = require('./lib/transfer');
+const errors = require('./lib/errors');
+
+const pipelineAsync = promisify(pipeline);
+
+/**
+ * Directory of the journals used for the file registry when no other registry
+ * is configured
+ */
+const DEFAULT_REGISTRY_DIR = path.join(os.homedir(), '.aetherdrive');
+
+/**
+ * Storage options that don't change where files are stored, so changing them
+ * (e.g. rotating credentials) keeps the same default registry
+ */
+const NON_LOCATING_OPTIONS = [
+  'retry', 'timeout', 'circuitBreaker', 'strict', 'mock',
+  'accessKeyId', 'secretAccessKey', 'sessionToken', 'partSize'
+];
+
+/**
+ * Get the default journal of a storage configuration
+ *
+ * Each storage location gets its own journal, so the records of one are never
+ * mixed up with the files of another.
+ * @param {string} storageType - Type of storage provider
+ * @param {Object} storageConfig - Configuration of the storage provider
+ * @returns {string} - Path of the journal
+ * @private
+ */
+function defaultRegistryPath(storageType, storageConfig) {
+  const location = Object.keys(storageConfig)
+    .filter(key => !NON_LOCATING_OPTIONS.includes(key))
+    .sort()
+    .map(key => [key, storageConfig[key]]);
+  const digest = crypto.createHash('sha256').update(JSON.stringify([storageType, location])).digest('hex');
+
+  return path.join(DEFAULT_REGISTRY_DIR, `registry-${storageType}-${digest.substring(0, 16)}.journal`);
+}
 
 /**
  * AetherDrive main class that exposes all the functionality of the framework.
+ *
+ * Emits `upload`, `download` and `delete` events after those operations
+ * succeed, and `error` when a hooked operation fails (only if something
+ * listens for it).
  */
-class AetherDrive {
+class AetherDrive extends EventEmitter {
   /**
    * Creates a new instance of AetherDrive
    * @param {Object} options - Configuration options
-   * @param {string} options.storageType - The type of storage to use (e.g., 'ipfs')
-   * @param {Object} options.storageConfig - Configuration for the storage provider
+   * @param {string} options.storageType - The type of storage to use (e.g., 'ipfs', or any name
+   *   registered with `AetherDrive.Storage.registerProvider`)
+   * @param {Object} options.storageConfig - Configuration for the storage provider, including its
+   *   `retry` policy, call `timeout` and `circuitBreaker` (see `Storage`)
+   * @param {string} options.registryPath - Journal file the file registry is persisted in
+   *   (default: one per storage location in ~/.aetherdrive; mock storage keeps it in memory)
+   * @param {Object} options.registry - Registry backend to use instead of the journal (see
+   *   `AetherDrive.FileRegistry`)
+   * @param {Object} options.retention - How many old versions of a file to keep:
+   *   `{ keepVersions, keepDays }` (default: all of them)
+   * @param {Object|boolean} options.trash - How long deleted files stay in the trash: `{ keepDays }`
+   *   (default: 30 days), or false to delete files immediately
+   * @param {string|Buffer} options.shareSecret - Secret share links are signed with, at least 32
+   *   bytes; set it for links to keep working after a restart
+   * @param {Object} options.kdf - How keys are derived from passwords for new files, e.g.
+   *   `{ algorithm: 'scrypt', cost: 65536 }` (see `Encryption`)
+   * @param {Keyring} options.keyring - Keyring to encrypt with `{ keyId }` and to find the keys of
+   *   files that name theirs; opened by `open()`
    */
   constructor(options = {}) {
+    super();
+
     const {
       storageType = 'ipfs',
-      storageConfig = {}
+      storageConfig = {},
+      registryPath,
+      retention,
+      trash,
+      shareSecret,
+      kdf,
+      keyring
     } = options;
 
     this.storage = new Storage(storageType, storageConfig);
-    this.encryption = new Encryption();
-    this.fileManager = new FileManager(this.storage);
+
+    let { registry } = options;
+    if (!registry) {
+      // Mock storage forgets its files on exit, so its registry does too
+      registry = !registryPath && this.storage.usingMock
+        ? new MemoryRegistry()
+        : new JournalRegistry({ path: registryPath || defaultRegistryPath(storageType, storageConfig) });
+    }
+
+    this.encryption = new Encryption({ kdf, keyring });
+    this.keyring = keyring || null;
+    this.fileManager = new FileManager(this.storage, { registry, retention, trash, shareSecret, encryption: this.encryption });
+    this.hooks = new Hooks();
+  }
+
+  /**
+   * Add a hook running before an operation
+   *
+   * The hook receives the operation's context, e.g. `{ operation, filePath,
+   * options, principal, transforms }` for `uploadFile`. It can change the
+   * context, throw to veto the operation, or push streams onto `transforms`
+   * to change the content on its way through.
+   * @param {string} operation - `uploadFile`, `downloadFile`, `deleteFile`, `encryptFile` or `decryptFile`
+   * @param {Function} hook - Function receiving the context; may return a promise
+   * @returns {Function} - Call it to remove the hook
+   */
+  before(operation, hook) {
+    return this.hooks.add('before', operation, hook);
+  }
+
+  /**
+   * Add a hook running after an operation succeeds
+   * @param {string} operation - `uploadFile`, `downloadFile`, `deleteFile`, `encryptFile` or `decryptFile`
+   * @param {Function} hook - Function receiving the context, with the operation's `result`
+   * @returns {Function} - Call it to remove the hook
+   */
+  after(operation, hook) {
+    return this.hooks.add('after', operation, hook);
+  }
+
+  /**
+   * Open the file registry, loading the files registered by earlier runs,
+   * and the keyring, if there is one
+   *
+   * Operations open the registry on first use; call this at startup to
+   * surface problems (e.g. a corrupt journal) early. The keyring must be
+   * open before files are encrypted or decrypted with its keys.
+   * @returns {Promise<void>}
+   */
+  async open() {
+    if (this.keyring) {
+      await this.keyring.open();
+    }
+    return this.fileManager.open();
+  }
+
+  /**
+   * Close the file registry
+   * @returns {Promise<void>}
+   */
+  async close() {
+    return this.fileManager.close();
+  }
+
+  /**
+   * Get the health of the storage provider, for health checks
+   * @returns {Object} - `{ provider, usingMock, state, failures, lastError, openedAt, retryAt }`;
+   *   `state` is `closed` while the provider is healthy and `open` while calls fail fast
+   */
+  health() {
+    return this.storage.health();
+  }
+
+  /**
+   * Get a view of the drive acting on behalf of a user
+   *
+   * File operations on the view are checked against the owner and access
+   * control lists of the files and folders involved, and throw a
+   * `PermissionDeniedError` when a permission is missing. Calls made directly
+   * on the drive act as the system, with full access.
+   * @param {string|Object} principal - User ID, or `{ id, roles }`
+   * @returns {AetherDrive} - The scoped drive
+   */
+  as(principal) {
+    return Object.create(this, {
+      fileManager: { value: this.fileManager.as(principal) }
+    });
   }
 
   /**
@@ -37,60 +200,621 @@ class AetherDrive {
    * @returns {Promise<string>} - Returns the file ID
    */
   async uploadFile(filePath, options = {}) {
-    return this.fileManager.uploadFile(filePath, options);
+    return this._run('upload', { operation: 'uploadFile', filePath, options }, async context => {
+      const fileId = context.transforms.length === 0
+        ? await this.fileManager.uploadFile(context.filePath, context.options)
+        : await this.fileManager.uploadStream(
+          pipeline(fs.createReadStream(context.filePath), ...context.transforms, () => {}),
+          { name: path.basename(context.filePath), ...context.options }
+        );
+
+      context.fileId = fileId;
+      context.file = await this._statOrNull(fileId);
+      return fileId;
+    });
+  }
+
+  /**
+   * Upload the content of a readable stream to the storage provider
+   *
+   * Runs the `uploadFile` hooks, with the `readable` in the context instead
+   * of a `filePath`.
+   * @param {stream.Readable} readable - Stream of the content to upload
+   * @param {Object} options - Upload options
+   * @returns {Promise<string>} - Returns the file ID
+   */
+  async uploadStream(readable, options = {}) {
+    return this._run('upload', { operation: 'uploadFile', readable, options }, async context => {
+      const source = context.transforms.length === 0
+        ? context.readable
+        : pipeline(context.readable, ...context.transforms, () => {});
+      const fileId = await this.fileManager.uploadStream(source, context.options);
+
+      context.fileId = fileId;
+      context.file = await this._statOrNull(fileId);
+      return fileId;
+    });
   }
 
   /**
    * Download a file from the storage provider
-   * @param {string} fileId - ID of the file to download
+   * @param {string} fileId - ID or virtual path of the file to download
    * @param {string} destination - Path where the file should be saved
    * @param {Object} options - Download options
    * @returns {Promise<string>} - Returns the path to the downloaded file
    */
   async downloadFile(fileId, destination, options = {}) {
-    return this.fileManager.downloadFile(fileId, destination, options);
+    const file = await this._statOrNull(fileId);
+
+    return this._run('download', { operation: 'downloadFile', fileId, file, destination, options }, async context => {
+      if (context.transforms.length === 0) {
+        return this.fileManager.downloadFile(context.fileId, context.destination, context.options);
+      }
+
+      const source = this.fileManager.createReadStream(context.fileId, context.options);
+      await this._writeFile(source, context.transforms, context.destination);
+      return context.destination;
+    });
+  }
+
+  /**
+   * Open a readable stream of a file in the storage provider
+   *
+   * Runs the `downloadFile` hooks, without a `destination` in the context.
+   * The stream is returned immediately; errors, including those of hooks,
+   * are emitted on it, and after hooks run once it has been read to the end.
+   * @param {string} fileId - ID or virtual path of the file to read
+   * @param {Object} options - Read options
+   * @returns {stream.Readable} - Stream of the file content
+   */
+  createReadStream(fileId, options = {}) {
+    const output = new PassThrough();
+
+    this._statOrNull(fileId)
+      .then(file => this._run('download', { operation: 'downloadFile', fileId, file, options }, async context => {
+        const source = this.fileManager.createReadStream(context.fileId, context.options);
+        await pipelineAsync(source, ...context.transforms, output);
+        return output;
+      }))
+      .catch(error => output.destroy(error));
+
+    return output;
+  }
+
+  /**
+   * Detect the content type of a local file from its signature and extension
+   *
+   * Uploads detect their content type automatically, except for encrypted
+   * files; detect the type before encrypting and pass it as `contentType`.
+   * @param {string} filePath - Path to the file
+   * @returns {Promise<string>} - Returns the MIME type (`application/octet-stream` if unknown)
+   */
+  async detectContentType(filePath) {
+    return detectFileContentType(filePath);
   }
 
   /**
    * Encrypt a file
    * @param {string} filePath - Path to the file to encrypt
-   * @param {string} encryptionKey - Key used for encryption
+   * @param {string|Object} encryptionKey - Password, `{ recipients }` with one or more public keys, or `{ keyId }`
    * @param {Object} options - Encryption options
    * @returns {Promise<string>} - Returns the path to the encrypted file
    */
   async encryptFile(filePath, encryptionKey, options = {}) {
-    return this.encryption.encryptFile(filePath, encryptionKey, options);
+    return this._run(null, { operation: 'encryptFile', filePath, encryptionKey, options }, async context => {
+      if (context.transforms.length === 0) {
+        return this.encryption.encryptFile(context.filePath, context.encryptionKey, context.options);
+      }
+
+      // Transforms see the plaintext, before it is encrypted
+      const outputPath = context.options.outputPath || `${context.filePath}.enc`;
+      const cipher = this.encryption.createEncryptStream(context.encryptionKey, context.options);
+      const progress = await this._progressOf(context.filePath, context.options);
+      await this._writeFile(fs.createReadStream(context.filePath), [progress, ...context.transforms, cipher], outputPath);
+      return outputPath;
+    });
   }
 
   /**
    * Decrypt a file
    * @param {string} filePath - Path to the encrypted file
-   * @param {string} encryptionKey - Key used for decryption
+   * @param {string|Object} encryptionKey - Password, or a recipient's private key (omit for keyring files)
    * @param {Object} options - Decryption options
    * @returns {Promise<string>} - Returns the path to the decrypted file
    */
   async decryptFile(filePath, encryptionKey, options = {}) {
-    return this.encryption.decryptFile(filePath, encryptionKey, options);
+    return this._run(null, { operation: 'decryptFile', filePath, encryptionKey, options }, async context => {
+      if (context.transforms.length === 0) {
+        return this.encryption.decryptFile(context.filePath, context.encryptionKey, context.options);
+      }
+
+      // Transforms see the plaintext, once it is decrypted
+      const outputPath = context.options.outputPath || context.filePath.replace(/\.enc$/, '.dec');
+      const decipher = this.encryption.createDecryptStream(context.encryptionKey, context.options);
+      const progress = await this._progressOf(context.filePath, context.options);
+      await this._writeFile(fs.createReadStream(context.filePath), [progress, decipher, ...context.transforms], outputPath);
+      return outputPath;
+    });
   }
 
   /**
-   * Delete a file from the storage provider
-   * @param {string} fileId - ID of the file to delete
-   * @param {Object} options - Deletion options
+   * Encrypt data in memory, into the same format as `encryptFile`
+   * @param {Buffer|Uint8Array} data - Data to encrypt
+   * @param {string|Object} encryptionKey - Password, `{ recipients }` with one or more public keys, or `{ keyId }`
+   * @param {Object} options - Encryption options
+   * @returns {Promise<Buffer>} - Returns the encrypted data
+   */
+  async encryptBuffer(data, encryptionKey, options = {}) {
+    return this.encryption.encryptBuffer(data, encryptionKey, options);
+  }
+
+  /**
+   * Decrypt data in memory
+   * @param {Buffer|Uint8Array} data - Encrypted data
+   * @param {string|Object} encryptionKey - Password, or a recipient's private key (omit for keyring files)
+   * @param {Object} options - Decryption options
+   * @returns {Promise<Buffer>} - Returns the decrypted data
+   */
+  async decryptBuffer(data, encryptionKey, options = {}) {
+    return this.encryption.decryptBuffer(data, encryptionKey, options);
+  }
+
+  /**
+   * Encrypt a string, returning the encrypted data as base64 (or `options.encoding`)
+   * @param {string} text - Text to encrypt
+   * @param {string|Object} encryptionKey - Password, `{ recipients }` with one or more public keys, or `{ keyId }`
+   * @param {Object} options - Encryption options
+   * @returns {Promise<string>} - Returns the encoded encrypted data
+   */
+  async encryptString(text, encryptionKey, options = {}) {
+    return this.encryption.encryptString(text, encryptionKey, options);
+  }
+
+  /**
+   * Decrypt a string produced by `encryptString`
+   * @param {string} encoded - Encoded encrypted data
+   * @param {string|Object} encryptionKey - Password, or a recipient's private key (omit for keyring files)
+   * @param {Object} options - Decryption options
+   * @returns {Promise<string>} - Returns the decrypted text
+   */
+  async decryptString(encoded, encryptionKey, options = {}) {
+    return this.encryption.decryptString(encoded, encryptionKey, options);
+  }
+
+  /**
+   * Create a stream that encrypts everything written to it
+   * @param {string|Object} encryptionKey - Password, `{ recipients }` with one or more public keys, or `{ keyId }`
+   * @param {Object} options - Encryption options
+   * @returns {stream.Transform} - Stream producing the encrypted file format
+   */
+  createEncryptStream(encryptionKey, options = {}) {
+    return this.encryption.createEncryptStream(encryptionKey, options);
+  }
+
+  /**
+   * Create a stream that decrypts everything written to it
+   * @param {string|Object} encryptionKey - Password, or a recipient's private key (omit for keyring files)
+   * @param {Object} options - Decryption options
+   * @returns {stream.Transform} - Stream producing the decrypted content
+   */
+  createDecryptStream(encryptionKey, options = {}) {
+    return this.encryption.createDecryptStream(encryptionKey, options);
+  }
+
+  /**
+   * Give another recipient access to a file encrypted for recipients
+   * @param {string} filePath - Path to the encrypted file
+   * @param {crypto.KeyObject|string|Object} privateKey - Private key of an existing recipient
+   * @param {crypto.KeyObject|string|Buffer} recipientKey - Public key of the new recipient
+   * @param {Object} options - Options
+   * @returns {Promise<string>} - Returns the path to the updated file
+   */
+  async addRecipient(filePath, privateKey, recipientKey, options = {}) {
+    return this.encryption.addRecipient(filePath, privateKey, recipientKey, options);
+  }
+
+  /**
+   * Revoke a recipient's access to a file encrypted for recipients
+   * @param {string} filePath - Path to the encrypted file
+   * @param {crypto.KeyObject|string|Object} privateKey - Private key of an existing recipient
+   * @param {crypto.KeyObject|string|Buffer} recipient - Public key or fingerprint of the recipient to remove
+   * @param {Object} options - Options
+   * @returns {Promise<string>} - Returns the path to the updated file
+   */
+  async removeRecipient(filePath, privateKey, recipient, options = {}) {
+    return this.encryption.removeRecipient(filePath, privateKey, recipient, options);
+  }
+
+  /**
+   * List the recipients of a file encrypted for recipients
+   * @param {string} filePath - Path to the encrypted file
+   * @returns {Promise<Array<string>>} - Returns the hex fingerprints of the recipients' public keys
+   */
+  async listRecipients(filePath) {
+    return this.encryption.listRecipients(filePath);
+  }
+
+  /**
+   * Delete a file, moving it to the trash
+   * @param {string} fileId - ID or virtual path of the file to delete
+   * @param {Object} options - Deletion options (`permanent` skips the trash)
    * @returns {Promise<boolean>} - Returns true if deletion was successful
    */
   async deleteFile(fileId, options = {}) {
-    return this.fileManager.deleteFile(fileId, options);
+    const file = await this._statOrNull(fileId);
+
+    return this._run('delete', { operation: 'deleteFile', fileId, file, options }, context => {
+      return this.fileManager.deleteFile(context.fileId, context.options);
+    });
+  }
+
+  /**
+   * List the files in the trash
+   * @returns {Promise<Array>} - Returns the deleted files, most recently deleted first
+   */
+  async listTrash() {
+    return this.fileManager.listTrash();
+  }
+
+  /**
+   * Restore a file from the trash
+   * @param {string} fileId - ID of the deleted file
+   * @param {Object} options - Restore options (`path` to restore it somewhere else)
+   * @returns {Promise<Object>} - Returns the restored file entry
+   */
+  async restoreFile(fileId, options = {}) {
+    return this.fileManager.restoreFile(fileId, options);
+  }
+
+  /**
+   * Permanently delete every file in the trash
+   * @param {Object} options - Deletion options
+   * @returns {Promise<number>} - Returns the number of files deleted
+   */
+  async emptyTrash(options = {}) {
+    return this.fileManager.emptyTrash(options);
+  }
+
+  /**
+   * Permanently delete the files whose time in the trash has run out
+   * @param {Object} options - Deletion options
+   * @returns {Promise<number>} - Returns the number of files deleted
+   */
+  async purgeTrash(options = {}) {
+    return this.fileManager.purgeTrash(options);
+  }
+
+  /**
+   * Create a signed link giving access to a file
+   * @param {string} fileId - ID or virtual path of the file
+   * @param {Object} options - Link options (`expiresIn`, `maxDownloads` and `password`)
+   * @returns {Promise<string>} - Returns the token
+   */
+  async createShareLink(fileId, options = {}) {
+    return this.fileManager.createShareLink(fileId, options);
+  }
+
+  /**
+   * Check a share link without using it
+   * @param {string} token - Token returned by `createShareLink`
+   * @param {Object} options - Options (`password`, for links that have one)
+   * @returns {Promise<Object>} - Returns `{ file, link }`
+   */
+  async resolveShareLink(token, options = {}) {
+    return this.fileManager.resolveShareLink(token, options);
+  }
+
+  /**
+   * Download a file through a share link
+   *
+   * Runs the `downloadFile` hooks, with the `token` in the context.
+   * @param {string} token - Token returned by `createShareLink`
+   * @param {string} destination - Path where the file should be saved
+   * @param {Object} options - Download options (`password`, for links that have one)
+   * @returns {Promise<string>} - Returns the path to the downloaded file
+   */
+  async downloadSharedFile(token, destination, options = {}) {
+    const file = await this._sharedFileOrNull(token, options);
+
+    return this._run('download', {
+      operation: 'downloadFile',
+      token,
+      fileId: file && file.id,
+      file,
+      destination,
+      options
+    }, async context => {
+      if (context.transforms.length === 0) {
+        return this.fileManager.downloadSharedFile(context.token, context.destination, context.options);
+      }
+
+      // Shared files can only be downloaded whole, so transform a temporary copy
+      const tempPath = this.fileManager.getTempFilePath('shared');
+      try {
+        await this.fileManager.downloadSharedFile(context.token, tempPath, context.options);
+        await this._writeFile(fs.createReadStream(tempPath), context.transforms, context.destination);
+      } finally {
+        await fs.remove(tempPath);
+      }
+      return context.destination;
+    });
   }
 
   /**
-   * List all files in the storage provider
-   * @param {Object} options - List options
-   * @returns {Promise<Array>} - Returns an array of file objects
+   * List the share links of a file
+   * @param {string} fileId - ID or virtual path of the file
+   * @returns {Promise<Array>} - Returns the links
+   */
+  async listShareLinks(fileId) {
+    return this.fileManager.listShareLinks(fileId);
+  }
+
+  /**
+   * Revoke a share link
+   * @param {string} tokenOrId - Token, or a link ID from `listShareLinks`
+   * @returns {Promise<boolean>} - Returns true if the link was revoked
+   */
+  async revokeShareLink(tokenOrId) {
+    return this.fileManager.revokeShareLink(tokenOrId);
+  }
+
+  /**
+   * List files, optionally filtered, sorted and paginated
+   * @param {Object} options - List options (filters such as `tag` or `name`, `sortBy`, `order`,
+   *   `limit` and `cursor`)
+   * @returns {Promise<Array>} - Returns an array of file objects, with a `nextCursor` property
    */
   async listFiles(options = {}) {
     return this.fileManager.listFiles(options);
   }
+
+  /**
+   * Update the custom metadata and tags of a file
+   * @param {string} fileId - ID or virtual path of the file
+   * @param {Object} patch - `metadata` to merge in (null removes a key) and `tags` to replace
+   * @returns {Promise<Object>} - Returns the updated file entry
+   */
+  async updateMetadata(fileId, patch = {}) {
+    return this.fileManager.updateMetadata(fileId, patch);
+  }
+
+  /**
+   * List the retained versions of a file
+   * @param {string} fileId - ID or virtual path of the file
+   * @returns {Promise<Array>} - Returns the versions, oldest first
+   */
+  async listVersions(fileId) {
+    return this.fileManager.listVersions(fileId);
+  }
+
+  /**
+   * Make an earlier version of a file current again
+   * @param {string} fileId - ID or virtual path of the file
+   * @param {number} version - Version to restore
+   * @param {Object} options - Options
+   * @returns {Promise<Object>} - Returns the file entry
+   */
+  async restoreVersion(fileId, version, options = {}) {
+    return this.fileManager.restoreVersion(fileId, version, options);
+  }
+
+  /**
+   * Apply the retention policy to every file, deleting the content of pruned versions
+   * @param {Object} options - Options passed to the storage provider when deleting content
+   * @returns {Promise<Object>} - Returns `{ pruned, unreleased }`: the number of versions pruned,
+   *   and the `{ fileId, storageId, error }` of content that could not be deleted
+   */
+  async pruneVersions(options = {}) {
+    return this.fileManager.pruneVersions(options);
+  }
+
+  /**
+   * Rotate the key of encrypted files, re-encrypting their content in the provider
+   * @param {string|Object} target - ID or virtual path of a file, or a filter as for `listFiles`
+   * @param {string|Object|boolean} oldKey - Password, or as for the `decrypt` option of `downloadFile`
+   * @param {string|Object} newKey - Password, or as for the `encrypt` option of `uploadFile`
+   * @param {Object} options - Rotation options (`jobId` to resume a rotation, `reencrypt` and `signal`)
+   * @returns {Promise<Object>} - Returns `{ jobId, rotated, skipped, failed, unreleased }`
+   */
+  async rotateKey(target, oldKey, newKey, options = {}) {
+    return this.fileManager.rotateKey(target, oldKey, newKey, options);
+  }
+
+  /**
+   * Create a folder
+   * @param {string} folderPath - Absolute virtual path of the folder
+   * @param {Object} options - Options (`recursive` creates missing parents)
+   * @returns {Promise<Object>} - Returns the folder entry
+   */
+  async mkdir(folderPath, options = {}) {
+    return this.fileManager.mkdir(folderPath, options);
+  }
+
+  /**
+   * List the contents of a folder
+   * @param {string} folderPath - Absolute virtual path of the folder (default: the root)
+   * @returns {Promise<Array>} - Returns the file and folder entries in it
+   */
+  async readdir(folderPath = '/') {
+    return this.fileManager.readdir(folderPath);
+  }
+
+  /**
+   * Get information about a file or folder
+   * @param {string} ref - Virtual path or ID of the file or folder
+   * @returns {Promise<Object>} - Returns the entry
+   */
+  async stat(ref) {
+    return this.fileManager.stat(ref);
+  }
+
+  /**
+   * Move a file or folder
+   * @param {string} ref - Virtual path or ID of the file or folder to move
+   * @param {string} destination - New absolute virtual path, or the folder to move it into
+   * @returns {Promise<Object>} - Returns the moved entry
+   */
+  async move(ref, destination) {
+    return this.fileManager.move(ref, destination);
+  }
+
+  /**
+   * Rename a file or folder within its folder
+   * @param {string} ref - Virtual path or ID of the file or folder
+   * @param {string} name - New name
+   * @returns {Promise<Object>} - Returns the renamed entry
+   */
+  async rename(ref, name) {
+    return this.fileManager.rename(ref, name);
+  }
+
+  /**
+   * Grant a user or role permissions on a file or folder
+   * @param {string} ref - Virtual path or ID of the file or folder
+   * @param {string} grantee - `user:<id>` or `role:<name>`
+   * @param {Array<string>} permissions - Any of `read`, `write`, `delete` and `share`
+   * @returns {Promise<Object>} - Returns the updated entry
+   */
+  async grant(ref, grantee, permissions) {
+    return this.fileManager.grant(ref, grantee, permissions);
+  }
+
+  /**
+   * Revoke the permissions granted to a user or role on a file or folder
+   * @param {string} ref - Virtual path or ID of the file or folder
+   * @param {string} grantee - `user:<id>` or `role:<name>`
+   * @returns {Promise<Object>} - Returns the updated entry
+   */
+  async revoke(ref, grantee) {
+    return this.fileManager.revoke(ref, grantee);
+  }
+
+  /**
+   * Remove a folder
+   * @param {string} folderPath - Absolute virtual path of the folder
+   * @param {Object} options - Options (`recursive` also deletes its contents)
+   * @returns {Promise<boolean>} - Returns true if the folder was removed
+   */
+  async rmdir(folderPath, options = {}) {
+    return this.fileManager.rmdir(folderPath, options);
+  }
+
+  /**
+   * Run an operation with its hooks, emitting events
+   * @param {string|null} event - Event to emit on success, if any
+   * @param {Object} context - Context of the operation
+   * @param {Function} perform - Performs the operation given the context
+   * @returns {Promise<*>} - Returns the result of the operation
+   * @private
+   */
+  async _run(event, context, perform) {
+    context.principal = this.fileManager.principal;
+    context.transforms = [];
+
+    let result;
+    try {
+      result = await this.hooks.run(context, perform);
+    } catch (error) {
+      // An 'error' event nobody listens for would throw
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', error, context);
+      }
+      throw error;
+    }
+
+    if (event) {
+      this.emit(event, context);
+    }
+
+    return result;
+  }
+
+  /**
+   * Get the entry of a file for hooks and events, if it is registered
+   * @param {string} fileId - ID or virtual path of the file
+   * @returns {Promise<Object|null>} - Returns the entry, or null for unknown files
+   * @private
+   */
+  async _statOrNull(fileId) {
+    try {
+      return await this.fileManager.stat(fileId);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the entry of the file a share link points at, for hooks and events
+   * @param {string} token - Token returned by `createShareLink`
+   * @param {Object} options - Options holding the `password`, for links that have one
+   * @returns {Promise<Object|null>} - Returns the entry, or null if the link can't be used
+   * @private
+   */
+  async _sharedFileOrNull(token, options) {
+    try {
+      return (await this.fileManager.resolveShareLink(token, { password: options.password })).file;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Create a stream reporting the progress of reading a local file
+   * @param {string} filePath - Path to the file
+   * @param {Object} options - Transfer options (`onProgress` and `signal`)
+   * @returns {Promise<stream.Transform>} - Returns the stream
+   * @private
+   */
+  async _progressOf(filePath, options) {
+    const { size } = await fs.stat(filePath);
+    return createTransferStream({ ...options, totalBytes: size });
+  }
+
+  /**
+   * Write a stream to a file through transform streams
+   * @param {stream.Readable} source - Content to write
+   * @param {Array<stream.Transform>} transforms - Streams to pass the content through
+   * @param {string} destination - Path of the file to write
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _writeFile(source, transforms, destination) {
+    // Ensure the output directory exists
+    await fs.ensureDir(path.dirname(destination));
+
+    try {
+      await pipelineAsync(source, ...transforms, fs.createWriteStream(destination));
+    } catch (error) {
+      await fs.remove(destination);
+      throw error;
+    }
+  }
 }
 
+// Expose the building blocks so custom storage providers and registries can be used
+AetherDrive.Storage = Storage;
+AetherDrive.StorageProvider = require('./lib/providers/base');
+AetherDrive.FileRegistry = require('./lib/registries/base');
+AetherDrive.MemoryRegistry = MemoryRegistry;
+AetherDrive.JournalRegistry = JournalRegistry;
+AetherDrive.Keyring = require('./lib/keyring');
+
+// Error classes, to match errors with instanceof
+AetherDrive.AetherDriveError = errors.AetherDriveError;
+AetherDrive.NotFoundError = errors.NotFoundError;
+AetherDrive.PermissionDeniedError = errors.PermissionDeniedError;
+AetherDrive.AlreadyExistsError = errors.AlreadyExistsError;
+AetherDrive.NotAFolderError = errors.NotAFolderError;
+AetherDrive.IsAFolderError = errors.IsAFolderError;
+AetherDrive.FolderNotEmptyError = errors.FolderNotEmptyError;
+AetherDrive.LinkExpiredError = errors.LinkExpiredError;
+AetherDrive.LinkPasswordError = errors.LinkPasswordError;
+AetherDrive.IntegrityError = errors.IntegrityError;
+AetherDrive.DecryptionError = errors.DecryptionError;
+AetherDrive.QuotaExceededError = errors.QuotaExceededError;
+AetherDrive.ProviderUnavailableError = errors.ProviderUnavailableError;
+AetherDrive.TimeoutError = errors.TimeoutError;
+AetherDrive.CircuitOpenError = errors.CircuitOpenError;
+AetherDrive.AbortError = errors.AbortError;
+
 module.exports = AetherDrive;
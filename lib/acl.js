@@ -0,0 +1,101 @@
+/**
+ * Access control for AetherDrive
+ * Principals, roles and per-file permissions
+ *
+ * Every file and folder created on behalf of a principal is owned by it.
+ * Others get access through grants in the record's `acl`, keyed by user or
+ * role:
+ *
+ *   { owner: 'alice', acl: { 'user:bob': ['read'], 'role:finance': ['read', 'write'] } }
+ *
+ * Permissions on a folder apply to everything below it, and owning a folder
+ * gives every permission on its contents. Principals with the `admin` role
+ * may do anything.
+ */
+
+/**
+ * Permissions that can be granted
+ */
+const PERMISSIONS = ['read', 'write', 'delete', 'share'];
+
+/**
+ * Role whose members have every permission on every file
+ */
+const ADMIN_ROLE = 'admin';
+
+/**
+ * Normalize a principal
+ * @param {string|Object} principal - User ID, or `{ id, roles }`
+ * @returns {Object} - `{ id, roles }`
+ */
+function normalizePrincipal(principal) {
+  const { id, roles = [] } = typeof principal === 'string' ? { id: principal } : principal || {};
+
+  if (typeof id !== 'string' || id === '') {
+    throw new Error('A principal needs a non-empty string id');
+  }
+  if (!Array.isArray(roles) || !roles.every(role => typeof role === 'string' && role !== '')) {
+    throw new Error('Principal roles must be an array of non-empty strings');
+  }
+
+  return Object.freeze({ id, roles: Object.freeze([...roles]) });
+}
+
+/**
+ * Check that a grantee names a user or a role
+ * @param {string} grantee - `user:<id>` or `role:<name>`
+ * @returns {string} - The grantee
+ */
+function validateGrantee(grantee) {
+  if (typeof grantee !== 'string' || !/^(user|role):.+$/.test(grantee)) {
+    throw new Error(`Grantee must be 'user:<id>' or 'role:<name>', not ${grantee}`);
+  }
+  return grantee;
+}
+
+/**
+ * Check that a list of permissions is valid
+ * @param {Array<string>} permissions - Permissions to grant
+ * @returns {Array<string>} - The permissions, without duplicates
+ */
+function validatePermissions(permissions) {
+  if (!Array.isArray(permissions) || !permissions.every(permission => PERMISSIONS.includes(permission))) {
+    throw new Error(`Permissions must be an array of ${PERMISSIONS.join(', ')}`);
+  }
+  return Array.from(new Set(permissions));
+}
+
+/**
+ * Get the permissions a principal has on a file or folder
+ * @param {Object} principal - Normalized principal
+ * @param {Array<Object>} records - The record followed by its ancestor folders
+ * @returns {Set<string>} - The permissions
+ */
+function permissionsOf(principal, records) {
+  if (principal.roles.includes(ADMIN_ROLE)) {
+    return new Set(PERMISSIONS);
+  }
+
+  const keys = [`user:${principal.id}`, ...principal.roles.map(role => `role:${role}`)];
+  const granted = new Set();
+
+  for (const record of records) {
+    if (record.owner === principal.id) {
+      return new Set(PERMISSIONS);
+    }
+    for (const key of keys) {
+      ((record.acl || {})[key] || []).forEach(permission => granted.add(permission));
+    }
+  }
+
+  return granted;
+}
+
+module.exports = {
+  PERMISSIONS,
+  ADMIN_ROLE,
+  normalizePrincipal,
+  validateGrantee,
+  validatePermissions,
+  permissionsOf
+};
@@ -0,0 +1,230 @@
+/**
+ * Content type detection for AetherDrive
+ * Detects MIME types from file signatures ("magic bytes"), falling back to the file extension
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Number of leading bytes needed to recognize every supported signature
+ */
+const HEAD_LENGTH = 4100;
+
+/**
+ * Type used when nothing is recognized
+ */
+const DEFAULT_CONTENT_TYPE = 'application/octet-stream';
+
+/**
+ * Content types by file extension
+ */
+const EXTENSIONS = {
+  '7z': 'application/x-7z-compressed',
+  avif: 'image/avif',
+  bmp: 'image/bmp',
+  css: 'text/css',
+  csv: 'text/csv',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  epub: 'application/epub+zip',
+  gif: 'image/gif',
+  gz: 'application/gzip',
+  heic: 'image/heic',
+  htm: 'text/html',
+  html: 'text/html',
+  ico: 'image/vnd.microsoft.icon',
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg',
+  js: 'text/javascript',
+  json: 'application/json',
+  m4a: 'audio/mp4',
+  md: 'text/markdown',
+  mjs: 'text/javascript',
+  mov: 'video/quicktime',
+  mp3: 'audio/mpeg',
+  mp4: 'video/mp4',
+  odp: 'application/vnd.oasis.opendocument.presentation',
+  ods: 'application/vnd.oasis.opendocument.spreadsheet',
+  odt: 'application/vnd.oasis.opendocument.text',
+  ogg: 'audio/ogg',
+  pdf: 'application/pdf',
+  png: 'image/png',
+  ppt: 'application/vnd.ms-powerpoint',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  rar: 'application/vnd.rar',
+  rtf: 'application/rtf',
+  svg: 'image/svg+xml',
+  tar: 'application/x-tar',
+  tgz: 'application/gzip',
+  tif: 'image/tiff',
+  tiff: 'image/tiff',
+  txt: 'text/plain',
+  wav: 'audio/wav',
+  webm: 'video/webm',
+  webp: 'image/webp',
+  xls: 'application/vnd.ms-excel',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  xml: 'application/xml',
+  zip: 'application/zip'
+};
+
+/**
+ * Office Open XML types, by the folder their main part lives in
+ */
+const OOXML_FOLDERS = {
+  'word/': EXTENSIONS.docx,
+  'xl/': EXTENSIONS.xlsx,
+  'ppt/': EXTENSIONS.pptx
+};
+
+/**
+ * Check whether a buffer holds the given bytes at an offset
+ * @param {Buffer} head - Leading bytes of the content
+ * @param {Array<number>|string} signature - Bytes (or ASCII text) to look for
+ * @param {number} offset - Position of the signature
+ * @returns {boolean} - Returns true if the signature is present
+ * @private
+ */
+function has(head, signature, offset = 0) {
+  const bytes = typeof signature === 'string' ? Buffer.from(signature, 'latin1') : Buffer.from(signature);
+  return head.length >= offset + bytes.length && head.subarray(offset, offset + bytes.length).equals(bytes);
+}
+
+/**
+ * Tell apart the formats stored as ZIP archives
+ * @param {Buffer} head - Leading bytes of the archive
+ * @returns {string} - The content type
+ * @private
+ */
+function detectZip(head) {
+  // OpenDocument and EPUB store their type uncompressed in a first entry named "mimetype"
+  if (head.length >= 30 && head.readUInt16LE(26) === 8 && has(head, 'mimetype', 30)) {
+    const start = 30 + 8 + head.readUInt16LE(28);
+    const type = head.subarray(start, start + head.readUInt32LE(18)).toString('latin1');
+    if (/^[\w.+-]+\/[\w.+-]+$/.test(type)) {
+      return type;
+    }
+  }
+
+  // Office Open XML packages hold [Content_Types].xml and a folder per application
+  const text = head.toString('latin1');
+  if (text.includes('[Content_Types].xml')) {
+    for (const [folder, type] of Object.entries(OOXML_FOLDERS)) {
+      if (text.includes(folder)) {
+        return type;
+      }
+    }
+  }
+
+  return EXTENSIONS.zip;
+}
+
+/**
+ * Detect a content type from the leading bytes of some content
+ * @param {Buffer} head - Leading bytes (up to `HEAD_LENGTH`)
+ * @returns {string|null} - The content type, or null if no signature matched
+ */
+function contentTypeFromSignature(head) {
+  if (!head || head.length === 0) {
+    return null;
+  }
+
+  if (has(head, '%PDF-')) return EXTENSIONS.pdf;
+  if (has(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return EXTENSIONS.png;
+  if (has(head, [0xff, 0xd8, 0xff])) return EXTENSIONS.jpg;
+  if (has(head, 'GIF87a') || has(head, 'GIF89a')) return EXTENSIONS.gif;
+  if (has(head, 'RIFF') && has(head, 'WEBP', 8)) return EXTENSIONS.webp;
+  if (has(head, 'RIFF') && has(head, 'WAVE', 8)) return EXTENSIONS.wav;
+  if (has(head, 'PK') && (has(head, [3, 4], 2) || has(head, [5, 6], 2) || has(head, [7, 8], 2))) {
+    return detectZip(head);
+  }
+  if (has(head, 'ftyp', 4)) {
+    const brand = head.subarray(8, 12).toString('latin1');
+    if (brand === 'M4A ') return EXTENSIONS.m4a;
+    if (brand === 'qt  ') return EXTENSIONS.mov;
+    if (brand === 'avif') return EXTENSIONS.avif;
+    if (brand === 'heic') return EXTENSIONS.heic;
+    return EXTENSIONS.mp4;
+  }
+  if (has(head, 'ID3')) return EXTENSIONS.mp3;
+  // MPEG audio layer III frame header without ID3 tag
+  if (head.length >= 2 && head[0] === 0xff && (head[1] & 0xe6) === 0xe2) return EXTENSIONS.mp3;
+  if (has(head, [0x1f, 0x8b])) return EXTENSIONS.gz;
+  if (has(head, 'ustar', 257)) return EXTENSIONS.tar;
+  if (has(head, 'OggS')) return EXTENSIONS.ogg;
+  if (has(head, [0x1a, 0x45, 0xdf, 0xa3])) return EXTENSIONS.webm;
+  if (has(head, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c])) return EXTENSIONS['7z'];
+
+  return null;
+}
+
+/**
+ * Detect a content type from a file name
+ * @param {string} name - File name or path
+ * @returns {string|null} - The content type, or null if the extension is unknown
+ */
+function contentTypeFromName(name) {
+  if (!name) {
+    return null;
+  }
+
+  const extension = path.extname(name).slice(1).toLowerCase();
+  return EXTENSIONS[extension] || null;
+}
+
+/**
+ * Detect the content type of some content
+ *
+ * The signature wins over the extension, except that ZIP-based formats the
+ * signature can't identify (such as an Office file with unusually ordered
+ * entries) are taken from the extension.
+ * @param {Buffer|null} head - Leading bytes of the content, or null if they can't be inspected
+ * @param {string} name - File name, for the extension fallback
+ * @returns {string} - The content type (`application/octet-stream` if unknown)
+ */
+function detectContentType(head, name) {
+  const fromSignature = contentTypeFromSignature(head);
+  const fromName = contentTypeFromName(name);
+
+  if (fromSignature === EXTENSIONS.zip && fromName && fromName !== EXTENSIONS.zip) {
+    return fromName;
+  }
+
+  return fromSignature || fromName || DEFAULT_CONTENT_TYPE;
+}
+
+/**
+ * Read the leading bytes of a file
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<Buffer>} - Returns up to `HEAD_LENGTH` bytes
+ */
+async function readHead(filePath) {
+  const fd = await fs.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(HEAD_LENGTH);
+    const { bytesRead } = await fs.read(fd, buffer, 0, HEAD_LENGTH, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await fs.close(fd);
+  }
+}
+
+/**
+ * Detect the content type of a file on disk
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string>} - Returns the content type
+ */
+async function detectFileContentType(filePath) {
+  return detectContentType(await readHead(filePath), filePath);
+}
+
+module.exports = {
+  HEAD_LENGTH,
+  DEFAULT_CONTENT_TYPE,
+  contentTypeFromSignature,
+  contentTypeFromName,
+  detectContentType,
+  detectFileContentType,
+  readHead
+};
@@ -6,12 +6,49 @@
 const crypto = require('crypto');
 const fs = require('fs-extra');
 const path = require('path');
+const { promisify } = require('util');
+const { pipeline, Readable, Transform, Writable } = require('stream');
+const {
+  ENVELOPE_FORMAT_VERSION,
+  MAC_LENGTH,
+  MAX_CHUNK_SIZE,
+  KDF,
+  hasHeader,
+  encodeHeader,
+  encodeRecipients,
+  decodeHeader,
+  readHeader
+} = require('./encryptionFormat');
+const { EncryptStream, DecryptStream, DEFAULT_CHUNK_SIZE, NONCE_PREFIX_LENGTH } = require('./streamCipher');
+const envelope = require('./envelope');
+const { SALT_LENGTH, DEFAULT_KDF, resolveKdf, deriveKey } = require('./kdf');
+const { throwIfAborted, createTransferStream } = require('./transfer');
+const { NotFoundError, IntegrityError, DecryptionError, failure } = require('./errors');
+
+const pipelineAsync = promisify(pipeline);
 
 /**
  * Algorithm to use for encryption/decryption
- * AES-256-CBC is chosen for its security and wide support
+ * AES-256-GCM authenticates the ciphertext, so any modification is detected.
+ * New files are encrypted in chunks (see lib/streamCipher.js); this constant
+ * is used for the single-shot version 1 format.
+ */
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Algorithm of the headerless salt|IV|ciphertext files written by earlier versions
+ */
+const LEGACY_ALGORITHM = 'aes-256-cbc';
+
+/**
+ * Key derivation of the headerless files, which don't record it
+ */
+const LEGACY_KDF = Object.freeze({ id: KDF.PBKDF2_SHA256, iterations: 100000 });
+
+/**
+ * Length of the GCM authentication tag in bytes
  */
-const ALGORITHM = 'aes-256-cbc';
+const TAG_LENGTH = 16;
 
 /**
  * Encryption class for handling file encryption and decryption
@@ -19,23 +56,33 @@ const ALGORITHM = 'aes-256-cbc';
 class Encryption {
   /**
    * Create a new Encryption instance
+   * @param {Object} options - Encryption options
+   * @param {Object} options.kdf - How keys are derived from passwords for new files:
+   *   `{ algorithm: 'pbkdf2-sha256' | 'pbkdf2-sha512', iterations }` or
+   *   `{ algorithm: 'scrypt', cost, blockSize, parallelization }` (default: PBKDF2-SHA256,
+   *   100000 iterations). Files are always decrypted with the parameters in their header.
+   * @param {Keyring} options.keyring - Open keyring, for encrypting with `{ keyId }` and decrypting
+   *   files that name their key
    */
-  constructor() {
-    // No initialization needed for now
+  constructor(options = {}) {
+    this.kdf = options.kdf ? resolveKdf(options.kdf) : DEFAULT_KDF;
+    this.keyring = options.keyring || null;
   }
 
   /**
    * Generate a secure encryption key from a password
+   *
+   * The key is derived on the thread pool, so the event loop isn't blocked.
    * @param {string} password - Password to derive key from
    * @param {Buffer} salt - Salt for key derivation (will be generated if not provided)
-   * @returns {Object} - Object containing the key and salt
+   * @param {Object} kdf - KDF description, as recorded in headers (default: the configured one)
+   * @returns {Promise<Object>} - Returns an object containing the key and salt
    */
-  generateKey(password, salt = null) {
+  async generateKey(password, salt = null, kdf = this.kdf) {
     // Generate a random salt if none provided
-    const useSalt = salt || crypto.randomBytes(16);
+    const useSalt = salt || crypto.randomBytes(SALT_LENGTH);
 
-    // Derive a key using PBKDF2
-    const key = crypto.pbkdf2Sync(password, useSalt, 100000, 32, 'sha256');
+    const key = await deriveKey(password, useSalt, kdf);
 
     return {
       key,
@@ -43,16 +90,115 @@ class Encryption {
     };
   }
 
+  /**
+   * Create a stream that encrypts everything written to it
+   *
+   * Pass a password to derive the key from it, or `{ recipients: [...] }` to
+   * encrypt under a random data key wrapped for each recipient's public key
+   * (X25519 or RSA), so that only the matching private keys can decrypt.
+   * Pass `{ keyId }` to encrypt with a key from the keyring; its ID is written
+   * into the header, so the file can be decrypted without naming the key.
+   * @param {string|Object} encryptionKey - Password, `{ recipients }` with one or more public keys,
+   *   or `{ keyId }` with the ID or name of a keyring key
+   * @param {Object} options - Encryption options
+   * @param {number} options.chunkSize - Plaintext size of each authenticated chunk (default: 64 KiB,
+   *   at most 16 MiB)
+   * @param {Object} options.kdf - Key derivation for this file, as for the constructor (ignored
+   *   for keyring keys)
+   * @returns {stream.Transform} - Stream producing the encrypted file format
+   */
+  createEncryptStream(encryptionKey, options = {}) {
+    const { chunkSize = DEFAULT_CHUNK_SIZE } = options;
+
+    // Larger chunks would be refused on decryption
+    if (!Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > MAX_CHUNK_SIZE) {
+      throw new Error(`chunkSize must be a positive integer of at most ${MAX_CHUNK_SIZE}`);
+    }
+
+    // Everything needed for decryption is described in the header
+    const noncePrefix = crypto.randomBytes(NONCE_PREFIX_LENGTH);
+
+    if (encryptionKey && Array.isArray(encryptionKey.recipients)) {
+      return this._createEnvelopeStream(encryptionKey.recipients, noncePrefix, chunkSize);
+    }
+
+    let password = encryptionKey;
+    let kdf = options.kdf ? resolveKdf(options.kdf) : this.kdf;
+
+    if (this._isKeyRef(encryptionKey)) {
+      const { id, key } = this._keyringKey(encryptionKey.keyId);
+      password = key;
+      kdf = { id: KDF.KEYRING, keyId: id };
+    }
+
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const header = encodeHeader({ kdf, salt, nonce: noncePrefix, chunkSize });
+
+    // The stream waits for the key, which is derived on the thread pool
+    const key = this.generateKey(password, salt, kdf).then(result => result.key);
+
+    return new EncryptStream({ key, header, noncePrefix, chunkSize });
+  }
+
+  /**
+   * Create a stream that decrypts everything written to it
+   *
+   * Chunked files are decrypted with memory bounded by the chunk size; files
+   * in older formats are collected in full first. Each chunk is authenticated
+   * before it is released, and the stream fails if the input was truncated.
+   * Files encrypted with a keyring key are decrypted with the key their header
+   * names, so no key needs to be passed for them.
+   * @param {string|Object} encryptionKey - Password, or a recipient's private key (KeyObject, PEM,
+   *   or `{ privateKey }`); may be omitted for files encrypted with a keyring key
+   * @param {Object} options - Decryption options
+   * @returns {stream.Transform} - Stream producing the decrypted content
+   */
+  createDecryptStream(encryptionKey, options = {}) {
+    const privateKey = this._privateKeyOf(encryptionKey);
+
+    return new DecryptStream({
+      deriveKey: (header, headerBytes) => {
+        if (header.version >= ENVELOPE_FORMAT_VERSION) {
+          if (!privateKey) {
+            throw new DecryptionError('This file is encrypted for recipients; decrypt it with a private key');
+          }
+          return this._openEnvelope(header, headerBytes, privateKey).contentKey;
+        }
+
+        if (privateKey) {
+          throw new DecryptionError('This file is encrypted with a password, not for recipients');
+        }
+
+        return this._contentKey(header, encryptionKey);
+      },
+      // Files without a header were written by earlier versions
+      decryptBuffered: encryptedData => {
+        if (privateKey) {
+          throw new DecryptionError('This file is encrypted with a password, not for recipients');
+        }
+        return hasHeader(encryptedData)
+          ? this._decryptAuthenticated(encryptedData, encryptionKey)
+          : this._decryptLegacy(encryptedData, encryptionKey);
+      }
+    });
+  }
+
   /**
    * Encrypt a file
    * @param {string} filePath - Path to the file to encrypt
-   * @param {string} encryptionKey - Key used for encryption
+   * @param {string|Object} encryptionKey - Password, `{ recipients }` with one or more public keys, or `{ keyId }`
    * @param {Object} options - Encryption options
    * @param {string} options.outputPath - Path where the encrypted file should be saved
+   * @param {number} options.chunkSize - Plaintext size of each authenticated chunk (default: 64 KiB)
+   * @param {Object} options.kdf - Key derivation for this file, as for the constructor
+   * @param {Function} options.onProgress - Called with `{ bytesTransferred, totalBytes }` as the file is read
+   * @param {AbortSignal} options.signal - Signal to cancel the encryption with; the partial output is removed
    * @returns {Promise<string>} - Returns the path to the encrypted file
    */
   async encryptFile(filePath, encryptionKey, options = {}) {
     try {
+      throwIfAborted(options.signal);
+
       // Check if file exists
       await fs.access(filePath);
 
@@ -62,48 +208,32 @@ class Encryption {
       // Ensure the output directory exists
       await fs.ensureDir(path.dirname(outputPath));
 
-      // Generate a random IV
-      const iv = crypto.randomBytes(16);
-
-      // Create a key from the provided encryption key
-      const { key, salt } = this.generateKey(encryptionKey);
-
-      // Create cipher
-      const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
-
-      // Read the input file
-      const fileContent = await fs.readFile(filePath);
-
-      // Encrypt the file content
-      const encryptedData = Buffer.concat([
-        salt,            // Store the salt at the beginning of the encrypted file
-        iv,              // Store the IV next
-        cipher.update(fileContent),
-        cipher.final()
-      ]);
-
-      // Write the encrypted data to the output file
-      await fs.writeFile(outputPath, encryptedData);
+      // Stream the file through the cipher, one chunk at a time
+      await this._transformFile(filePath, outputPath, this.createEncryptStream(encryptionKey, options), options);
 
       return outputPath;
     } catch (error) {
       if (error.code === 'ENOENT') {
-        throw new Error(`File not found: ${filePath}`);
+        throw new NotFoundError(`File not found: ${filePath}`, { ref: filePath, cause: error });
       }
-      throw new Error(`Failed to encrypt file: ${error.message}`);
+      throw failure('encrypt file', error);
     }
   }
 
   /**
    * Decrypt a file
    * @param {string} filePath - Path to the encrypted file
-   * @param {string} encryptionKey - Key used for decryption
+   * @param {string|Object} encryptionKey - Password, or a recipient's private key (omit for keyring files)
    * @param {Object} options - Decryption options
    * @param {string} options.outputPath - Path where the decrypted file should be saved
+   * @param {Function} options.onProgress - Called with `{ bytesTransferred, totalBytes }` as the file is read
+   * @param {AbortSignal} options.signal - Signal to cancel the decryption with; the partial output is removed
    * @returns {Promise<string>} - Returns the path to the decrypted file
    */
   async decryptFile(filePath, encryptionKey, options = {}) {
     try {
+      throwIfAborted(options.signal);
+
       // Check if file exists
       await fs.access(filePath);
 
@@ -113,43 +243,614 @@ class Encryption {
       // Ensure the output directory exists
       await fs.ensureDir(path.dirname(outputPath));
 
-      // Read the encrypted file
-      const encryptedData = await fs.readFile(filePath);
+      await this._transformFile(filePath, outputPath, this.createDecryptStream(encryptionKey, options), options);
 
-      // Extract the salt from the beginning of the file (first 16 bytes)
-      const salt = encryptedData.slice(0, 16);
+      return outputPath;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new NotFoundError(`File not found: ${filePath}`, { ref: filePath, cause: error });
+      }
+      throw failure('decrypt file', error);
+    }
+  }
 
-      // Extract the IV (next 16 bytes)
-      const iv = encryptedData.slice(16, 32);
+  /**
+   * Encrypt data in memory, into the same format as `encryptFile`
+   *
+   * Meant for small payloads such as secrets, records or request bodies: the
+   * whole result is held in memory. Use streams for large content.
+   * @param {Buffer|Uint8Array} data - Data to encrypt
+   * @param {string|Object} encryptionKey - Password, `{ recipients }` with one or more public keys, or `{ keyId }`
+   * @param {Object} options - Encryption options
+   * @param {number} options.chunkSize - Plaintext size of each authenticated chunk (default: 64 KiB)
+   * @param {Object} options.kdf - Key derivation for this data, as for the constructor
+   * @param {Function} options.onProgress - Called with `{ bytesTransferred, totalBytes }` as the data is read
+   * @param {AbortSignal} options.signal - Signal to cancel the encryption with
+   * @returns {Promise<Buffer>} - Returns the encrypted data
+   */
+  async encryptBuffer(data, encryptionKey, options = {}) {
+    try {
+      throwIfAborted(options.signal);
+      return await this._transformBuffer(data, this.createEncryptStream(encryptionKey, options), options);
+    } catch (error) {
+      throw failure('encrypt buffer', error);
+    }
+  }
 
-      // Extract the encrypted content (the rest of the file)
-      const encryptedContent = encryptedData.slice(32);
+  /**
+   * Decrypt data in memory, in any format `decryptFile` reads
+   * @param {Buffer|Uint8Array} data - Encrypted data
+   * @param {string|Object} encryptionKey - Password, or a recipient's private key (omit for keyring files)
+   * @param {Object} options - Decryption options
+   * @param {Function} options.onProgress - Called with `{ bytesTransferred, totalBytes }` as the data is read
+   * @param {AbortSignal} options.signal - Signal to cancel the decryption with
+   * @returns {Promise<Buffer>} - Returns the decrypted data
+   */
+  async decryptBuffer(data, encryptionKey, options = {}) {
+    try {
+      throwIfAborted(options.signal);
+      return await this._transformBuffer(data, this.createDecryptStream(encryptionKey, options), options);
+    } catch (error) {
+      throw failure('decrypt buffer', error);
+    }
+  }
+
+  /**
+   * Encrypt a string, returning the encrypted data as text
+   * @param {string} text - Text to encrypt, as UTF-8
+   * @param {string|Object} encryptionKey - Password, `{ recipients }` with one or more public keys, or `{ keyId }`
+   * @param {Object} options - Encryption options, as for `encryptBuffer`
+   * @param {string} options.encoding - Encoding of the result: `base64` (default) or `hex`
+   * @returns {Promise<string>} - Returns the encoded encrypted data
+   */
+  async encryptString(text, encryptionKey, options = {}) {
+    const { encoding = 'base64' } = options;
+    if (typeof text !== 'string') {
+      throw failure('encrypt string', new Error('text must be a string'));
+    }
 
-      // Create a key using the provided password and extracted salt
-      const { key } = this.generateKey(encryptionKey, salt);
+    const encrypted = await this.encryptBuffer(Buffer.from(text, 'utf8'), encryptionKey, options);
+    return encrypted.toString(encoding);
+  }
 
-      // Create decipher
-      const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  /**
+   * Decrypt a string produced by `encryptString`
+   * @param {string} encoded - Encoded encrypted data
+   * @param {string|Object} encryptionKey - Password, or a recipient's private key (omit for keyring files)
+   * @param {Object} options - Decryption options, as for `decryptBuffer`
+   * @param {string} options.encoding - Encoding of the encrypted data: `base64` (default) or `hex`
+   * @returns {Promise<string>} - Returns the decrypted text
+   */
+  async decryptString(encoded, encryptionKey, options = {}) {
+    const { encoding = 'base64' } = options;
+    if (typeof encoded !== 'string') {
+      throw failure('decrypt string', new Error('encoded data must be a string'));
+    }
 
-      try {
-        // Decrypt the file content
-        const decryptedData = Buffer.concat([
-          decipher.update(encryptedContent),
-          decipher.final()
-        ]);
+    const decrypted = await this.decryptBuffer(Buffer.from(encoded, encoding), encryptionKey, options);
+    return decrypted.toString('utf8');
+  }
 
-        // Write the decrypted data to the output file
-        await fs.writeFile(outputPath, decryptedData);
+  /**
+   * Give another recipient access to a file encrypted for recipients
+   *
+   * Only the header is rewritten; the encrypted content is copied unchanged.
+   * @param {string} filePath - Path to the encrypted file
+   * @param {crypto.KeyObject|string|Object} privateKey - Private key of an existing recipient
+   * @param {crypto.KeyObject|string|Buffer} recipientKey - Public key of the new recipient
+   * @param {Object} options - Options
+   * @param {string} options.outputPath - Path where the updated file should be saved (default: in place)
+   * @returns {Promise<string>} - Returns the path to the updated file
+   */
+  async addRecipient(filePath, privateKey, recipientKey, options = {}) {
+    try {
+      return await this._rewrapFile(filePath, privateKey, options, (stanzas, dataKey) => {
+        const id = envelope.fingerprint(recipientKey);
 
-        return outputPath;
-      } catch (cryptoError) {
-        throw new Error(`Decryption failed, possibly due to incorrect password: ${cryptoError.message}`);
+        // Re-adding a recipient replaces its stanza
+        return stanzas
+          .filter(stanza => !stanza.id.equals(id))
+          .concat(envelope.wrapKey(dataKey, recipientKey));
+      });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new NotFoundError(`File not found: ${filePath}`, { ref: filePath, cause: error });
       }
+      throw failure('add recipient', error);
+    }
+  }
+
+  /**
+   * Revoke a recipient's access to a file encrypted for recipients
+   *
+   * Only the header is rewritten; the encrypted content is copied unchanged.
+   * Note that a removed recipient who kept the data key (or an old copy of
+   * the file) can still decrypt the content.
+   * @param {string} filePath - Path to the encrypted file
+   * @param {crypto.KeyObject|string|Object} privateKey - Private key of an existing recipient
+   * @param {crypto.KeyObject|string|Buffer} recipient - Public key or fingerprint (hex or Buffer) of
+   *   the recipient to remove
+   * @param {Object} options - Options
+   * @param {string} options.outputPath - Path where the updated file should be saved (default: in place)
+   * @returns {Promise<string>} - Returns the path to the updated file
+   */
+  async removeRecipient(filePath, privateKey, recipient, options = {}) {
+    try {
+      return await this._rewrapFile(filePath, privateKey, options, stanzas => {
+        const id = this._recipientId(recipient);
+        const remaining = stanzas.filter(stanza => !stanza.id.equals(id));
+
+        if (remaining.length === stanzas.length) {
+          throw new NotFoundError('The key is not a recipient of this file');
+        }
+        if (remaining.length === 0) {
+          throw new Error('Cannot remove the last recipient of a file');
+        }
+
+        return remaining;
+      });
     } catch (error) {
       if (error.code === 'ENOENT') {
-        throw new Error(`File not found: ${filePath}`);
+        throw new NotFoundError(`File not found: ${filePath}`, { ref: filePath, cause: error });
       }
-      throw new Error(`Failed to decrypt file: ${error.message}`);
+      throw failure('remove recipient', error);
+    }
+  }
+
+  /**
+   * List the recipients of a file encrypted for recipients
+   * @param {string} filePath - Path to the encrypted file
+   * @returns {Promise<Array<string>>} - Returns the hex fingerprints of the recipients' public keys
+   */
+  async listRecipients(filePath) {
+    try {
+      const { header } = await this._readFileHeader(filePath);
+
+      if (header.version < ENVELOPE_FORMAT_VERSION) {
+        throw new Error('The file is not encrypted for recipients');
+      }
+
+      return header.recipients.map(stanza => stanza.id.toString('hex'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new NotFoundError(`File not found: ${filePath}`, { ref: filePath, cause: error });
+      }
+      throw failure('list recipients', error);
+    }
+  }
+
+  /**
+   * Create a stream that gives a file encrypted for recipients a new list of
+   * recipients
+   *
+   * The data key is unwrapped with the private key and wrapped for each new
+   * recipient; the encrypted content passes through unchanged. As with
+   * `removeRecipient`, former recipients who kept the data key can still
+   * decrypt the content.
+   * @param {crypto.KeyObject|string|Object} privateKey - Private key of an existing recipient
+   * @param {Array} recipients - Public keys of the new recipients, replacing the existing ones
+   * @returns {stream.Transform} - Stream producing the file with its new header
+   */
+  createRewrapStream(privateKey, recipients) {
+    if (!Array.isArray(recipients) || recipients.length === 0) {
+      throw new Error('At least one recipient is required');
+    }
+
+    const chunks = [];
+    let length = 0;
+    let rewrapped = false;
+
+    return new Transform({
+      transform: (chunk, encoding, callback) => {
+        if (rewrapped) {
+          return callback(null, chunk);
+        }
+
+        // Collect data until the whole header has arrived
+        chunks.push(chunk);
+        length += chunk.length;
+
+        try {
+          const buffer = Buffer.concat(chunks, length);
+          const header = readHeader(buffer);
+          if (!header) {
+            return callback();
+          }
+
+          const newHeader = this._rewrapHeader(header, buffer.subarray(0, header.length), privateKey, (stanzas, dataKey) => {
+            return recipients.map(recipient => envelope.wrapKey(dataKey, recipient));
+          });
+
+          rewrapped = true;
+          callback(null, Buffer.concat([newHeader, buffer.subarray(header.length)]));
+        } catch (error) {
+          callback(error);
+        }
+      },
+      flush: callback => {
+        callback(rewrapped ? null : new DecryptionError('Invalid encrypted file header: unexpected end of data'));
+      }
+    });
+  }
+
+  /**
+   * Get the fingerprint of a recipient's public key
+   * @param {crypto.KeyObject|string|Buffer} publicKey - Public key (or the matching private key)
+   * @returns {string} - Hex fingerprint, as returned by `listRecipients`
+   */
+  fingerprint(publicKey) {
+    return envelope.fingerprint(publicKey).toString('hex');
+  }
+
+  /**
+   * Create an encrypt stream for recipients
+   * @param {Array} recipients - Public keys of the recipients
+   * @param {Buffer} noncePrefix - Random nonce prefix
+   * @param {number} chunkSize - Plaintext size of each chunk
+   * @returns {stream.Transform} - The encrypt stream
+   * @private
+   */
+  _createEnvelopeStream(recipients, noncePrefix, chunkSize) {
+    if (recipients.length === 0) {
+      throw new Error('At least one recipient is required');
+    }
+
+    const dataKey = envelope.generateDataKey();
+    const core = encodeHeader({
+      version: ENVELOPE_FORMAT_VERSION,
+      kdf: { id: KDF.NONE },
+      salt: Buffer.alloc(0),
+      nonce: noncePrefix,
+      chunkSize
+    });
+    const stanzas = recipients.map(recipient => envelope.wrapKey(dataKey, recipient));
+
+    const { contentKey, macKey } = envelope.deriveDataKeys(dataKey);
+
+    // Only the core is bound to the chunks; the recipient list is covered by the header MAC
+    return new EncryptStream({
+      key: contentKey,
+      header: this._sealHeader(core, stanzas, macKey),
+      aad: core,
+      noncePrefix,
+      chunkSize
+    });
+  }
+
+  /**
+   * Encode an envelope header and append its MAC
+   * @param {Buffer} core - Encoded header core
+   * @param {Array<Object>} stanzas - Recipient stanzas
+   * @param {Buffer} macKey - MAC key derived from the data key
+   * @returns {Buffer} - The complete header
+   * @private
+   */
+  _sealHeader(core, stanzas, macKey) {
+    const unsigned = Buffer.concat([core, encodeRecipients(stanzas)]);
+    return Buffer.concat([unsigned, envelope.headerMac(macKey, unsigned)]);
+  }
+
+  /**
+   * Unwrap the data key of an envelope header and verify the header MAC
+   * @param {Object} header - Parsed header
+   * @param {Buffer} headerBytes - Raw header bytes
+   * @param {crypto.KeyObject|string|Buffer} privateKey - Recipient's private key
+   * @returns {Object} - `{ dataKey, contentKey, macKey }`
+   * @private
+   */
+  _openEnvelope(header, headerBytes, privateKey) {
+    const dataKey = envelope.unwrapKey(header.recipients, privateKey);
+    const { contentKey, macKey } = envelope.deriveDataKeys(dataKey);
+
+    const expected = envelope.headerMac(macKey, headerBytes.subarray(0, header.length - MAC_LENGTH));
+    if (!crypto.timingSafeEqual(expected, header.mac)) {
+      throw new IntegrityError('Integrity check failed: the recipient list has been modified');
+    }
+
+    return { dataKey, contentKey, macKey };
+  }
+
+  /**
+   * Extract the private key from a decryption key, if it is one
+   * @param {string|Object} encryptionKey - Password, private key, `{ privateKey }` or `{ keyId }`
+   * @returns {crypto.KeyObject|string|Buffer|null} - The private key, or null for a password or
+   *   keyring key
+   * @private
+   */
+  _privateKeyOf(encryptionKey) {
+    if (encryptionKey instanceof crypto.KeyObject) {
+      return encryptionKey;
+    }
+    if (this._isKeyRef(encryptionKey)) {
+      return null;
+    }
+    if (encryptionKey && typeof encryptionKey === 'object' && !Buffer.isBuffer(encryptionKey)) {
+      if (!encryptionKey.privateKey) {
+        throw new Error('Expected a password or { privateKey }');
+      }
+      return encryptionKey.privateKey;
+    }
+    // PEM-encoded private keys can be passed as strings
+    if (typeof encryptionKey === 'string' && encryptionKey.includes('-----BEGIN')) {
+      return encryptionKey;
+    }
+    return null;
+  }
+
+  /**
+   * Check whether a key is a reference to a keyring key
+   * @param {*} encryptionKey - Key passed by the caller
+   * @returns {boolean} - Returns true for `{ keyId }`
+   * @private
+   */
+  _isKeyRef(encryptionKey) {
+    return Boolean(encryptionKey) && typeof encryptionKey === 'object' && encryptionKey.keyId !== undefined;
+  }
+
+  /**
+   * Look up a key in the keyring
+   * @param {string} ref - ID or name of the key
+   * @returns {Object} - `{ id, name, key, createdAt }`
+   * @private
+   */
+  _keyringKey(ref) {
+    if (!this.keyring) {
+      throw new Error(`Key ${ref} is in a keyring, but no keyring is configured`);
+    }
+    return this.keyring.getKey(ref);
+  }
+
+  /**
+   * Get the content key of a password or keyring file
+   * @param {Object} header - Parsed header
+   * @param {string|Object} encryptionKey - Password, if the file was encrypted with one
+   * @returns {Promise<Buffer>} - Returns the content key
+   * @private
+   */
+  async _contentKey(header, encryptionKey) {
+    // Derive the key with the parameters recorded at encryption time
+    if (header.kdf.id === KDF.KEYRING) {
+      const { key } = this._keyringKey(header.kdf.keyId);
+      return (await this.generateKey(key, header.salt, header.kdf)).key;
+    }
+
+    if (encryptionKey === undefined || encryptionKey === null || this._isKeyRef(encryptionKey)) {
+      throw new DecryptionError('This file is encrypted with a password; decrypt it with the password');
+    }
+    return (await this.generateKey(encryptionKey, header.salt, header.kdf)).key;
+  }
+
+  /**
+   * Resolve the recipient ID of a public key or fingerprint
+   * @param {crypto.KeyObject|string|Buffer} recipient - Public key, or fingerprint as hex or Buffer
+   * @returns {Buffer} - The recipient ID
+   * @private
+   */
+  _recipientId(recipient) {
+    if (Buffer.isBuffer(recipient) && recipient.length === 32) {
+      return recipient;
+    }
+    if (typeof recipient === 'string' && /^[0-9a-f]{64}$/i.test(recipient)) {
+      return Buffer.from(recipient, 'hex');
+    }
+    return envelope.fingerprint(recipient);
+  }
+
+  /**
+   * Read and parse the header at the start of an encrypted file
+   * @param {string} filePath - Path to the encrypted file
+   * @returns {Promise<Object>} - Returns `{ header, headerBytes }`
+   * @private
+   */
+  async _readFileHeader(filePath) {
+    const chunks = [];
+    let length = 0;
+
+    for await (const chunk of fs.createReadStream(filePath)) {
+      chunks.push(chunk);
+      length += chunk.length;
+
+      const buffer = Buffer.concat(chunks, length);
+      if (!hasHeader(buffer) && buffer.length >= 4) {
+        break;
+      }
+
+      const header = readHeader(buffer);
+      if (header) {
+        return { header, headerBytes: buffer.subarray(0, header.length) };
+      }
+    }
+
+    throw new DecryptionError('Invalid encrypted file header');
+  }
+
+  /**
+   * Build the header of an envelope file with a new recipient list
+   * @param {Object} header - Parsed header
+   * @param {Buffer} headerBytes - Raw header bytes
+   * @param {crypto.KeyObject|string|Object} privateKey - Private key of an existing recipient
+   * @param {Function} update - Called with the stanzas and the data key, returns the new stanzas
+   * @returns {Buffer} - The new header, with the same core and a new MAC
+   * @private
+   */
+  _rewrapHeader(header, headerBytes, privateKey, update) {
+    if (header.version < ENVELOPE_FORMAT_VERSION) {
+      throw new Error('The file is not encrypted for recipients');
+    }
+
+    const key = this._privateKeyOf(privateKey) || privateKey;
+    const { dataKey, macKey } = this._openEnvelope(header, headerBytes, key);
+    return this._sealHeader(headerBytes.subarray(0, header.coreLength), update(header.recipients, dataKey), macKey);
+  }
+
+  /**
+   * Rewrite the recipient list of an envelope file
+   *
+   * The new file is written next to the output path and renamed over it, so
+   * the original is left intact if anything fails.
+   * @param {string} filePath - Path to the encrypted file
+   * @param {crypto.KeyObject|string|Object} privateKey - Private key of an existing recipient
+   * @param {Object} options - Options
+   * @param {string} options.outputPath - Path where the updated file should be saved (default: in place)
+   * @param {Function} update - Called with the stanzas and the data key, returns the new stanzas
+   * @returns {Promise<string>} - Returns the path to the updated file
+   * @private
+   */
+  async _rewrapFile(filePath, privateKey, options, update) {
+    const { header, headerBytes } = await this._readFileHeader(filePath);
+    const newHeader = this._rewrapHeader(header, headerBytes, privateKey, update);
+
+    const outputPath = options.outputPath || filePath;
+    const tempPath = `${outputPath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+    await fs.ensureDir(path.dirname(outputPath));
+
+    try {
+      const output = fs.createWriteStream(tempPath);
+      output.write(newHeader);
+      await pipelineAsync(fs.createReadStream(filePath, { start: header.length }), output);
+      await fs.rename(tempPath, outputPath);
+    } catch (error) {
+      await fs.remove(tempPath);
+      throw error;
+    }
+
+    return outputPath;
+  }
+
+  /**
+   * Pipe content through a transform, reporting progress and stopping when cancelled
+   *
+   * The core shared by the file and buffer methods.
+   * @param {stream.Readable} source - Stream of the input
+   * @param {stream.Transform} transform - Stream to pipe the content through
+   * @param {stream.Writable} destination - Stream the output is written to
+   * @param {Object} options - Transfer options (`onProgress`, `signal` and `totalBytes`)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _pipeThrough(source, transform, destination, options = {}) {
+    await pipelineAsync(source, createTransferStream(options), transform, destination);
+  }
+
+  /**
+   * Pipe a file through a transform into an output file
+   *
+   * The output is removed if anything fails, so a failed decryption never
+   * leaves partial (and possibly truncated) plaintext behind.
+   * @param {string} inputPath - Path of the input file
+   * @param {string} outputPath - Path of the output file
+   * @param {stream.Transform} transform - Stream to pipe the content through
+   * @param {Object} options - Transfer options (`onProgress` and `signal`)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _transformFile(inputPath, outputPath, transform, options = {}) {
+    try {
+      const { size } = await fs.stat(inputPath);
+
+      await this._pipeThrough(fs.createReadStream(inputPath), transform, fs.createWriteStream(outputPath), {
+        ...options,
+        totalBytes: size
+      });
+    } catch (error) {
+      await fs.remove(outputPath);
+      throw error;
+    }
+  }
+
+  /**
+   * Pipe a buffer through a transform, collecting the output
+   * @param {Buffer|Uint8Array} data - Input
+   * @param {stream.Transform} transform - Stream to pipe the content through
+   * @param {Object} options - Transfer options (`onProgress` and `signal`)
+   * @returns {Promise<Buffer>} - Returns the output
+   * @private
+   */
+  async _transformBuffer(data, transform, options = {}) {
+    if (!(data instanceof Uint8Array)) {
+      throw new Error('data must be a Buffer or Uint8Array');
+    }
+
+    const chunks = [];
+    const collector = new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(chunk);
+        callback();
+      }
+    });
+
+    // Empty input is no chunks at all, as for an empty file
+    const input = data.length > 0 ? [Buffer.from(data.buffer, data.byteOffset, data.length)] : [];
+    await this._pipeThrough(Readable.from(input), transform, collector, { ...options, totalBytes: data.length });
+
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Decrypt data in the single-shot version 1 format
+   * @param {Buffer} encryptedData - Header, ciphertext and authentication tag
+   * @param {string} encryptionKey - Key used for decryption
+   * @returns {Promise<Buffer>} - Returns the decrypted data
+   * @private
+   */
+  async _decryptAuthenticated(encryptedData, encryptionKey) {
+    const header = decodeHeader(encryptedData);
+
+    if (encryptedData.length < header.length + TAG_LENGTH) {
+      throw new IntegrityError('Encrypted data is truncated');
+    }
+
+    const key = await this._contentKey(header, encryptionKey);
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, header.nonce, { authTagLength: TAG_LENGTH });
+    decipher.setAAD(encryptedData.subarray(0, header.length));
+    decipher.setAuthTag(encryptedData.subarray(encryptedData.length - TAG_LENGTH));
+
+    const decryptedContent = decipher.update(encryptedData.subarray(header.length, encryptedData.length - TAG_LENGTH));
+
+    try {
+      return Buffer.concat([decryptedContent, decipher.final()]);
+    } catch (authError) {
+      // GCM cannot tell a wrong password from modified data; both fail authentication
+      throw new IntegrityError('Integrity check failed: the data has been modified or the password is incorrect', {
+        cause: authError
+      });
+    }
+  }
+
+  /**
+   * Decrypt data in the legacy salt|IV|AES-256-CBC format
+   * @param {Buffer} encryptedData - Salt, IV and ciphertext
+   * @param {string} encryptionKey - Key used for decryption
+   * @returns {Promise<Buffer>} - Returns the decrypted data
+   * @private
+   */
+  async _decryptLegacy(encryptedData, encryptionKey) {
+    // Extract the salt from the beginning of the file (first 16 bytes)
+    const salt = encryptedData.subarray(0, 16);
+
+    // Extract the IV (next 16 bytes)
+    const iv = encryptedData.subarray(16, 32);
+
+    // Extract the encrypted content (the rest of the file)
+    const encryptedContent = encryptedData.subarray(32);
+
+    // Create a key using the provided password and extracted salt
+    const { key } = await this.generateKey(encryptionKey, salt, LEGACY_KDF);
+
+    // Create decipher
+    const decipher = crypto.createDecipheriv(LEGACY_ALGORITHM, key, iv);
+
+    try {
+      return Buffer.concat([
+        decipher.update(encryptedContent),
+        decipher.final()
+      ]);
+    } catch (cryptoError) {
+      throw new DecryptionError(`Decryption failed, possibly due to incorrect password: ${cryptoError.message}`, {
+        cause: cryptoError
+      });
     }
   }
 }
@@ -0,0 +1,318 @@
+/**
+ * Encrypted file format for AetherDrive
+ * Encodes and parses the header written in front of encrypted content
+ *
+ * Layout (all integers big-endian):
+ *
+ *   magic        4 bytes   "AETH"
+ *   version      1 byte
+ *   kdf id       1 byte
+ *   kdf params   2 byte length + params (PBKDF2: iterations, 4 bytes;
+ *                scrypt: N, r and p, 4 bytes each; keyring: key ID, 16 bytes)
+ *   salt         1 byte length + salt
+ *   nonce        1 byte length + nonce
+ *   chunk size   4 bytes, at most 16 MiB (version 2 and later)
+ *   recipients   2 byte count + stanzas (version 3 only)
+ *   header MAC   32 bytes (version 3 only)
+ *
+ * Version 2 and 3 files are followed by a sequence of independently
+ * authenticated chunks (see lib/streamCipher.js); version 1 files by a single
+ * AEAD ciphertext and its authentication tag.
+ *
+ * Everything up to and including the chunk size (the "core") is passed to
+ * the cipher as additional authenticated data, so changing any of it makes
+ * decryption fail. Version 3 (envelope) files encrypt the content under a
+ * random data key that is wrapped for each recipient (see lib/envelope.js);
+ * the recipient list is kept out of the core so it can be changed without
+ * re-encrypting the content, and is protected by the header MAC instead.
+ *
+ * Recipient stanza: type (1 byte), 1 byte length + recipient ID,
+ * 2 byte length + body.
+ */
+
+const { DecryptionError } = require('./errors');
+
+/**
+ * Magic bytes identifying an AetherDrive encrypted file
+ */
+const MAGIC = Buffer.from('AETH', 'ascii');
+
+/**
+ * Current format version, written by `encodeHeader`
+ */
+const FORMAT_VERSION = 2;
+
+/**
+ * Format version of envelope (recipient) headers
+ */
+const ENVELOPE_FORMAT_VERSION = 3;
+
+/**
+ * Versions `decodeHeader` can read
+ */
+const SUPPORTED_VERSIONS = [1, 2, 3];
+
+/**
+ * Length of the header MAC in bytes
+ */
+const MAC_LENGTH = 32;
+
+/**
+ * Largest chunk size a header may declare
+ *
+ * A chunk is buffered in full before it is authenticated, so the header of an
+ * untrusted file must not be able to demand more memory than this.
+ */
+const MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+
+/**
+ * Key derivation function identifiers
+ */
+const KDF = {
+  // Envelope files: the key comes from a recipient stanza, not a password
+  NONE: 0,
+  PBKDF2_SHA256: 1,
+  PBKDF2_SHA512: 2,
+  SCRYPT: 3,
+  // The key is derived from a key stored in a keyring (see lib/keyring.js)
+  KEYRING: 4
+};
+
+/**
+ * Length of keyring key IDs in bytes
+ */
+const KEY_ID_LENGTH = 16;
+
+/**
+ * Check whether a buffer starts with the AetherDrive magic bytes
+ * @param {Buffer} buffer - Start of a file
+ * @returns {boolean} - Returns true if the buffer starts with a header
+ */
+function hasHeader(buffer) {
+  return buffer.length >= MAGIC.length && buffer.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+/**
+ * Encode the parameters of a key derivation function
+ * @param {Object} kdf - KDF description
+ * @returns {Buffer} - Encoded parameters
+ * @private
+ */
+function encodeKdfParams(kdf) {
+  switch (kdf.id) {
+    case KDF.NONE:
+      return Buffer.alloc(0);
+    case KDF.PBKDF2_SHA256:
+    case KDF.PBKDF2_SHA512: {
+      const params = Buffer.alloc(4);
+      params.writeUInt32BE(kdf.iterations, 0);
+      return params;
+    }
+    case KDF.SCRYPT: {
+      const params = Buffer.alloc(12);
+      params.writeUInt32BE(kdf.cost, 0);
+      params.writeUInt32BE(kdf.blockSize, 4);
+      params.writeUInt32BE(kdf.parallelization, 8);
+      return params;
+    }
+    case KDF.KEYRING:
+      return Buffer.from(kdf.keyId, 'hex');
+    default:
+      throw new Error(`Unsupported key derivation function: ${kdf.id}`);
+  }
+}
+
+/**
+ * Decode the parameters of a key derivation function
+ * @param {number} id - KDF identifier
+ * @param {Buffer} params - Encoded parameters
+ * @returns {Object} - KDF description
+ * @private
+ */
+function decodeKdfParams(id, params) {
+  switch (id) {
+    case KDF.NONE:
+      return { id };
+    case KDF.PBKDF2_SHA256:
+    case KDF.PBKDF2_SHA512:
+      if (params.length !== 4) {
+        throw new DecryptionError('Invalid PBKDF2 parameters');
+      }
+      return { id, iterations: params.readUInt32BE(0) };
+    case KDF.SCRYPT:
+      if (params.length !== 12) {
+        throw new DecryptionError('Invalid scrypt parameters');
+      }
+      return {
+        id,
+        cost: params.readUInt32BE(0),
+        blockSize: params.readUInt32BE(4),
+        parallelization: params.readUInt32BE(8)
+      };
+    case KDF.KEYRING:
+      if (params.length !== KEY_ID_LENGTH) {
+        throw new DecryptionError('Invalid keyring key ID');
+      }
+      return { id, keyId: params.toString('hex') };
+    default:
+      throw new DecryptionError(`Unsupported key derivation function: ${id}`);
+  }
+}
+
+/**
+ * Encode the core of a header (everything authenticated with the content)
+ * @param {Object} header - Header fields
+ * @param {number} header.version - Format version (default: FORMAT_VERSION)
+ * @param {Object} header.kdf - KDF description, e.g. `{ id: KDF.PBKDF2_SHA256, iterations: 100000 }`
+ * @param {Buffer} header.salt - Salt used for key derivation
+ * @param {Buffer} header.nonce - Nonce (prefix) used for encryption
+ * @param {number} header.chunkSize - Plaintext size of each encrypted chunk
+ * @returns {Buffer} - The encoded header
+ */
+function encodeHeader({ version = FORMAT_VERSION, kdf, salt, nonce, chunkSize }) {
+  const kdfParams = encodeKdfParams(kdf);
+
+  const fixed = Buffer.alloc(MAGIC.length + 4);
+  MAGIC.copy(fixed, 0);
+  fixed.writeUInt8(version, 4);
+  fixed.writeUInt8(kdf.id, 5);
+  fixed.writeUInt16BE(kdfParams.length, 6);
+
+  const chunkSizeField = Buffer.alloc(4);
+  chunkSizeField.writeUInt32BE(chunkSize, 0);
+
+  return Buffer.concat([
+    fixed,
+    kdfParams,
+    Buffer.from([salt.length]),
+    salt,
+    Buffer.from([nonce.length]),
+    nonce,
+    chunkSizeField
+  ]);
+}
+
+/**
+ * Encode the recipient list of an envelope header
+ * @param {Array<Object>} recipients - Stanzas `{ type, id, body }`
+ * @returns {Buffer} - The encoded list; the header MAC is appended after it
+ */
+function encodeRecipients(recipients) {
+  const parts = [Buffer.alloc(2)];
+  parts[0].writeUInt16BE(recipients.length, 0);
+
+  for (const { type, id, body } of recipients) {
+    const bodyLength = Buffer.alloc(2);
+    bodyLength.writeUInt16BE(body.length, 0);
+    parts.push(Buffer.from([type, id.length]), id, bodyLength, body);
+  }
+
+  return Buffer.concat(parts);
+}
+
+/**
+ * Thrown internally when a buffer ends before the header does
+ * @private
+ */
+class IncompleteHeaderError extends DecryptionError {}
+
+/**
+ * Parse a header from the start of a buffer
+ * @param {Buffer} buffer - Buffer starting with a complete header
+ * @returns {Object} - Header fields plus `coreLength`, the number of authenticated core bytes,
+ *   and `length`, the total number of header bytes
+ */
+function decodeHeader(buffer) {
+  let offset = 0;
+
+  // Read `length` bytes, failing cleanly on truncated input
+  const take = length => {
+    if (offset + length > buffer.length) {
+      throw new IncompleteHeaderError('Invalid encrypted file header: unexpected end of data');
+    }
+    const slice = buffer.subarray(offset, offset + length);
+    offset += length;
+    return slice;
+  };
+
+  if (!take(MAGIC.length).equals(MAGIC)) {
+    throw new DecryptionError('Invalid encrypted file header: bad magic bytes');
+  }
+
+  const version = take(1).readUInt8(0);
+  if (!SUPPORTED_VERSIONS.includes(version)) {
+    throw new DecryptionError(`Unsupported encrypted file version: ${version}`);
+  }
+
+  const kdfId = take(1).readUInt8(0);
+  const kdf = decodeKdfParams(kdfId, take(take(2).readUInt16BE(0)));
+  const salt = take(take(1).readUInt8(0));
+  const nonce = take(take(1).readUInt8(0));
+  const chunkSize = version >= 2 ? take(4).readUInt32BE(0) : null;
+
+  if (chunkSize === 0) {
+    throw new DecryptionError('Invalid encrypted file header: chunk size must not be zero');
+  }
+  if (chunkSize > MAX_CHUNK_SIZE) {
+    throw new DecryptionError(`Invalid encrypted file header: chunk size ${chunkSize} exceeds the maximum of ${MAX_CHUNK_SIZE}`);
+  }
+
+  const coreLength = offset;
+  let recipients = null;
+  let mac = null;
+
+  if (version >= ENVELOPE_FORMAT_VERSION) {
+    recipients = [];
+    const count = take(2).readUInt16BE(0);
+    for (let i = 0; i < count; i++) {
+      const type = take(1).readUInt8(0);
+      const id = take(take(1).readUInt8(0));
+      const body = take(take(2).readUInt16BE(0));
+      recipients.push({ type, id, body });
+    }
+    mac = take(MAC_LENGTH);
+  }
+
+  return {
+    version,
+    kdf,
+    salt,
+    nonce,
+    chunkSize,
+    recipients,
+    mac,
+    coreLength,
+    length: offset
+  };
+}
+
+/**
+ * Parse a header from the start of a buffer that may not hold all of it yet
+ * @param {Buffer} buffer - Data read so far
+ * @returns {Object|null} - Header fields, or null if more data is needed
+ */
+function readHeader(buffer) {
+  try {
+    return decodeHeader(buffer);
+  } catch (error) {
+    if (error instanceof IncompleteHeaderError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  MAGIC,
+  FORMAT_VERSION,
+  ENVELOPE_FORMAT_VERSION,
+  MAC_LENGTH,
+  MAX_CHUNK_SIZE,
+  KDF,
+  KEY_ID_LENGTH,
+  hasHeader,
+  encodeHeader,
+  encodeRecipients,
+  decodeHeader,
+  readHeader
+};
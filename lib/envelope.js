@@ -0,0 +1,254 @@
+/**
+ * Envelope encryption helpers for AetherDrive
+ * Wraps random data keys for recipients' public keys
+ *
+ * Supported recipient keys:
+ *
+ * - X25519: an ephemeral X25519 key pair is generated per recipient, the
+ *   shared secret is run through HKDF-SHA256 and the data key is sealed with
+ *   AES-256-GCM under the result. The stanza body is the ephemeral public key
+ *   (32 bytes) followed by the sealed key and tag (48 bytes).
+ * - RSA: the data key is encrypted with RSA-OAEP (SHA-256). The stanza body is
+ *   the RSA ciphertext.
+ *
+ * Recipients are identified by the SHA-256 fingerprint of their public key
+ * (SPKI DER encoding).
+ */
+
+const crypto = require('crypto');
+const { IntegrityError, DecryptionError } = require('./errors');
+
+/**
+ * Recipient stanza types
+ */
+const RECIPIENT_TYPE = {
+  X25519: 1,
+  RSA_OAEP_SHA256: 2
+};
+
+/**
+ * Length of data keys in bytes
+ */
+const DATA_KEY_LENGTH = 32;
+
+/**
+ * DER prefix of an X25519 SubjectPublicKeyInfo, followed by the 32-byte key
+ */
+const X25519_SPKI_PREFIX = Buffer.from('302a300506032b656e032100', 'hex');
+
+/**
+ * HKDF-SHA256 (RFC 5869)
+ * @param {Buffer} secret - Input keying material
+ * @param {Buffer} salt - Salt
+ * @param {string} info - Context string
+ * @param {number} length - Output length in bytes (at most 8160)
+ * @returns {Buffer} - Output keying material
+ */
+function hkdf(secret, salt, info, length) {
+  const prk = crypto.createHmac('sha256', salt.length > 0 ? salt : Buffer.alloc(32)).update(secret).digest();
+
+  const blocks = [];
+  let previous = Buffer.alloc(0);
+  for (let i = 1, total = 0; total < length; i++, total += previous.length) {
+    previous = crypto.createHmac('sha256', prk)
+      .update(Buffer.concat([previous, Buffer.from(info, 'utf8'), Buffer.from([i])]))
+      .digest();
+    blocks.push(previous);
+  }
+
+  return Buffer.concat(blocks).subarray(0, length);
+}
+
+/**
+ * Convert a public key in any supported form to a KeyObject
+ * @param {crypto.KeyObject|string|Buffer} key - Public key (KeyObject, PEM, or SPKI DER)
+ * @returns {crypto.KeyObject} - The public key
+ */
+function toPublicKey(key) {
+  if (key instanceof crypto.KeyObject) {
+    return key.type === 'private' ? crypto.createPublicKey(key) : key;
+  }
+  if (Buffer.isBuffer(key)) {
+    return crypto.createPublicKey({ key, format: 'der', type: 'spki' });
+  }
+  return crypto.createPublicKey(key);
+}
+
+/**
+ * Convert a private key in any supported form to a KeyObject
+ * @param {crypto.KeyObject|string|Buffer} key - Private key (KeyObject, PEM, or PKCS#8 DER)
+ * @returns {crypto.KeyObject} - The private key
+ */
+function toPrivateKey(key) {
+  if (key instanceof crypto.KeyObject) {
+    if (key.type !== 'private') {
+      throw new Error('A private key is required');
+    }
+    return key;
+  }
+  if (Buffer.isBuffer(key)) {
+    return crypto.createPrivateKey({ key, format: 'der', type: 'pkcs8' });
+  }
+  return crypto.createPrivateKey(key);
+}
+
+/**
+ * Compute the fingerprint identifying a recipient
+ * @param {crypto.KeyObject|string|Buffer} key - Public key, or the matching private key
+ * @returns {Buffer} - SHA-256 of the SPKI DER encoding
+ */
+function fingerprint(key) {
+  const der = toPublicKey(key).export({ format: 'der', type: 'spki' });
+  return crypto.createHash('sha256').update(der).digest();
+}
+
+/**
+ * Get the raw 32-byte form of an X25519 public key
+ * @param {crypto.KeyObject} publicKey - X25519 public key
+ * @returns {Buffer} - Raw key
+ * @private
+ */
+function rawX25519(publicKey) {
+  return publicKey.export({ format: 'der', type: 'spki' }).subarray(X25519_SPKI_PREFIX.length);
+}
+
+/**
+ * Derive the key sealing a data key for an X25519 recipient
+ * @param {Buffer} sharedSecret - X25519 shared secret
+ * @param {Buffer} ephemeralRaw - Raw ephemeral public key
+ * @param {Buffer} recipientRaw - Raw recipient public key
+ * @returns {Buffer} - 32-byte wrapping key
+ * @private
+ */
+function x25519WrappingKey(sharedSecret, ephemeralRaw, recipientRaw) {
+  return hkdf(sharedSecret, Buffer.concat([ephemeralRaw, recipientRaw]), 'aetherdrive/x25519', 32);
+}
+
+/**
+ * Wrap a data key for a recipient
+ * @param {Buffer} dataKey - Data key to wrap
+ * @param {crypto.KeyObject|string|Buffer} recipientKey - Recipient's public key (X25519 or RSA)
+ * @returns {Object} - Stanza `{ type, id, body }`
+ */
+function wrapKey(dataKey, recipientKey) {
+  const publicKey = toPublicKey(recipientKey);
+  const id = fingerprint(publicKey);
+
+  switch (publicKey.asymmetricKeyType) {
+    case 'x25519': {
+      const ephemeral = crypto.generateKeyPairSync('x25519');
+      const ephemeralRaw = rawX25519(ephemeral.publicKey);
+      const sharedSecret = crypto.diffieHellman({ privateKey: ephemeral.privateKey, publicKey });
+      const wrappingKey = x25519WrappingKey(sharedSecret, ephemeralRaw, rawX25519(publicKey));
+
+      // The wrapping key is used exactly once, so a fixed nonce is safe
+      const cipher = crypto.createCipheriv('aes-256-gcm', wrappingKey, Buffer.alloc(12));
+      const sealed = Buffer.concat([cipher.update(dataKey), cipher.final(), cipher.getAuthTag()]);
+
+      return { type: RECIPIENT_TYPE.X25519, id, body: Buffer.concat([ephemeralRaw, sealed]) };
+    }
+    case 'rsa': {
+      const body = crypto.publicEncrypt({
+        key: publicKey,
+        padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+        oaepHash: 'sha256'
+      }, dataKey);
+
+      return { type: RECIPIENT_TYPE.RSA_OAEP_SHA256, id, body };
+    }
+    default:
+      throw new Error(`Unsupported recipient key type: ${publicKey.asymmetricKeyType} (use X25519 or RSA)`);
+  }
+}
+
+/**
+ * Unwrap the data key from the stanza addressed to a private key
+ * @param {Array<Object>} stanzas - Recipient stanzas from the header
+ * @param {crypto.KeyObject|string|Buffer} key - Recipient's private key
+ * @returns {Buffer} - The data key
+ */
+function unwrapKey(stanzas, key) {
+  const privateKey = toPrivateKey(key);
+  const id = fingerprint(privateKey);
+  const stanza = stanzas.find(candidate => candidate.id.equals(id));
+
+  if (!stanza) {
+    throw new DecryptionError('The private key is not a recipient of this file');
+  }
+
+  try {
+    switch (stanza.type) {
+      case RECIPIENT_TYPE.X25519: {
+        const ephemeralRaw = stanza.body.subarray(0, 32);
+        const ephemeralKey = crypto.createPublicKey({
+          key: Buffer.concat([X25519_SPKI_PREFIX, ephemeralRaw]),
+          format: 'der',
+          type: 'spki'
+        });
+        const sharedSecret = crypto.diffieHellman({ privateKey, publicKey: ephemeralKey });
+        const wrappingKey = x25519WrappingKey(sharedSecret, ephemeralRaw, rawX25519(toPublicKey(privateKey)));
+
+        const sealed = stanza.body.subarray(32);
+        const decipher = crypto.createDecipheriv('aes-256-gcm', wrappingKey, Buffer.alloc(12));
+        decipher.setAuthTag(sealed.subarray(sealed.length - 16));
+        return Buffer.concat([decipher.update(sealed.subarray(0, sealed.length - 16)), decipher.final()]);
+      }
+      case RECIPIENT_TYPE.RSA_OAEP_SHA256:
+        return crypto.privateDecrypt({
+          key: privateKey,
+          padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+          oaepHash: 'sha256'
+        }, stanza.body);
+      default:
+        throw new DecryptionError(`Unsupported recipient type: ${stanza.type}`);
+    }
+  } catch (error) {
+    if (error instanceof DecryptionError) {
+      throw error;
+    }
+    throw new IntegrityError(`Integrity check failed: could not unwrap the data key (${error.message})`, { cause: error });
+  }
+}
+
+/**
+ * Derive the keys used with a data key
+ * @param {Buffer} dataKey - Data key
+ * @returns {{contentKey: Buffer, macKey: Buffer}} - Key for the chunks and key for the header MAC
+ */
+function deriveDataKeys(dataKey) {
+  return {
+    contentKey: hkdf(dataKey, Buffer.alloc(0), 'aetherdrive/content', 32),
+    macKey: hkdf(dataKey, Buffer.alloc(0), 'aetherdrive/header-mac', 32)
+  };
+}
+
+/**
+ * Compute the MAC protecting a header's recipient list
+ * @param {Buffer} macKey - MAC key from `deriveDataKeys`
+ * @param {Buffer} headerBytes - Header bytes preceding the MAC
+ * @returns {Buffer} - 32-byte HMAC-SHA256
+ */
+function headerMac(macKey, headerBytes) {
+  return crypto.createHmac('sha256', macKey).update(headerBytes).digest();
+}
+
+/**
+ * Generate a random data key
+ * @returns {Buffer} - A new data key
+ */
+function generateDataKey() {
+  return crypto.randomBytes(DATA_KEY_LENGTH);
+}
+
+module.exports = {
+  RECIPIENT_TYPE,
+  hkdf,
+  toPublicKey,
+  toPrivateKey,
+  fingerprint,
+  wrapKey,
+  unwrapKey,
+  deriveDataKeys,
+  headerMac,
+  generateDataKey
+};
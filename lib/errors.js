@@ -0,0 +1,237 @@
+/**
+ * Errors for AetherDrive
+ * The error classes the library throws, each with a stable `code`
+ *
+ *   AetherDriveError            EFAILED       Any other failure; base class of all of them
+ *   ├─ NotFoundError            ENOENT        Unknown file, folder, version, storage ID or key
+ *   ├─ PermissionDeniedError    EACCES        A principal lacks a permission
+ *   ├─ AlreadyExistsError       EEXIST        A path is taken
+ *   ├─ NotAFolderError          ENOTDIR       A folder was expected, and a file found
+ *   ├─ IsAFolderError           EISDIR        A file was expected, and a folder found
+ *   ├─ FolderNotEmptyError      ENOTEMPTY     A folder to remove still has entries
+ *   ├─ LinkExpiredError         EEXPIRED      A share link expired or ran out of downloads
+ *   ├─ LinkPasswordError        EPASSWORD     A share link's password is missing or wrong
+ *   ├─ IntegrityError           EINTEGRITY    Encrypted data was modified, or the password is wrong
+ *   ├─ DecryptionError          EDECRYPT      Data can't be decrypted (wrong kind of key, bad header)
+ *   ├─ QuotaExceededError       EQUOTA        The provider is out of space
+ *   ├─ ProviderUnavailableError EUNAVAILABLE  The provider can't be reached
+ *   │  ├─ TimeoutError          ETIMEDOUT     A provider call took too long
+ *   │  └─ CircuitOpenError      ECIRCUITOPEN  The provider is down and calls fail fast
+ *   └─ AbortError               ABORT_ERR     The operation's signal was aborted
+ *
+ * Match errors with `instanceof` or by `code`, not by message. Errors are
+ * thrown once, where they happen, and passed on unchanged by the layers above;
+ * anything else is wrapped in an `AetherDriveError` naming the operation, with
+ * the original error as its `cause`.
+ */
+
+/**
+ * Base class of the errors thrown by AetherDrive
+ */
+class AetherDriveError extends Error {
+  /**
+   * Create a new AetherDriveError
+   * @param {string} message - Error message
+   * @param {Object} options - Error options
+   * @param {string} options.code - Error code (default: the class's)
+   * @param {*} options.cause - Error that caused this one
+   * @param {string} options.ref - Path or ID the error is about
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = options.code || this.constructor.code;
+
+    // Set by hand: the `cause` option of Error needs Node.js 16.9
+    if (options.cause !== undefined) {
+      this.cause = options.cause;
+    }
+    if (options.ref !== undefined) {
+      this.ref = options.ref;
+    }
+  }
+}
+AetherDriveError.code = 'EFAILED';
+
+/**
+ * Error thrown for unknown files, folders, versions, storage IDs and keyring keys
+ */
+class NotFoundError extends AetherDriveError {}
+NotFoundError.code = 'ENOENT';
+
+/**
+ * Error thrown when a principal lacks a permission
+ */
+class PermissionDeniedError extends AetherDriveError {
+  /**
+   * Create a new PermissionDeniedError
+   * @param {Object} principal - Principal that was denied
+   * @param {string} permission - Permission it lacks
+   * @param {string} ref - Path or ID of the file or folder
+   */
+  constructor(principal, permission, ref) {
+    super(`Permission denied: ${principal.id} cannot ${permission} ${ref}`);
+    this.principal = principal.id;
+    this.permission = permission;
+    this.ref = ref;
+  }
+}
+PermissionDeniedError.code = 'EACCES';
+
+/**
+ * Error thrown when a file or folder is created, moved or renamed to a path
+ * that is taken
+ */
+class AlreadyExistsError extends AetherDriveError {}
+AlreadyExistsError.code = 'EEXIST';
+
+/**
+ * Error thrown when a path names a file where a folder is expected
+ */
+class NotAFolderError extends AetherDriveError {}
+NotAFolderError.code = 'ENOTDIR';
+
+/**
+ * Error thrown when a path or ID names a folder where a file is expected
+ */
+class IsAFolderError extends AetherDriveError {}
+IsAFolderError.code = 'EISDIR';
+
+/**
+ * Error thrown when removing a folder that still has entries, without
+ * `recursive`
+ */
+class FolderNotEmptyError extends AetherDriveError {}
+FolderNotEmptyError.code = 'ENOTEMPTY';
+
+/**
+ * Error thrown when a share link has expired or reached its download limit
+ */
+class LinkExpiredError extends AetherDriveError {}
+LinkExpiredError.code = 'EEXPIRED';
+
+/**
+ * Error thrown when a share link has a password and none, or the wrong one,
+ * was given
+ */
+class LinkPasswordError extends AetherDriveError {}
+LinkPasswordError.code = 'EPASSWORD';
+
+/**
+ * Error thrown when encrypted data fails authentication
+ *
+ * Authenticated encryption can't tell modified data from a wrong password:
+ * both fail the same check.
+ */
+class IntegrityError extends AetherDriveError {}
+IntegrityError.code = 'EINTEGRITY';
+
+/**
+ * Error thrown when data can't be decrypted for reasons other than failed
+ * authentication: an invalid or unsupported header, or the wrong kind of key
+ */
+class DecryptionError extends AetherDriveError {}
+DecryptionError.code = 'EDECRYPT';
+
+/**
+ * Error thrown when a storage provider is out of space
+ */
+class QuotaExceededError extends AetherDriveError {}
+QuotaExceededError.code = 'EQUOTA';
+
+/**
+ * Error thrown when a storage provider can't be reached, once retries are
+ * exhausted
+ */
+class ProviderUnavailableError extends AetherDriveError {
+  /**
+   * Create a new ProviderUnavailableError
+   * @param {string} message - Error message
+   * @param {Object} options - Error options, plus the name of the `provider`
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    if (options.provider !== undefined) {
+      this.provider = options.provider;
+    }
+  }
+}
+ProviderUnavailableError.code = 'EUNAVAILABLE';
+
+/**
+ * Error a provider call is rejected with when it takes longer than its timeout
+ */
+class TimeoutError extends ProviderUnavailableError {
+  /**
+   * Create a new TimeoutError
+   * @param {string} operation - What timed out, e.g. `ipfs upload`
+   * @param {number} timeout - The timeout, in milliseconds
+   */
+  constructor(operation, timeout) {
+    super(`${operation} timed out after ${timeout}ms`);
+  }
+}
+TimeoutError.code = 'ETIMEDOUT';
+
+/**
+ * Error a provider call is rejected with while its circuit is open
+ */
+class CircuitOpenError extends ProviderUnavailableError {
+  /**
+   * Create a new CircuitOpenError
+   * @param {string} provider - Name of the provider
+   * @param {Date} retryAt - When a trial call will be let through
+   */
+  constructor(provider, retryAt) {
+    super(`${provider} is unavailable (circuit open until ${retryAt.toISOString()})`, { provider });
+    this.retryAt = retryAt;
+  }
+}
+CircuitOpenError.code = 'ECIRCUITOPEN';
+
+/**
+ * Error an operation is rejected with when its signal is aborted
+ */
+class AbortError extends AetherDriveError {
+  /**
+   * Create a new AbortError
+   * @param {*} reason - Reason the signal was aborted with, if any
+   */
+  constructor(reason) {
+    super('The operation was aborted', { cause: reason });
+  }
+}
+AbortError.code = 'ABORT_ERR';
+
+/**
+ * Wrap an error with the operation that failed
+ * @param {string} action - What failed, e.g. `upload file`
+ * @param {Error} error - The error
+ * @returns {AetherDriveError} - The error to throw; AetherDrive errors are passed on unchanged
+ */
+function failure(action, error) {
+  if (error instanceof AetherDriveError) {
+    return error;
+  }
+  return new AetherDriveError(`Failed to ${action}: ${error.message}`, { cause: error });
+}
+
+module.exports = {
+  AetherDriveError,
+  NotFoundError,
+  PermissionDeniedError,
+  AlreadyExistsError,
+  NotAFolderError,
+  IsAFolderError,
+  FolderNotEmptyError,
+  LinkExpiredError,
+  LinkPasswordError,
+  IntegrityError,
+  DecryptionError,
+  QuotaExceededError,
+  ProviderUnavailableError,
+  TimeoutError,
+  CircuitOpenError,
+  AbortError,
+  failure
+};
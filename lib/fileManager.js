@@ -4,9 +4,63 @@
  */
 
 const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
 const fs = require('fs-extra');
 const path = require('path');
 const os = require('os');
+const { PassThrough, Transform, pipeline } = require('stream');
+const FileRegistry = require('./registries/base');
+const MemoryRegistry = require('./registries/memory');
+const { VirtualFileSystem, ROOT, isPath, normalizePath } = require('./virtualFs');
+const { versionsOf, findVersion, withVersions, addVersion, replaceContent, applyRetention, validateRetention } = require('./versions');
+const { queryRecords } = require('./query');
+const { isTrashed, trashRecord, untrashRecord, expiresAt, validateTrash } = require('./trash');
+const { HEAD_LENGTH, detectContentType, readHead } = require('./contentType');
+const Encryption = require('./encryption');
+const { throwIfAborted } = require('./transfer');
+const {
+  NotFoundError,
+  PermissionDeniedError,
+  NotAFolderError,
+  IsAFolderError,
+  FolderNotEmptyError,
+  LinkExpiredError,
+  LinkPasswordError,
+  DecryptionError,
+  failure
+} = require('./errors');
+const {
+  normalizePrincipal,
+  validateGrantee,
+  validatePermissions,
+  permissionsOf
+} = require('./acl');
+const {
+  validateSecret,
+  signToken,
+  verifyToken,
+  parseDuration,
+  hashPassword,
+  checkPassword,
+  describeLink
+} = require('./shareLinks');
+
+/**
+ * Create a stream counting the bytes passing through it
+ * @returns {stream.Transform} - The stream; the count is in its `bytes` property
+ * @private
+ */
+function createByteCounter() {
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      counter.bytes += chunk.length;
+      callback(null, chunk);
+    }
+  });
+  counter.bytes = 0;
+
+  return counter;
+}
 
 /**
  * FileManager class for handling file operations
@@ -15,16 +69,101 @@ class FileManager {
   /**
    * Create a new FileManager instance
    * @param {Object} storage - Storage provider instance
+   * @param {Object} options - File manager options
+   * @param {FileRegistry} options.registry - Registry backend keeping the file records
+   *   (default: an in-memory registry)
+   * @param {Object} options.retention - How many old versions of a file to keep:
+   *   `{ keepVersions, keepDays }` (default: all of them)
+   * @param {Object|boolean} options.trash - How long deleted files stay in the trash: `{ keepDays }`
+   *   (default: 30 days), or false to delete files immediately
+   * @param {string|Buffer} options.shareSecret - Secret share links are signed with, at least 32
+   *   bytes (default: a random one, so links only work until the process exits)
+   * @param {Encryption} options.encryption - Encryption used for the `encrypt` and `decrypt` options of
+   *   uploads and downloads (default: a new one)
    */
-  constructor(storage) {
+  constructor(storage, options = {}) {
     this.storage = storage;
-    this.fileRegistry = new Map(); // In-memory file registry
+    this.encryption = options.encryption || new Encryption();
+    this.fileRegistry = options.registry || new MemoryRegistry();
+    this.retention = validateRetention(options.retention);
+    this.trash = validateTrash(options.trash);
+    this.shareSecret = options.shareSecret === undefined ? crypto.randomBytes(32) : validateSecret(options.shareSecret);
+
+    // Make sure the registry honours the contract before we start using it
+    for (const method of FileRegistry.METHODS) {
+      if (typeof this.fileRegistry[method] !== 'function') {
+        throw new Error(`Registry must implement ${method}()`);
+      }
+    }
+    this.opening = null;
+
+    // Calls are made by the system, with full access, unless scoped with as()
+    this.principal = null;
+    this.system = this;
+
+    // Folders and paths on top of the registry
+    this.vfs = new VirtualFileSystem(this.fileRegistry);
+
+    // Uploads whose content isn't registered yet, and the queue of content
+    // releases; shared by every view (see _releaseContent)
+    this.contentLock = { uploads: new Set(), releasing: Promise.resolve() };
 
     // Create a temporary directory for file operations
     this.tempDir = path.join(os.tmpdir(), 'aetherdrive-tmp');
     fs.ensureDirSync(this.tempDir);
   }
 
+  /**
+   * Open the file registry, loading the records kept by earlier runs
+   *
+   * Called automatically by every operation; call it at startup to surface
+   * problems with the registry early.
+   * @returns {Promise<void>}
+   */
+  async open() {
+    if (!this.opening) {
+      // Paths are indexed afresh from what the registry loaded
+      this.opening = this.fileRegistry.open().then(() => this.vfs.reindex());
+
+      // Allow another attempt if opening failed
+      this.opening.catch(() => {
+        this.opening = null;
+      });
+    }
+
+    return this.opening;
+  }
+
+  /**
+   * Close the file registry
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.opening) {
+      this.opening = null;
+      await this.fileRegistry.close();
+    }
+  }
+
+  /**
+   * Get a view of the file manager acting on behalf of a principal
+   *
+   * Operations on the view are checked against the owner and access control
+   * lists of the files and folders involved, and throw a
+   * `PermissionDeniedError` if the principal lacks a permission. New files
+   * and folders are owned by the principal.
+   * @param {string|Object} principal - User ID, or `{ id, roles }`
+   * @returns {FileManager} - The scoped file manager, sharing this one's registry and storage
+   */
+  as(principal) {
+    return Object.create(this, {
+      principal: { value: normalizePrincipal(principal), enumerable: true },
+      // The registry is opened and closed once, for every view
+      open: { value: () => this.open() },
+      close: { value: () => this.close() }
+    });
+  }
+
   /**
    * Generate a unique file ID
    * @returns {string} - A unique file ID
@@ -37,107 +176,1844 @@ class FileManager {
    * Upload a file to the storage provider
    * @param {string} filePath - Path to the file to upload
    * @param {Object} options - Upload options
+   * @param {string} options.fileId - Custom file ID; uploading to an existing file ID adds a new version
+   * @param {string} options.path - Virtual path to place the file at, e.g. `/projects/q3/report.pdf`
+   *   (missing folders are created)
+   * @param {Object} options.metadata - Custom metadata to store with the file
+   * @param {Array<string>} options.tags - Tags to store with the file
+   * @param {string} options.contentType - MIME type of the file (detected from its content and name if omitted)
+   * @param {Object} options.encrypt - Encrypt the content on its way to the provider: `{ password }`,
+   *   `{ recipients }` or `{ keyId }`, optionally with `kdf` and `chunkSize` (see `Encryption`)
+   * @param {boolean} options.encrypted - Whether the file was encrypted before the upload
+   * @param {Function} options.onProgress - Called with `{ bytesTransferred, totalBytes }` as the file is uploaded
+   * @param {AbortSignal} options.signal - Signal to cancel the upload with
    * @returns {Promise<string>} - Returns the file ID
    */
   async uploadFile(filePath, options = {}) {
     try {
+      await this.open();
+      throwIfAborted(options.signal);
+
       // Check if file exists
       await fs.access(filePath);
 
-      // Upload file to storage provider
-      const storageId = await this.storage.uploadFile(filePath, options);
+      const encrypting = this._encryptUpload(options.encrypt);
 
       // Generate a unique file ID for the file
       const fileId = options.fileId || this.generateFileId();
 
-      // Get file metadata
-      const stats = await fs.stat(filePath);
-
-      // Store file information in registry
-      this.fileRegistry.set(fileId, {
-        id: fileId,
-        storageId,
-        name: path.basename(filePath),
-        size: stats.size,
-        contentType: options.contentType || 'application/octet-stream',
-        createdAt: new Date(),
-        encrypted: options.encrypted || false
-      });
+      // Reserve the virtual path before anything is stored
+      const upload = await this._prepareUpload(fileId, path.basename(filePath), options);
+      try {
+        // Detect the content type before the content leaves
+        const contentType = options.contentType ||
+          this._detectContentType(options.encrypted ? null : await readHead(filePath), options.path || filePath, options);
+
+        // Nothing is released while the content is on its way to the registry
+        const done = await this._beginUpload();
+        try {
+          // Upload file to storage provider
+          const storageId = await this.storage.uploadFile(filePath, {
+            ...this._storageOptions(options),
+            transform: encrypting ? encrypting.transform : undefined
+          });
+
+          // Get file metadata
+          const stats = await fs.stat(filePath);
+
+          // Store file information in registry; the size is that of the stored content
+          await this._finishUpload(upload, {
+            storageId,
+            size: encrypting ? encrypting.size() : stats.size,
+            contentType,
+            encrypted: Boolean(options.encrypted || encrypting)
+          }, options, done);
+        } finally {
+          done();
+        }
+      } finally {
+        // Once stored, the record holds the name
+        if (upload.created) {
+          this.vfs.unreserve(upload.record);
+        }
+      }
+
+      return fileId;
+    } catch (error) {
+      throw failure('upload file', error);
+    }
+  }
+
+  /**
+   * Upload the content of a readable stream to the storage provider
+   * @param {stream.Readable} readable - Stream of the content to upload
+   * @param {Object} options - Upload options
+   * @param {string} options.name - Name stored in the registry (defaults to the file ID)
+   * @param {string} options.path - Virtual path to place the file at (missing folders are created)
+   * @param {Object} options.metadata - Custom metadata to store with the file
+   * @param {Array<string>} options.tags - Tags to store with the file
+   * @param {string} options.contentType - MIME type of the content (detected from its first bytes and
+   *   name if omitted)
+   * @param {Object} options.encrypt - Encrypt the content on its way to the provider, as for `uploadFile`
+   * @param {boolean} options.encrypted - Whether the content was encrypted before the upload
+   * @param {Function} options.onProgress - Called with `{ bytesTransferred, totalBytes }` as the stream is uploaded
+   * @param {number} options.totalBytes - Size of the content, if known, for progress reports
+   * @param {AbortSignal} options.signal - Signal to cancel the upload with
+   * @returns {Promise<string>} - Returns the file ID
+   */
+  async uploadStream(readable, options = {}) {
+    try {
+      await this.open();
+      throwIfAborted(options.signal);
+
+      const encrypting = this._encryptUpload(options.encrypt);
+
+      // Generate a unique file ID for the file
+      const fileId = options.fileId || this.generateFileId();
+
+      // Reserve the virtual path before anything is stored
+      const upload = await this._prepareUpload(fileId, options.name || fileId, options);
+      try {
+        let size = 0;
+        const head = [];
+
+        // Count the bytes on their way through, since the size isn't known up front,
+        // and keep the first ones to detect the content type from
+        const counter = new Transform({
+          transform(chunk, encoding, callback) {
+            if (size < HEAD_LENGTH) {
+              head.push(chunk.subarray(0, HEAD_LENGTH - size));
+            }
+            size += chunk.length;
+            callback(null, chunk);
+          }
+        });
+        readable.on('error', error => counter.destroy(error));
+
+        // Nothing is released while the content is on its way to the registry
+        const done = await this._beginUpload();
+        try {
+          // Upload stream to storage provider
+          const storageId = await this.storage.uploadStream(readable.pipe(counter), {
+            ...this._storageOptions(options),
+            transform: encrypting ? encrypting.transform : undefined
+          });
+
+          const contentType = options.contentType ||
+            this._detectContentType(options.encrypted ? null : Buffer.concat(head), options.path || options.name, options);
+
+          // Store file information in registry; the size is that of the stored content
+          await this._finishUpload(upload, {
+            storageId,
+            size: encrypting ? encrypting.size() : size,
+            contentType,
+            encrypted: Boolean(options.encrypted || encrypting)
+          }, options, done);
+        } finally {
+          done();
+        }
+      } finally {
+        // Once stored, the record holds the name
+        if (upload.created) {
+          this.vfs.unreserve(upload.record);
+        }
+      }
 
       return fileId;
     } catch (error) {
-      throw new Error(`Failed to upload file: ${error.message}`);
+      throw failure('upload stream', error);
     }
   }
 
   /**
    * Download a file from the storage provider
-   * @param {string} fileId - ID of the file to download
+   * @param {string} fileId - ID or virtual path of the file to download
    * @param {string} destination - Path where the file should be saved
    * @param {Object} options - Download options
+   * @param {number} options.version - Version to download (default: the current one)
+   * @param {Object|boolean} options.decrypt - Decrypt an encrypted file into the destination: `{ password }`,
+   *   `{ privateKey }`, or true for files encrypted with a keyring key; without it, encrypted files are
+   *   downloaded as they are stored
+   * @param {Function} options.onProgress - Called with `{ bytesTransferred, totalBytes }` as the file is downloaded
+   * @param {AbortSignal} options.signal - Signal to cancel the download with; the partial file is removed
    * @returns {Promise<string>} - Returns the path to the downloaded file
    */
   async downloadFile(fileId, destination, options = {}) {
     try {
+      await this.open();
+
       // Get file information from registry
-      const fileInfo = this.fileRegistry.get(fileId);
+      const fileInfo = this._findFile(fileId);
 
-      if (!fileInfo) {
-        // If the file is not in our registry, use the fileId directly as the storage ID
-        return await this.storage.downloadFile(fileId, destination, options);
+      if (fileInfo) {
+        this._authorize(fileInfo, 'read', fileId);
       }
 
+      // If the file is not in our registry, use the fileId directly as the storage ID
+      const version = fileInfo ? this._versionOf(fileInfo, options) : { storageId: fileId, size: null };
+
       // Download file from storage provider using the storage ID
-      return await this.storage.downloadFile(fileInfo.storageId, destination, options);
+      return await this.storage.downloadFile(version.storageId, destination, this._readOptions(version, fileId, options));
     } catch (error) {
-      throw new Error(`Failed to download file: ${error.message}`);
+      throw failure('download file', error);
     }
   }
 
   /**
-   * Delete a file from the storage provider
-   * @param {string} fileId - ID of the file to delete
+   * Open a readable stream of a file in the storage provider
+   *
+   * The stream is returned immediately; lookup errors are emitted on it.
+   * @param {string} fileId - ID or virtual path of the file to read
+   * @param {Object} options - Read options
+   * @param {number} options.version - Version to read (default: the current one)
+   * @param {Object} options.decrypt - Decrypt an encrypted file, as for `downloadFile`
+   * @param {Function} options.onProgress - Called with `{ bytesTransferred, totalBytes }` as the stream is read
+   * @param {AbortSignal} options.signal - Signal to destroy the stream with
+   * @returns {stream.Readable} - Stream of the file content
+   */
+  createReadStream(fileId, options = {}) {
+    const output = new PassThrough();
+
+    this.open()
+      .then(() => {
+        // Get file information from registry
+        const fileInfo = this._findFile(fileId);
+        if (fileInfo) {
+          this._authorize(fileInfo, 'read', fileId);
+        }
+
+        // If the file is not in our registry, use the fileId directly as the storage ID
+        const version = fileInfo ? this._versionOf(fileInfo, options) : { storageId: fileId, size: null };
+        const source = this.storage.createReadStream(version.storageId, this._readOptions(version, fileId, options));
+
+        // pipeline destroys the output with the source's error, if any
+        pipeline(source, output, () => {});
+      })
+      .catch(error => {
+        output.destroy(failure('read file', error));
+      });
+
+    return output;
+  }
+
+  /**
+   * Delete a file
+   *
+   * The file is moved to the trash, where it can be restored until it is
+   * purged. Deleting a file that is already in the trash, or passing
+   * `permanent`, deletes it with all its versions from the storage provider.
+   * @param {string} fileId - ID or virtual path of the file to delete
    * @param {Object} options - Deletion options
+   * @param {boolean} options.permanent - Skip the trash
    * @returns {Promise<boolean>} - Returns true if deletion was successful
    */
   async deleteFile(fileId, options = {}) {
     try {
+      await this.open();
+
+      // Files in the trash are only reachable by ID
+      const trashed = this.fileRegistry.get(fileId);
+      if (isTrashed(trashed)) {
+        this._authorizeTrashed(trashed);
+        await this._purge(trashed, options);
+        return true;
+      }
+
       // Get file information from registry
-      const fileInfo = this.fileRegistry.get(fileId);
+      const fileInfo = this._findFile(fileId);
 
       if (!fileInfo) {
         // If the file is not in our registry, use the fileId directly as the storage ID
         return await this.storage.deleteFile(fileId, options);
       }
+      this._authorize(fileInfo, 'delete', fileId);
 
-      // Delete file from storage provider using the storage ID
-      const result = await this.storage.deleteFile(fileInfo.storageId, options);
-
-      // Remove file from registry
-      this.fileRegistry.delete(fileId);
+      await this._remove(fileInfo, options);
 
-      return result;
+      return true;
     } catch (error) {
-      throw new Error(`Failed to delete file: ${error.message}`);
+      throw failure('delete file', error);
     }
   }
 
   /**
-   * List all files in the registry
+   * List files in the registry
+   *
+   * Without options every file is returned. With `limit`, the returned array
+   * has a `nextCursor` property to pass as `cursor` for the next page (null
+   * on the last page).
    * @param {Object} options - List options
-   * @returns {Promise<Array>} - Returns an array of file objects
+   * @param {string|Array<string>} options.tag - Only files with this tag (or all of these tags)
+   * @param {string} options.contentType - Only files of this type; `image/*` matches all image types
+   * @param {number} options.minSize - Only files of at least this many bytes
+   * @param {number} options.maxSize - Only files of at most this many bytes
+   * @param {Date|string} options.createdAfter - Only files created at or after this time
+   * @param {Date|string} options.createdBefore - Only files created before this time
+   * @param {string} options.name - Only files whose name matches this glob (`*` and `?`)
+   * @param {Object} options.metadata - Only files whose metadata has these values
+   * @param {string} options.sortBy - `name`, `size`, `createdAt` (default) or `modifiedAt`
+   * @param {string} options.order - `asc` (default) or `desc`
+   * @param {number} options.limit - Maximum number of files to return
+   * @param {string} options.cursor - `nextCursor` of the previous page
+   * @returns {Promise<Array>} - Returns an array of file objects, each with its virtual `path`
+   *   (null for files outside the folder tree); a principal only sees the files it may read
    */
   async listFiles(options = {}) {
     try {
-      // Convert registry Map to array
-      const files = Array.from(this.fileRegistry.values());
+      await this.open();
+
+      // Get all file records from the registry; folders are listed with readdir and
+      // deleted files with listTrash
+      const { records, nextCursor } = queryRecords(
+        this.fileRegistry.values().filter(record => record.type !== 'folder' && !isTrashed(record) && this._can(record, 'read')),
+        options
+      );
+
+      const files = records.map(record => this._describe(record));
+      Object.defineProperty(files, 'nextCursor', { value: nextCursor });
 
       return files;
     } catch (error) {
-      throw new Error(`Failed to list files: ${error.message}`);
+      throw failure('list files', error);
+    }
+  }
+
+  /**
+   * Update the custom metadata and tags of a file
+   * @param {string} fileId - ID or virtual path of the file
+   * @param {Object} patch - Changes to make
+   * @param {Object} patch.metadata - Metadata to merge in; keys set to null are removed
+   * @param {Array<string>} patch.tags - Tags replacing the current ones
+   * @returns {Promise<Object>} - Returns the updated file entry
+   */
+  async updateMetadata(fileId, patch = {}) {
+    try {
+      await this.open();
+
+      const fileInfo = this._getFile(fileId);
+      this._authorize(fileInfo, 'write', fileId);
+
+      const updated = this._applyMetadata(fileInfo, patch);
+      await this.vfs.set(updated.id, updated);
+
+      return this._describe(updated);
+    } catch (error) {
+      throw failure('update metadata', error);
+    }
+  }
+
+  /**
+   * List the retained versions of a file
+   * @param {string} fileId - ID or virtual path of the file
+   * @returns {Promise<Array>} - Returns the versions, oldest first; the current one has `current: true`
+   */
+  async listVersions(fileId) {
+    try {
+      await this.open();
+
+      const fileInfo = this._getFile(fileId);
+      this._authorize(fileInfo, 'read', fileId);
+
+      return versionsOf(fileInfo).map(version => ({ ...version, current: version.version === (fileInfo.version || 1) }));
+    } catch (error) {
+      throw failure('list versions', error);
+    }
+  }
+
+  /**
+   * Make an earlier version of a file current again
+   *
+   * The content of that version is added as a new version, so the versions
+   * in between stay in the history.
+   * @param {string} fileId - ID or virtual path of the file
+   * @param {number} version - Version to restore
+   * @param {Object} options - Options passed to the storage provider when pruning old versions
+   * @returns {Promise<Object>} - Returns the file entry, with its new current `version`
+   */
+  async restoreVersion(fileId, version, options = {}) {
+    try {
+      await this.open();
+
+      const fileInfo = this._getFile(fileId);
+      this._authorize(fileInfo, 'write', fileId);
+
+      const { record } = await this._saveVersions(addVersion(fileInfo, findVersion(fileInfo, version)), options);
+
+      return this._describe(record);
+    } catch (error) {
+      throw failure('restore version', error);
+    }
+  }
+
+  /**
+   * Apply the retention policy to every file, deleting the content of the
+   * versions it prunes
+   *
+   * The policy is otherwise only applied when a version is added, so with
+   * `keepDays`, files that aren't written to again keep their expired
+   * versions until this runs. Run it periodically, like `purgeTrash`. It also
+   * retries deleting content whose deletion failed earlier.
+   * @param {Object} options - Options passed to the storage provider when deleting content
+   * @returns {Promise<Object>} - Returns `{ pruned, unreleased }`: the number of versions pruned,
+   *   and the `{ fileId, storageId, error }` of content that could not be deleted
+   */
+  async pruneVersions(options = {}) {
+    try {
+      await this.open();
+
+      let pruned = 0;
+      const unreleased = [];
+      const candidates = this.fileRegistry.values().filter(record => record.type !== 'folder' && this._can(record, 'write'));
+
+      for (const { id } of candidates) {
+        // The record may have changed while earlier files were pruned
+        const record = this.fileRegistry.get(id);
+        if (!record) {
+          continue;
+        }
+
+        if (applyRetention(versionsOf(record), this.retention).pruned.length > 0) {
+          const saved = await this._saveVersions(record, options);
+          pruned += saved.pruned;
+          unreleased.push(...saved.unreleased);
+        }
+        if (record.unreleased) {
+          unreleased.push(...await this._releaseFrom(id, record.unreleased, options));
+        }
+      }
+
+      return { pruned, unreleased };
+    } catch (error) {
+      throw failure('prune versions', error);
+    }
+  }
+
+  /**
+   * Rotate the key of encrypted files
+   *
+   * The content of every encrypted version is read from the provider,
+   * re-encrypted under the new key on its way through, and stored again; the
+   * registry is then pointed at the new storage ID, and the old object is
+   * deleted (unpinned, for IPFS). Nothing is written to disk. For files
+   * encrypted for recipients, rotated from a private key to new recipients,
+   * only the data key is re-wrapped and the encrypted content is copied as
+   * it is, unless `reencrypt` is set.
+   *
+   * Each version is recorded as rotated by the job as soon as it is done. If
+   * a rotation is interrupted, run it again with the same `jobId` to carry
+   * on: versions the job has already rotated are skipped.
+   * @param {string|Object} target - ID or virtual path of a file, or a filter selecting files as for
+   *   `listFiles` (`tag`, `contentType`, `name`, `metadata`, ...)
+   * @param {string|Object|boolean} oldKey - Key the files are encrypted with: a password, or as for the
+   *   `decrypt` option of `downloadFile`
+   * @param {string|Object} newKey - Key to encrypt them with: a password, or as for the `encrypt`
+   *   option of `uploadFile`
+   * @param {Object} options - Rotation options
+   * @param {string} options.jobId - ID of the rotation, to resume it (default: a new one)
+   * @param {boolean} options.reencrypt - Re-encrypt files encrypted for recipients instead of
+   *   re-wrapping their data key
+   * @param {AbortSignal} options.signal - Signal to stop the rotation with; versions already rotated stay
+   *   rotated
+   * @returns {Promise<Object>} - Returns `{ jobId, rotated, skipped, failed, unreleased }`: the IDs of
+   *   the files rotated and of those with nothing left to rotate, `{ fileId, error }` for each file
+   *   that failed, and `{ fileId, storageId, error }` for old content that could not be deleted (see
+   *   `pruneVersions`). A single file's failure is thrown instead.
+   */
+  async rotateKey(target, oldKey, newKey, options = {}) {
+    try {
+      await this.open();
+      throwIfAborted(options.signal);
+
+      const decrypt = typeof oldKey === 'string' ? { password: oldKey } : oldKey;
+      const encrypt = typeof newKey === 'string' ? { password: newKey } : newKey;
+
+      // Both keys are checked before anything is read
+      this._decryptionKeyOf(decrypt);
+      const rotation = {
+        jobId: options.jobId || uuidv4(),
+        decrypt,
+        encrypt,
+        encrypting: this._encryptUpload(encrypt || {}),
+        rewrap: !options.reencrypt && decrypt !== true && decrypt.privateKey !== undefined && encrypt.recipients !== undefined
+      };
+      const result = { jobId: rotation.jobId, rotated: [], skipped: [], failed: [], unreleased: [] };
+
+      if (typeof target === 'string') {
+        const record = this._getFile(target);
+        this._authorize(record, 'write', target);
+
+        const rotated = await this._rotateFile(record, rotation, options, result.unreleased);
+        (rotated ? result.rotated : result.skipped).push(record.id);
+        return result;
+      }
+
+      if (target === null || typeof target !== 'object') {
+        throw new Error('target must be a file ID, a path or a filter');
+      }
+
+      // Files are rotated one at a time, in a stable order
+      const { records } = queryRecords(
+        this.fileRegistry.values().filter(record => record.type !== 'folder' && !isTrashed(record) && this._can(record, 'write')),
+        target
+      );
+
+      for (const record of records) {
+        try {
+          const rotated = await this._rotateFile(record, rotation, options, result.unreleased);
+          (rotated ? result.rotated : result.skipped).push(record.id);
+        } catch (error) {
+          // Cancelling stops the whole job; other failures only the file
+          throwIfAborted(options.signal);
+          result.failed.push({ fileId: record.id, error });
+        }
+      }
+
+      return result;
+    } catch (error) {
+      throw failure('rotate key', error);
+    }
+  }
+
+  /**
+   * List the files in the trash
+   * @returns {Promise<Array>} - Returns the deleted files, most recently deleted first, each with
+   *   its `deletedAt` time, the path it was `deletedFrom` and the time it `expiresAt` (null if
+   *   deleted files are kept until the trash is emptied); a principal only sees the files it
+   *   may restore
+   */
+  async listTrash() {
+    try {
+      await this.open();
+
+      return this.fileRegistry.values()
+        .filter(record => isTrashed(record) && this._canManageTrashed(record))
+        .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt))
+        .map(record => ({ ...this._describe(record), expiresAt: expiresAt(record, this.trash || {}) }));
+    } catch (error) {
+      throw failure('list trash', error);
+    }
+  }
+
+  /**
+   * Restore a file from the trash
+   * @param {string} fileId - ID of the deleted file
+   * @param {Object} options - Restore options
+   * @param {string} options.path - Virtual path to restore the file to (default: where it was
+   *   deleted from; missing folders are created)
+   * @returns {Promise<Object>} - Returns the restored file entry
+   */
+  async restoreFile(fileId, options = {}) {
+    try {
+      await this.open();
+
+      const record = this.fileRegistry.get(fileId);
+      if (!isTrashed(record)) {
+        throw new NotFoundError(`Not in the trash: ${fileId}`, { ref: fileId });
+      }
+      this._authorizeTrashed(record);
+
+      // Existing entries are never overwritten; restore to another path instead
+      const destination = options.path || record.deletedFrom;
+      if (destination) {
+        this._authorizeCreate(destination);
+      }
+      const placement = destination ? await this.vfs.place(destination, this._ownership()) : { parentId: undefined };
+
+      const restored = untrashRecord(record, placement);
+      try {
+        await this.vfs.set(restored.id, restored);
+      } finally {
+        if (destination) {
+          this.vfs.unreserve(placement);
+        }
+      }
+
+      return this._describe(restored);
+    } catch (error) {
+      throw failure('restore file', error);
+    }
+  }
+
+  /**
+   * Permanently delete every file in the trash
+   * @param {Object} options - Deletion options
+   * @returns {Promise<number>} - Returns the number of files deleted
+   */
+  async emptyTrash(options = {}) {
+    try {
+      await this.open();
+
+      const trashed = this.fileRegistry.values().filter(record => isTrashed(record) && this._canManageTrashed(record));
+
+      return await this._purgeAll(trashed, options);
+    } catch (error) {
+      throw failure('empty trash', error);
+    }
+  }
+
+  /**
+   * Permanently delete the files that have been in the trash longer than the
+   * trash policy allows
+   *
+   * Run it periodically, for example on a timer or at startup.
+   * @param {Object} options - Deletion options
+   * @returns {Promise<number>} - Returns the number of files deleted
+   */
+  async purgeTrash(options = {}) {
+    try {
+      await this.open();
+
+      const now = new Date();
+      const expired = this.fileRegistry.values().filter(record => {
+        const expiry = isTrashed(record) && expiresAt(record, this.trash || {});
+        return expiry && expiry <= now && this._canManageTrashed(record);
+      });
+
+      return await this._purgeAll(expired, options);
+    } catch (error) {
+      throw failure('purge trash', error);
+    }
+  }
+
+  /**
+   * Create a folder
+   * @param {string} folderPath - Absolute virtual path of the folder
+   * @param {Object} options - Options
+   * @param {boolean} options.recursive - Create missing parent folders, and succeed if the folder exists
+   * @returns {Promise<Object>} - Returns the folder entry
+   */
+  async mkdir(folderPath, options = {}) {
+    try {
+      await this.open();
+
+      this._authorizeCreate(folderPath);
+
+      return this._describe(await this.vfs.mkdir(folderPath, { ...options, ...this._ownership() }));
+    } catch (error) {
+      throw failure('create folder', error);
+    }
+  }
+
+  /**
+   * List the contents of a folder
+   * @param {string} folderPath - Absolute virtual path of the folder (default: the root)
+   * @returns {Promise<Array>} - Returns the file and folder entries in it, sorted by name
+   */
+  async readdir(folderPath = '/') {
+    try {
+      await this.open();
+
+      const folder = this.vfs.get(folderPath);
+      if (folder.type !== 'folder') {
+        throw new NotAFolderError(`Not a folder: ${folderPath}`, { ref: folderPath });
+      }
+      this._authorize(folder, 'read', folderPath);
+
+      return this.vfs.children(folder.id)
+        .filter(record => this._can(record, 'read'))
+        .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+        .map(record => this._describe(record));
+    } catch (error) {
+      throw failure('read folder', error);
+    }
+  }
+
+  /**
+   * Get information about a file or folder
+   * @param {string} ref - Virtual path or ID of the file or folder
+   * @returns {Promise<Object>} - Returns the entry, including its `type` and `path`
+   */
+  async stat(ref) {
+    try {
+      await this.open();
+
+      const record = this.vfs.get(ref);
+      this._authorize(record, 'read', ref);
+
+      return this._describe(record);
+    } catch (error) {
+      throw failure('stat', error);
+    }
+  }
+
+  /**
+   * Move a file or folder
+   *
+   * If the destination is an existing folder, the entry is moved into it
+   * under its current name. Existing entries are never overwritten.
+   * @param {string} ref - Virtual path or ID of the file or folder to move
+   * @param {string} destination - New absolute virtual path, or the folder to move it into
+   * @returns {Promise<Object>} - Returns the moved entry
+   */
+  async move(ref, destination) {
+    try {
+      await this.open();
+
+      const record = this.vfs.get(ref);
+      this._authorize(record, 'write', ref);
+      const target = this.vfs.resolve(destination);
+      if (target && target.type === 'folder') {
+        this._authorize(target, 'write', destination);
+        this._authorizeLeave(record, target.id, ref);
+      } else {
+        this._authorizeCreate(destination);
+        const parent = this.vfs.resolve(path.posix.dirname(normalizePath(destination)));
+        this._authorizeLeave(record, parent ? parent.id : undefined, ref);
+      }
+
+      return this._describe(await this.vfs.move(ref, destination));
+    } catch (error) {
+      throw failure('move', error);
+    }
+  }
+
+  /**
+   * Rename a file or folder within its folder
+   * @param {string} ref - Virtual path or ID of the file or folder
+   * @param {string} name - New name
+   * @returns {Promise<Object>} - Returns the renamed entry
+   */
+  async rename(ref, name) {
+    try {
+      await this.open();
+
+      // The entry stays in its folder, so it keeps the permissions it has
+      const record = this.vfs.get(ref);
+      this._authorize(record, 'write', ref);
+      this._authorizeLeave(record, record.parentId, ref);
+
+      return this._describe(await this.vfs.rename(ref, name));
+    } catch (error) {
+      throw failure('rename', error);
+    }
+  }
+
+  /**
+   * Remove a folder
+   * @param {string} folderPath - Absolute virtual path of the folder
+   * @param {Object} options - Options
+   * @param {boolean} options.recursive - Also delete everything in the folder; its files are
+   *   moved to the trash, to be restored to their paths
+   * @returns {Promise<boolean>} - Returns true if the folder was removed
+   */
+  async rmdir(folderPath, options = {}) {
+    try {
+      await this.open();
+
+      const folder = this.vfs.get(folderPath);
+
+      // Checked first, so principals who may not remove it learn nothing about its contents.
+      // Permissions add up along paths, so this covers everything in the folder
+      this._authorize(folder, 'delete', folderPath);
+
+      if (folder.type !== 'folder') {
+        throw new NotAFolderError(`Not a folder: ${folderPath}`, { ref: folderPath });
+      }
+      if (folder.id === null) {
+        throw new Error('Cannot remove the root folder');
+      }
+
+      const contents = this.vfs.descendants(folder);
+      if (contents.length > 0 && !options.recursive) {
+        throw new FolderNotEmptyError(`Folder is not empty: ${folderPath}`, { ref: folderPath });
+      }
+
+      // Deepest entries first, so an interrupted removal never orphans anything
+      for (const record of contents) {
+        if (record.type === 'folder') {
+          await this.vfs.delete(record.id);
+        } else {
+          await this._remove(record, options);
+        }
+      }
+      await this.vfs.delete(folder.id);
+
+      return true;
+    } catch (error) {
+      throw failure('remove folder', error);
+    }
+  }
+
+  /**
+   * Grant a user or role permissions on a file or folder
+   *
+   * Permissions on a folder apply to everything below it. A principal can
+   * only grant permissions it has itself.
+   * @param {string} ref - Virtual path or ID of the file or folder
+   * @param {string} grantee - `user:<id>` or `role:<name>`
+   * @param {Array<string>} permissions - Any of `read`, `write`, `delete` and `share`; these
+   *   replace the grantee's current ones
+   * @returns {Promise<Object>} - Returns the updated entry, with its `acl`
+   */
+  async grant(ref, grantee, permissions) {
+    try {
+      await this.open();
+
+      return this._describe(await this._setGrant(ref, grantee, validatePermissions(permissions)));
+    } catch (error) {
+      throw failure('grant access', error);
     }
   }
 
+  /**
+   * Revoke the permissions granted to a user or role on a file or folder
+   * @param {string} ref - Virtual path or ID of the file or folder
+   * @param {string} grantee - `user:<id>` or `role:<name>`
+   * @returns {Promise<Object>} - Returns the updated entry, with its `acl`
+   */
+  async revoke(ref, grantee) {
+    try {
+      await this.open();
+
+      return this._describe(await this._setGrant(ref, grantee, []));
+    } catch (error) {
+      throw failure('revoke access', error);
+    }
+  }
+
+  /**
+   * Create a signed link giving access to a file
+   *
+   * Anyone holding the token can download the current version of the file
+   * with `downloadSharedFile`, until the link expires, runs out of
+   * downloads or is revoked.
+   * @param {string} fileId - ID or virtual path of the file
+   * @param {Object} options - Link options
+   * @param {number|string} options.expiresIn - Lifetime in milliseconds, or a duration such as
+   *   `'30m'`, `'24h'` or `'7d'` (default: no expiry)
+   * @param {number} options.maxDownloads - Number of downloads allowed (default: unlimited)
+   * @param {string} options.password - Password to ask for when the link is used
+   * @returns {Promise<string>} - Returns the token
+   */
+  async createShareLink(fileId, options = {}) {
+    try {
+      await this.open();
+
+      const { expiresIn, maxDownloads, password } = options;
+      if (maxDownloads !== undefined && (!Number.isInteger(maxDownloads) || maxDownloads < 1)) {
+        throw new Error('maxDownloads must be a positive integer');
+      }
+      if (password !== undefined && (typeof password !== 'string' || password === '')) {
+        throw new Error('password must be a non-empty string');
+      }
+
+      const now = new Date();
+      const link = {
+        createdAt: now,
+        expiresAt: expiresIn === undefined ? null : new Date(now.getTime() + parseDuration(expiresIn)),
+        maxDownloads: maxDownloads === undefined ? null : maxDownloads,
+        downloads: 0
+      };
+      if (this.principal) {
+        link.createdBy = this.principal.id;
+      }
+      if (password !== undefined) {
+        link.password = await hashPassword(password);
+      }
+
+      // Look the file up after hashing, so no concurrent change is overwritten
+      const fileInfo = this._getFile(fileId);
+      this._authorize(fileInfo, 'share', fileId);
+
+      // Links that can no longer be used are dropped as new ones are made
+      const shareLinks = {};
+      for (const [id, existing] of Object.entries(fileInfo.shareLinks || {})) {
+        if (!this._linkProblem(existing, now)) {
+          shareLinks[id] = existing;
+        }
+      }
+
+      const linkId = this.generateFileId();
+      shareLinks[linkId] = link;
+      await this.vfs.set(fileInfo.id, { ...fileInfo, shareLinks });
+
+      return signToken(this.shareSecret, fileInfo.id, linkId);
+    } catch (error) {
+      throw failure('create share link', error);
+    }
+  }
+
+  /**
+   * Check a share link without using it
+   * @param {string} token - Token returned by `createShareLink`
+   * @param {Object} options - Options
+   * @param {string} options.password - Password, for links that have one
+   * @returns {Promise<Object>} - Returns `{ file, link }`: the shared file's entry, and the link's
+   *   expiry, download limit and count
+   */
+  async resolveShareLink(token, options = {}) {
+    try {
+      await this.open();
+
+      const { record, linkId, link } = await this._checkShareLink(token, options);
+
+      return { file: this._describe(record), link: describeLink(linkId, link) };
+    } catch (error) {
+      throw failure('resolve share link', error);
+    }
+  }
+
+  /**
+   * Download a file through a share link
+   *
+   * The link gives access on its own, whoever uses it, and only to the
+   * current version of the file: older versions can't be asked for.
+   * @param {string} token - Token returned by `createShareLink`
+   * @param {string} destination - Path where the file should be saved
+   * @param {Object} options - Download options, as for `downloadFile` but without `version`
+   * @param {string} options.password - Password, for links that have one
+   * @returns {Promise<string>} - Returns the path to the downloaded file
+   */
+  async downloadSharedFile(token, destination, options = {}) {
+    try {
+      await this.open();
+
+      // Links don't reach other versions, whatever the options ask for
+      const { password, version, ...downloadOptions } = options;
+      const { record, linkId } = await this._checkShareLink(token, { password });
+      const versions = versionsOf(record);
+      const current = versions[versions.length - 1];
+
+      // Count the download up front, so concurrent downloads can't exceed the limit
+      await this._countShareDownload(record.id, linkId, 1);
+
+      try {
+        return await this.system.downloadFile(record.id, destination, { ...downloadOptions, version: current.version });
+      } catch (error) {
+        await this._countShareDownload(record.id, linkId, -1);
+        throw error;
+      }
+    } catch (error) {
+      throw failure('download shared file', error);
+    }
+  }
+
+  /**
+   * List the share links of a file
+   * @param {string} fileId - ID or virtual path of the file
+   * @returns {Promise<Array>} - Returns the links, each with its `id`, expiry, download limit and count
+   */
+  async listShareLinks(fileId) {
+    try {
+      await this.open();
+
+      const fileInfo = this._getFile(fileId);
+      this._authorize(fileInfo, 'share', fileId);
+
+      return Object.entries(fileInfo.shareLinks || {}).map(([id, link]) => describeLink(id, link));
+    } catch (error) {
+      throw failure('list share links', error);
+    }
+  }
+
+  /**
+   * Revoke a share link
+   * @param {string} tokenOrId - Token returned by `createShareLink`, or a link `id` from `listShareLinks`
+   * @returns {Promise<boolean>} - Returns true if the link was revoked, false if it was already gone
+   */
+  async revokeShareLink(tokenOrId) {
+    try {
+      await this.open();
+
+      let fileId;
+      let linkId = tokenOrId;
+      if (typeof tokenOrId === 'string' && tokenOrId.includes('.')) {
+        ({ fileId, linkId } = verifyToken(this.shareSecret, tokenOrId));
+      } else {
+        const owner = this.fileRegistry.values().find(record => record.shareLinks && record.shareLinks[linkId]);
+        if (!owner) {
+          return false;
+        }
+        fileId = owner.id;
+      }
+
+      const fileInfo = this._getFile(fileId);
+      const link = (fileInfo.shareLinks || {})[linkId];
+      if (!link) {
+        return false;
+      }
+
+      // Whoever created a link may revoke it
+      if (!this.principal || link.createdBy !== this.principal.id) {
+        this._authorize(fileInfo, 'share', fileId);
+      }
+
+      const { [linkId]: revoked, ...shareLinks } = fileInfo.shareLinks;
+      await this.vfs.set(fileInfo.id, { ...fileInfo, shareLinks });
+
+      return true;
+    } catch (error) {
+      throw failure('revoke share link', error);
+    }
+  }
+
+  /**
+   * Find the record of a file by ID or virtual path
+   * @param {string} ref - File ID or virtual path
+   * @returns {Object|undefined} - The record, or undefined for an unknown ID
+   * @private
+   */
+  _findFile(ref) {
+    // Unknown IDs are passed on to the storage provider as storage IDs, except for
+    // principals, who may only reach content through the files they have access to
+    const record = isPath(ref) ? this.vfs.get(ref) : this.fileRegistry.get(ref);
+
+    if (!record && this.principal) {
+      throw new NotFoundError(`No such file: ${ref}`, { ref });
+    }
+
+    if (record && record.type === 'folder') {
+      throw new IsAFolderError(`Is a folder: ${ref}`, { ref });
+    }
+    if (isTrashed(record)) {
+      throw new NotFoundError(`No such file: ${ref} (it is in the trash)`, { ref });
+    }
+
+    return record;
+  }
+
+  /**
+   * Get a record and its ancestor folders
+   * @param {Object} record - File or folder record
+   * @returns {Array<Object>} - The record followed by its parent, grandparent and so on
+   * @private
+   */
+  _lineage(record) {
+    if (record === ROOT) {
+      return [];
+    }
+
+    const records = [record];
+    for (let parentId = record.parentId; parentId !== null && parentId !== undefined;) {
+      const parent = this.fileRegistry.get(parentId);
+      records.push(parent);
+      parentId = parent.parentId;
+    }
+
+    return records;
+  }
+
+  /**
+   * Check whether the principal has a permission on a file or folder
+   * @param {Object} record - File or folder record
+   * @param {string} permission - `read`, `write`, `delete` or `share`
+   * @returns {boolean} - Returns true if allowed (always, without a principal)
+   * @private
+   */
+  _can(record, permission) {
+    if (!this.principal) {
+      return true;
+    }
+
+    // Everyone may list the root folder and create entries in it
+    if (record === ROOT && (permission === 'read' || permission === 'write')) {
+      return true;
+    }
+
+    return permissionsOf(this.principal, this._lineage(record)).has(permission);
+  }
+
+  /**
+   * Make sure the principal has a permission on a file or folder
+   * @param {Object} record - File or folder record
+   * @param {string} permission - `read`, `write`, `delete` or `share`
+   * @param {string} ref - Path or ID the caller used, for the error message
+   * @private
+   */
+  _authorize(record, permission, ref) {
+    if (!this._can(record, permission)) {
+      throw new PermissionDeniedError(this.principal, permission, ref);
+    }
+  }
+
+  /**
+   * Make sure the principal may create an entry at a path
+   *
+   * Creating an entry needs the `write` permission on the nearest existing
+   * folder above it, since missing folders in between are created.
+   * @param {string} entryPath - Absolute virtual path of the new entry
+   * @private
+   */
+  _authorizeCreate(entryPath) {
+    let folderPath = path.posix.dirname(normalizePath(entryPath));
+    let folder = this.vfs.resolve(folderPath);
+
+    while (!folder) {
+      folderPath = path.posix.dirname(folderPath);
+      folder = this.vfs.resolve(folderPath);
+    }
+
+    // Placing an entry below a file fails later, with a clearer message
+    if (folder.type === 'folder') {
+      this._authorize(folder, 'write', folderPath);
+    }
+  }
+
+  /**
+   * Make sure the principal may take an entry out of its folder
+   *
+   * Permissions add up along paths, so moving an entry below a folder the
+   * principal owns would give it every permission on the entry. Leaving a
+   * folder therefore needs `delete` on the entry, or `write` on the folder it
+   * leaves (which everyone has on the root, so that doesn't count there).
+   * @param {Object} record - File or folder record being moved
+   * @param {string|null|undefined} parentId - ID of the folder it is moving to
+   * @param {string} ref - Path or ID the caller used, for the error message
+   * @private
+   */
+  _authorizeLeave(record, parentId, ref) {
+    if (parentId === record.parentId || this._can(record, 'delete')) {
+      return;
+    }
+
+    const parent = record.parentId === null || record.parentId === undefined ? null : this.fileRegistry.get(record.parentId);
+    if (!parent || !this._can(parent, 'write')) {
+      throw new PermissionDeniedError(this.principal, 'delete', ref);
+    }
+  }
+
+  /**
+   * Check whether the principal may restore or purge a file in the trash
+   *
+   * A file in the trash is out of its folders, so only its owner, whoever
+   * deleted it and those granted `delete` on the file itself have access.
+   * @param {Object} record - Trashed file record
+   * @returns {boolean} - Returns true if allowed
+   * @private
+   */
+  _canManageTrashed(record) {
+    return !this.principal || record.deletedBy === this.principal.id || this._can(record, 'delete');
+  }
+
+  /**
+   * Make sure the principal may restore or purge a file in the trash
+   * @param {Object} record - Trashed file record
+   * @private
+   */
+  _authorizeTrashed(record) {
+    if (!this._canManageTrashed(record)) {
+      throw new PermissionDeniedError(this.principal, 'delete', record.id);
+    }
+  }
+
+  /**
+   * Get the ownership of new files and folders
+   * @returns {Object} - `{ owner }` for a principal, nothing for the system
+   * @private
+   */
+  _ownership() {
+    return this.principal ? { owner: this.principal.id } : {};
+  }
+
+  /**
+   * Replace the permissions of a grantee on a file or folder
+   * @param {string} ref - Virtual path or ID of the file or folder
+   * @param {string} grantee - `user:<id>` or `role:<name>`
+   * @param {Array<string>} permissions - Permissions to grant; none removes the grant
+   * @returns {Promise<Object>} - Returns the updated record
+   * @private
+   */
+  async _setGrant(ref, grantee, permissions) {
+    validateGrantee(grantee);
+
+    const record = this.vfs.get(ref);
+    if (record === ROOT) {
+      throw new Error('Cannot share the root folder');
+    }
+    this._authorize(record, 'share', ref);
+
+    // Nobody can hand out more than they have
+    const missing = permissions.find(permission => !this._can(record, permission));
+    if (missing) {
+      throw new PermissionDeniedError(this.principal, missing, ref);
+    }
+
+    const acl = { ...record.acl };
+    if (permissions.length > 0) {
+      acl[grantee] = permissions;
+    } else {
+      delete acl[grantee];
+    }
+
+    const updated = { ...record, acl };
+    await this.vfs.set(updated.id, updated);
+
+    return updated;
+  }
+
+  /**
+   * Describe a record for callers
+   * @param {Object} record - File or folder record
+   * @returns {Object} - The record with its `path`, without its share links
+   * @private
+   */
+  _describe(record) {
+    // Share links are listed with listShareLinks, by those who may share the file
+    const { shareLinks, unreleased, ...rest } = this.vfs.describe(record);
+    return rest;
+  }
+
+  /**
+   * Tell why a share link can't be used
+   * @param {Object} link - Link stored in the file record
+   * @param {Date} now - Current time
+   * @returns {string|null} - The problem, or null if the link is usable
+   * @private
+   */
+  _linkProblem(link, now = new Date()) {
+    if (link.expiresAt && new Date(link.expiresAt) <= now) {
+      return 'Share link has expired';
+    }
+    if (link.maxDownloads !== null && link.downloads >= link.maxDownloads) {
+      return 'Share link has reached its download limit';
+    }
+    return null;
+  }
+
+  /**
+   * Verify a share link token and find the link
+   * @param {string} token - Token returned by `createShareLink`
+   * @param {Object} options - Options holding the `password`, for links that have one
+   * @returns {Promise<Object>} - Returns `{ record, linkId, link }`
+   * @private
+   */
+  async _checkShareLink(token, options = {}) {
+    const { fileId, linkId } = verifyToken(this.shareSecret, token);
+
+    const record = this.fileRegistry.get(fileId);
+    if (!record || isTrashed(record)) {
+      throw new NotFoundError('The shared file no longer exists', { ref: fileId });
+    }
+
+    // Revoked links are removed, though their tokens still carry a valid signature
+    const link = (record.shareLinks || {})[linkId];
+    if (!link) {
+      throw new NotFoundError('Share link has been revoked', { ref: linkId });
+    }
+
+    const problem = this._linkProblem(link);
+    if (problem) {
+      throw new LinkExpiredError(problem, { ref: linkId });
+    }
+
+    if (link.password) {
+      if (options.password === undefined) {
+        throw new LinkPasswordError('Share link requires a password', { ref: linkId });
+      }
+      if (!await checkPassword(options.password, link.password)) {
+        throw new LinkPasswordError('Wrong password for share link', { ref: linkId });
+      }
+    }
+
+    return { record, linkId, link };
+  }
+
+  /**
+   * Change the download count of a share link
+   * @param {string} fileId - ID of the shared file
+   * @param {string} linkId - ID of the link
+   * @param {number} delta - 1 to count a download, -1 to give one back
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _countShareDownload(fileId, linkId, delta) {
+    // Read the record again, since checking a password takes a while
+    const record = this.fileRegistry.get(fileId);
+    const link = record && (record.shareLinks || {})[linkId];
+    if (!link) {
+      if (delta > 0) {
+        throw new NotFoundError('Share link has been revoked', { ref: linkId });
+      }
+      return;
+    }
+
+    const problem = delta > 0 && this._linkProblem(link);
+    if (problem) {
+      throw new LinkExpiredError(problem, { ref: linkId });
+    }
+
+    const shareLinks = { ...record.shareLinks, [linkId]: { ...link, downloads: link.downloads + delta } };
+    await this.vfs.set(fileId, { ...record, shareLinks });
+  }
+
+  /**
+   * Find the record of a registered file by ID or virtual path
+   * @param {string} ref - File ID or virtual path
+   * @returns {Object} - The record
+   * @private
+   */
+  _getFile(ref) {
+    const record = this._findFile(ref);
+
+    if (!record) {
+      throw new NotFoundError(`No such file: ${ref}`, { ref });
+    }
+
+    return record;
+  }
+
+  /**
+   * Get the record an upload adds a version to
+   *
+   * Uploads to an existing file ID add a version to that file; other uploads
+   * create a new record, reserving its virtual path until the record is
+   * stored (see `VirtualFileSystem#place`).
+   * @param {string} fileId - ID of the uploaded file
+   * @param {string} name - Name to use for files outside the tree
+   * @param {Object} options - Upload options
+   * @returns {Promise<Object>} - Returns `{ record, created }`: the existing record, or a new one
+   *   without versions, and whether it is new
+   * @private
+   */
+  async _prepareUpload(fileId, name, options) {
+    const existing = this.fileRegistry.get(fileId);
+
+    if (existing) {
+      this._checkUploadTarget(existing, fileId);
+
+      // A new version stays where the file is; moving it is a separate operation
+      if (options.path !== undefined && this.vfs.pathOf(existing) !== normalizePath(options.path)) {
+        throw new Error(`File ${fileId} is not at ${options.path}; use move to change its path`);
+      }
+
+      return { record: this._applyMetadata(existing, options), created: false };
+    }
+
+    // Check the metadata before claiming the path
+    const record = this._applyMetadata({ id: fileId, type: 'file', ...this._ownership(), metadata: {}, tags: [] }, options);
+    if (options.path !== undefined) {
+      this._authorizeCreate(options.path);
+    }
+    const placement = options.path === undefined ? { name } : await this.vfs.place(options.path, this._ownership());
+
+    return { record: { ...record, ...placement, createdAt: new Date(), versions: [] }, created: true };
+  }
+
+  /**
+   * Check that a file can have a version added by the principal
+   * @param {Object} record - File record
+   * @param {string} fileId - ID of the file, for error messages
+   * @private
+   */
+  _checkUploadTarget(record, fileId) {
+    if (record.type === 'folder') {
+      throw new IsAFolderError(`Is a folder: ${fileId}`, { ref: fileId });
+    }
+    if (isTrashed(record)) {
+      throw new NotFoundError(`File ${fileId} is in the trash; restore it first`, { ref: fileId });
+    }
+    this._authorize(record, 'write', fileId);
+  }
+
+  /**
+   * Register the content of an upload as a new version of its file
+   *
+   * The record prepared before the upload may be out of date by now: other
+   * uploads may have added versions, and the file may have been moved,
+   * changed, shared or deleted. The version is added to the record as it is
+   * now, checked again, so none of that is undone. If the file can't take
+   * the version any more, the uploaded content is released again.
+   * @param {Object} upload - What `_prepareUpload` returned
+   * @param {Object} content - The version's content fields (`storageId`, `size`, ...)
+   * @param {Object} options - Upload options
+   * @param {Function} registered - Ends the upload of the content (see `_beginUpload`)
+   * @returns {Promise<Object>} - Returns what `_saveVersions` does
+   * @private
+   */
+  async _finishUpload(upload, content, options, registered) {
+    const { record, created } = upload;
+
+    try {
+      let latest = this.fileRegistry.get(record.id);
+      if (latest) {
+        this._checkUploadTarget(latest, record.id);
+        latest = this._applyMetadata(latest, options);
+      } else if (created) {
+        // The name is reserved, but its folder may have been removed meanwhile
+        if (record.parentId !== undefined && record.parentId !== null && !this.fileRegistry.get(record.parentId)) {
+          const folderPath = path.posix.dirname(normalizePath(options.path));
+          throw new NotFoundError(`No such folder: ${folderPath}`, { ref: folderPath });
+        }
+        latest = record;
+      } else {
+        throw new NotFoundError(`No such file: ${record.id}`, { ref: record.id });
+      }
+
+      return await this._saveVersions(addVersion(latest, content), options, registered);
+    } catch (error) {
+      // Nothing refers to the content; the upload's own error is the one to report
+      registered();
+      await this._releaseContent([content.storageId], options).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Detect the content type of an upload
+   *
+   * Content encrypted before the upload can't be inspected, so it is typed by
+   * name alone, ignoring the `.enc` suffix `encryptFile` adds. Callers detect
+   * the type of the plaintext before encrypting it and pass it as
+   * `contentType` instead. Content encrypted on upload is inspected before
+   * it is encrypted.
+   * @param {Buffer|null} head - Leading bytes of the content, or null for encrypted content
+   * @param {string} name - File name or path
+   * @param {Object} options - Upload options
+   * @returns {string} - The content type
+   * @private
+   */
+  _detectContentType(head, name, options) {
+    const plainName = options.encrypted && name ? name.replace(/\.enc$/i, '') : name;
+    return detectContentType(head, plainName);
+  }
+
+  /**
+   * Get the options passed on to the storage provider for an upload
+   * @param {Object} options - Upload options
+   * @returns {Object} - The options without the file ID, which names the file and not its content,
+   *   and without the keys of `encrypt` and `decrypt`
+   * @private
+   */
+  _storageOptions(options) {
+    // Versions of a file must not share (and overwrite) one storage ID
+    const { fileId, encrypt, decrypt, ...storageOptions } = options;
+    return storageOptions;
+  }
+
+  /**
+   * Get the options passed on to the storage provider to read a version
+   * @param {Object} version - Version being read
+   * @param {string} fileId - ID or virtual path the caller asked for, for error messages
+   * @param {Object} options - Download or read options
+   * @returns {Object} - The storage options, with the version's size and a `transform` decrypting
+   *   it if asked to
+   * @private
+   */
+  _readOptions(version, fileId, options) {
+    return {
+      ...this._storageOptions(options),
+      totalBytes: version.size,
+      transform: options.decrypt ? this._decryptTransform(version, fileId, options.decrypt) : undefined
+    };
+  }
+
+  /**
+   * Prepare the encryption of an upload
+   *
+   * The first cipher is created right away, so invalid options fail before
+   * anything is stored. Each retry gets a fresh cipher, with a fresh salt and
+   * nonce.
+   * @param {Object} encrypt - `{ password }`, `{ recipients }` or `{ keyId }`, optionally with `kdf`
+   *   and `chunkSize`
+   * @returns {Object|null} - `{ transform, size }`: the storage `transform` option, and a function
+   *   returning the size of the encrypted content; null if there is nothing to encrypt
+   * @private
+   */
+  _encryptUpload(encrypt) {
+    if (!encrypt) {
+      return null;
+    }
+
+    const { password, recipients, keyId, ...cipherOptions } = encrypt;
+    if ([password, recipients, keyId].filter(value => value !== undefined).length !== 1) {
+      throw new Error('encrypt must have one of a password, recipients or a keyId');
+    }
+
+    const encryptionKey = password !== undefined ? password : recipients !== undefined ? { recipients } : { keyId };
+    const createCipher = () => this.encryption.createEncryptStream(encryptionKey, cipherOptions);
+
+    let cipher = createCipher();
+    let counter = null;
+
+    return {
+      transform: () => {
+        counter = createByteCounter();
+        const streams = [cipher || createCipher(), counter];
+        cipher = null;
+        return streams;
+      },
+      size: () => counter.bytes
+    };
+  }
+
+  /**
+   * Get the storage `transform` option decrypting a version
+   * @param {Object} version - Version being read
+   * @param {string} fileId - ID or virtual path the caller asked for, for error messages
+   * @param {Object|boolean} decrypt - `{ password }` or `{ privateKey }`, or true to use the key
+   *   from the keyring named in the header
+   * @returns {Function} - The option
+   * @private
+   */
+  _decryptTransform(version, fileId, decrypt) {
+    // Content outside the registry can't be checked, so it is decrypted as asked
+    if (version.encrypted === false) {
+      throw new DecryptionError(`${fileId} is not encrypted`);
+    }
+
+    // The first decipher is created right away, so a bad key fails early; each
+    // attempt after the first gets a fresh one
+    const key = this._decryptionKeyOf(decrypt);
+    let decipher = this.encryption.createDecryptStream(key);
+    return () => {
+      const current = decipher || this.encryption.createDecryptStream(key);
+      decipher = null;
+      return current;
+    };
+  }
+
+  /**
+   * Get the key to decrypt with from a `decrypt` option
+   * @param {Object|boolean} decrypt - `{ password }` or `{ privateKey }`, or true for keyring keys
+   * @returns {string|Object|undefined} - The key, as taken by `Encryption`; undefined for keyring keys,
+   *   which are named in the header
+   * @private
+   */
+  _decryptionKeyOf(decrypt) {
+    if (decrypt === true) {
+      return undefined;
+    }
+
+    const { password, privateKey } = decrypt || {};
+    if ((password === undefined) === (privateKey === undefined)) {
+      throw new Error('decrypt must be true, or have either a password or a privateKey');
+    }
+
+    return password !== undefined ? password : { privateKey };
+  }
+
+  /**
+   * Rotate the key of every encrypted version of a file
+   *
+   * Versions sharing stored content are rotated together, and the record is
+   * saved after each piece of content, so an interrupted job loses at most
+   * the piece it was working on.
+   * @param {Object} record - File record
+   * @param {Object} rotation - The rotation: its `jobId`, the `decrypt` and `encrypt` keys, the
+   *   prepared encryption, and whether to `rewrap` only
+   * @param {Object} options - Rotation options (`signal`)
+   * @param {Array<Object>} unreleased - Collects the `{ fileId, storageId, error }` of old content
+   *   that could not be deleted
+   * @returns {Promise<boolean>} - Returns true if any version was rotated, false if there was nothing to do
+   * @private
+   */
+  async _rotateFile(record, rotation, options, unreleased) {
+    const { jobId } = rotation;
+    const pending = new Map();
+    for (const version of versionsOf(record)) {
+      if (version.encrypted && version.rotatedBy !== jobId) {
+        pending.set(version.storageId, version);
+      }
+    }
+
+    for (const version of pending.values()) {
+      throwIfAborted(options.signal);
+
+      const done = await this._beginUpload();
+      try {
+        const content = await this._rekeyContent(version, record.id, rotation, options);
+
+        // The record may have changed while the content was re-encrypted
+        const latest = this.fileRegistry.get(record.id);
+        if (!latest) {
+          done();
+          await this._releaseContent([content.storageId], options);
+          throw new NotFoundError(`No such file: ${record.id}`, { ref: record.id });
+        }
+
+        await this.vfs.set(record.id, replaceContent(latest, version.storageId, {
+          ...content,
+          rotatedBy: jobId,
+          rotatedAt: new Date()
+        }));
+      } finally {
+        done();
+      }
+
+      // The record no longer points at the old content, so a failure here doesn't fail the file
+      unreleased.push(...await this._releaseFrom(record.id, [version.storageId], options));
+    }
+
+    return pending.size > 0;
+  }
+
+  /**
+   * Store a version's content again under a new key
+   *
+   * The content is streamed from the provider, through the decipher and the
+   * new cipher (or just a new header, when re-wrapping), back to the provider.
+   * @param {Object} version - Version being rotated
+   * @param {string} fileId - ID of the file, for error messages
+   * @param {Object} rotation - The rotation, as for `_rotateFile`
+   * @param {Object} options - Rotation options (`signal`)
+   * @returns {Promise<Object>} - Returns the `{ storageId, size }` of the new content
+   * @private
+   */
+  async _rekeyContent(version, fileId, rotation, options) {
+    const { signal } = options;
+    const { decrypt, encrypt, rewrap } = rotation;
+
+    // Each upload attempt gets a fresh cipher, or rewrapper: a used one has consumed its input
+    let { transform, size } = rotation.encrypting;
+    if (rewrap) {
+      let counter = null;
+      transform = () => {
+        counter = createByteCounter();
+        return [this.encryption.createRewrapStream(decrypt.privateKey, encrypt.recipients), counter];
+      };
+      size = () => counter.bytes;
+    }
+
+    const source = this.storage.createReadStream(version.storageId, {
+      signal,
+      transform: rewrap ? undefined : this._decryptTransform(version, fileId, decrypt)
+    });
+    const storageId = await this.storage.uploadStream(source, { signal, transform });
+
+    return { storageId, size: size() };
+  }
+
+  /**
+   * Apply metadata and tag changes to a file record
+   * @param {Object} record - File record
+   * @param {Object} patch - `metadata` to merge in (null removes a key) and `tags` to replace
+   * @returns {Object} - The updated record
+   * @private
+   */
+  _applyMetadata(record, { metadata, tags }) {
+    const updated = { ...record };
+
+    if (metadata !== undefined) {
+      if (metadata === null || typeof metadata !== 'object' || Array.isArray(metadata)) {
+        throw new Error('metadata must be an object');
+      }
+
+      updated.metadata = { ...record.metadata };
+      for (const [key, value] of Object.entries(metadata)) {
+        if (value === null) {
+          delete updated.metadata[key];
+        } else {
+          updated.metadata[key] = value;
+        }
+      }
+    }
+
+    if (tags !== undefined) {
+      if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string' && tag !== '')) {
+        throw new Error('tags must be an array of non-empty strings');
+      }
+      updated.tags = Array.from(new Set(tags));
+    }
+
+    return updated;
+  }
+
+  /**
+   * Apply the retention policy to a file record and store it
+   * @param {Object} record - File record
+   * @param {Object} options - Options passed to the storage provider when deleting pruned versions
+   * @param {Function} registered - Called once the record is stored, to end the upload of its new
+   *   content (see `_beginUpload`)
+   * @returns {Promise<Object>} - Returns `{ record, pruned, unreleased }`: the stored record, the
+   *   number of versions pruned, and the content of pruned versions that could not be deleted
+   * @private
+   */
+  async _saveVersions(record, options = {}, registered = null) {
+    const { kept, pruned } = applyRetention(versionsOf(record), this.retention);
+    const updated = withVersions(record, kept);
+
+    await this.vfs.set(updated.id, updated);
+
+    // Releasing waits for uploads, this one included
+    if (registered) {
+      registered();
+    }
+    const unreleased = await this._releaseFrom(updated.id, pruned.map(version => version.storageId), options);
+
+    return { record: this.fileRegistry.get(updated.id) || updated, pruned: pruned.length, unreleased };
+  }
+
+  /**
+   * Delete content a file no longer refers to, remembering what could not be deleted
+   *
+   * The record no longer points at the content, so a failure doesn't fail the
+   * operation. The storage IDs are kept in the record's `unreleased` list
+   * instead, so `pruneVersions` tries again and nothing is left stored
+   * without a record of it.
+   * @param {string} fileId - ID of the file the content belonged to
+   * @param {Array<string>} storageIds - Storage IDs of the content
+   * @param {Object} options - Deletion options
+   * @returns {Promise<Array<Object>>} - Returns the `{ fileId, storageId, error }` of content still stored
+   * @private
+   */
+  async _releaseFrom(fileId, storageIds, options = {}) {
+    const attempted = new Set(storageIds);
+    const failed = [];
+
+    for (const storageId of attempted) {
+      try {
+        await this._releaseContent([storageId], options);
+      } catch (error) {
+        failed.push({ fileId, storageId, error });
+      }
+    }
+
+    const record = this.fileRegistry.get(fileId);
+    const retried = (record && record.unreleased || []).some(storageId => attempted.has(storageId));
+    if (record && (retried || failed.length > 0)) {
+      const remaining = (record.unreleased || [])
+        .filter(storageId => !attempted.has(storageId))
+        .concat(failed.map(({ storageId }) => storageId));
+
+      const { unreleased, ...updated } = record;
+      await this.vfs.set(fileId, remaining.length > 0 ? { ...updated, unreleased: remaining } : updated);
+    }
+
+    return failed;
+  }
+
+  /**
+   * Get a version of a file
+   * @param {Object} record - File record
+   * @param {Object} options - Options holding the requested `version`, if any
+   * @returns {Object} - The version's content fields (`storageId`, `size`, ...)
+   * @private
+   */
+  _versionOf(record, options = {}) {
+    return options.version === undefined ? record : findVersion(record, options.version);
+  }
+
+  /**
+   * Delete a file, moving it to the trash unless the trash is disabled
+   * @param {Object} record - File record
+   * @param {Object} options - Deletion options (`permanent` skips the trash)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _remove(record, options = {}) {
+    if (this.trash && !options.permanent) {
+      const trashed = trashRecord(record, this.vfs.pathOf(record), this.principal && this.principal.id);
+      await this.vfs.set(trashed.id, trashed);
+    } else {
+      await this._purge(record, options);
+    }
+  }
+
+  /**
+   * Permanently delete a file with the content of all its versions
+   * @param {Object} record - File record
+   * @param {Object} options - Deletion options
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _purge(record, options = {}) {
+    // Delete the content of every version from the storage provider
+    await this._deleteContent(record, options);
+
+    // Remove file from registry
+    await this.vfs.delete(record.id);
+  }
+
+  /**
+   * Permanently delete several files
+   * @param {Array<Object>} records - File records
+   * @param {Object} options - Deletion options
+   * @returns {Promise<number>} - Returns the number of files deleted
+   * @private
+   */
+  async _purgeAll(records, options = {}) {
+    for (const record of records) {
+      await this._purge(record, options);
+    }
+    return records.length;
+  }
+
+  /**
+   * Delete the content of every version of a file
+   * @param {Object} record - File record
+   * @param {Object} options - Deletion options
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _deleteContent(record, options = {}) {
+    const storageIds = versionsOf(record).map(version => version.storageId).concat(record.unreleased || []);
+    await this._releaseContent(storageIds, options, record.id);
+  }
+
+  /**
+   * Wait until content may be uploaded, and hold off releases until it is registered
+   *
+   * Call the returned function once the content is registered, or the upload
+   * has failed; calling it again does nothing.
+   * @returns {Promise<Function>} - Resolves once releases queued so far are done
+   * @private
+   */
+  async _beginUpload() {
+    const { contentLock } = this;
+
+    // A release queued while waiting has to be waited for as well
+    for (let queued = contentLock.releasing; ; queued = contentLock.releasing) {
+      await queued;
+      if (queued === contentLock.releasing) {
+        break;
+      }
+    }
+
+    let finish;
+    const upload = new Promise(resolve => {
+      finish = resolve;
+    });
+    contentLock.uploads.add(upload);
+
+    return () => {
+      contentLock.uploads.delete(upload);
+      finish();
+    };
+  }
+
+  /**
+   * Delete stored content that no file version refers to any more
+   *
+   * Content-addressed providers give identical uploads the same storage ID,
+   * so content is shared between versions and files. Content being uploaded
+   * isn't registered until the upload completes, and the provider may have
+   * found it already stored, so it can't be told from unused content.
+   * Releases therefore run one at a time, once the uploads in flight have
+   * registered their content, and uploads don't start while one runs.
+   * @param {Array<string>} storageIds - Storage IDs that may have become unused
+   * @param {Object} options - Deletion options
+   * @param {string} ignoreId - ID of a file record being deleted, whose references don't count
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _releaseContent(storageIds, options = {}, ignoreId = null) {
+    // Most uploads prune nothing; don't wait or scan the registry for them
+    if (storageIds.length === 0) {
+      return;
+    }
+
+    const { contentLock } = this;
+    const release = contentLock.releasing.then(async () => {
+      await Promise.all(contentLock.uploads);
+
+      const inUse = new Set();
+      for (const record of this.fileRegistry.values()) {
+        if (record.type !== 'folder' && record.id !== ignoreId) {
+          versionsOf(record).forEach(version => inUse.add(version.storageId));
+        }
+      }
+
+      for (const storageId of new Set(storageIds)) {
+        if (!inUse.has(storageId)) {
+          await this.storage.deleteFile(storageId, options);
+        }
+      }
+    });
+
+    contentLock.releasing = release.catch(() => {});
+    return release;
+  }
+
   /**
    * Get temporary file path for operations
    * @param {string} prefix - Prefix for the temporary file
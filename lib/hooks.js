@@ -0,0 +1,88 @@
+/**
+ * Hooks for AetherDrive
+ * Before and after middleware around file operations
+ *
+ * Hooks receive a context describing the operation, such as
+ *
+ *   { operation: 'uploadFile', filePath, options, principal, transforms: [] }
+ *
+ * and run one after the other, awaiting each. A before hook can change the
+ * context (replace `options`, say), veto the operation by throwing, or add
+ * streams to `transforms` to change the content on its way through. After
+ * hooks run once the operation has succeeded, with its `result` in the
+ * context.
+ */
+
+/**
+ * Operations hooks can be added to
+ */
+const OPERATIONS = ['uploadFile', 'downloadFile', 'deleteFile', 'encryptFile', 'decryptFile'];
+
+/**
+ * Hooks class keeping the middleware of each operation
+ */
+class Hooks {
+  /**
+   * Create a new Hooks instance
+   */
+  constructor() {
+    this.hooks = {};
+    for (const operation of OPERATIONS) {
+      this.hooks[operation] = { before: [], after: [] };
+    }
+  }
+
+  /**
+   * Add a hook
+   * @param {string} stage - `before` or `after`
+   * @param {string} operation - Operation to hook, e.g. `uploadFile`
+   * @param {Function} hook - Function receiving the context; may return a promise
+   * @returns {Function} - Call it to remove the hook
+   */
+  add(stage, operation, hook) {
+    if (!OPERATIONS.includes(operation)) {
+      throw new Error(`Cannot hook ${operation} (use ${OPERATIONS.join(', ')})`);
+    }
+    if (typeof hook !== 'function') {
+      throw new Error('A hook must be a function');
+    }
+
+    const hooks = this.hooks[operation][stage];
+    hooks.push(hook);
+
+    return () => {
+      const index = hooks.indexOf(hook);
+      if (index !== -1) {
+        hooks.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * Run an operation with its hooks
+   * @param {Object} context - Context of the operation, including its `operation` name
+   * @param {Function} perform - Performs the operation given the context; returns a promise
+   * @returns {Promise<*>} - Returns the result of the operation
+   */
+  async run(context, perform) {
+    const { before, after } = this.hooks[context.operation];
+
+    // Copies, so hooks removing themselves don't disturb the iteration
+    for (const hook of [...before]) {
+      await hook(context);
+    }
+
+    context.result = await perform(context);
+
+    for (const hook of [...after]) {
+      await hook(context);
+    }
+
+    return context.result;
+  }
+}
+
+module.exports = {
+  Hooks,
+  OPERATIONS
+};
@@ -0,0 +1,206 @@
+/**
+ * Key derivation for AetherDrive
+ * Derives content keys from passwords without blocking the event loop
+ *
+ * The function and its cost are recorded in the header of every file (see
+ * lib/encryptionFormat.js), so files are always decrypted with the parameters
+ * they were encrypted with, and the cost of new files can be raised without
+ * breaking old ones:
+ *
+ *   pbkdf2-sha256   iterations                              (the default)
+ *   pbkdf2-sha512   iterations
+ *   scrypt          cost (N), blockSize (r), parallelization (p)
+ *   keyring         key ID
+ *
+ * Keyring files are encrypted with a random key kept in a keyring (see
+ * lib/keyring.js) rather than a password. The stored key is already strong,
+ * so it isn't stretched: HKDF with the file's salt gives every file its own
+ * content key, and the header records only the ID of the stored key.
+ *
+ * Derivation runs on the libuv thread pool. The parameters in a header come
+ * from the file, so they are checked against upper limits before use: a
+ * crafted file must not tie up the thread pool or exhaust memory.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { KDF, KEY_ID_LENGTH } = require('./encryptionFormat');
+const { hkdf } = require('./envelope');
+const { DecryptionError } = require('./errors');
+
+const pbkdf2Async = promisify(crypto.pbkdf2);
+const scryptAsync = promisify(crypto.scrypt);
+
+/**
+ * Length of derived keys in bytes (AES-256)
+ */
+const KEY_LENGTH = 32;
+
+/**
+ * Length of generated salts in bytes
+ */
+const SALT_LENGTH = 16;
+
+/**
+ * PBKDF2 iterations used when none are configured
+ */
+const DEFAULT_ITERATIONS = 100000;
+
+/**
+ * scrypt parameters used when none are configured (about 32 MiB of memory)
+ */
+const DEFAULT_SCRYPT = Object.freeze({ cost: 32768, blockSize: 8, parallelization: 1 });
+
+/**
+ * Upper limits on the parameters of any derivation
+ */
+const MAX_ITERATIONS = 10000000;
+const MAX_SCRYPT_MEMORY = 256 * 1024 * 1024;
+
+/**
+ * Keyring key IDs, in hex
+ */
+const KEY_ID_PATTERN = new RegExp(`^[0-9a-f]{${KEY_ID_LENGTH * 2}}$`);
+
+/**
+ * Key derivation functions by name, with their digest for PBKDF2
+ */
+const ALGORITHMS = {
+  'pbkdf2-sha256': { id: KDF.PBKDF2_SHA256, digest: 'sha256' },
+  'pbkdf2-sha512': { id: KDF.PBKDF2_SHA512, digest: 'sha512' },
+  scrypt: { id: KDF.SCRYPT }
+};
+
+/**
+ * Key derivation used when none is configured
+ */
+const DEFAULT_KDF = Object.freeze({ id: KDF.PBKDF2_SHA256, iterations: DEFAULT_ITERATIONS });
+
+/**
+ * Get the memory scrypt needs, in bytes
+ * @param {Object} kdf - scrypt description
+ * @returns {number} - Bytes of memory
+ * @private
+ */
+function scryptMemory({ cost, blockSize, parallelization }) {
+  // The 128 * r * N byte work area, plus the 128 * r * p byte input blocks
+  return 128 * blockSize * (cost + parallelization + 2);
+}
+
+/**
+ * Find what is wrong with a KDF description
+ * @param {Object} kdf - KDF description, as recorded in a header
+ * @returns {string|null} - The problem, or null if the description can be used
+ * @private
+ */
+function problemWith(kdf) {
+  const isPositiveInteger = value => Number.isInteger(value) && value >= 1;
+
+  switch (kdf.id) {
+    case KDF.PBKDF2_SHA256:
+    case KDF.PBKDF2_SHA512:
+      if (!isPositiveInteger(kdf.iterations) || kdf.iterations > MAX_ITERATIONS) {
+        return `iterations must be an integer from 1 to ${MAX_ITERATIONS}`;
+      }
+      return null;
+    case KDF.SCRYPT:
+      // N must be a power of two greater than 1
+      if (!isPositiveInteger(kdf.cost) || kdf.cost < 2 || (kdf.cost & (kdf.cost - 1)) !== 0) {
+        return 'cost must be a power of two greater than 1';
+      }
+      if (!isPositiveInteger(kdf.blockSize) || !isPositiveInteger(kdf.parallelization)) {
+        return 'blockSize and parallelization must be positive integers';
+      }
+      if (scryptMemory(kdf) > MAX_SCRYPT_MEMORY) {
+        return `scrypt would need more than ${MAX_SCRYPT_MEMORY / (1024 * 1024)} MiB of memory`;
+      }
+      return null;
+    case KDF.KEYRING:
+      if (typeof kdf.keyId !== 'string' || !KEY_ID_PATTERN.test(kdf.keyId)) {
+        return `keyId must be ${KEY_ID_LENGTH} bytes of lowercase hex`;
+      }
+      return null;
+    default:
+      return `unsupported key derivation function: ${kdf.id}`;
+  }
+}
+
+/**
+ * Turn KDF options into the description recorded in headers
+ * @param {Object} options - KDF options
+ * @param {string} options.algorithm - `pbkdf2-sha256` (default), `pbkdf2-sha512` or `scrypt`
+ * @param {number} options.iterations - PBKDF2 iterations (default: 100000)
+ * @param {number} options.cost - scrypt CPU/memory cost N, a power of two (default: 32768)
+ * @param {number} options.blockSize - scrypt block size r (default: 8)
+ * @param {number} options.parallelization - scrypt parallelization p (default: 1)
+ * @returns {Object} - KDF description, e.g. `{ id: KDF.SCRYPT, cost, blockSize, parallelization }`
+ */
+function resolveKdf(options = {}) {
+  if (options === null || typeof options !== 'object') {
+    throw new Error('kdf must be an object');
+  }
+
+  const { algorithm = 'pbkdf2-sha256' } = options;
+  const entry = ALGORITHMS[algorithm];
+  if (!entry) {
+    throw new Error(`kdf.algorithm must be one of ${Object.keys(ALGORITHMS).join(', ')}`);
+  }
+
+  const kdf = entry.id === KDF.SCRYPT
+    ? {
+      id: entry.id,
+      cost: options.cost !== undefined ? options.cost : DEFAULT_SCRYPT.cost,
+      blockSize: options.blockSize !== undefined ? options.blockSize : DEFAULT_SCRYPT.blockSize,
+      parallelization: options.parallelization !== undefined ? options.parallelization : DEFAULT_SCRYPT.parallelization
+    }
+    : { id: entry.id, iterations: options.iterations !== undefined ? options.iterations : DEFAULT_ITERATIONS };
+
+  const problem = problemWith(kdf);
+  if (problem) {
+    throw new Error(`Invalid kdf: ${problem}`);
+  }
+  return kdf;
+}
+
+/**
+ * Derive a key from a password, on the thread pool
+ *
+ * For keyring files, the password is the stored key, which is expanded
+ * rather than stretched.
+ * @param {string|Buffer} password - Password (or stored key) to derive the key from
+ * @param {Buffer} salt - Salt
+ * @param {Object} kdf - KDF description, as recorded in the header
+ * @returns {Promise<Buffer>} - Returns the 32-byte key
+ */
+async function deriveKey(password, salt, kdf) {
+  const problem = problemWith(kdf);
+  if (problem) {
+    throw new DecryptionError(`Cannot derive the key: ${problem}`);
+  }
+
+  if (kdf.id === KDF.KEYRING) {
+    return hkdf(password, salt, 'aetherdrive/keyring', KEY_LENGTH);
+  }
+
+  if (kdf.id === KDF.SCRYPT) {
+    return scryptAsync(password, salt, KEY_LENGTH, {
+      N: kdf.cost,
+      r: kdf.blockSize,
+      p: kdf.parallelization,
+      maxmem: scryptMemory(kdf)
+    });
+  }
+
+  const { digest } = Object.values(ALGORITHMS).find(entry => entry.id === kdf.id);
+  return pbkdf2Async(password, salt, kdf.iterations, KEY_LENGTH, digest);
+}
+
+module.exports = {
+  KEY_LENGTH,
+  SALT_LENGTH,
+  DEFAULT_KDF,
+  MAX_ITERATIONS,
+  MAX_SCRYPT_MEMORY,
+  resolveKdf,
+  deriveKey
+};
@@ -0,0 +1,303 @@
+/**
+ * Keyring for AetherDrive
+ * Generates named encryption keys and keeps them in a passphrase-protected keystore file
+ *
+ * Each key is 32 random bytes with a random 16-byte ID. Files encrypted with
+ * a keyring key record its ID in their header (see lib/kdf.js), so they are
+ * decrypted with the right key without the caller naming it.
+ *
+ * The keystore is a JSON document encrypted with the passphrase, in the same
+ * format as `Encryption#encryptBuffer`:
+ *
+ *   { "version": 1, "keys": [{ "id", "name", "key" (base64), "createdAt" }] }
+ *
+ * Changes are written to a temporary file that is renamed over the keystore,
+ * so a crash leaves either the old or the new keystore in place. Deleting a
+ * key makes the files encrypted with it unreadable.
+ *
+ * Only one process may change a keystore at a time.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const Encryption = require('./encryption');
+const { KEY_ID_LENGTH } = require('./encryptionFormat');
+const { KEY_LENGTH } = require('./kdf');
+const { NotFoundError, DecryptionError, failure } = require('./errors');
+
+/**
+ * Version of the keystore document
+ */
+const KEYSTORE_VERSION = 1;
+
+/**
+ * Key derivation for the keystore passphrase when none is configured
+ */
+const DEFAULT_KEYSTORE_KDF = Object.freeze({ algorithm: 'scrypt' });
+
+/**
+ * Key IDs, in hex; names may not look like one
+ */
+const KEY_ID_PATTERN = new RegExp(`^[0-9a-f]{${KEY_ID_LENGTH * 2}}$`);
+
+/**
+ * Keyring class managing named encryption keys
+ */
+class Keyring {
+  /**
+   * Create a new Keyring instance
+   * @param {Object} config - Configuration for the keyring
+   * @param {string} config.path - Path of the keystore file
+   * @param {string} config.passphrase - Passphrase protecting the keystore
+   * @param {Object} config.kdf - How the keystore key is derived from the passphrase, as for
+   *   `Encryption` (default: scrypt)
+   */
+  constructor(config = {}) {
+    if (!config.path) {
+      throw new Error('The keyring requires a keystore path');
+    }
+    if (typeof config.passphrase !== 'string' || config.passphrase.length === 0) {
+      throw new Error('The keyring requires a passphrase');
+    }
+
+    this.path = path.resolve(config.path);
+    this.passphrase = config.passphrase;
+    this.encryption = new Encryption({ kdf: config.kdf || DEFAULT_KEYSTORE_KDF });
+
+    this.keys = null;
+    this.opening = null;
+
+    // Changes are written one at a time, in the order they were requested
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Read the keystore, creating an empty one if there is none yet
+   *
+   * Opening an open keyring does nothing.
+   * @returns {Promise<void>}
+   */
+  async open() {
+    if (!this.opening) {
+      this.opening = this._load().catch(error => {
+        // Let a later call try again, e.g. after a wrong passphrase
+        this.opening = null;
+        throw failure('open keyring', error);
+      });
+    }
+    return this.opening;
+  }
+
+  /**
+   * Check whether the keystore has been read
+   * @returns {boolean} - Returns true once `open` has succeeded
+   */
+  isOpen() {
+    return this.keys !== null;
+  }
+
+  /**
+   * Generate a new key and save it in the keystore
+   * @param {string} name - Name of the key, unique within the keyring
+   * @returns {Promise<Object>} - Returns the key's `{ id, name, createdAt }`
+   */
+  async generateKey(name) {
+    try {
+      await this.open();
+
+      if (typeof name !== 'string' || name.length === 0) {
+        throw new Error('name must be a non-empty string');
+      }
+      if (KEY_ID_PATTERN.test(name)) {
+        throw new Error('name must not look like a key ID');
+      }
+
+      const entry = {
+        id: crypto.randomBytes(KEY_ID_LENGTH).toString('hex'),
+        name,
+        key: crypto.randomBytes(KEY_LENGTH),
+        createdAt: new Date()
+      };
+
+      await this._update(keys => {
+        if ([...keys.values()].some(existing => existing.name === name)) {
+          throw new Error(`A key named ${name} already exists`);
+        }
+        keys.set(entry.id, entry);
+      });
+
+      return this._describe(entry);
+    } catch (error) {
+      throw failure('generate key', error);
+    }
+  }
+
+  /**
+   * Get a key, including its key material
+   *
+   * The keyring must be open.
+   * @param {string} ref - ID or name of the key
+   * @returns {Object} - `{ id, name, key, createdAt }`, where `key` is a 32-byte Buffer
+   */
+  getKey(ref) {
+    const entry = this._find(ref);
+    if (!entry) {
+      throw new NotFoundError(`No such key: ${ref}`, { ref });
+    }
+    return { ...entry, key: Buffer.from(entry.key) };
+  }
+
+  /**
+   * List the keys in the keyring, without their key material
+   *
+   * The keyring must be open.
+   * @returns {Array<Object>} - `{ id, name, createdAt }` of each key, oldest first
+   */
+  listKeys() {
+    return [...this._keys().values()].map(entry => this._describe(entry));
+  }
+
+  /**
+   * Delete a key from the keystore
+   *
+   * Files encrypted with the key can no longer be decrypted.
+   * @param {string} ref - ID or name of the key
+   * @returns {Promise<boolean>} - Returns true once the key is deleted
+   */
+  async deleteKey(ref) {
+    try {
+      await this.open();
+
+      await this._update(keys => {
+        const entry = this._find(ref, keys);
+        if (!entry) {
+          throw new NotFoundError(`No such key: ${ref}`, { ref });
+        }
+        keys.delete(entry.id);
+      });
+
+      return true;
+    } catch (error) {
+      throw failure('delete key', error);
+    }
+  }
+
+  /**
+   * Get the keys, failing if the keystore hasn't been read
+   * @returns {Map<string, Object>} - Keys by ID
+   * @private
+   */
+  _keys() {
+    if (!this.keys) {
+      throw new Error('The keyring is not open; call open() first');
+    }
+    return this.keys;
+  }
+
+  /**
+   * Find a key by ID or name
+   * @param {string} ref - ID or name of the key
+   * @param {Map<string, Object>} keys - Keys to search (default: the keyring's)
+   * @returns {Object|undefined} - The key, if there is one
+   * @private
+   */
+  _find(ref, keys = this._keys()) {
+    return keys.get(ref) || [...keys.values()].find(entry => entry.name === ref);
+  }
+
+  /**
+   * Describe a key without its key material
+   * @param {Object} entry - Key
+   * @returns {Object} - `{ id, name, createdAt }`
+   * @private
+   */
+  _describe({ id, name, createdAt }) {
+    return { id, name, createdAt };
+  }
+
+  /**
+   * Read and decrypt the keystore
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _load() {
+    if (!(await fs.pathExists(this.path))) {
+      await this._write(new Map());
+      this.keys = new Map();
+      return;
+    }
+
+    const plaintext = await this.encryption.decryptBuffer(await fs.readFile(this.path), this.passphrase);
+
+    let document;
+    try {
+      document = JSON.parse(plaintext.toString('utf8'));
+    } catch (error) {
+      throw new DecryptionError('The keystore is corrupt', { cause: error });
+    }
+    if (!document || document.version !== KEYSTORE_VERSION || !Array.isArray(document.keys)) {
+      throw new DecryptionError('Unsupported keystore version');
+    }
+
+    this.keys = new Map(document.keys.map(({ id, name, key, createdAt }) => [id, {
+      id,
+      name,
+      key: Buffer.from(key, 'base64'),
+      createdAt: new Date(createdAt)
+    }]));
+  }
+
+  /**
+   * Apply a change to a copy of the keys, save it, then make it current
+   *
+   * If the change throws or the keystore can't be written, nothing changes.
+   * @param {Function} change - Called with the copy of the keys, to modify it
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _update(change) {
+    const run = this.queue.then(async () => {
+      const keys = new Map(this._keys());
+      change(keys);
+      await this._write(keys);
+      this.keys = keys;
+    });
+
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Encrypt the keys and replace the keystore with them
+   * @param {Map<string, Object>} keys - Keys by ID
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _write(keys) {
+    const document = {
+      version: KEYSTORE_VERSION,
+      keys: [...keys.values()].map(({ id, name, key, createdAt }) => ({
+        id,
+        name,
+        key: key.toString('base64'),
+        createdAt
+      }))
+    };
+    const encrypted = await this.encryption.encryptBuffer(Buffer.from(JSON.stringify(document), 'utf8'), this.passphrase);
+
+    const tempPath = `${this.path}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    await fs.ensureDir(path.dirname(this.path));
+
+    try {
+      // Only the owner can read the keystore
+      await fs.writeFile(tempPath, encrypted, { mode: 0o600 });
+      await fs.rename(tempPath, this.path);
+    } catch (error) {
+      await fs.remove(tempPath);
+      throw error;
+    }
+  }
+}
+
+module.exports = Keyring;
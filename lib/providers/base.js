@@ -0,0 +1,96 @@
+/**
+ * Base storage provider for AetherDrive
+ * Documents the contract every storage backend has to implement
+ */
+
+/**
+ * StorageProvider class describing the provider contract.
+ *
+ * A provider is any object exposing the methods below; extending this class
+ * is optional but gives sensible defaults for `exists` and clear errors for
+ * anything left unimplemented. Providers are registered with
+ * `Storage.registerProvider(name, factory)` and are only ever called through
+ * a `Storage` instance, which takes care of argument validation and error
+ * wrapping.
+ */
+class StorageProvider {
+  /**
+   * Create a new StorageProvider instance
+   * @param {Object} config - Configuration for the storage provider
+   */
+  constructor(config = {}) {
+    this.config = config;
+
+    // Name used in log and error messages
+    this.name = 'base';
+
+    // Optional provider used when an operation on this one fails
+    this.fallback = null;
+  }
+
+  /**
+   * Upload content to the provider
+   * @param {stream.Readable} source - Stream of the content to store
+   * @param {Object} options - Upload options
+   * @returns {Promise<string>} - Returns the storage ID of the stored object
+   */
+  async upload(source, options = {}) {
+    throw new Error(`upload is not implemented by the ${this.name} provider`);
+  }
+
+  /**
+   * Open a stream of an object's content
+   * @param {string} id - Storage ID of the object
+   * @param {Object} options - Read options
+   * @returns {Promise<stream.Readable>} - Resolves once the object has been found
+   */
+  async createReadStream(id, options = {}) {
+    throw new Error(`createReadStream is not implemented by the ${this.name} provider`);
+  }
+
+  /**
+   * Delete an object from the provider
+   * @param {string} id - Storage ID of the object
+   * @param {Object} options - Deletion options
+   * @returns {Promise<boolean>} - Returns true if deletion was successful
+   */
+  async delete(id, options = {}) {
+    throw new Error(`delete is not implemented by the ${this.name} provider`);
+  }
+
+  /**
+   * List the objects held by the provider
+   * @param {Object} options - List options
+   * @returns {Promise<Array<{id: string}>>} - Returns an array of object descriptions
+   */
+  async list(options = {}) {
+    throw new Error(`list is not implemented by the ${this.name} provider`);
+  }
+
+  /**
+   * Get information about a single object
+   * @param {string} id - Storage ID of the object
+   * @param {Object} options - Stat options
+   * @returns {Promise<Object|null>} - Returns `{ id, size, ... }` or null if the object does not exist
+   */
+  async stat(id, options = {}) {
+    throw new Error(`stat is not implemented by the ${this.name} provider`);
+  }
+
+  /**
+   * Check whether an object exists
+   * @param {string} id - Storage ID of the object
+   * @param {Object} options - Options passed through to `stat`
+   * @returns {Promise<boolean>} - Returns true if the object exists
+   */
+  async exists(id, options = {}) {
+    return (await this.stat(id, options)) !== null;
+  }
+}
+
+/**
+ * Names of the methods a provider has to implement
+ */
+StorageProvider.METHODS = ['upload', 'createReadStream', 'delete', 'list', 'stat', 'exists'];
+
+module.exports = StorageProvider;
@@ -0,0 +1,179 @@
+/**
+ * IPFS storage provider for AetherDrive
+ * Stores files on an IPFS node through ipfs-http-client
+ */
+
+const { Readable } = require('stream');
+const StorageProvider = require('./base');
+const MockProvider = require('./mock');
+const { ProviderUnavailableError } = require('../errors');
+
+// Try to load ipfs-http-client, but don't fail if it's not available
+let ipfsHttpClient;
+try {
+  ipfsHttpClient = require('ipfs-http-client');
+} catch (error) {
+  console.log('IPFS HTTP Client not available. Using mock IPFS client for testing.');
+  ipfsHttpClient = null;
+}
+
+/**
+ * IpfsProvider class wrapping an IPFS HTTP client
+ */
+class IpfsProvider extends StorageProvider {
+  /**
+   * Create a new IpfsProvider instance
+   * @param {Object} config - Configuration for the storage provider
+   * @param {Object} ipfs - IPFS client instance
+   */
+  constructor(config, ipfs) {
+    super(config);
+    this.name = 'ipfs';
+    this.ipfs = ipfs;
+
+    // Keep the historical behaviour of falling back to mock storage on errors,
+    // unless strict mode rules it out
+    if (MockProvider.allowedBy(config)) {
+      this.fallback = new MockProvider(config);
+    }
+  }
+
+  /**
+   * Upload content to IPFS
+   * @param {stream.Readable} source - Stream of the content to upload
+   * @param {Object} options - Options passed to `ipfs.add`
+   * @returns {Promise<string>} - Returns the CID of the file
+   */
+  async upload(source, options = {}) {
+    // ipfs.add consumes async iterables chunk by chunk
+    const { path: fileId } = await this.ipfs.add(source, options);
+    return fileId;
+  }
+
+  /**
+   * Open a stream of a file on IPFS
+   * @param {string} cid - CID of the file
+   * @param {Object} options - Options passed to `ipfs.cat`
+   * @returns {Promise<stream.Readable>} - Stream of the file content
+   */
+  async createReadStream(cid, options = {}) {
+    return Readable.from(this.ipfs.cat(cid, options));
+  }
+
+  /**
+   * Unpin a file from the IPFS node
+   * @param {string} cid - CID of the file
+   * @param {Object} options - Options passed to `ipfs.pin.rm`
+   * @returns {Promise<boolean>} - Returns true if the file was unpinned
+   */
+  async delete(cid, options = {}) {
+    // Note: IPFS doesn't support direct deletion from the network.
+    // We can only "unpin" the file, which makes it eligible for garbage collection.
+    await this.ipfs.pin.rm(cid, options);
+    return true;
+  }
+
+  /**
+   * List all pinned files
+   * @param {Object} options - Options passed to `ipfs.pin.ls`
+   * @returns {Promise<Array>} - Returns an array of file objects
+   */
+  async list(options = {}) {
+    const files = [];
+
+    for await (const file of this.ipfs.pin.ls(options)) {
+      files.push({
+        id: file.cid.toString(),
+        type: file.type
+      });
+    }
+
+    return files;
+  }
+
+  /**
+   * Get information about a pinned file
+   * @param {string} cid - CID of the file
+   * @param {Object} options - Stat options
+   * @returns {Promise<Object|null>} - Returns the file information or null if it is not pinned
+   */
+  async stat(cid, options = {}) {
+    // Only pinned content counts as stored; looking up anything else would
+    // make the node search the network for it
+    if (!(await this.exists(cid, options))) {
+      return null;
+    }
+
+    const stats = await this.ipfs.files.stat(`/ipfs/${cid}`, options);
+
+    return {
+      id: cid,
+      size: stats.cumulativeSize !== undefined ? stats.cumulativeSize : stats.size,
+      type: stats.type
+    };
+  }
+
+  /**
+   * Check whether a file is pinned on the node
+   * @param {string} cid - CID of the file
+   * @param {Object} options - Options passed to `ipfs.pin.ls`
+   * @returns {Promise<boolean>} - Returns true if the file is pinned
+   */
+  async exists(cid, options = {}) {
+    try {
+      for await (const pin of this.ipfs.pin.ls({ ...options, paths: [cid] })) {
+        if (pin) {
+          return true;
+        }
+      }
+      return false;
+    } catch (error) {
+      // The node reports unknown paths as "not pinned" errors
+      if (/not pinned/i.test(error.message)) {
+        return false;
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * Create an IPFS provider, or a mock provider when no client can be created
+ * @param {Object} config - Configuration for the storage provider
+ * @param {string} config.host - IPFS node hostname
+ * @param {number} config.port - IPFS API port
+ * @param {string} config.protocol - Protocol (http or https)
+ * @param {boolean} config.strict - Throw instead of using mock storage, unless `mock` is true
+ * @param {boolean} config.mock - Allow mock storage in strict mode
+ * @returns {StorageProvider} - The provider instance
+ */
+function createIpfsProvider(config = {}) {
+  let reason = 'ipfs-http-client is not installed';
+
+  if (ipfsHttpClient) {
+    try {
+      // Use the IPFS client if available
+      const { host = 'ipfs.infura.io', port = 5001, protocol = 'https' } = config;
+      const url = `${protocol}://${host}:${port}`;
+      return new IpfsProvider(config, ipfsHttpClient.create({ url }));
+    } catch (error) {
+      console.error('Failed to initialize IPFS client:', error.message);
+      reason = `the IPFS client could not be created: ${error.message}`;
+    }
+  }
+
+  if (!MockProvider.allowedBy(config)) {
+    throw new ProviderUnavailableError(`Cannot use IPFS storage: ${reason} (set mock: true to use mock storage instead)`, {
+      provider: 'ipfs'
+    });
+  }
+
+  // Fall back to mock storage if IPFS client is not available
+  console.log('Using mock storage provider');
+  return new MockProvider(config);
+}
+
+module.exports = {
+  IpfsProvider,
+  createIpfsProvider
+};
@@ -0,0 +1,261 @@
+/**
+ * Local filesystem storage provider for AetherDrive
+ * Stores content-addressed blobs under a root directory on disk
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { Transform, pipeline } = require('stream');
+const StorageProvider = require('./base');
+const { NotFoundError } = require('../errors');
+
+const pipelineAsync = promisify(pipeline);
+
+/**
+ * Storage IDs are the hex SHA-256 digest of the content
+ */
+const ID_PATTERN = /^[a-f0-9]{64}$/;
+
+/**
+ * Attempts at moving an upload into place while `delete` prunes its directory
+ */
+const PLACE_ATTEMPTS = 5;
+
+/**
+ * LocalProvider class storing files in fan-out directories below a root
+ *
+ * A blob with ID `abcdef...` is stored at `<root>/ab/cd/abcdef...` (for the
+ * default fan-out of two levels). Uploads are written to `<root>/.tmp` first
+ * and renamed into place, so a crash never leaves a partially written blob
+ * under its final name.
+ */
+class LocalProvider extends StorageProvider {
+  /**
+   * Create a new LocalProvider instance
+   * @param {Object} config - Configuration for the storage provider
+   * @param {string} config.root - Directory the blobs are stored in
+   * @param {number} config.fanout - Number of two-character subdirectory levels (default: 2)
+   */
+  constructor(config = {}) {
+    super(config);
+    this.name = 'local';
+
+    if (!config.root) {
+      throw new Error('Local storage requires a root directory (storageConfig.root)');
+    }
+
+    const { fanout = 2 } = config;
+    if (!Number.isInteger(fanout) || fanout < 0 || fanout > 8) {
+      throw new Error('Local storage fanout must be an integer between 0 and 8');
+    }
+
+    this.root = path.resolve(config.root);
+    this.fanout = fanout;
+    this.tempDir = path.join(this.root, '.tmp');
+
+    fs.ensureDirSync(this.tempDir);
+  }
+
+  /**
+   * Get the on-disk path of a blob
+   * @param {string} id - Storage ID of the blob
+   * @returns {string} - Absolute path of the blob
+   * @private
+   */
+  _blobPath(id) {
+    if (!ID_PATTERN.test(id)) {
+      // No blob can be stored under an ID that isn't a digest
+      throw new NotFoundError(`Invalid local storage ID: ${id}`, { ref: id });
+    }
+
+    const segments = [];
+    for (let level = 0; level < this.fanout; level++) {
+      segments.push(id.substring(level * 2, level * 2 + 2));
+    }
+
+    return path.join(this.root, ...segments, id);
+  }
+
+  /**
+   * Store content under its SHA-256 digest
+   * @param {stream.Readable} source - Stream of the content to store
+   * @param {Object} options - Upload options
+   * @returns {Promise<string>} - Returns the storage ID
+   */
+  async upload(source, options = {}) {
+    const tempPath = path.join(this.tempDir, `${Date.now()}-${crypto.randomBytes(8).toString('hex')}`);
+    const hash = crypto.createHash('sha256');
+
+    try {
+      // Hash the content while copying it next to its final location
+      await pipelineAsync(
+        source,
+        new Transform({
+          transform(chunk, encoding, callback) {
+            hash.update(chunk);
+            callback(null, chunk);
+          }
+        }),
+        fs.createWriteStream(tempPath)
+      );
+
+      const id = hash.digest('hex');
+      const blobPath = this._blobPath(id);
+
+      if (await fs.pathExists(blobPath)) {
+        // Identical content is already stored
+        await fs.remove(tempPath);
+      } else {
+        await this._place(tempPath, blobPath);
+      }
+
+      return id;
+    } catch (error) {
+      await fs.remove(tempPath);
+      throw error;
+    }
+  }
+
+  /**
+   * Move an uploaded file to its blob path
+   *
+   * `delete` prunes empty fan-out directories without coordinating with
+   * uploads, so the blob's directory can disappear between creating it and
+   * renaming into it; that is retried.
+   * @param {string} tempPath - Path of the uploaded file
+   * @param {string} blobPath - Path of the blob
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _place(tempPath, blobPath) {
+    for (let attempt = 1; ; attempt++) {
+      await fs.ensureDir(path.dirname(blobPath));
+      try {
+        await fs.rename(tempPath, blobPath);
+        return;
+      } catch (error) {
+        if (error.code !== 'ENOENT' || attempt >= PLACE_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Open a stream of a blob
+   * @param {string} id - Storage ID of the blob
+   * @param {Object} options - Read options
+   * @returns {Promise<stream.Readable>} - Stream of the blob content
+   */
+  async createReadStream(id, options = {}) {
+    const blobPath = this._blobPath(id);
+
+    if (!(await fs.pathExists(blobPath))) {
+      throw new NotFoundError(`File not found in local storage: ${id}`, { ref: id });
+    }
+
+    return fs.createReadStream(blobPath);
+  }
+
+  /**
+   * Remove a blob from disk
+   * @param {string} id - Storage ID of the blob
+   * @param {Object} options - Deletion options
+   * @returns {Promise<boolean>} - Returns true if the blob existed and was removed
+   */
+  async delete(id, options = {}) {
+    if (!ID_PATTERN.test(id)) {
+      return false;
+    }
+
+    const blobPath = this._blobPath(id);
+
+    if (!(await fs.pathExists(blobPath))) {
+      return false;
+    }
+
+    await fs.remove(blobPath);
+
+    // Prune fan-out directories that are now empty
+    let dir = path.dirname(blobPath);
+    while (dir !== this.root) {
+      try {
+        await fs.rmdir(dir);
+      } catch (error) {
+        // Not empty, or already pruned: a concurrent upload owns it now
+        if (error.code === 'ENOTEMPTY' || error.code === 'EEXIST' || error.code === 'ENOENT') {
+          break;
+        }
+        throw error;
+      }
+      dir = path.dirname(dir);
+    }
+
+    return true;
+  }
+
+  /**
+   * List all blobs stored under the root directory
+   * @param {Object} options - List options
+   * @returns {Promise<Array>} - Returns an array of file objects
+   */
+  async list(options = {}) {
+    const files = [];
+
+    const walk = async (dir, depth) => {
+      const entries = await fs.readdir(dir, { withFileTypes: true });
+
+      for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+
+        if (depth < this.fanout) {
+          if (entry.isDirectory() && entry.name !== '.tmp') {
+            await walk(entryPath, depth + 1);
+          }
+        } else if (entry.isFile() && ID_PATTERN.test(entry.name)) {
+          const stats = await fs.stat(entryPath);
+          files.push({
+            id: entry.name,
+            size: stats.size,
+            createdAt: stats.mtime
+          });
+        }
+      }
+    };
+
+    await walk(this.root, 0);
+
+    return files;
+  }
+
+  /**
+   * Get information about a blob
+   * @param {string} id - Storage ID of the blob
+   * @param {Object} options - Stat options
+   * @returns {Promise<Object|null>} - Returns the blob information or null if it does not exist
+   */
+  async stat(id, options = {}) {
+    if (!ID_PATTERN.test(id)) {
+      return null;
+    }
+
+    try {
+      const stats = await fs.stat(this._blobPath(id));
+
+      return {
+        id,
+        size: stats.size,
+        createdAt: stats.mtime
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = LocalProvider;
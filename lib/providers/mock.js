@@ -0,0 +1,183 @@
+/**
+ * Mock storage provider for AetherDrive
+ * Keeps files in a temporary directory for testing or when IPFS is not available
+ *
+ * Files in a temporary directory don't survive the process, so in strict mode
+ * (`strict: true` in the storage configuration) mock storage is only used when
+ * it is selected (`storageType: 'mock'`) or allowed (`mock: true`) explicitly,
+ * and unknown IDs are not found rather than served placeholder content.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const os = require('os');
+const { promisify } = require('util');
+const { Readable, Transform, pipeline } = require('stream');
+const StorageProvider = require('./base');
+const { NotFoundError } = require('../errors');
+
+const pipelineAsync = promisify(pipeline);
+
+/**
+ * MockProvider class storing files in a temporary directory
+ */
+class MockProvider extends StorageProvider {
+  /**
+   * Create a new MockProvider instance
+   * @param {Object} config - Configuration for the storage provider
+   */
+  constructor(config = {}) {
+    super(config);
+    this.name = 'mock';
+
+    // Create a temporary directory for mock storage
+    this.tempDir = path.join(os.tmpdir(), 'aetherdrive-storage-' + Date.now());
+    fs.ensureDirSync(this.tempDir);
+
+    // Initialize storage files Map for mock storage
+    this.files = new Map();
+  }
+
+  /**
+   * Check whether a storage configuration lets mock storage stand in for a
+   * real provider
+   * @param {Object} config - Configuration for the storage provider
+   * @returns {boolean} - Returns false in strict mode, unless `mock: true` is set
+   */
+  static allowedBy(config = {}) {
+    return !config.strict || config.mock === true;
+  }
+
+  /**
+   * Generate a file ID for mock storage
+   * @param {string} hash - Hex SHA-256 digest of the file content
+   * @returns {string} - A mock file ID
+   * @private
+   */
+  _generateMockFileId(hash) {
+    return `mock-${hash.substring(0, 8)}`;
+  }
+
+  /**
+   * Upload content to mock storage
+   * @param {stream.Readable} source - Stream of the content
+   * @param {Object} options - Upload options
+   * @returns {Promise<string>} - Returns the file ID
+   */
+  async upload(source, options = {}) {
+    const tempPath = path.join(this.tempDir, `upload-${crypto.randomBytes(8).toString('hex')}`);
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+
+    // Hash the content while writing it to disk
+    await pipelineAsync(
+      source,
+      new Transform({
+        transform(chunk, encoding, callback) {
+          hash.update(chunk);
+          size += chunk.length;
+          callback(null, chunk);
+        }
+      }),
+      fs.createWriteStream(tempPath)
+    );
+
+    // Generate a file ID
+    const fileId = options.fileId || this._generateMockFileId(hash.digest('hex'));
+
+    // Store the file in our mock storage
+    const storagePath = path.join(this.tempDir, fileId);
+    await fs.move(tempPath, storagePath, { overwrite: true });
+
+    // Keep track of the file
+    this.files.set(fileId, {
+      id: fileId,
+      path: storagePath,
+      originalPath: source.path || null,
+      size,
+      createdAt: new Date()
+    });
+
+    return fileId;
+  }
+
+  /**
+   * Open a stream of a file in mock storage
+   * @param {string} fileId - ID of the file
+   * @param {Object} options - Read options
+   * @returns {Promise<stream.Readable>} - Stream of the file content
+   */
+  async createReadStream(fileId, options = {}) {
+    // Get the file from our mock storage
+    const fileInfo = this.files.get(fileId);
+
+    if (!fileInfo) {
+      if (this.config.strict) {
+        throw new NotFoundError(`File not found in mock storage: ${fileId}`, { ref: fileId });
+      }
+
+      // If the file is not in our storage, serve mock content
+      return Readable.from([Buffer.from(`Mock content for file ID: ${fileId}`)]);
+    }
+
+    return fs.createReadStream(fileInfo.path);
+  }
+
+  /**
+   * Delete a file from mock storage
+   * @param {string} fileId - ID of the file
+   * @param {Object} options - Deletion options
+   * @returns {Promise<boolean>} - Returns true if deletion was successful
+   */
+  async delete(fileId, options = {}) {
+    // Get the file from our mock storage
+    const fileInfo = this.files.get(fileId);
+
+    if (fileInfo) {
+      // Delete the file from the file system
+      await fs.remove(fileInfo.path);
+
+      // Remove it from our tracking
+      this.files.delete(fileId);
+    }
+
+    return true;
+  }
+
+  /**
+   * List all files in mock storage
+   * @param {Object} options - List options
+   * @returns {Promise<Array>} - Returns an array of file objects
+   */
+  async list(options = {}) {
+    // Convert Map to array of files
+    return Array.from(this.files.values()).map(file => ({
+      id: file.id,
+      size: file.size,
+      createdAt: file.createdAt
+    }));
+  }
+
+  /**
+   * Get information about a file in mock storage
+   * @param {string} fileId - ID of the file
+   * @param {Object} options - Stat options
+   * @returns {Promise<Object|null>} - Returns the file information or null if unknown
+   */
+  async stat(fileId, options = {}) {
+    const fileInfo = this.files.get(fileId);
+
+    if (!fileInfo) {
+      return null;
+    }
+
+    return {
+      id: fileInfo.id,
+      size: fileInfo.size,
+      createdAt: fileInfo.createdAt
+    };
+  }
+}
+
+module.exports = MockProvider;
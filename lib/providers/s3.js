@@ -0,0 +1,554 @@
+/**
+ * S3 storage provider for AetherDrive
+ * Stores files in any S3-compatible object store using signed REST requests
+ */
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const StorageProvider = require('./base');
+const { NotFoundError } = require('../errors');
+
+/**
+ * Hash of an empty payload, used for requests without a body
+ */
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+/**
+ * Smallest part S3 accepts in a multipart upload, except for the last one
+ */
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+
+/**
+ * URI-encode a string the way SigV4 expects (RFC 3986 unreserved characters only)
+ * @param {string} value - Value to encode
+ * @returns {string} - Encoded value
+ * @private
+ */
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Build a canonical (sorted, encoded) query string
+ * @param {Object} query - Query parameters
+ * @returns {string} - Canonical query string
+ * @private
+ */
+function canonicalQueryString(query = {}) {
+  return Object.keys(query)
+    .map(key => [encodeRfc3986(key), encodeRfc3986(query[key] === undefined || query[key] === null ? '' : String(query[key]))])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+}
+
+/**
+ * HMAC-SHA256 helper
+ * @param {Buffer|string} key - HMAC key
+ * @param {string} data - Data to sign
+ * @returns {Buffer} - The digest
+ * @private
+ */
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * Sign a request with AWS Signature Version 4
+ * @param {Object} request - Request to sign
+ * @param {string} request.method - HTTP method
+ * @param {string} request.host - Value of the Host header
+ * @param {string} request.path - URI-encoded request path
+ * @param {Object} request.query - Query parameters (unencoded)
+ * @param {Object} request.headers - Additional headers to sign
+ * @param {string} request.payloadHash - Hex SHA-256 of the body, or 'UNSIGNED-PAYLOAD'
+ * @param {Object} credentials - `{ accessKeyId, secretAccessKey, sessionToken }`
+ * @param {string} region - Region of the bucket
+ * @param {Date} date - Signing time (defaults to now)
+ * @returns {Object} - Headers to send, including `Authorization`
+ */
+function signRequest(request, credentials, region, date = new Date()) {
+  const { method, host, path: requestPath, query = {}, headers = {}, payloadHash = EMPTY_PAYLOAD_HASH } = request;
+  const { accessKeyId, secretAccessKey, sessionToken } = credentials;
+
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.substring(0, 8);
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+
+  const signedHeaders = {
+    ...headers,
+    host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  if (sessionToken) {
+    signedHeaders['x-amz-security-token'] = sessionToken;
+  }
+
+  // Header names are lower-cased and values trimmed with runs of spaces collapsed
+  const canonicalHeaders = {};
+  for (const [name, value] of Object.entries(signedHeaders)) {
+    canonicalHeaders[name.toLowerCase()] = String(value).trim().replace(/\s+/g, ' ');
+  }
+  const headerNames = Object.keys(canonicalHeaders).sort();
+
+  const canonicalRequest = [
+    method,
+    requestPath,
+    canonicalQueryString(query),
+    headerNames.map(name => `${name}:${canonicalHeaders[name]}\n`).join(''),
+    headerNames.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+  ].join('\n');
+
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...signedHeaders,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${headerNames.join(';')}, Signature=${signature}`
+  };
+}
+
+/**
+ * Decode the XML entities S3 uses in responses
+ * @param {string} value - Encoded value
+ * @returns {string} - Decoded value
+ * @private
+ */
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Escape a value for inclusion in an XML request body
+ * @param {string} value - Raw value
+ * @returns {string} - Escaped value
+ * @private
+ */
+function encodeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Get the text of every element with the given tag
+ * @param {string} xml - XML document
+ * @param {string} tag - Element name
+ * @returns {Array<string>} - Decoded element texts
+ * @private
+ */
+function xmlValues(xml, tag) {
+  const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g');
+  const values = [];
+  let match;
+
+  while ((match = pattern.exec(xml)) !== null) {
+    values.push(decodeXml(match[1]));
+  }
+
+  return values;
+}
+
+/**
+ * Get the text of the first element with the given tag
+ * @param {string} xml - XML document
+ * @param {string} tag - Element name
+ * @returns {string|null} - Decoded element text, or null if absent
+ * @private
+ */
+function xmlValue(xml, tag) {
+  const values = xmlValues(xml, tag);
+  return values.length > 0 ? values[0] : null;
+}
+
+/**
+ * S3Provider class storing files as objects in a bucket
+ */
+class S3Provider extends StorageProvider {
+  /**
+   * Create a new S3Provider instance
+   * @param {Object} config - Configuration for the storage provider
+   * @param {string} config.bucket - Bucket name
+   * @param {string} config.region - Bucket region (default: AWS_REGION or 'us-east-1')
+   * @param {string} config.endpoint - Endpoint URL for S3-compatible services (e.g. 'http://localhost:9000')
+   * @param {boolean} config.forcePathStyle - Address the bucket in the path instead of the host name
+   *   (default: true when an endpoint is given)
+   * @param {string} config.accessKeyId - Access key (default: AWS_ACCESS_KEY_ID)
+   * @param {string} config.secretAccessKey - Secret key (default: AWS_SECRET_ACCESS_KEY)
+   * @param {string} config.sessionToken - Session token for temporary credentials (default: AWS_SESSION_TOKEN)
+   * @param {string} config.prefix - Key prefix for all objects (default: '')
+   * @param {number} config.partSize - Size of multipart upload parts in bytes (default: 8 MiB, S3 minimum: 5 MiB).
+   *   Content that fits in a single part is sent with one PutObject request.
+   */
+  constructor(config = {}) {
+    super(config);
+    this.name = 's3';
+
+    if (!config.bucket) {
+      throw new Error('S3 storage requires a bucket (storageConfig.bucket)');
+    }
+
+    this.bucket = config.bucket;
+    this.region = config.region || process.env.AWS_REGION || 'us-east-1';
+    this.prefix = config.prefix || '';
+    this.credentials = {
+      accessKeyId: config.accessKeyId || process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: config.secretAccessKey || process.env.AWS_SECRET_ACCESS_KEY,
+      sessionToken: config.sessionToken || process.env.AWS_SESSION_TOKEN
+    };
+
+    if (!this.credentials.accessKeyId || !this.credentials.secretAccessKey) {
+      throw new Error('S3 storage requires accessKeyId and secretAccessKey');
+    }
+
+    const { partSize = 8 * 1024 * 1024 } = config;
+    if (!Number.isInteger(partSize) || partSize < MIN_PART_SIZE) {
+      // S3 would only reject smaller parts when the upload is completed
+      throw new Error(`S3 partSize must be an integer of at least ${MIN_PART_SIZE} bytes (5 MiB)`);
+    }
+    this.partSize = partSize;
+
+    // Custom endpoints (MinIO and friends) usually only support path-style addressing
+    this.endpoint = new URL(config.endpoint || `https://s3.${this.region}.amazonaws.com`);
+    this.forcePathStyle = config.forcePathStyle !== undefined ? config.forcePathStyle : Boolean(config.endpoint);
+  }
+
+  /**
+   * Get the object key for a storage ID
+   * @param {string} id - Storage ID
+   * @returns {string} - Object key
+   * @private
+   */
+  _key(id) {
+    return `${this.prefix}${id}`;
+  }
+
+  /**
+   * Send a signed request to the object store
+   * @param {string} method - HTTP method
+   * @param {string} key - Object key, or '' for bucket-level requests
+   * @param {Object} options - Request options
+   * @param {Object} options.query - Query parameters
+   * @param {Object} options.headers - Extra headers
+   * @param {Buffer|string} options.body - Request body
+   * @param {boolean} options.stream - Resolve a successful response with the body as a stream
+   * @returns {Promise<{statusCode: number, headers: Object, body: string|stream.Readable}>} - The response
+   * @private
+   */
+  _request(method, key, options = {}) {
+    const { query = {}, headers = {}, body = null, stream = false } = options;
+    const payload = body === null ? null : Buffer.from(body);
+
+    const basePath = this.endpoint.pathname.replace(/\/$/, '');
+    const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+    const host = this.forcePathStyle ? this.endpoint.host : `${this.bucket}.${this.endpoint.host}`;
+    const requestPath = this.forcePathStyle
+      ? `${basePath}/${this.bucket}${key ? `/${encodedKey}` : ''}`
+      : `${basePath}/${encodedKey}`;
+
+    const signedHeaders = signRequest({
+      method,
+      host,
+      path: requestPath,
+      query,
+      headers,
+      payloadHash: payload ? crypto.createHash('sha256').update(payload).digest('hex') : EMPTY_PAYLOAD_HASH
+    }, this.credentials, this.region);
+
+    if (payload) {
+      signedHeaders['content-length'] = payload.length;
+    }
+
+    const queryString = canonicalQueryString(query);
+    const transport = this.endpoint.protocol === 'http:' ? http : https;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request({
+        method,
+        hostname: this.forcePathStyle ? this.endpoint.hostname : `${this.bucket}.${this.endpoint.hostname}`,
+        port: this.endpoint.port || undefined,
+        path: queryString ? `${requestPath}?${queryString}` : requestPath,
+        headers: signedHeaders
+      }, res => {
+        const ok = res.statusCode >= 200 && res.statusCode < 300;
+
+        if (ok && stream) {
+          // Hand the body to the caller without buffering it
+          resolve({ statusCode: res.statusCode, headers: res.headers, body: res });
+          return;
+        }
+
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('error', reject);
+        res.on('end', () => {
+          resolve({ statusCode: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString('utf8') });
+        });
+      });
+
+      req.on('error', reject);
+      req.end(payload || undefined);
+    });
+  }
+
+  /**
+   * Throw an error describing a failed S3 response
+   * @param {string} operation - Name of the S3 operation
+   * @param {Object} response - Response returned by `_request`
+   * @private
+   */
+  _fail(operation, response) {
+    const code = xmlValue(response.body, 'Code') || `HTTP${response.statusCode}`;
+    const message = xmlValue(response.body, 'Message') || 'No error message returned';
+    const error = new Error(`S3 ${operation} failed (${response.statusCode} ${code}): ${message}`);
+    error.statusCode = response.statusCode;
+    error.s3Code = code;
+    throw error;
+  }
+
+  /**
+   * Split a stream into buffers of exactly `partSize` bytes (the last one may be shorter)
+   * @param {stream.Readable} source - Stream to split
+   * @returns {AsyncGenerator<Buffer>} - Yields the parts
+   * @private
+   */
+  async *_parts(source) {
+    let chunks = [];
+    let length = 0;
+
+    for await (const chunk of source) {
+      const buffer = Buffer.from(chunk);
+      chunks.push(buffer);
+      length += buffer.length;
+
+      while (length >= this.partSize) {
+        const joined = Buffer.concat(chunks, length);
+        yield joined.subarray(0, this.partSize);
+
+        const rest = joined.subarray(this.partSize);
+        chunks = rest.length > 0 ? [rest] : [];
+        length = rest.length;
+      }
+    }
+
+    if (length > 0) {
+      yield Buffer.concat(chunks, length);
+    }
+  }
+
+  /**
+   * Upload content as a new object
+   * @param {stream.Readable} source - Stream of the content to upload
+   * @param {Object} options - Upload options
+   * @param {string} options.contentType - Content type stored with the object
+   * @returns {Promise<string>} - Returns the storage ID
+   */
+  async upload(source, options = {}) {
+    const id = uuidv4();
+    const key = this._key(id);
+    const headers = options.contentType ? { 'content-type': options.contentType } : {};
+
+    // Reading ahead one part tells small uploads apart from multipart ones;
+    // memory use stays bounded by two parts
+    const parts = this._parts(source);
+    const first = await parts.next();
+    const second = first.done ? first : await parts.next();
+
+    if (second.done) {
+      const response = await this._request('PUT', key, {
+        headers,
+        body: first.done ? Buffer.alloc(0) : first.value
+      });
+      if (response.statusCode !== 200) {
+        this._fail('PutObject', response);
+      }
+      return id;
+    }
+
+    await this._multipartUpload(key, headers, (async function* () {
+      yield first.value;
+      yield second.value;
+      yield* parts;
+    })());
+
+    return id;
+  }
+
+  /**
+   * Upload parts as a multipart upload, aborting the upload if any part fails
+   * @param {string} key - Object key
+   * @param {Object} headers - Headers for the initiating request
+   * @param {AsyncIterable<Buffer>} parts - Content of the parts, in order
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _multipartUpload(key, headers, parts) {
+    const initiated = await this._request('POST', key, { query: { uploads: '' }, headers });
+    if (initiated.statusCode !== 200) {
+      this._fail('CreateMultipartUpload', initiated);
+    }
+    const uploadId = xmlValue(initiated.body, 'UploadId');
+
+    try {
+      const uploaded = [];
+      let partNumber = 1;
+
+      for await (const part of parts) {
+        const response = await this._request('PUT', key, {
+          query: { partNumber, uploadId },
+          body: part
+        });
+        if (response.statusCode !== 200) {
+          this._fail('UploadPart', response);
+        }
+
+        uploaded.push({ partNumber, etag: response.headers.etag });
+        partNumber++;
+      }
+
+      const completeBody = '<CompleteMultipartUpload>' +
+        uploaded.map(part => `<Part><PartNumber>${part.partNumber}</PartNumber><ETag>${encodeXml(part.etag)}</ETag></Part>`).join('') +
+        '</CompleteMultipartUpload>';
+
+      const completed = await this._request('POST', key, {
+        query: { uploadId },
+        headers: { 'content-type': 'application/xml' },
+        body: completeBody
+      });
+
+      // S3 can report a failed completion with a 200 status and an <Error> body
+      if (completed.statusCode !== 200 || /<Error>/.test(completed.body)) {
+        this._fail('CompleteMultipartUpload', completed);
+      }
+    } catch (error) {
+      // Don't leave orphaned parts behind; the abort itself is best effort
+      await this._request('DELETE', key, { query: { uploadId } }).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Open a stream of an object's content
+   * @param {string} id - Storage ID of the object
+   * @param {Object} options - Read options
+   * @returns {Promise<stream.Readable>} - Stream of the object content
+   */
+  async createReadStream(id, options = {}) {
+    const response = await this._request('GET', this._key(id), { stream: true });
+
+    if (response.statusCode === 404) {
+      throw new NotFoundError(`File not found in S3 storage: ${id}`, { ref: id });
+    }
+    if (response.statusCode !== 200) {
+      this._fail('GetObject', response);
+    }
+
+    return response.body;
+  }
+
+  /**
+   * Delete an object
+   * @param {string} id - Storage ID of the object
+   * @param {Object} options - Deletion options
+   * @returns {Promise<boolean>} - Returns true if deletion was successful
+   */
+  async delete(id, options = {}) {
+    const response = await this._request('DELETE', this._key(id));
+
+    if (response.statusCode !== 204 && response.statusCode !== 200) {
+      this._fail('DeleteObject', response);
+    }
+
+    return true;
+  }
+
+  /**
+   * List all objects below the configured prefix, following pagination
+   * @param {Object} options - List options
+   * @param {number} options.pageSize - Maximum number of keys per request (default: 1000)
+   * @returns {Promise<Array>} - Returns an array of file objects
+   */
+  async list(options = {}) {
+    const files = [];
+    let continuationToken = null;
+
+    do {
+      const query = { 'list-type': 2, 'max-keys': options.pageSize || 1000 };
+      if (this.prefix) {
+        query.prefix = this.prefix;
+      }
+      if (continuationToken) {
+        query['continuation-token'] = continuationToken;
+      }
+
+      const response = await this._request('GET', '', { query });
+      if (response.statusCode !== 200) {
+        this._fail('ListObjectsV2', response);
+      }
+
+      for (const entry of xmlValues(response.body, 'Contents')) {
+        files.push({
+          id: xmlValue(entry, 'Key').substring(this.prefix.length),
+          size: Number(xmlValue(entry, 'Size')),
+          createdAt: new Date(xmlValue(entry, 'LastModified'))
+        });
+      }
+
+      continuationToken = xmlValue(response.body, 'IsTruncated') === 'true'
+        ? xmlValue(response.body, 'NextContinuationToken')
+        : null;
+    } while (continuationToken);
+
+    return files;
+  }
+
+  /**
+   * Get information about an object
+   * @param {string} id - Storage ID of the object
+   * @param {Object} options - Stat options
+   * @returns {Promise<Object|null>} - Returns the object information or null if it does not exist
+   */
+  async stat(id, options = {}) {
+    const response = await this._request('HEAD', this._key(id));
+
+    if (response.statusCode === 404) {
+      return null;
+    }
+    if (response.statusCode !== 200) {
+      this._fail('HeadObject', response);
+    }
+
+    return {
+      id,
+      size: Number(response.headers['content-length']),
+      contentType: response.headers['content-type'],
+      etag: response.headers.etag,
+      createdAt: new Date(response.headers['last-modified'])
+    };
+  }
+}
+
+module.exports = {
+  S3Provider,
+  signRequest,
+  MIN_PART_SIZE
+};
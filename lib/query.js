@@ -0,0 +1,195 @@
+/**
+ * File queries for AetherDrive
+ * Filters, sorts and paginates file records for `listFiles`
+ *
+ * Pages are addressed with opaque cursors holding the sort value and ID of
+ * the last file returned, so paging stays consistent while files are added
+ * or removed between requests.
+ */
+
+/**
+ * Fields files can be sorted by, with how to read them from a record
+ */
+const SORT_FIELDS = {
+  name: record => record.name || '',
+  size: record => record.size || 0,
+  createdAt: record => new Date(record.createdAt).getTime(),
+  modifiedAt: record => new Date(record.modifiedAt || record.createdAt).getTime()
+};
+
+/**
+ * Convert a name glob to a regular expression
+ * @param {string} glob - Pattern where `*` matches any run of characters and `?` a single one
+ * @returns {RegExp} - Expression matching whole names
+ * @private
+ */
+function globToRegExp(glob) {
+  const source = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Convert a date filter to a timestamp
+ * @param {Date|string|number} value - Date, ISO string or timestamp
+ * @param {string} field - Option name, for error messages
+ * @returns {number} - Milliseconds since the epoch
+ * @private
+ */
+function toTime(value, field) {
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) {
+    throw new Error(`${field} must be a valid date`);
+  }
+  return time;
+}
+
+/**
+ * Build a predicate from the filter options of a query
+ * @param {Object} options - Query options
+ * @param {string|Array<string>} options.tag - Only files with this tag (or all of these tags)
+ * @param {string} options.contentType - Only files of this type; `image/*` matches all image types
+ * @param {number} options.minSize - Only files of at least this many bytes
+ * @param {number} options.maxSize - Only files of at most this many bytes
+ * @param {Date|string} options.createdAfter - Only files created at or after this time
+ * @param {Date|string} options.createdBefore - Only files created before this time
+ * @param {string} options.name - Only files whose name matches this glob (`*` and `?`)
+ * @param {Object} options.metadata - Only files whose metadata has these values
+ * @returns {Function} - Returns true for records matching every filter
+ * @private
+ */
+function buildFilter(options) {
+  const checks = [];
+
+  if (options.tag !== undefined) {
+    const tags = [].concat(options.tag);
+    checks.push(record => tags.every(tag => (record.tags || []).includes(tag)));
+  }
+
+  if (options.contentType !== undefined) {
+    const { contentType } = options;
+    checks.push(contentType.endsWith('/*')
+      ? record => (record.contentType || '').startsWith(contentType.slice(0, -1))
+      : record => record.contentType === contentType);
+  }
+
+  if (options.minSize !== undefined) {
+    checks.push(record => record.size >= options.minSize);
+  }
+  if (options.maxSize !== undefined) {
+    checks.push(record => record.size <= options.maxSize);
+  }
+
+  if (options.createdAfter !== undefined) {
+    const after = toTime(options.createdAfter, 'createdAfter');
+    checks.push(record => SORT_FIELDS.createdAt(record) >= after);
+  }
+  if (options.createdBefore !== undefined) {
+    const before = toTime(options.createdBefore, 'createdBefore');
+    checks.push(record => SORT_FIELDS.createdAt(record) < before);
+  }
+
+  if (options.name !== undefined) {
+    const pattern = globToRegExp(options.name);
+    checks.push(record => pattern.test(record.name || ''));
+  }
+
+  if (options.metadata !== undefined) {
+    const expected = Object.entries(options.metadata);
+    checks.push(record => expected.every(([key, value]) => (record.metadata || {})[key] === value));
+  }
+
+  return record => checks.every(check => check(record));
+}
+
+/**
+ * Encode a cursor pointing after a record
+ * @param {*} value - Sort value of the record
+ * @param {string} id - ID of the record
+ * @returns {string} - Opaque cursor
+ * @private
+ */
+function encodeCursor(value, id) {
+  // URL-safe base64 ('base64url' needs Node.js 15.7)
+  return Buffer.from(JSON.stringify([value, id])).toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Decode a cursor
+ * @param {string} cursor - Cursor returned with an earlier page
+ * @returns {Array} - `[value, id]`
+ * @private
+ */
+function decodeCursor(cursor) {
+  try {
+    // The base64 decoder accepts the URL-safe alphabet as well
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+    if (Array.isArray(decoded) && decoded.length === 2) {
+      return decoded;
+    }
+  } catch (error) {
+    // Reported below
+  }
+  throw new Error('Invalid cursor');
+}
+
+/**
+ * Filter, sort and paginate file records
+ * @param {Array<Object>} records - File records
+ * @param {Object} options - Query options: the filters accepted by `buildFilter`, plus
+ * @param {string} options.sortBy - `name`, `size`, `createdAt` (default) or `modifiedAt`
+ * @param {string} options.order - `asc` (default) or `desc`
+ * @param {number} options.limit - Maximum number of records to return
+ * @param {string} options.cursor - Cursor returned with the previous page
+ * @returns {{records: Array<Object>, nextCursor: string|null}} - The page, and the cursor of the
+ *   next one (null if this is the last page)
+ */
+function queryRecords(records, options = {}) {
+  const { sortBy = 'createdAt', order = 'asc', limit, cursor } = options;
+
+  const sortValue = SORT_FIELDS[sortBy];
+  if (!sortValue) {
+    throw new Error(`Cannot sort by ${sortBy} (use ${Object.keys(SORT_FIELDS).join(', ')})`);
+  }
+  if (order !== 'asc' && order !== 'desc') {
+    throw new Error(`order must be 'asc' or 'desc'`);
+  }
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+    throw new Error('limit must be a positive integer');
+  }
+
+  // Ties are broken by ID, so every record has a distinct position
+  const direction = order === 'asc' ? 1 : -1;
+  const compare = ([valueA, idA], [valueB, idB]) => {
+    if (valueA !== valueB) {
+      return (valueA < valueB ? -1 : 1) * direction;
+    }
+    return (idA < idB ? -1 : idA > idB ? 1 : 0) * direction;
+  };
+
+  const filter = buildFilter(options);
+  let entries = records
+    .filter(filter)
+    .map(record => ({ key: [sortValue(record), record.id], record }))
+    .sort((a, b) => compare(a.key, b.key));
+
+  if (cursor !== undefined && cursor !== null) {
+    const after = decodeCursor(cursor);
+    entries = entries.filter(entry => compare(entry.key, after) > 0);
+  }
+
+  if (limit === undefined || entries.length <= limit) {
+    return { records: entries.map(entry => entry.record), nextCursor: null };
+  }
+
+  const page = entries.slice(0, limit);
+  const last = page[page.length - 1].key;
+
+  return { records: page.map(entry => entry.record), nextCursor: encodeCursor(last[0], last[1]) };
+}
+
+module.exports = {
+  queryRecords
+};
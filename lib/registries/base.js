@@ -0,0 +1,100 @@
+/**
+ * Base file registry for AetherDrive
+ * Documents the contract every registry backend has to implement
+ */
+
+/**
+ * FileRegistry class describing the registry contract.
+ *
+ * The registry maps file IDs to the records kept by `FileManager` (storage
+ * ID, name, size, ...). Reads are synchronous and served from memory once the
+ * registry has been opened; writes return a promise that resolves when the
+ * change has been stored. A backend is any object exposing the methods below;
+ * extending this class is optional.
+ */
+class FileRegistry {
+  /**
+   * Create a new FileRegistry instance
+   * @param {Object} config - Configuration for the registry
+   */
+  constructor(config = {}) {
+    this.config = config;
+
+    // Name used in error messages
+    this.name = 'base';
+  }
+
+  /**
+   * Load the registry; called once before any other method
+   * @returns {Promise<void>}
+   */
+  async open() {
+    throw new Error(`open is not implemented by the ${this.name} registry`);
+  }
+
+  /**
+   * Get the record of a file
+   * @param {string} id - File ID
+   * @returns {Object|undefined} - The record, or undefined if the file is not registered
+   */
+  get(id) {
+    throw new Error(`get is not implemented by the ${this.name} registry`);
+  }
+
+  /**
+   * Check whether a file is registered
+   * @param {string} id - File ID
+   * @returns {boolean} - Returns true if the file is registered
+   */
+  has(id) {
+    return this.get(id) !== undefined;
+  }
+
+  /**
+   * Get the records of all files
+   * @returns {Array<Object>} - Records in insertion order
+   */
+  values() {
+    throw new Error(`values is not implemented by the ${this.name} registry`);
+  }
+
+  /**
+   * Add or replace the record of a file
+   * @param {string} id - File ID
+   * @param {Object} record - JSON-serializable record (Dates are allowed)
+   * @returns {Promise<void>}
+   */
+  async set(id, record) {
+    throw new Error(`set is not implemented by the ${this.name} registry`);
+  }
+
+  /**
+   * Remove the record of a file
+   * @param {string} id - File ID
+   * @returns {Promise<boolean>} - Returns true if the file was registered
+   */
+  async delete(id) {
+    throw new Error(`delete is not implemented by the ${this.name} registry`);
+  }
+
+  /**
+   * Remove all records
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    throw new Error(`clear is not implemented by the ${this.name} registry`);
+  }
+
+  /**
+   * Release any resources held by the registry
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+/**
+ * Names of the methods a registry has to implement
+ */
+FileRegistry.METHODS = ['open', 'get', 'has', 'values', 'set', 'delete', 'clear', 'close'];
+
+module.exports = FileRegistry;
@@ -0,0 +1,466 @@
+/**
+ * Journal file registry for AetherDrive
+ * Persists records in an append-only journal that survives restarts and crashes
+ *
+ * Every change is appended to the journal as one line of JSON and flushed to
+ * disk before the write resolves:
+ *
+ *   {"op":"set","id":"...","record":{...}}
+ *   {"op":"delete","id":"..."}
+ *   {"op":"clear"}
+ *
+ * The journal is replayed when the registry is opened. A crash in the middle
+ * of an append can only leave an incomplete final line; it is discarded (the
+ * change it described was never acknowledged) and cut off before the next
+ * append. Any other unreadable line means the file is corrupt, and opening
+ * fails rather than silently dropping records.
+ *
+ * Once the journal holds many more entries than there are live records, it is
+ * compacted: the live records are written to a temporary file, which is
+ * flushed and then renamed over the journal. The rename is atomic, so a crash
+ * leaves either the old or the new journal in place.
+ *
+ * Only one registry may use a journal at a time. Opening it takes a lock file
+ * next to the journal (`<path>.lock`, holding the process ID), and fails if
+ * another registry holds it, in this process or another one. A lock left by a
+ * process that no longer runs is taken over.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const FileRegistry = require('./base');
+
+/**
+ * Number of journal entries written before compaction is considered
+ */
+const DEFAULT_COMPACT_THRESHOLD = 1000;
+
+/**
+ * Fields holding Dates, which JSON turns into strings: those of records, of
+ * their versions and of their share links. Other strings, such as names and
+ * metadata, are left alone even if they look like dates.
+ */
+const RECORD_DATES = ['createdAt', 'modifiedAt', 'deletedAt'];
+const VERSION_DATES = ['createdAt', 'rotatedAt'];
+const LINK_DATES = ['createdAt', 'expiresAt'];
+
+/**
+ * Turn the date strings of an object's date fields back into Dates
+ * @param {Object} object - Parsed object, changed in place
+ * @param {Array<string>} fields - Names of its date fields
+ * @private
+ */
+function reviveFields(object, fields) {
+  for (const field of fields) {
+    if (typeof object[field] === 'string') {
+      object[field] = new Date(object[field]);
+    }
+  }
+}
+
+/**
+ * Restore the Dates of a record read from the journal
+ * @param {Object} record - Parsed record, changed in place
+ * @returns {Object} - The record
+ * @private
+ */
+function reviveRecord(record) {
+  if (!record || typeof record !== 'object') {
+    return record;
+  }
+
+  reviveFields(record, RECORD_DATES);
+  for (const version of Array.isArray(record.versions) ? record.versions : []) {
+    reviveFields(version, VERSION_DATES);
+  }
+  for (const link of Object.values(record.shareLinks || {})) {
+    reviveFields(link, LINK_DATES);
+  }
+
+  return record;
+}
+
+/**
+ * Check whether a process is running
+ * @param {number} pid - Process ID
+ * @returns {boolean} - Returns true unless the process is known not to exist
+ * @private
+ */
+function isRunning(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) {
+    // An unreadable lock file is being written by its holder
+    return true;
+  }
+
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: it exists, but belongs to another user
+    return error.code !== 'ESRCH';
+  }
+}
+
+/**
+ * JournalRegistry class persisting records in an append-only journal
+ */
+class JournalRegistry extends FileRegistry {
+  /**
+   * Create a new JournalRegistry instance
+   * @param {Object} config - Configuration for the registry
+   * @param {string} config.path - Path of the journal file
+   * @param {number} config.compactThreshold - Entries written before compaction is considered (default: 1000)
+   * @param {boolean} config.sync - Flush every change to disk before acknowledging it (default: true)
+   */
+  constructor(config = {}) {
+    super(config);
+    this.name = 'journal';
+
+    if (!config.path) {
+      throw new Error('The journal registry requires a file path (registryPath)');
+    }
+
+    this.path = path.resolve(config.path);
+    this.tempPath = `${this.path}.compact`;
+    this.lockPath = `${this.path}.lock`;
+    this.compactThreshold = config.compactThreshold || DEFAULT_COMPACT_THRESHOLD;
+    this.sync = config.sync !== false;
+
+    this.records = new Map();
+    this.entries = 0;
+    this.fd = null;
+    this.locked = false;
+
+    // Changes are applied one at a time, in the order they were requested
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Replay the journal and open it for appending
+   * @returns {Promise<void>}
+   */
+  async open() {
+    if (this.fd !== null) {
+      return;
+    }
+
+    await fs.ensureDir(path.dirname(this.path));
+    await this._lock();
+
+    try {
+      // Left over from a compaction that crashed before the rename
+      await fs.remove(this.tempPath);
+
+      let content = '';
+      try {
+        content = await fs.readFile(this.path, 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw new Error(`Failed to open registry: ${error.message}`);
+        }
+      }
+
+      const validLength = this._replay(content);
+
+      // Drop a torn final entry so the next one starts on a fresh line
+      if (validLength < Buffer.byteLength(content)) {
+        await fs.truncate(this.path, validLength);
+      }
+
+      this.fd = await fs.open(this.path, 'a');
+
+      if (this._shouldCompact()) {
+        await this._compact();
+      }
+    } catch (error) {
+      if (this.fd !== null) {
+        await fs.close(this.fd);
+        this.fd = null;
+      }
+      this.records.clear();
+      this.entries = 0;
+      await this._unlock();
+      throw error;
+    }
+  }
+
+  /**
+   * Get the record of a file
+   * @param {string} id - File ID
+   * @returns {Object|undefined} - The record, or undefined if the file is not registered
+   */
+  get(id) {
+    return this.records.get(id);
+  }
+
+  /**
+   * Get the records of all files
+   * @returns {Array<Object>} - Records in insertion order
+   */
+  values() {
+    return Array.from(this.records.values());
+  }
+
+  /**
+   * Add or replace the record of a file
+   * @param {string} id - File ID
+   * @param {Object} record - JSON-serializable record; Dates are allowed in the date fields of
+   *   records, versions and share links (`createdAt`, `modifiedAt`, `deletedAt`, `rotatedAt`,
+   *   `expiresAt`)
+   * @returns {Promise<void>}
+   */
+  async set(id, record) {
+    await this._append({ op: 'set', id, record });
+  }
+
+  /**
+   * Remove the record of a file
+   * @param {string} id - File ID
+   * @returns {Promise<boolean>} - Returns true if the file was registered
+   */
+  async delete(id) {
+    if (!this.records.has(id)) {
+      return false;
+    }
+
+    await this._append({ op: 'delete', id });
+    return true;
+  }
+
+  /**
+   * Remove all records
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this._append({ op: 'clear' });
+  }
+
+  /**
+   * Rewrite the journal so it only holds the live records
+   * @returns {Promise<void>}
+   */
+  async compact() {
+    return this._enqueue(() => this._compact());
+  }
+
+  /**
+   * Close the journal and release its lock
+   * @returns {Promise<void>}
+   */
+  async close() {
+    return this._enqueue(async () => {
+      if (this.fd !== null) {
+        await fs.close(this.fd);
+        this.fd = null;
+      }
+      await this._unlock();
+    });
+  }
+
+  /**
+   * Take the lock file, so no other registry uses the journal
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _lock() {
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      try {
+        await fs.writeFile(this.lockPath, `${process.pid}\n`, { flag: 'wx' });
+        this.locked = true;
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw new Error(`Failed to open registry: ${error.message}`);
+        }
+      }
+
+      let holder;
+      try {
+        holder = parseInt(await fs.readFile(this.lockPath, 'utf8'), 10);
+      } catch (error) {
+        // Released since, so try again
+        continue;
+      }
+
+      if (isRunning(holder)) {
+        const by = Number.isInteger(holder) ? ` by process ${holder}` : '';
+        throw new Error(`Failed to open registry: ${this.path} is in use${by} (lock file ${this.lockPath})`);
+      }
+
+      // Left behind by a process that crashed
+      await fs.remove(this.lockPath);
+    }
+
+    throw new Error(`Failed to open registry: could not take the lock file ${this.lockPath}`);
+  }
+
+  /**
+   * Release the lock file, if this registry holds it
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _unlock() {
+    if (this.locked) {
+      this.locked = false;
+      await fs.remove(this.lockPath);
+    }
+  }
+
+  /**
+   * Apply a journal entry to the in-memory records
+   * @param {Object} entry - Journal entry
+   * @private
+   */
+  _apply(entry) {
+    switch (entry.op) {
+      case 'set':
+        this.records.set(entry.id, entry.record);
+        break;
+      case 'delete':
+        this.records.delete(entry.id);
+        break;
+      case 'clear':
+        this.records.clear();
+        break;
+      default:
+        throw new Error(`Unknown registry journal operation: ${entry.op}`);
+    }
+  }
+
+  /**
+   * Replay the content of the journal
+   * @param {string} content - Content of the journal file
+   * @returns {number} - Length in bytes of the complete, valid entries
+   * @private
+   */
+  _replay(content) {
+    const lines = content.split('\n');
+    let validLength = 0;
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const isLast = i === lines.length - 1;
+
+      // The content after the final newline is either empty or a torn entry
+      if (isLast) {
+        break;
+      }
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // Only the final entry can be torn by a crash; anything else is corruption
+        if (i === lines.length - 2 && lines[i + 1] === '') {
+          break;
+        }
+        throw new Error(`Failed to open registry: ${this.path} is corrupt at line ${i + 1}`);
+      }
+
+      if (entry.op === 'set') {
+        reviveRecord(entry.record);
+      }
+      this._apply(entry);
+      this.entries++;
+      validLength += Buffer.byteLength(line) + 1;
+    }
+
+    return validLength;
+  }
+
+  /**
+   * Run a task once all earlier changes have completed
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} - Resolves with the result of the task
+   * @private
+   */
+  _enqueue(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Durably append an entry, then apply it
+   * @param {Object} entry - Journal entry
+   * @returns {Promise<void>}
+   * @private
+   */
+  _append(entry) {
+    return this._enqueue(async () => {
+      if (this.fd === null) {
+        throw new Error('The registry is not open');
+      }
+
+      await fs.write(this.fd, `${JSON.stringify(entry)}\n`);
+      if (this.sync) {
+        await fs.fsync(this.fd);
+      }
+
+      this._apply(entry);
+      this.entries++;
+
+      if (this._shouldCompact()) {
+        await this._compact();
+      }
+    });
+  }
+
+  /**
+   * Check whether the journal has grown enough to be worth compacting
+   * @returns {boolean} - Returns true if the journal should be compacted
+   * @private
+   */
+  _shouldCompact() {
+    return this.entries >= this.compactThreshold && this.entries > 2 * this.records.size;
+  }
+
+  /**
+   * Replace the journal with one holding only the live records
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _compact() {
+    const lines = Array.from(this.records, ([id, record]) => `${JSON.stringify({ op: 'set', id, record })}\n`);
+
+    // Write the new journal next to the old one and flush it before the rename
+    const tempFd = await fs.open(this.tempPath, 'w');
+    try {
+      await fs.write(tempFd, lines.join(''));
+      await fs.fsync(tempFd);
+    } finally {
+      await fs.close(tempFd);
+    }
+
+    await fs.rename(this.tempPath, this.path);
+    await this._syncDirectory();
+
+    // The old descriptor still points at the replaced file
+    if (this.fd !== null) {
+      await fs.close(this.fd);
+    }
+    this.fd = await fs.open(this.path, 'a');
+    this.entries = lines.length;
+  }
+
+  /**
+   * Flush the directory entry of the journal, so the rename survives a crash
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _syncDirectory() {
+    let fd;
+    try {
+      fd = await fs.open(path.dirname(this.path), 'r');
+      await fs.fsync(fd);
+    } catch (error) {
+      // Not supported on every platform (e.g. Windows); the rename itself is still atomic
+    } finally {
+      if (fd !== undefined) {
+        await fs.close(fd);
+      }
+    }
+  }
+}
+
+module.exports = JournalRegistry;
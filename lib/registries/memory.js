@@ -0,0 +1,73 @@
+/**
+ * In-memory file registry for AetherDrive
+ * Keeps records in a Map; everything is lost when the process exits
+ */
+
+const FileRegistry = require('./base');
+
+/**
+ * MemoryRegistry class keeping records in memory
+ */
+class MemoryRegistry extends FileRegistry {
+  /**
+   * Create a new MemoryRegistry instance
+   * @param {Object} config - Configuration for the registry
+   */
+  constructor(config = {}) {
+    super(config);
+    this.name = 'memory';
+    this.records = new Map();
+  }
+
+  /**
+   * Load the registry
+   * @returns {Promise<void>}
+   */
+  async open() {}
+
+  /**
+   * Get the record of a file
+   * @param {string} id - File ID
+   * @returns {Object|undefined} - The record, or undefined if the file is not registered
+   */
+  get(id) {
+    return this.records.get(id);
+  }
+
+  /**
+   * Get the records of all files
+   * @returns {Array<Object>} - Records in insertion order
+   */
+  values() {
+    return Array.from(this.records.values());
+  }
+
+  /**
+   * Add or replace the record of a file
+   * @param {string} id - File ID
+   * @param {Object} record - Record of the file
+   * @returns {Promise<void>}
+   */
+  async set(id, record) {
+    this.records.set(id, record);
+  }
+
+  /**
+   * Remove the record of a file
+   * @param {string} id - File ID
+   * @returns {Promise<boolean>} - Returns true if the file was registered
+   */
+  async delete(id) {
+    return this.records.delete(id);
+  }
+
+  /**
+   * Remove all records
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.records.clear();
+  }
+}
+
+module.exports = MemoryRegistry;
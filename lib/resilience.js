@@ -0,0 +1,334 @@
+/**
+ * Resilience for AetherDrive
+ * Retries, timeouts and a circuit breaker around storage provider calls
+ *
+ * A provider call that fails with a transient error (a dropped connection, a
+ * timeout, an HTTP 429 or 5xx) is retried after an exponentially growing,
+ * randomized delay. Repeated transient failures open the circuit breaker:
+ * calls then fail fast, without reaching the provider, until `resetTimeout`
+ * has passed and a trial call is let through (the `half-open` state). A
+ * successful trial closes the circuit again; a failed one re-opens it.
+ */
+
+const { AbortError, TimeoutError, CircuitOpenError } = require('./errors');
+
+/**
+ * Retry policy used when none is configured
+ */
+const DEFAULT_RETRY = Object.freeze({ retries: 2, minDelay: 100, maxDelay: 2000, factor: 2 });
+
+/**
+ * Circuit breaker policy used when none is configured
+ */
+const DEFAULT_CIRCUIT_BREAKER = Object.freeze({ failureThreshold: 5, resetTimeout: 30000 });
+
+/**
+ * Error codes of failures worth retrying
+ */
+const TRANSIENT_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'ENETDOWN',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT'
+]);
+
+/**
+ * Check whether an error is worth retrying
+ *
+ * Providers can mark their own errors with `transient: true` (or `false`).
+ * @param {Error} error - The error
+ * @returns {boolean} - Returns true for network errors, timeouts, HTTP 429 and 5xx
+ */
+function isTransient(error) {
+  if (!error) {
+    return false;
+  }
+  if (typeof error.transient === 'boolean') {
+    return error.transient;
+  }
+  // fetch puts the code of the underlying network error in its cause
+  if (error instanceof TimeoutError || TRANSIENT_CODES.has(error.code) ||
+    (error.cause && TRANSIENT_CODES.has(error.cause.code))) {
+    return true;
+  }
+
+  const status = statusOf(error);
+  return status === 429 || (status >= 500 && status < 600);
+}
+
+/**
+ * Get the HTTP status of a failed request
+ * @param {Error} error - The error
+ * @returns {number|undefined} - The status, if the error has one
+ */
+function statusOf(error) {
+  // HTTP clients put the status in different places; the AWS SDK uses $metadata
+  return error.status || error.statusCode || (error.$metadata && error.$metadata.httpStatusCode) ||
+    (error.response && error.response.status);
+}
+
+/**
+ * Get the delay before a retry, with "full jitter": a random time up to the
+ * exponentially growing cap, so clients don't retry in lockstep
+ * @param {number} attempt - Number of the retry, starting at 0
+ * @param {Object} policy - Retry policy
+ * @param {Function} random - Source of random numbers in [0, 1)
+ * @returns {number} - Delay in milliseconds
+ */
+function backoffDelay(attempt, policy, random = Math.random) {
+  const cap = Math.min(policy.maxDelay, policy.minDelay * Math.pow(policy.factor, attempt));
+  return Math.round(random() * cap);
+}
+
+/**
+ * Wait before a retry
+ * @param {number} milliseconds - Time to wait
+ * @param {AbortSignal} signal - Signal that cuts the wait short, if any
+ * @returns {Promise<void>}
+ */
+function delay(milliseconds, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(new AbortError(signal.reason));
+    }
+
+    const abort = () => {
+      clearTimeout(timer);
+      reject(new AbortError(signal.reason));
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', abort);
+      }
+      resolve();
+    }, milliseconds);
+
+    if (signal) {
+      signal.addEventListener('abort', abort, { once: true });
+    }
+  });
+}
+
+/**
+ * Check that a retry policy is valid
+ * @param {Object|boolean} policy - Retry policy, or false to never retry
+ * @returns {Object} - The complete policy, with defaults filled in
+ */
+function validateRetry(policy = {}) {
+  if (policy === false) {
+    return { ...DEFAULT_RETRY, retries: 0 };
+  }
+  if (policy === null || typeof policy !== 'object') {
+    throw new Error('retry must be an object or false');
+  }
+
+  const merged = { ...DEFAULT_RETRY, ...policy };
+  if (!Number.isInteger(merged.retries) || merged.retries < 0) {
+    throw new Error('retry.retries must be a non-negative integer');
+  }
+  for (const key of ['minDelay', 'maxDelay']) {
+    if (typeof merged[key] !== 'number' || !(merged[key] >= 0)) {
+      throw new Error(`retry.${key} must be a non-negative number of milliseconds`);
+    }
+  }
+  if (typeof merged.factor !== 'number' || !(merged.factor >= 1)) {
+    throw new Error('retry.factor must be a number of at least 1');
+  }
+  if (merged.retryOn !== undefined && typeof merged.retryOn !== 'function') {
+    throw new Error('retry.retryOn must be a function');
+  }
+
+  return merged;
+}
+
+/**
+ * Check that a provider call timeout is valid
+ * @param {number|Object} timeout - Milliseconds for every call, or per provider method,
+ *   e.g. `{ upload: 60000, stat: 5000 }`; 0 or undefined for no timeout
+ * @returns {number|Object|undefined} - The timeout
+ */
+function validateTimeout(timeout) {
+  const isValid = value => value === undefined || (typeof value === 'number' && value >= 0);
+  const values = timeout !== null && typeof timeout === 'object' ? Object.values(timeout) : [timeout];
+
+  if (!values.every(isValid)) {
+    throw new Error('timeout must be a number of milliseconds, or an object of them keyed by provider method');
+  }
+  return timeout;
+}
+
+/**
+ * Get the timeout of a provider method
+ * @param {number|Object} timeout - Validated timeout configuration
+ * @param {string} method - Provider method
+ * @returns {number} - Milliseconds, or 0 for no timeout
+ */
+function timeoutOf(timeout, method) {
+  const value = timeout !== null && typeof timeout === 'object' ? timeout[method] : timeout;
+  return value || 0;
+}
+
+/**
+ * Wait for a promise, failing with a `TimeoutError` if it takes too long
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} timeout - Milliseconds to wait, or 0 to wait forever
+ * @param {string} operation - What is waited for, for the error message
+ * @returns {Promise<*>} - Returns the promise's result
+ */
+function withTimeout(promise, timeout, operation) {
+  if (!timeout) {
+    return promise;
+  }
+
+  let timer;
+  const expired = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new TimeoutError(operation, timeout)), timeout);
+  });
+
+  // The call may still settle after timing out; nobody is waiting for it then
+  promise.catch(() => {});
+  return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * CircuitBreaker class tracking the health of a provider
+ */
+class CircuitBreaker {
+  /**
+   * Create a new CircuitBreaker instance
+   * @param {string} name - Name of the guarded provider, for error messages
+   * @param {Object|boolean} options - Circuit breaker policy, or false to never open
+   * @param {number} options.failureThreshold - Consecutive transient failures that open the circuit
+   * @param {number} options.resetTimeout - Milliseconds the circuit stays open before a trial call
+   * @param {Function} now - Clock, returning milliseconds
+   */
+  constructor(name, options = {}, now = Date.now) {
+    if (options !== false && (options === null || typeof options !== 'object')) {
+      throw new Error('circuitBreaker must be an object or false');
+    }
+
+    this.name = name;
+    this.enabled = options !== false;
+    this.policy = { ...DEFAULT_CIRCUIT_BREAKER, ...(options || {}) };
+    this.now = now;
+
+    if (!Number.isInteger(this.policy.failureThreshold) || this.policy.failureThreshold < 1) {
+      throw new Error('circuitBreaker.failureThreshold must be a positive integer');
+    }
+    if (typeof this.policy.resetTimeout !== 'number' || !(this.policy.resetTimeout >= 0)) {
+      throw new Error('circuitBreaker.resetTimeout must be a non-negative number of milliseconds');
+    }
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialRunning = false;
+    this.lastError = null;
+  }
+
+  /**
+   * Let a call through, or fail fast while the circuit is open
+   *
+   * Once the reset timeout has passed, a single trial call is let through.
+   */
+  check() {
+    if (this.state === 'closed') {
+      return;
+    }
+
+    const retryAt = this.openedAt + this.policy.resetTimeout;
+    if (this.state === 'open' && this.now() >= retryAt) {
+      this.state = 'half-open';
+    }
+    if (this.state === 'half-open' && !this.trialRunning) {
+      this.trialRunning = true;
+      return;
+    }
+
+    throw new CircuitOpenError(this.name, new Date(retryAt));
+  }
+
+  /**
+   * Record a successful call, closing the circuit
+   */
+  success() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialRunning = false;
+  }
+
+  /**
+   * Record the end of a call, so another trial can be made if it was one;
+   * calls that say nothing about the provider's health, such as cancelled
+   * ones, record nothing else
+   */
+  release() {
+    this.trialRunning = false;
+  }
+
+  /**
+   * Record a failed call
+   *
+   * Only transient failures count: a missing file says nothing about the
+   * health of the provider.
+   * @param {Error} error - The error the call failed with
+   * @param {boolean} transient - Whether the error is transient
+   */
+  failure(error, transient) {
+    if (!transient) {
+      // The provider answered, so it is up: the failures before were not consecutive, and a
+      // trial call has succeeded as far as the provider's health goes
+      this.success();
+      return;
+    }
+
+    this.failures++;
+    this.lastError = error.message;
+    this.trialRunning = false;
+
+    if (this.enabled && (this.state === 'half-open' || this.failures >= this.policy.failureThreshold)) {
+      this.state = 'open';
+      this.openedAt = this.now();
+    }
+  }
+
+  /**
+   * Describe the state of the circuit for health checks
+   * @returns {Object} - `{ state, failures, lastError, openedAt, retryAt }`; the times are null
+   *   while the circuit is closed
+   */
+  status() {
+    const open = this.openedAt !== null;
+    return {
+      state: this.state,
+      failures: this.failures,
+      lastError: this.lastError,
+      openedAt: open ? new Date(this.openedAt) : null,
+      retryAt: open ? new Date(this.openedAt + this.policy.resetTimeout) : null
+    };
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRY,
+  DEFAULT_CIRCUIT_BREAKER,
+  TimeoutError,
+  CircuitOpenError,
+  CircuitBreaker,
+  isTransient,
+  statusOf,
+  backoffDelay,
+  delay,
+  validateRetry,
+  validateTimeout,
+  timeoutOf,
+  withTimeout
+};
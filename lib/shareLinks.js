@@ -0,0 +1,159 @@
+/**
+ * Share links for AetherDrive
+ * Signed, expiring tokens giving access to a single file
+ *
+ * A token names a file and one of its links, signed with HMAC-SHA256:
+ *
+ *   base64url(JSON [fileId, linkId]) "." base64url(HMAC(secret, payload))
+ *
+ * The link itself lives in the file record, under `shareLinks[linkId]`, with
+ * its expiry, download limit and count, and password hash. Revoking a link
+ * removes it, so its tokens stop working even though their signature is valid.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { NotFoundError } = require('./errors');
+
+const pbkdf2Async = promisify(crypto.pbkdf2);
+
+/**
+ * PBKDF2 iterations for link passwords
+ */
+const PASSWORD_ITERATIONS = 100000;
+
+/**
+ * Minimum length of the signing secret, in bytes
+ */
+const MIN_SECRET_LENGTH = 32;
+
+/**
+ * Milliseconds per unit of `expiresIn` durations
+ */
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Encode a buffer as URL-safe base64
+ * @param {Buffer} buffer - Data to encode
+ * @returns {string} - Encoded data, without padding
+ * @private
+ */
+function toBase64Url(buffer) {
+  // 'base64url' needs Node.js 15.7
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Check that a signing secret is strong enough
+ * @param {string|Buffer} secret - Secret to sign tokens with
+ * @returns {Buffer} - The secret
+ */
+function validateSecret(secret) {
+  const bytes = typeof secret === 'string' ? Buffer.from(secret) : secret;
+
+  if (!Buffer.isBuffer(bytes) || bytes.length < MIN_SECRET_LENGTH) {
+    throw new Error(`shareSecret must be a string or Buffer of at least ${MIN_SECRET_LENGTH} bytes`);
+  }
+
+  return bytes;
+}
+
+/**
+ * Sign a token for a share link
+ * @param {Buffer} secret - Signing secret
+ * @param {string} fileId - ID of the shared file
+ * @param {string} linkId - ID of the link
+ * @returns {string} - The token
+ */
+function signToken(secret, fileId, linkId) {
+  const payload = toBase64Url(Buffer.from(JSON.stringify([fileId, linkId])));
+  const signature = toBase64Url(crypto.createHmac('sha256', secret).update(payload).digest());
+
+  return `${payload}.${signature}`;
+}
+
+/**
+ * Verify the signature of a share link token
+ * @param {Buffer} secret - Signing secret
+ * @param {string} token - Token to verify
+ * @returns {{fileId: string, linkId: string}} - What the token points at
+ */
+function verifyToken(secret, token) {
+  const [payload, signature, ...rest] = typeof token === 'string' ? token.split('.') : [];
+
+  if (payload && signature && rest.length === 0) {
+    const expected = crypto.createHmac('sha256', secret).update(payload).digest();
+    // The base64 decoder accepts the URL-safe alphabet as well
+    const actual = Buffer.from(signature, 'base64');
+
+    if (actual.length === expected.length && crypto.timingSafeEqual(actual, expected)) {
+      const [fileId, linkId] = JSON.parse(Buffer.from(payload, 'base64').toString('utf8'));
+      return { fileId, linkId };
+    }
+  }
+
+  // Forged and damaged tokens point at no link; the token itself is left off the error
+  throw new NotFoundError('Invalid share link');
+}
+
+/**
+ * Convert an `expiresIn` duration to milliseconds
+ * @param {number|string} duration - Milliseconds, or a number with a unit: `30s`, `15m`, `24h`, `7d`
+ * @returns {number} - Milliseconds
+ */
+function parseDuration(duration) {
+  const match = typeof duration === 'string' && /^(\d+)([smhd])$/.exec(duration);
+  const milliseconds = match ? Number(match[1]) * DURATION_UNITS[match[2]] : duration;
+
+  if (typeof milliseconds !== 'number' || !(milliseconds > 0) || milliseconds === Infinity) {
+    throw new Error(`expiresIn must be a positive number of milliseconds or a duration such as '7d', not ${duration}`);
+  }
+
+  return milliseconds;
+}
+
+/**
+ * Hash a link password
+ * @param {string} password - Password
+ * @returns {Promise<Object>} - Returns `{ salt, hash }`, hex-encoded
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await pbkdf2Async(password, salt, PASSWORD_ITERATIONS, 32, 'sha256');
+
+  return { salt: salt.toString('hex'), hash: hash.toString('hex') };
+}
+
+/**
+ * Check a password against a link's password hash
+ * @param {string} password - Password given
+ * @param {Object} stored - `{ salt, hash }` from `hashPassword`
+ * @returns {Promise<boolean>} - Returns true if the password matches
+ */
+async function checkPassword(password, stored) {
+  const hash = await pbkdf2Async(String(password), Buffer.from(stored.salt, 'hex'), PASSWORD_ITERATIONS, 32, 'sha256');
+
+  return crypto.timingSafeEqual(hash, Buffer.from(stored.hash, 'hex'));
+}
+
+/**
+ * Describe a share link without its password hash
+ * @param {string} id - ID of the link
+ * @param {Object} link - Link stored in the file record
+ * @returns {Object} - The link's `id`, `createdAt`, `createdBy`, `expiresAt`, `maxDownloads`,
+ *   `downloads` and whether it has a `password`
+ */
+function describeLink(id, link) {
+  const { password, ...rest } = link;
+  return { id, ...rest, password: Boolean(password) };
+}
+
+module.exports = {
+  validateSecret,
+  signToken,
+  verifyToken,
+  parseDuration,
+  hashPassword,
+  checkPassword,
+  describeLink
+};
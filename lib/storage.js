@@ -5,17 +5,41 @@
 
 const fs = require('fs-extra');
 const path = require('path');
-const crypto = require('crypto');
-const os = require('os');
-
-// Try to load ipfs-http-client, but don't fail if it's not available
-let ipfsHttpClient;
-try {
-  ipfsHttpClient = require('ipfs-http-client');
-} catch (error) {
-  console.log('IPFS HTTP Client not available. Using mock IPFS client for testing.');
-  ipfsHttpClient = null;
-}
+const { promisify } = require('util');
+const { PassThrough, pipeline } = require('stream');
+const StorageProvider = require('./providers/base');
+const MockProvider = require('./providers/mock');
+const LocalProvider = require('./providers/local');
+const { S3Provider } = require('./providers/s3');
+const { createIpfsProvider } = require('./providers/ipfs');
+const { throwIfAborted, createTransferStream } = require('./transfer');
+const {
+  AetherDriveError,
+  NotFoundError,
+  QuotaExceededError,
+  ProviderUnavailableError,
+  TimeoutError,
+  AbortError,
+  failure
+} = require('./errors');
+const {
+  CircuitBreaker,
+  isTransient,
+  statusOf,
+  backoffDelay,
+  delay,
+  validateRetry,
+  validateTimeout,
+  timeoutOf,
+  withTimeout
+} = require('./resilience');
+
+const pipelineAsync = promisify(pipeline);
+
+/**
+ * Registered provider factories, keyed by storage type
+ */
+const providers = new Map();
 
 /**
  * Storage class for handling file uploads and downloads
@@ -23,21 +47,53 @@ try {
 class Storage {
   /**
    * Create a new Storage instance
-   * @param {string} storageType - Type of storage provider to use (currently only 'ipfs' is supported)
+   * @param {string} storageType - Type of storage provider to use (see `Storage.registerProvider`)
    * @param {Object} config - Configuration for the storage provider
+   * @param {Object|boolean} config.retry - Retry policy for transient provider errors,
+   *   `{ retries, minDelay, maxDelay, factor, retryOn }`, or false to never retry
+   *   (default: 2 retries, 100ms to 2s apart)
+   * @param {number|Object} config.timeout - Milliseconds a provider call may take, for every
+   *   method or per method, e.g. `{ upload: 60000, stat: 5000 }` (default: no timeout)
+   * @param {Object|boolean} config.circuitBreaker - `{ failureThreshold, resetTimeout }`, or false
+   *   to never fail fast (default: open after 5 failures, for 30s)
+   * @param {boolean} config.strict - Let provider errors propagate instead of falling back, and
+   *   only use mock storage when it is asked for (default: false)
+   * @param {boolean} config.mock - In strict mode, allow mock storage to stand in for the provider
    */
   constructor(storageType = 'ipfs', config = {}) {
     this.storageType = storageType;
     this.config = config;
+    this.retry = validateRetry(config.retry);
+    this.timeout = validateTimeout(config.timeout);
+    this.strict = Boolean(config.strict);
+
+    this._initializeStorage();
+  }
 
-    // Create a temporary directory for mock storage
-    this.tempDir = path.join(os.tmpdir(), 'aetherdrive-storage-' + Date.now());
-    fs.ensureDirSync(this.tempDir);
+  /**
+   * Register a storage provider factory
+   * @param {string} name - Storage type the provider is selected with
+   * @param {Function} factory - Function called with `(config, storage)` that returns a provider
+   *   implementing the `StorageProvider` contract
+   */
+  static registerProvider(name, factory) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Provider name must be a non-empty string');
+    }
+    if (typeof factory !== 'function') {
+      throw new Error(`Provider factory for "${name}" must be a function`);
+    }
 
-    // Initialize storage files Map for mock storage
-    this.files = new Map();
+    providers.set(name, factory);
+  }
 
-    this._initializeStorage();
+  /**
+   * Check whether a storage provider is registered
+   * @param {string} name - Storage type
+   * @returns {boolean} - Returns true if a factory is registered under that name
+   */
+  static hasProvider(name) {
+    return providers.has(name);
   }
 
   /**
@@ -45,115 +101,236 @@ class Storage {
    * @private
    */
   _initializeStorage() {
-    switch (this.storageType) {
-      case 'ipfs':
-        if (ipfsHttpClient) {
-          try {
-            // Use the IPFS client if available
-            const { host = 'ipfs.infura.io', port = 5001, protocol = 'https' } = this.config;
-            const url = `${protocol}://${host}:${port}`;
-            this.ipfs = ipfsHttpClient.create({ url });
-            this.usingMock = false;
-          } catch (error) {
-            console.error('Failed to initialize IPFS client:', error.message);
-            this._initializeMockStorage();
-          }
-        } else {
-          // Fall back to mock storage if IPFS client is not available
-          this._initializeMockStorage();
+    const factory = providers.get(this.storageType);
+
+    if (!factory) {
+      throw new Error(`Unsupported storage type: ${this.storageType}`);
+    }
+
+    const provider = factory(this.config, this);
+
+    // Make sure the provider honours the contract before we start using it
+    for (const method of StorageProvider.METHODS) {
+      if (!provider || typeof provider[method] !== 'function') {
+        throw new Error(`Storage provider "${this.storageType}" does not implement ${method}()`);
+      }
+    }
+
+    this.provider = provider;
+    this.usingMock = provider instanceof MockProvider;
+    this.circuitBreaker = new CircuitBreaker(provider.name || this.storageType, this.config.circuitBreaker);
+  }
+
+  /**
+   * Get the health of the storage provider, for health checks
+   * @returns {Object} - `{ provider, usingMock, state, failures, lastError, openedAt, retryAt }`,
+   *   where `state` is the circuit breaker's: `closed` (healthy), `open` (failing fast) or
+   *   `half-open` (trying the provider again)
+   */
+  health() {
+    return {
+      provider: this.provider.name || this.storageType,
+      usingMock: this.usingMock,
+      ...this.circuitBreaker.status()
+    };
+  }
+
+  /**
+   * Call a provider method, retrying transient errors and falling back to the
+   * provider's fallback once they are exhausted
+   * @param {string} method - Name of the provider method
+   * @param {Function} getArgs - Returns the arguments for the provider method; called once per
+   *   attempt so streams can be recreated for retries and the fallback
+   * @param {Object} options - Invocation options
+   * @param {boolean} options.replayable - Whether the arguments can be used for another attempt
+   *   (false for caller-supplied streams, which can only be consumed once)
+   * @param {AbortSignal} options.signal - Signal that stops the retries
+   * @returns {Promise<*>} - Result of the provider call
+   * @private
+   */
+  async _invoke(method, getArgs, options = {}) {
+    const { replayable = true } = options;
+
+    try {
+      return await this._attempt(method, getArgs, options);
+    } catch (error) {
+      // A cancelled transfer must not be retried elsewhere, and strict mode
+      // only falls back when mock storage is allowed
+      if (!this.provider.fallback || !replayable || error instanceof AbortError ||
+        !MockProvider.allowedBy(this.config)) {
+        throw error;
+      }
+
+      console.error(`${this.provider.name || this.storageType} ${method} error:`, error.message);
+      return this.provider.fallback[method](...getArgs());
+    }
+  }
+
+  /**
+   * Call a provider method through the circuit breaker, with its timeout,
+   * retrying transient errors with exponential backoff
+   * @param {string} method - Name of the provider method
+   * @param {Function} getArgs - Returns the arguments for the provider method
+   * @param {Object} options - Invocation options, as for `_invoke`
+   * @returns {Promise<*>} - Result of the provider call
+   * @private
+   */
+  async _attempt(method, getArgs, options = {}) {
+    const { replayable = true, signal } = options;
+    const retries = replayable ? this.retry.retries : 0;
+    const retryOn = this.retry.retryOn || isTransient;
+    const operation = `${this.provider.name || this.storageType} ${method}`;
+
+    for (let attempt = 0; ; attempt++) {
+      // Fails fast while the provider is known to be down
+      this.circuitBreaker.check();
+
+      let args;
+      let call;
+      let called = false;
+
+      try {
+        args = getArgs();
+        call = this.provider[method](...args);
+        called = true;
+
+        const result = await withTimeout(call, timeoutOf(this.timeout, method), operation);
+        this.circuitBreaker.success();
+        return result;
+      } catch (error) {
+        // Throwing before making a call, or being cancelled, says nothing about the provider's health
+        if (!called || error instanceof AbortError) {
+          throw error;
         }
-        break;
-      default:
-        throw new Error(`Unsupported storage type: ${this.storageType}`);
+        if (error instanceof TimeoutError) {
+          this._abandon(args, call, error);
+        }
+
+        const transient = retryOn(error);
+        this.circuitBreaker.failure(error, transient);
+        if (!transient || attempt >= retries) {
+          throw this._classify(error, operation, transient);
+        }
+      } finally {
+        // If this was the trial call, it is over, whatever happened
+        this.circuitBreaker.release();
+      }
+
+      await delay(backoffDelay(attempt, this.retry), signal);
+    }
+  }
+
+  /**
+   * Turn a provider error into the AetherDrive error it stands for
+   * @param {Error} error - Error the provider call failed with
+   * @param {string} operation - The call, e.g. `ipfs upload`
+   * @param {boolean} transient - Whether the error is transient
+   * @returns {Error} - The error to throw; errors that don't stand for one are returned unchanged
+   * @private
+   */
+  _classify(error, operation, transient) {
+    if (error instanceof AetherDriveError) {
+      return error;
+    }
+
+    const status = statusOf(error);
+    const provider = this.provider.name || this.storageType;
+
+    if (status === 404) {
+      return new NotFoundError(`${operation} failed: ${error.message}`, { cause: error });
+    }
+    if (status === 507 || error.code === 'ENOSPC' || error.code === 'EDQUOT') {
+      return new QuotaExceededError(`${provider} is out of space: ${error.message}`, { cause: error });
     }
+    if (transient) {
+      return new ProviderUnavailableError(`${operation} failed: ${error.message}`, { provider, cause: error });
+    }
+    return error;
   }
 
   /**
-   * Initialize a mock storage provider for testing or when IPFS is not available
+   * Release the streams of a provider call that timed out
+   * @param {Array} args - Arguments of the call
+   * @param {Promise} call - The call, which may still resolve
+   * @param {Error} error - The timeout error
    * @private
    */
-  _initializeMockStorage() {
-    console.log('Using mock storage provider');
-    this.usingMock = true;
+  _abandon(args, call, error) {
+    const isStream = value => value && typeof value.destroy === 'function';
+
+    // Stop feeding content to the call, and close whatever it opens late
+    args.filter(isStream).forEach(stream => stream.destroy(error));
+    call.then(result => isStream(result) && result.destroy(), () => {});
   }
 
   /**
-   * Generate a file ID for mock storage
-   * @param {Buffer} content - File content
-   * @returns {string} - A mock file ID
+   * Create the streams of a `transform` option
+   *
+   * Progress is counted on the content as it is read from its source, before
+   * it passes through them.
+   * @param {Object} options - Transfer options
+   * @returns {Array<stream.Duplex>} - The streams, if any
    * @private
    */
-  _generateMockFileId(content) {
-    const hash = crypto.createHash('sha256').update(content).digest('hex');
-    return `mock-${hash.substring(0, 8)}`;
+  _transformsOf(options) {
+    return options.transform ? [].concat(options.transform()) : [];
   }
 
   /**
    * Upload a file to the storage provider
    * @param {string} filePath - Path to the file to upload
    * @param {Object} options - Upload options
+   * @param {Function} options.onProgress - Called with `{ bytesTransferred, totalBytes }` as the
+   *   file is read
+   * @param {Function} options.transform - Returns the stream, or array of streams, the content is
+   *   piped through on its way to the provider (e.g. to encrypt it); called again for every attempt
+   * @param {AbortSignal} options.signal - Signal to cancel the upload with
    * @returns {Promise<string>} - Returns the file ID (e.g., IPFS hash)
    */
   async uploadFile(filePath, options = {}) {
     try {
-      // Check if file exists
-      await fs.access(filePath);
-
-      const fileContent = await fs.readFile(filePath);
-
-      if (this.storageType === 'ipfs') {
-        if (!this.usingMock && this.ipfs) {
-          try {
-            // Use the real IPFS client
-            const { path: fileId } = await this.ipfs.add(fileContent, options);
-            return fileId;
-          } catch (error) {
-            console.error('IPFS upload error:', error.message);
-            // Fall back to mock storage on error
-            return this._mockUploadFile(filePath, fileContent, options);
-          }
-        } else {
-          // Use mock storage
-          return this._mockUploadFile(filePath, fileContent, options);
-        }
-      }
-
-      throw new Error(`Upload not implemented for storage type: ${this.storageType}`);
+      throwIfAborted(options.signal);
+
+      // Check if file exists and get its size for progress reports
+      const { size } = await fs.stat(filePath).catch(error => {
+        throw error.code === 'ENOENT' ? new NotFoundError(`File not found: ${filePath}`, { ref: filePath, cause: error }) : error;
+      });
+
+      // The file is streamed to the provider rather than read into memory
+      return await this._invoke('upload', () => [
+        pipeline(
+          fs.createReadStream(filePath),
+          createTransferStream({ ...options, totalBytes: size }),
+          ...this._transformsOf(options),
+          () => {}
+        ),
+        options
+      ], { signal: options.signal });
     } catch (error) {
-      if (error.code === 'ENOENT') {
-        throw new Error(`File not found: ${filePath}`);
-      }
-      throw error;
+      throw failure('upload file', error);
     }
   }
 
   /**
-   * Upload a file to mock storage
-   * @param {string} filePath - Path to the file
-   * @param {Buffer} fileContent - File content
+   * Upload the content of a readable stream to the storage provider
+   * @param {stream.Readable} readable - Stream of the content to upload
    * @param {Object} options - Upload options
-   * @returns {Promise<string>} - Returns the file ID
-   * @private
+   * @param {Function} options.onProgress - Called with `{ bytesTransferred, totalBytes }` as the
+   *   stream is read
+   * @param {number} options.totalBytes - Size of the content, if known, for progress reports
+   * @param {Function} options.transform - Returns the stream, or array of streams, the content is
+   *   piped through on its way to the provider
+   * @param {AbortSignal} options.signal - Signal to cancel the upload with
+   * @returns {Promise<string>} - Returns the file ID (e.g., IPFS hash)
    */
-  async _mockUploadFile(filePath, fileContent, options = {}) {
-    // Generate a file ID
-    const fileId = options.fileId || this._generateMockFileId(fileContent);
-
-    // Store the file in our mock storage
-    const storagePath = path.join(this.tempDir, fileId);
-    await fs.writeFile(storagePath, fileContent);
-
-    // Keep track of the file
-    this.files.set(fileId, {
-      id: fileId,
-      path: storagePath,
-      content: fileContent,
-      originalPath: filePath,
-      size: fileContent.length,
-      createdAt: new Date()
-    });
-
-    return fileId;
+  async uploadStream(readable, options = {}) {
+    if (!readable || typeof readable.pipe !== 'function') {
+      throw new Error('uploadStream expects a readable stream');
+    }
+    throwIfAborted(options.signal);
+
+    const source = pipeline(readable, createTransferStream(options), ...this._transformsOf(options), () => {});
+    return this._invoke('upload', () => [source, options], { replayable: false, signal: options.signal });
   }
 
   /**
@@ -161,67 +338,75 @@ class Storage {
    * @param {string} fileId - ID of the file to download
    * @param {string} destination - Path where the file should be saved
    * @param {Object} options - Download options
+   * @param {Function} options.onProgress - Called with `{ bytesTransferred, totalBytes }` as the
+   *   file is written
+   * @param {number} options.totalBytes - Size of the file, if known, for progress reports
+   * @param {Function} options.transform - Returns the stream, or array of streams, the content is
+   *   piped through before it is written (e.g. to decrypt it)
+   * @param {AbortSignal} options.signal - Signal to cancel the download with
    * @returns {Promise<string>} - Returns the path to the downloaded file
    */
   async downloadFile(fileId, destination, options = {}) {
+    let writing = false;
+
     try {
+      throwIfAborted(options.signal);
+
       // Ensure the destination directory exists
       await fs.ensureDir(path.dirname(destination));
 
-      if (this.storageType === 'ipfs') {
-        if (!this.usingMock && this.ipfs) {
-          try {
-            // Use the real IPFS client
-            const chunks = [];
-
-            // Fetch the file from IPFS
-            for await (const chunk of this.ipfs.cat(fileId, options)) {
-              chunks.push(chunk);
-            }
-
-            // Combine chunks and write to destination
-            const fileContent = Buffer.concat(chunks);
-            await fs.writeFile(destination, fileContent);
-
-            return destination;
-          } catch (error) {
-            console.error('IPFS download error:', error.message);
-            // Fall back to mock storage on error
-            return this._mockDownloadFile(fileId, destination, options);
-          }
-        } else {
-          // Use mock storage
-          return this._mockDownloadFile(fileId, destination, options);
-        }
-      }
+      const source = await this._invoke('createReadStream', () => [fileId, options], { signal: options.signal });
+      throwIfAborted(options.signal);
 
-      throw new Error(`Download not implemented for storage type: ${this.storageType}`);
+      writing = true;
+      await pipelineAsync(
+        source,
+        createTransferStream(options),
+        ...this._transformsOf(options),
+        fs.createWriteStream(destination)
+      );
+
+      return destination;
     } catch (error) {
-      throw new Error(`Failed to download file: ${error.message}`);
+      // Don't leave a partial file behind
+      if (writing) {
+        await fs.remove(destination);
+      }
+      throw failure('download file', error);
     }
   }
 
   /**
-   * Download a file from mock storage
-   * @param {string} fileId - ID of the file
-   * @param {string} destination - Destination path
-   * @param {Object} options - Download options
-   * @returns {Promise<string>} - Returns the destination path
-   * @private
+   * Open a readable stream of a file in the storage provider
+   *
+   * The stream is returned immediately; lookup errors are emitted on it.
+   * @param {string} fileId - ID of the file to read
+   * @param {Object} options - Read options
+   * @param {Function} options.onProgress - Called with `{ bytesTransferred, totalBytes }` as the
+   *   stream is read
+   * @param {number} options.totalBytes - Size of the file, if known, for progress reports
+   * @param {Function} options.transform - Returns the stream, or array of streams, the content is
+   *   piped through before it is returned
+   * @param {AbortSignal} options.signal - Signal to destroy the stream with
+   * @returns {stream.Readable} - Stream of the file content
    */
-  async _mockDownloadFile(fileId, destination, options = {}) {
-    // Get the file from our mock storage
-    const fileInfo = this.files.get(fileId);
-
-    if (!fileInfo) {
-      // If the file is not in our storage, create a mock file
-      await fs.writeFile(destination, `Mock content for file ID: ${fileId}`);
-    } else {
-      // Write the file content to the destination
-      await fs.writeFile(destination, fileInfo.content);
-    }
-
-    return destination;
+  createReadStream(fileId, options = {}) {
+    const output = new PassThrough();
+
+    Promise.resolve()
+      .then(() => {
+        throwIfAborted(options.signal);
+        return this._invoke('createReadStream', () => [fileId, options], { signal: options.signal });
+      })
+      .then(source => {
+        // pipeline destroys the output with the source's error, if any
+        pipeline(source, createTransferStream(options), ...this._transformsOf(options), output, () => {});
+      })
+      .catch(error => {
+        output.destroy(failure('read file', error));
+      });
+
+    return output;
   }
 
   /**
@@ -232,52 +417,12 @@ class Storage {
    */
   async deleteFile(fileId, options = {}) {
     try {
-      if (this.storageType === 'ipfs') {
-        if (!this.usingMock && this.ipfs) {
-          try {
-            // Note: IPFS doesn't support direct deletion from the network.
-            // We can only "unpin" the file, which makes it eligible for garbage collection.
-            await this.ipfs.pin.rm(fileId, options);
-            return true;
-          } catch (error) {
-            console.error('IPFS deletion error:', error.message);
-            // Fall back to mock storage on error
-            return this._mockDeleteFile(fileId, options);
-          }
-        } else {
-          // Use mock storage
-          return this._mockDeleteFile(fileId, options);
-        }
-      }
-
-      throw new Error(`Deletion not implemented for storage type: ${this.storageType}`);
+      return await this._invoke('delete', () => [fileId, options]);
     } catch (error) {
-      throw new Error(`Failed to delete file: ${error.message}`);
+      throw failure('delete file', error);
     }
   }
 
-  /**
-   * Delete a file from mock storage
-   * @param {string} fileId - ID of the file
-   * @param {Object} options - Deletion options
-   * @returns {Promise<boolean>} - Returns true if deletion was successful
-   * @private
-   */
-  async _mockDeleteFile(fileId, options = {}) {
-    // Get the file from our mock storage
-    const fileInfo = this.files.get(fileId);
-
-    if (fileInfo) {
-      // Delete the file from the file system
-      await fs.remove(fileInfo.path);
-
-      // Remove it from our tracking
-      this.files.delete(fileId);
-    }
-
-    return true;
-  }
-
   /**
    * List all files in the storage provider
    * @param {Object} options - List options
@@ -285,51 +430,45 @@ class Storage {
    */
   async listFiles(options = {}) {
     try {
-      if (this.storageType === 'ipfs') {
-        if (!this.usingMock && this.ipfs) {
-          try {
-            const files = [];
-
-            // List all pinned files
-            for await (const file of this.ipfs.pin.ls(options)) {
-              files.push({
-                id: file.cid.toString(),
-                type: file.type,
-              });
-            }
-
-            return files;
-          } catch (error) {
-            console.error('IPFS list error:', error.message);
-            // Fall back to mock storage on error
-            return this._mockListFiles(options);
-          }
-        } else {
-          // Use mock storage
-          return this._mockListFiles(options);
-        }
-      }
+      return await this._invoke('list', () => [options]);
+    } catch (error) {
+      throw failure('list files', error);
+    }
+  }
 
-      throw new Error(`List not implemented for storage type: ${this.storageType}`);
+  /**
+   * Get information about a file in the storage provider
+   * @param {string} fileId - ID of the file
+   * @param {Object} options - Stat options
+   * @returns {Promise<Object|null>} - Returns the file information or null if it does not exist
+   */
+  async statFile(fileId, options = {}) {
+    try {
+      return await this._invoke('stat', () => [fileId, options]);
     } catch (error) {
-      throw new Error(`Failed to list files: ${error.message}`);
+      throw failure('stat file', error);
     }
   }
 
   /**
-   * List all files in mock storage
-   * @param {Object} options - List options
-   * @returns {Promise<Array>} - Returns an array of file objects
-   * @private
+   * Check whether a file exists in the storage provider
+   * @param {string} fileId - ID of the file
+   * @param {Object} options - Options for the provider
+   * @returns {Promise<boolean>} - Returns true if the file exists
    */
-  async _mockListFiles(options = {}) {
-    // Convert Map to array of files
-    return Array.from(this.files.values()).map(file => ({
-      id: file.id,
-      size: file.size,
-      createdAt: file.createdAt
-    }));
+  async fileExists(fileId, options = {}) {
+    try {
+      return await this._invoke('exists', () => [fileId, options]);
+    } catch (error) {
+      throw failure('check file', error);
+    }
   }
 }
 
+// Built-in providers
+Storage.registerProvider('ipfs', config => createIpfsProvider(config));
+Storage.registerProvider('mock', config => new MockProvider(config));
+Storage.registerProvider('local', config => new LocalProvider(config));
+Storage.registerProvider('s3', config => new S3Provider(config));
+
 module.exports = Storage;
@@ -0,0 +1,327 @@
+/**
+ * Segmented streaming encryption for AetherDrive
+ * Encrypts data as a sequence of fixed-size authenticated chunks
+ *
+ * Follows the STREAM construction (Hoang, Reyhanitabar, Rogaway, Vizár):
+ * every chunk is sealed with AES-256-GCM under a nonce made of a random
+ * prefix, the chunk counter and a flag marking the final chunk:
+ *
+ *   nonce = prefix (7 bytes) | counter (4 bytes, big-endian) | last (1 byte)
+ *
+ * The counter prevents chunks from being reordered or dropped from the
+ * middle, and the final-chunk flag makes truncation at a chunk boundary
+ * fail authentication. Each encrypted chunk is `chunkSize` bytes of
+ * ciphertext followed by a 16-byte tag; only the final chunk may be shorter
+ * (and is present even for empty input).
+ */
+
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { hasHeader, readHeader } = require('./encryptionFormat');
+const { IntegrityError, DecryptionError } = require('./errors');
+
+/**
+ * AEAD used for every chunk
+ */
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Length of the random nonce prefix, authentication tag and complete nonce in bytes
+ */
+const NONCE_PREFIX_LENGTH = 7;
+const TAG_LENGTH = 16;
+const NONCE_LENGTH = 12;
+
+/**
+ * Default plaintext size of a chunk
+ */
+const DEFAULT_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Largest chunk counter that fits the nonce
+ */
+const MAX_COUNTER = 0xffffffff;
+
+/**
+ * Build the nonce of a chunk
+ * @param {Buffer} prefix - Random nonce prefix from the header
+ * @param {number} counter - Index of the chunk
+ * @param {boolean} last - Whether this is the final chunk
+ * @returns {Buffer} - The 12-byte nonce
+ * @private
+ */
+function chunkNonce(prefix, counter, last) {
+  if (counter > MAX_COUNTER) {
+    throw new Error('Too many chunks for a single encrypted stream');
+  }
+
+  const nonce = Buffer.alloc(NONCE_LENGTH);
+  prefix.copy(nonce, 0);
+  nonce.writeUInt32BE(counter, NONCE_PREFIX_LENGTH);
+  nonce.writeUInt8(last ? 1 : 0, NONCE_LENGTH - 1);
+  return nonce;
+}
+
+/**
+ * Create the error reported for any authentication failure
+ * @returns {IntegrityError} - The integrity error
+ * @private
+ */
+function integrityError() {
+  // GCM cannot tell a wrong password from modified data; both fail authentication
+  return new IntegrityError('Integrity check failed: the data has been modified or the password is incorrect');
+}
+
+/**
+ * Transform stream encrypting its input into the chunked format
+ */
+class EncryptStream extends Transform {
+  /**
+   * Create a new EncryptStream instance
+   * @param {Object} options - Stream options
+   * @param {Buffer|Promise<Buffer>} options.key - 32-byte content key, or a promise of it while
+   *   it is being derived
+   * @param {Buffer} options.header - Encoded header, written before the first chunk
+   * @param {Buffer} options.aad - Header core authenticated with every chunk (default: the whole header)
+   * @param {Buffer} options.noncePrefix - Random nonce prefix recorded in the header
+   * @param {number} options.chunkSize - Plaintext size of each chunk
+   */
+  constructor({ key, header, aad = header, noncePrefix, chunkSize }) {
+    super();
+    this.keyReady = Promise.resolve(key);
+    this.aad = aad;
+    this.noncePrefix = noncePrefix;
+    this.chunkSize = chunkSize;
+    this.counter = 0;
+    this.pending = [];
+    this.pendingLength = 0;
+
+    // A failed derivation fails the first write; a stream destroyed before it must not leave it unhandled
+    this.keyReady.catch(() => {});
+
+    this.push(header);
+  }
+
+  /**
+   * Encrypt a single chunk
+   * @param {Buffer} plaintext - Content of the chunk
+   * @param {boolean} last - Whether this is the final chunk
+   * @private
+   */
+  _seal(plaintext, last) {
+    const cipher = crypto.createCipheriv(ALGORITHM, this.key, chunkNonce(this.noncePrefix, this.counter, last), {
+      authTagLength: TAG_LENGTH
+    });
+    cipher.setAAD(this.aad);
+
+    this.push(Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]));
+    this.counter++;
+  }
+
+  /**
+   * Encrypt the complete chunks of the data received so far
+   * @param {Buffer} chunk - Data received
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _receive(chunk) {
+    this.key = await this.keyReady;
+    this.pending.push(chunk);
+    this.pendingLength += chunk.length;
+
+    // A chunk is only sealed once more data follows it, so the final one
+    // can always be marked as such in _flush
+    if (this.pendingLength > this.chunkSize) {
+      let buffer = Buffer.concat(this.pending, this.pendingLength);
+      while (buffer.length > this.chunkSize) {
+        this._seal(buffer.subarray(0, this.chunkSize), false);
+        buffer = buffer.subarray(this.chunkSize);
+      }
+      this.pending = [buffer];
+      this.pendingLength = buffer.length;
+    }
+  }
+
+  /**
+   * Encrypt the final chunk once the input has ended
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _finish() {
+    this.key = await this.keyReady;
+    this._seal(Buffer.concat(this.pending, this.pendingLength), true);
+  }
+
+  _transform(chunk, encoding, callback) {
+    this._receive(chunk).then(() => callback(), callback);
+  }
+
+  _flush(callback) {
+    this._finish().then(() => callback(), callback);
+  }
+}
+
+/**
+ * Transform stream decrypting the chunked format
+ *
+ * Chunked (version 2 and later) input is decrypted chunk by chunk, so memory use is
+ * bounded by the chunk size. Older formats have a single authentication tag
+ * at the end and are collected in full before being handed to
+ * `decryptBuffered`.
+ */
+class DecryptStream extends Transform {
+  /**
+   * Create a new DecryptStream instance
+   * @param {Object} options - Stream options
+   * @param {Function} options.deriveKey - Called with the parsed header and its raw bytes, returns the
+   *   32-byte content key or a promise of it
+   * @param {Function} options.decryptBuffered - Called with the complete input for formats that
+   *   cannot be streamed, returns the plaintext or a promise of it
+   */
+  constructor({ deriveKey, decryptBuffered }) {
+    super();
+    this.deriveKey = deriveKey;
+    this.decryptBuffered = decryptBuffered;
+
+    // 'header' until the header is parsed, then 'chunks' or 'buffered'
+    this.mode = 'header';
+    this.pending = [];
+    this.pendingLength = 0;
+    this.counter = 0;
+  }
+
+  /**
+   * Decrypt a single chunk
+   * @param {Buffer} data - Ciphertext and tag of the chunk
+   * @param {boolean} last - Whether this is the final chunk
+   * @private
+   */
+  _open(data, last) {
+    if (data.length < TAG_LENGTH) {
+      throw integrityError();
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, this.key, chunkNonce(this.header.nonce, this.counter, last), {
+      authTagLength: TAG_LENGTH
+    });
+    decipher.setAAD(this.aad);
+    decipher.setAuthTag(data.subarray(data.length - TAG_LENGTH));
+
+    const plaintext = decipher.update(data.subarray(0, data.length - TAG_LENGTH));
+    try {
+      decipher.final();
+    } catch (authError) {
+      throw integrityError();
+    }
+
+    this.push(plaintext);
+    this.counter++;
+  }
+
+  /**
+   * Parse the header once enough data has arrived
+   * @param {Buffer} buffer - Data read so far
+   * @returns {Promise<Buffer|null>} - Returns the data following the header, or null while still
+   *   waiting for it
+   * @private
+   */
+  async _readHeader(buffer) {
+    if (buffer.length < 4) {
+      return null;
+    }
+
+    if (!hasHeader(buffer)) {
+      this.mode = 'buffered';
+      return buffer;
+    }
+
+    const header = readHeader(buffer);
+    if (!header) {
+      return null;
+    }
+
+    if (header.version < 2) {
+      this.mode = 'buffered';
+      return buffer;
+    }
+
+    this.header = header;
+    this.aad = Buffer.from(buffer.subarray(0, header.coreLength));
+    this.key = await this.deriveKey(header, buffer.subarray(0, header.length));
+    this.mode = 'chunks';
+    return buffer.subarray(header.length);
+  }
+
+  /**
+   * Decrypt the complete chunks of the data received so far
+   * @param {Buffer} chunk - Data received
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _receive(chunk) {
+    this.pending.push(chunk);
+    this.pendingLength += chunk.length;
+
+    if (this.mode === 'header') {
+      const rest = await this._readHeader(Buffer.concat(this.pending, this.pendingLength));
+      if (rest === null) {
+        return;
+      }
+      this.pending = [rest];
+      this.pendingLength = rest.length;
+    }
+
+    if (this.mode === 'chunks') {
+      const encryptedChunkSize = this.header.chunkSize + TAG_LENGTH;
+
+      // As when encrypting, a chunk is only known not to be the last once more data follows it
+      if (this.pendingLength > encryptedChunkSize) {
+        let buffer = Buffer.concat(this.pending, this.pendingLength);
+        while (buffer.length > encryptedChunkSize) {
+          this._open(buffer.subarray(0, encryptedChunkSize), false);
+          buffer = buffer.subarray(encryptedChunkSize);
+        }
+        this.pending = [buffer];
+        this.pendingLength = buffer.length;
+      }
+    }
+  }
+
+  /**
+   * Decrypt what is left once the input has ended
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _finish() {
+    const rest = Buffer.concat(this.pending, this.pendingLength);
+
+    if (this.mode === 'header') {
+      // Too short to be any supported format
+      if (hasHeader(rest)) {
+        throw new DecryptionError('Invalid encrypted file header: unexpected end of data');
+      }
+      this.push(await this.decryptBuffered(rest));
+    } else if (this.mode === 'buffered') {
+      this.push(await this.decryptBuffered(rest));
+    } else {
+      // The final chunk must be present and flagged as final
+      this._open(rest, true);
+    }
+  }
+
+  _transform(chunk, encoding, callback) {
+    this._receive(chunk).then(() => callback(), callback);
+  }
+
+  _flush(callback) {
+    this._finish().then(() => callback(), callback);
+  }
+}
+
+module.exports = {
+  EncryptStream,
+  DecryptStream,
+  DEFAULT_CHUNK_SIZE,
+  NONCE_PREFIX_LENGTH,
+  TAG_LENGTH
+};
@@ -0,0 +1,91 @@
+/**
+ * Transfer control for AetherDrive
+ * Progress reporting and cancellation of uploads, downloads and encryption
+ *
+ * Operations that move content accept two options:
+ *
+ *   onProgress({ bytesTransferred, totalBytes }) - called as content flows
+ *     (`totalBytes` is null when the size isn't known up front)
+ *   signal - an AbortSignal; aborting it stops the transfer, removes partial
+ *     output files and rejects the operation with an `AbortError`
+ */
+
+const { Transform } = require('stream');
+const { AbortError } = require('./errors');
+
+/**
+ * Throw if a signal has been aborted
+ * @param {AbortSignal} signal - Signal to check, if any
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new AbortError(signal.reason);
+  }
+}
+
+/**
+ * Create a stream that reports the progress of the content passing through
+ * it, and fails with an `AbortError` when the signal is aborted
+ *
+ * In a pipeline, the failure stops the whole transfer.
+ * @param {Object} options - Transfer options
+ * @param {Function} options.onProgress - Called with `{ bytesTransferred, totalBytes }`
+ * @param {AbortSignal} options.signal - Signal to stop the transfer with
+ * @param {number|null} options.totalBytes - Size of the content, if known
+ * @returns {stream.Transform} - The stream
+ */
+function createTransferStream(options = {}) {
+  const { onProgress, signal, totalBytes = null } = options;
+  let bytesTransferred = 0;
+
+  const report = () => {
+    if (onProgress) {
+      onProgress({ bytesTransferred, totalBytes });
+    }
+  };
+
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      try {
+        throwIfAborted(signal);
+        bytesTransferred += chunk.length;
+        report();
+      } catch (error) {
+        return callback(error);
+      }
+      callback(null, chunk);
+    },
+    flush(callback) {
+      try {
+        throwIfAborted(signal);
+        // Empty content still completes
+        if (bytesTransferred === 0) {
+          report();
+        }
+      } catch (error) {
+        return callback(error);
+      }
+      callback();
+    }
+  });
+
+  if (signal && !signal.aborted) {
+    // Stop a transfer that is waiting on content right away; until the stream
+    // is in a pipeline (listening for errors), the next chunk fails it instead
+    const abort = () => {
+      if (stream.listenerCount('error') > 0) {
+        stream.destroy(new AbortError(signal.reason));
+      }
+    };
+
+    signal.addEventListener('abort', abort, { once: true });
+    stream.once('close', () => signal.removeEventListener('abort', abort));
+  }
+
+  return stream;
+}
+
+module.exports = {
+  throwIfAborted,
+  createTransferStream
+};
@@ -0,0 +1,100 @@
+/**
+ * Trash for AetherDrive
+ * Soft deletion of files, restored or purged later
+ *
+ * A deleted file keeps its record, and its content stays in storage, until
+ * it is purged. The record leaves the folder tree and remembers where it was:
+ *
+ *   { ...record, parentId: undefined, deletedAt, deletedFrom: '/projects/q3/report.pdf', deletedBy }
+ *
+ * `deletedFrom` is null for files that were outside the tree, and `deletedBy`
+ * is only set for files deleted on behalf of a principal.
+ */
+
+/**
+ * Milliseconds per day
+ */
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Trash policy used when none is configured
+ */
+const DEFAULT_TRASH = Object.freeze({ keepDays: 30 });
+
+/**
+ * Check whether a record is in the trash
+ * @param {Object} record - File record
+ * @returns {boolean} - Returns true for deleted files
+ */
+function isTrashed(record) {
+  return Boolean(record && record.deletedAt);
+}
+
+/**
+ * Move a file record to the trash
+ * @param {Object} record - File record
+ * @param {string|null} filePath - Virtual path of the file, or null if it is outside the tree
+ * @param {string|null} deletedBy - ID of the principal deleting the file, if any
+ * @param {Date} now - Time of deletion
+ * @returns {Object} - The trashed record
+ */
+function trashRecord(record, filePath, deletedBy = null, now = new Date()) {
+  const trashed = { ...record, parentId: undefined, deletedAt: now, deletedFrom: filePath };
+  if (deletedBy) {
+    trashed.deletedBy = deletedBy;
+  }
+  return trashed;
+}
+
+/**
+ * Take a file record out of the trash
+ * @param {Object} record - Trashed file record
+ * @param {Object} placement - `{ parentId, name }` to restore it to
+ * @returns {Object} - The restored record
+ */
+function untrashRecord(record, placement) {
+  const { deletedAt, deletedFrom, deletedBy, ...restored } = record;
+  return { ...restored, ...placement };
+}
+
+/**
+ * Get the time a trashed file is purged at
+ * @param {Object} record - Trashed file record
+ * @param {Object} policy - Trash policy
+ * @returns {Date|null} - The expiry time, or null if trashed files are kept forever
+ */
+function expiresAt(record, policy) {
+  if (policy.keepDays === undefined || policy.keepDays === Infinity) {
+    return null;
+  }
+  return new Date(new Date(record.deletedAt).getTime() + policy.keepDays * DAY);
+}
+
+/**
+ * Check that a trash policy is valid
+ * @param {Object|boolean} policy - Trash policy, or false to delete files immediately
+ * @returns {Object|false} - The policy (the default one if none is given)
+ */
+function validateTrash(policy = DEFAULT_TRASH) {
+  if (policy === false) {
+    return false;
+  }
+  if (policy === null || typeof policy !== 'object') {
+    throw new Error('trash must be an object or false');
+  }
+
+  const { keepDays } = policy;
+  if (keepDays !== undefined && (typeof keepDays !== 'number' || !(keepDays >= 1))) {
+    throw new Error('trash.keepDays must be a number of at least 1');
+  }
+  return policy;
+}
+
+module.exports = {
+  DEFAULT_TRASH,
+  isTrashed,
+  trashRecord,
+  untrashRecord,
+  expiresAt,
+  validateTrash
+};
@@ -0,0 +1,164 @@
+/**
+ * File versioning for AetherDrive
+ * Keeps the history of a file's content and applies retention policies
+ *
+ * Every upload to an existing file ID adds a version to the file's record.
+ * The record's top-level `storageId`, `size`, `contentType` and `encrypted`
+ * fields always describe the current (newest) version; `versions` holds all
+ * retained versions, oldest first:
+ *
+ *   { version: 2, storageId, size, contentType, encrypted, createdAt }
+ */
+
+const { NotFoundError } = require('./errors');
+
+/**
+ * Milliseconds per day
+ */
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Fields copied between a version and the top level of a file record
+ */
+const VERSION_FIELDS = ['storageId', 'size', 'contentType', 'encrypted'];
+
+/**
+ * Get the versions of a file record
+ * @param {Object} record - File record
+ * @returns {Array<Object>} - Versions, oldest first
+ */
+function versionsOf(record) {
+  if (Array.isArray(record.versions)) {
+    return record.versions;
+  }
+
+  // Records written before versioning describe a single version
+  const version = { version: 1, createdAt: record.createdAt };
+  for (const field of VERSION_FIELDS) {
+    version[field] = record[field];
+  }
+  return [version];
+}
+
+/**
+ * Find a version of a file
+ * @param {Object} record - File record
+ * @param {number} number - Version number
+ * @returns {Object} - The version
+ */
+function findVersion(record, number) {
+  const version = versionsOf(record).find(candidate => candidate.version === Number(number));
+
+  if (!version) {
+    throw new NotFoundError(`Version ${number} of ${record.id} does not exist`, { ref: record.id });
+  }
+
+  return version;
+}
+
+/**
+ * Create a record whose current version is the newest of `versions`
+ * @param {Object} record - File record
+ * @param {Array<Object>} versions - All retained versions, oldest first; the last one is current
+ * @returns {Object} - The updated record
+ */
+function withVersions(record, versions) {
+  const current = versions[versions.length - 1];
+  const updated = { ...record, version: current.version, modifiedAt: current.createdAt, versions };
+
+  for (const field of VERSION_FIELDS) {
+    updated[field] = current[field];
+  }
+
+  return updated;
+}
+
+/**
+ * Add a version to a file record
+ * @param {Object} record - File record
+ * @param {Object} content - `{ storageId, size, contentType, encrypted }` of the new version
+ * @returns {Object} - The updated record
+ */
+function addVersion(record, content) {
+  const versions = versionsOf(record);
+  const number = versions.reduce((max, version) => Math.max(max, version.version), 0) + 1;
+
+  const version = { version: number, createdAt: new Date() };
+  for (const field of VERSION_FIELDS) {
+    version[field] = content[field];
+  }
+
+  return withVersions(record, [...versions, version]);
+}
+
+/**
+ * Point the versions stored under one storage ID at new content
+ *
+ * The versions keep their numbers and creation times, e.g. when their
+ * content is re-encrypted.
+ * @param {Object} record - File record
+ * @param {string} storageId - Storage ID of the content being replaced
+ * @param {Object} content - Fields to set on those versions, e.g. `{ storageId, size }`
+ * @returns {Object} - The updated record
+ */
+function replaceContent(record, storageId, content) {
+  const versions = versionsOf(record).map(version => version.storageId === storageId ? { ...version, ...content } : version);
+  return withVersions(record, versions);
+}
+
+/**
+ * Split versions into those a retention policy keeps and those it prunes
+ *
+ * The current version is always kept.
+ * @param {Array<Object>} versions - Versions, oldest first
+ * @param {Object} policy - Retention policy
+ * @param {number} policy.keepVersions - Keep at most this many versions
+ * @param {number} policy.keepDays - Keep versions for at most this many days
+ * @param {Date} now - Current time
+ * @returns {{kept: Array<Object>, pruned: Array<Object>}} - Kept and pruned versions
+ */
+function applyRetention(versions, policy = {}, now = new Date()) {
+  const { keepVersions, keepDays } = policy;
+  const kept = [];
+  const pruned = [];
+
+  versions.forEach((version, index) => {
+    const newerCount = versions.length - 1 - index;
+    const isCurrent = newerCount === 0;
+    const tooMany = keepVersions !== undefined && newerCount >= keepVersions;
+    const tooOld = keepDays !== undefined && now - new Date(version.createdAt) > keepDays * DAY;
+
+    if (!isCurrent && (tooMany || tooOld)) {
+      pruned.push(version);
+    } else {
+      kept.push(version);
+    }
+  });
+
+  return { kept, pruned };
+}
+
+/**
+ * Check that a retention policy is valid
+ * @param {Object} policy - Retention policy
+ * @returns {Object} - The policy
+ */
+function validateRetention(policy = {}) {
+  for (const field of ['keepVersions', 'keepDays']) {
+    const value = policy[field];
+    if (value !== undefined && (typeof value !== 'number' || !(value >= 1))) {
+      throw new Error(`retention.${field} must be a number of at least 1`);
+    }
+  }
+  return policy;
+}
+
+module.exports = {
+  versionsOf,
+  findVersion,
+  withVersions,
+  addVersion,
+  replaceContent,
+  applyRetention,
+  validateRetention
+};
@@ -0,0 +1,539 @@
+/**
+ * Virtual filesystem for AetherDrive
+ * Arranges the records of the file registry in a tree of folders
+ *
+ * Folders are registry records of `type: 'folder'`. Every file or folder in
+ * the tree records the ID of its parent folder (`null` for the root) and its
+ * name within that folder, so moving or renaming anything, including a folder
+ * with all its contents, is a single registry write. Names are unique within
+ * a folder.
+ *
+ * Files uploaded without a path have no parent and stay outside the tree;
+ * they are only addressable by ID until they are moved into a folder.
+ *
+ * Paths are resolved through an index of the entries of each folder by name,
+ * built from the registry on first use, so resolving a path costs one lookup
+ * per segment however many files there are. Records must be written with
+ * `set` and `delete` below, which keep the index up to date; entries of
+ * records removed from the registry behind its back are dropped when found.
+ *
+ * Changes to the tree (`mkdir`, `place`, `move` and `rename`) run one at a
+ * time, so a name found free is still free when it is taken. A file placed
+ * for an upload isn't stored until its content is, so `place` reserves its
+ * name in the meantime; the caller stores the record and then lets go of
+ * the name with `unreserve`.
+ */
+
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { NotFoundError, AlreadyExistsError, NotAFolderError } = require('./errors');
+
+/**
+ * The root folder, which is implicit and never stored
+ */
+const ROOT = Object.freeze({ id: null, type: 'folder', name: '', parentId: undefined });
+
+/**
+ * Check whether a reference is a path rather than a file ID
+ * @param {string} ref - File ID or path
+ * @returns {boolean} - Returns true for absolute paths
+ */
+function isPath(ref) {
+  return typeof ref === 'string' && ref.startsWith('/');
+}
+
+/**
+ * Normalize an absolute path
+ * @param {string} filePath - Absolute path, e.g. `/projects/q3/report.pdf`
+ * @returns {string} - The path without `.`, `..`, duplicate or trailing slashes
+ */
+function normalizePath(filePath) {
+  if (!isPath(filePath)) {
+    throw new Error(`Path must be absolute: ${filePath}`);
+  }
+
+  const normalized = path.posix.normalize(filePath);
+  return normalized.length > 1 ? normalized.replace(/\/$/, '') : normalized;
+}
+
+/**
+ * Check that a name can be used for a file or folder
+ * @param {string} name - Name to check
+ * @private
+ */
+function validateName(name) {
+  if (typeof name !== 'string' || name === '' || name === '.' || name === '..' || name.includes('/')) {
+    throw new Error(`Invalid name: ${name}`);
+  }
+}
+
+/**
+ * VirtualFileSystem class resolving paths against the file registry
+ */
+class VirtualFileSystem {
+  /**
+   * Create a new VirtualFileSystem instance
+   * @param {FileRegistry} registry - Registry holding the file and folder records
+   */
+  constructor(registry) {
+    this.registry = registry;
+
+    // Folder ID => (name => ID) of the entries in it; built on first use
+    this.index = null;
+
+    // Folder ID => names reserved by `place` for files not stored yet
+    this.reserved = new Map();
+
+    // The change to the tree in progress, which the next one waits for
+    this.changing = Promise.resolve();
+  }
+
+  /**
+   * Add or replace a record in the registry, keeping the index up to date
+   * @param {string} id - File or folder ID
+   * @param {Object} record - The record
+   * @returns {Promise<void>}
+   */
+  async set(id, record) {
+    const previous = this.registry.get(id);
+    await this.registry.set(id, record);
+
+    if (this.index) {
+      this._unlink(previous);
+      this._link(record);
+    }
+  }
+
+  /**
+   * Remove a record from the registry, keeping the index up to date
+   * @param {string} id - File or folder ID
+   * @returns {Promise<boolean>} - Returns true if the record existed
+   */
+  async delete(id) {
+    const previous = this.registry.get(id);
+    const deleted = await this.registry.delete(id);
+
+    if (this.index) {
+      this._unlink(previous);
+    }
+    return deleted;
+  }
+
+  /**
+   * Forget the index, e.g. once the registry has been (re)loaded
+   */
+  reindex() {
+    this.index = null;
+  }
+
+  /**
+   * Get the entries of a folder
+   * @param {string|null} folderId - ID of the folder (`null` for the root)
+   * @returns {Array<Object>} - Records of the files and folders in it
+   */
+  children(folderId) {
+    const entries = this._index().get(folderId);
+    if (!entries) {
+      return [];
+    }
+
+    return Array.from(entries.keys())
+      .map(name => this.lookup(folderId, name))
+      .filter(Boolean);
+  }
+
+  /**
+   * Find an entry by name within a folder
+   * @param {string|null} folderId - ID of the folder (`null` for the root)
+   * @param {string} name - Name of the entry
+   * @returns {Object|undefined} - The record, if any
+   */
+  lookup(folderId, name) {
+    const entries = this._index().get(folderId);
+    const id = entries && entries.get(name);
+    if (id === undefined) {
+      return undefined;
+    }
+
+    // Drop entries whose record was removed from the registry directly (e.g. by clear())
+    const record = this.registry.get(id);
+    if (!record || record.parentId !== folderId || record.name !== name) {
+      this._unlink({ id, parentId: folderId, name });
+      return undefined;
+    }
+
+    return record;
+  }
+
+  /**
+   * Resolve a path to a record
+   * @param {string} filePath - Absolute path
+   * @returns {Object|null} - The record (the root folder for `/`), or null if nothing is there
+   */
+  resolve(filePath) {
+    let record = ROOT;
+
+    for (const name of normalizePath(filePath).split('/').filter(Boolean)) {
+      if (record.type !== 'folder') {
+        return null;
+      }
+
+      record = this.lookup(record.id, name);
+      if (!record) {
+        return null;
+      }
+    }
+
+    return record;
+  }
+
+  /**
+   * Get the path of a record
+   * @param {Object} record - File or folder record
+   * @returns {string|null} - The absolute path, or null for files outside the tree
+   */
+  pathOf(record) {
+    if (record === ROOT) {
+      return '/';
+    }
+    if (record.parentId === undefined) {
+      return null;
+    }
+
+    const names = [record.name];
+    for (let parentId = record.parentId; parentId !== null;) {
+      const parent = this.registry.get(parentId);
+      names.unshift(parent.name);
+      parentId = parent.parentId;
+    }
+
+    return `/${names.join('/')}`;
+  }
+
+  /**
+   * Get a record by path or ID
+   * @param {string} ref - Absolute path or file ID
+   * @returns {Object} - The record
+   */
+  get(ref) {
+    const record = isPath(ref) ? this.resolve(ref) : this.registry.get(ref);
+
+    // Deleted files are only reachable through the trash
+    if (!record || record.deletedAt) {
+      throw new NotFoundError(`No such file or folder: ${ref}`, { ref });
+    }
+
+    return record;
+  }
+
+  /**
+   * Describe a record, adding its path
+   * @param {Object} record - File or folder record
+   * @returns {Object} - A copy of the record with `path` set
+   */
+  describe(record) {
+    return { ...record, type: record.type || 'file', path: this.pathOf(record) };
+  }
+
+  /**
+   * Create a folder
+   * @param {string} folderPath - Absolute path of the folder
+   * @param {Object} options - Options
+   * @param {boolean} options.recursive - Create missing parent folders, and succeed if the folder exists
+   * @param {string} options.owner - ID of the principal owning the folders created
+   * @returns {Promise<Object>} - Returns the folder record
+   */
+  async mkdir(folderPath, options = {}) {
+    return this._exclusive(() => this._mkdir(folderPath, options));
+  }
+
+  /**
+   * Reserve a path for a new file, creating its parent folders
+   *
+   * The name stays reserved until `unreserve` is called, whether or not the
+   * file is stored.
+   * @param {string} filePath - Absolute path of the file
+   * @param {Object} options - Options
+   * @param {string} options.owner - ID of the principal owning the folders created
+   * @returns {Promise<Object>} - Returns `{ parentId, name }` to store in the file record
+   */
+  async place(filePath, options = {}) {
+    return this._exclusive(async () => {
+      const normalized = normalizePath(filePath);
+
+      if (this.resolve(normalized)) {
+        throw new AlreadyExistsError(`Already exists: ${normalized}`, { ref: normalized });
+      }
+
+      const parent = await this._mkdir(path.posix.dirname(normalized), { recursive: true, owner: options.owner });
+      const name = path.posix.basename(normalized);
+      if (this._isReserved(parent.id, name)) {
+        throw new AlreadyExistsError(`Already exists: ${normalized}`, { ref: normalized });
+      }
+
+      let names = this.reserved.get(parent.id);
+      if (!names) {
+        names = new Set();
+        this.reserved.set(parent.id, names);
+      }
+      names.add(name);
+
+      return { parentId: parent.id, name };
+    });
+  }
+
+  /**
+   * Let go of a name reserved by `place`
+   * @param {Object} placement - The `{ parentId, name }` returned by `place`
+   */
+  unreserve({ parentId, name }) {
+    const names = this.reserved.get(parentId);
+    if (names) {
+      names.delete(name);
+      if (names.size === 0) {
+        this.reserved.delete(parentId);
+      }
+    }
+  }
+
+  /**
+   * Create a folder, without waiting for other changes to the tree
+   * @param {string} folderPath - Absolute path of the folder
+   * @param {Object} options - Options, as for `mkdir`
+   * @returns {Promise<Object>} - Returns the folder record
+   * @private
+   */
+  async _mkdir(folderPath, options = {}) {
+    const normalized = normalizePath(folderPath);
+    const existing = this.resolve(normalized);
+
+    if (existing) {
+      if (options.recursive && existing.type === 'folder') {
+        return existing;
+      }
+      throw new AlreadyExistsError(`Already exists: ${normalized}`, { ref: normalized });
+    }
+
+    const parentPath = path.posix.dirname(normalized);
+    const parent = options.recursive ? await this._mkdir(parentPath, options) : this.resolve(parentPath);
+
+    if (!parent) {
+      throw new NotFoundError(`No such folder: ${parentPath}`, { ref: parentPath });
+    }
+    if (parent.type !== 'folder') {
+      throw new NotAFolderError(`Not a folder: ${parentPath}`, { ref: parentPath });
+    }
+    if (this._isReserved(parent.id, path.posix.basename(normalized))) {
+      throw new AlreadyExistsError(`Already exists: ${normalized}`, { ref: normalized });
+    }
+
+    const folder = {
+      id: uuidv4(),
+      type: 'folder',
+      parentId: parent.id,
+      name: path.posix.basename(normalized),
+      createdAt: new Date()
+    };
+    if (options.owner !== undefined) {
+      folder.owner = options.owner;
+    }
+    await this.set(folder.id, folder);
+
+    return folder;
+  }
+
+  /**
+   * Move a file or folder
+   *
+   * If the destination is an existing folder, the entry is moved into it
+   * under its current name. Entries are never overwritten.
+   * @param {string} ref - Path or ID of the file or folder to move
+   * @param {string} destination - New absolute path, or the folder to move it into
+   * @returns {Promise<Object>} - Returns the updated record
+   */
+  async move(ref, destination) {
+    const record = this.get(ref);
+    if (record === ROOT) {
+      throw new Error('Cannot move the root folder');
+    }
+
+    const target = this.resolve(destination);
+    let parent;
+    let name;
+
+    if (target && target.type === 'folder') {
+      parent = target;
+      name = record.name;
+    } else {
+      const normalized = normalizePath(destination);
+      parent = this.resolve(path.posix.dirname(normalized));
+      name = path.posix.basename(normalized);
+
+      if (!parent || parent.type !== 'folder') {
+        throw new NotFoundError(`No such folder: ${path.posix.dirname(normalized)}`, { ref: path.posix.dirname(normalized) });
+      }
+    }
+
+    return this._relink(record, parent.id, name);
+  }
+
+  /**
+   * Rename a file or folder within its folder
+   * @param {string} ref - Path or ID of the file or folder
+   * @param {string} name - New name
+   * @returns {Promise<Object>} - Returns the updated record
+   */
+  async rename(ref, name) {
+    const record = this.get(ref);
+    if (record === ROOT) {
+      throw new Error('Cannot rename the root folder');
+    }
+    if (record.parentId === undefined) {
+      // Outside the tree the name is only a label
+      validateName(name);
+      const updated = { ...record, name };
+      await this.set(record.id, updated);
+      return updated;
+    }
+
+    return this._relink(record, record.parentId, name);
+  }
+
+  /**
+   * Get everything below a folder, deepest entries first
+   * @param {Object} folder - Folder record
+   * @returns {Array<Object>} - Records of the files and folders below it
+   */
+  descendants(folder) {
+    const result = [];
+
+    for (const child of this.children(folder.id)) {
+      if (child.type === 'folder') {
+        result.push(...this.descendants(child));
+      }
+      result.push(child);
+    }
+
+    return result;
+  }
+
+  /**
+   * Give a record a new parent folder and name
+   * @param {Object} record - File or folder record
+   * @param {string|null} parentId - ID of the new parent folder
+   * @param {string} name - New name
+   * @returns {Promise<Object>} - Returns the updated record
+   * @private
+   */
+  async _relink(record, parentId, name) {
+    validateName(name);
+
+    return this._exclusive(async () => {
+      const existing = this.lookup(parentId, name);
+      if ((existing && existing.id !== record.id) || this._isReserved(parentId, name)) {
+        const existingPath = this.pathOf({ parentId, name });
+        throw new AlreadyExistsError(`Already exists: ${existingPath}`, { ref: existingPath });
+      }
+
+      // A folder cannot end up inside itself
+      for (let ancestorId = parentId; ancestorId !== null; ancestorId = this.registry.get(ancestorId).parentId) {
+        if (ancestorId === record.id) {
+          throw new Error('Cannot move a folder into itself');
+        }
+      }
+
+      // Keep what changed while waiting, e.g. versions added by an upload
+      const latest = this.registry.get(record.id);
+      if (!latest) {
+        throw new NotFoundError(`No such file or folder: ${record.id}`, { ref: record.id });
+      }
+
+      const updated = { ...latest, parentId, name };
+      await this.set(record.id, updated);
+
+      return updated;
+    });
+  }
+
+  /**
+   * Check whether a name is reserved for a file not stored yet
+   * @param {string|null} parentId - ID of the folder
+   * @param {string} name - Name within the folder
+   * @returns {boolean} - Returns true if `place` reserved the name
+   * @private
+   */
+  _isReserved(parentId, name) {
+    const names = this.reserved.get(parentId);
+    return Boolean(names && names.has(name));
+  }
+
+  /**
+   * Run a change to the tree once the changes before it are done
+   * @param {Function} change - Async function making the change
+   * @returns {Promise<*>} - Returns what the change does
+   * @private
+   */
+  _exclusive(change) {
+    const result = this.changing.then(change);
+    this.changing = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Get the index, building it from the registry if needed
+   * @returns {Map<string|null, Map<string, string>>} - Entries of each folder by name
+   * @private
+   */
+  _index() {
+    if (!this.index) {
+      this.index = new Map();
+      for (const record of this.registry.values()) {
+        this._link(record);
+      }
+    }
+    return this.index;
+  }
+
+  /**
+   * Add a record to the index of its folder
+   * @param {Object} record - File or folder record
+   * @private
+   */
+  _link(record) {
+    // Files outside the tree have no folder to be found in
+    if (!record || record.parentId === undefined) {
+      return;
+    }
+
+    let entries = this.index.get(record.parentId);
+    if (!entries) {
+      entries = new Map();
+      this.index.set(record.parentId, entries);
+    }
+    entries.set(record.name, record.id);
+  }
+
+  /**
+   * Remove a record from the index of its folder
+   * @param {Object} record - File or folder record
+   * @private
+   */
+  _unlink(record) {
+    const entries = record && this.index.get(record.parentId);
+
+    // The name may have been taken over by another record since
+    if (entries && entries.get(record.name) === record.id) {
+      entries.delete(record.name);
+      if (entries.size === 0) {
+        this.index.delete(record.parentId);
+      }
+    }
+  }
+}
+
+module.exports = {
+  VirtualFileSystem,
+  ROOT,
+  isPath,
+  normalizePath
+};
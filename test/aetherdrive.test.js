@@ -7,6 +7,7 @@ const fs = require('fs-extra');
 const path = require('path');
 const os = require('os');
 const sinon = require('sinon');
+const { Readable, Transform } = require('stream');
 
 // Import classes directly to avoid ipfs-http-client dependency issues
 const AetherDrive = require('../index');
@@ -14,6 +15,9 @@ const Encryption = require('../lib/encryption');
 const FileManager = require('../lib/fileManager');
 const MockStorage = require('./mock/mockStorage');
 
+// AbortController is global from Node.js 15 on; cancellation tests need it
+const itWithAbort = typeof AbortController === 'undefined' ? it.skip : it;
+
 describe('AetherDrive Integration', function() {
   // Set timeout to a higher value for operations
   this.timeout(10000);
@@ -79,9 +83,74 @@ describe('AetherDrive Integration', function() {
       const files = await aetherDrive.listFiles();
       expect(files.find(file => file.id === fileId)).to.be.undefined;
     });
+
+    it('should encrypt on upload and decrypt on download, after upload hooks', async () => {
+      const drive = new AetherDrive({
+        storageType: 'local',
+        storageConfig: { root: path.join(tempDir, 'encrypted-storage') },
+        registry: new AetherDrive.MemoryRegistry(),
+        kdf: { iterations: 1000 }
+      });
+      drive.before('uploadFile', context => context.transforms.push(new Transform({
+        transform(chunk, encoding, callback) {
+          callback(null, chunk.toString().toUpperCase());
+        }
+      })));
+
+      const fileId = await drive.uploadFile(testFilePath, { encrypt: { password: 'drive-password' } });
+      expect((await drive.stat(fileId)).encrypted).to.be.true;
+
+      const downloadPath = path.join(tempDir, 'decrypted-integration.txt');
+      await drive.downloadFile(fileId, downloadPath, { decrypt: { password: 'drive-password' } });
+      expect(await fs.readFile(downloadPath, 'utf8')).to.equal('THIS IS A TEST FILE FOR AETHERDRIVE INTEGRATION TESTS');
+    });
+
+    it('should encrypt with keyring keys and find them again when decrypting', async () => {
+      const keyring = new AetherDrive.Keyring({
+        path: path.join(tempDir, 'keystore.aeth'),
+        passphrase: 'keystore passphrase',
+        kdf: { iterations: 1000 }
+      });
+      const drive = new AetherDrive({
+        storageType: 'local',
+        storageConfig: { root: path.join(tempDir, 'keyring-storage') },
+        registry: new AetherDrive.MemoryRegistry(),
+        keyring
+      });
+      await drive.open();
+      await keyring.generateKey('integration');
+
+      const encryptedPath = await drive.encryptFile(testFilePath, { keyId: 'integration' });
+      const decryptedPath = await drive.decryptFile(encryptedPath, undefined, {
+        outputPath: path.join(tempDir, 'keyring-decrypted.txt')
+      });
+      expect(await fs.readFile(decryptedPath, 'utf8')).to.equal(await fs.readFile(testFilePath, 'utf8'));
+
+      const fileId = await drive.uploadFile(testFilePath, { encrypt: { keyId: 'integration' } });
+      const downloadPath = path.join(tempDir, 'keyring-downloaded.txt');
+      await drive.downloadFile(fileId, downloadPath, { decrypt: true });
+      expect(await fs.readFile(downloadPath, 'utf8')).to.equal(await fs.readFile(testFilePath, 'utf8'));
+    });
   });
 
   describe('Core API functionality', () => {
+    it('should keep a separate default registry per storage location', () => {
+      const registryOf = (storageType, storageConfig) => new AetherDrive({ storageType, storageConfig }).fileManager.fileRegistry;
+
+      // Mock storage forgets its files, so the registry is in memory
+      expect(registryOf('mock', {})).to.be.instanceOf(AetherDrive.MemoryRegistry);
+
+      const first = registryOf('local', { root: path.join(tempDir, 'first') });
+      const second = registryOf('local', { root: path.join(tempDir, 'second') });
+      expect(first).to.be.instanceOf(AetherDrive.JournalRegistry);
+      expect(path.dirname(first.path)).to.equal(path.join(os.homedir(), '.aetherdrive'));
+      expect(first.path).to.not.equal(second.path);
+
+      // Options that don't move the files keep the registry
+      const retried = registryOf('local', { root: path.join(tempDir, 'first'), retry: { retries: 1 } });
+      expect(retried.path).to.equal(first.path);
+    });
+
     it('should handle file encryption and decryption', async () => {
       const encryptionKey = 'test-encryption-key';
       const encryptedPath = await aetherDrive.encryptFile(testFilePath, encryptionKey);
@@ -121,6 +190,218 @@ describe('AetherDrive Integration', function() {
     });
   });
 
+  describe('Hooks and events', () => {
+    const removers = [];
+
+    const hook = (stage, operation, fn) => {
+      removers.push(aetherDrive[stage](operation, fn));
+    };
+
+    const upperCase = () => new Transform({
+      transform(chunk, encoding, callback) {
+        callback(null, chunk.toString().toUpperCase());
+      }
+    });
+
+    afterEach(() => {
+      // Remove hooks and listeners added by the test
+      removers.splice(0).forEach(remove => remove());
+      aetherDrive.removeAllListeners();
+    });
+
+    it('should emit events with the file entry', async () => {
+      const events = [];
+      aetherDrive.on('upload', context => events.push(['upload', context.file.name]));
+      aetherDrive.on('download', context => events.push(['download', context.file.id]));
+      aetherDrive.on('delete', context => events.push(['delete', context.file.id]));
+
+      const fileId = await aetherDrive.uploadFile(testFilePath);
+      await aetherDrive.downloadFile(fileId, path.join(tempDir, 'evented.txt'));
+      await aetherDrive.deleteFile(fileId);
+
+      expect(events).to.deep.equal([
+        ['upload', 'integration-test-file.txt'],
+        ['download', fileId],
+        ['delete', fileId]
+      ]);
+    });
+
+    it('should let before hooks change options', async () => {
+      hook('before', 'uploadFile', context => {
+        context.options = { ...context.options, tags: ['scanned'] };
+      });
+
+      const fileId = await aetherDrive.uploadFile(testFilePath);
+
+      expect((await aetherDrive.stat(fileId)).tags).to.deep.equal(['scanned']);
+    });
+
+    it('should let before hooks veto an operation', async () => {
+      const errors = [];
+      aetherDrive.on('error', (error, context) => errors.push([error.message, context.operation]));
+      hook('before', 'uploadFile', context => {
+        if (context.filePath.endsWith('.txt')) {
+          throw new Error('Virus found');
+        }
+      });
+      const uploadSpy = sinon.spy(aetherDrive.fileManager, 'uploadFile');
+
+      try {
+        await aetherDrive.uploadFile(testFilePath);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('Virus found');
+      } finally {
+        uploadSpy.restore();
+      }
+
+      expect(uploadSpy.called).to.be.false;
+      expect(errors).to.deep.equal([['Virus found', 'uploadFile']]);
+    });
+
+    it('should transform content on upload and download', async () => {
+      const removeUpload = aetherDrive.before('uploadFile', context => context.transforms.push(upperCase()));
+
+      const fileId = await aetherDrive.uploadFile(testFilePath);
+      removeUpload();
+
+      const downloadPath = path.join(tempDir, 'transformed.txt');
+      await aetherDrive.downloadFile(fileId, downloadPath);
+      expect(await fs.readFile(downloadPath, 'utf8')).to.equal('THIS IS A TEST FILE FOR AETHERDRIVE INTEGRATION TESTS');
+
+      const file = await aetherDrive.stat(fileId);
+      expect(file.name).to.equal('integration-test-file.txt');
+      expect(file.size).to.equal(53);
+    });
+
+    it('should transform the plaintext of encrypted files', async () => {
+      hook('before', 'decryptFile', context => context.transforms.push(new Transform({
+        transform(chunk, encoding, callback) {
+          callback(null, chunk.toString().replace('test', 'hooked'));
+        }
+      })));
+
+      const encryptedPath = await aetherDrive.encryptFile(testFilePath, 'hook-key');
+      const decryptedPath = await aetherDrive.decryptFile(encryptedPath, 'hook-key');
+
+      expect(await fs.readFile(decryptedPath, 'utf8')).to.equal('This is a hooked file for AetherDrive integration tests');
+    });
+
+    itWithAbort('should report progress and cancel transformed decryption', async () => {
+      hook('before', 'decryptFile', context => context.transforms.push(new Transform({
+        transform(chunk, encoding, callback) {
+          callback(null, chunk);
+        }
+      })));
+
+      const encryptedPath = await aetherDrive.encryptFile(testFilePath, 'hook-key');
+      const encryptedSize = (await fs.stat(encryptedPath)).size;
+
+      const reports = [];
+      await aetherDrive.decryptFile(encryptedPath, 'hook-key', { onProgress: progress => reports.push(progress) });
+      expect(reports).to.deep.equal([{ bytesTransferred: encryptedSize, totalBytes: encryptedSize }]);
+
+      const errors = [];
+      aetherDrive.on('error', error => errors.push(error));
+      const controller = new AbortController();
+      controller.abort();
+
+      const outputPath = path.join(tempDir, 'cancelled.txt');
+      try {
+        await aetherDrive.decryptFile(encryptedPath, 'hook-key', { outputPath, signal: controller.signal });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AetherDrive.AbortError);
+      }
+
+      expect(errors).to.have.lengthOf(1);
+      expect(await fs.pathExists(outputPath)).to.be.false;
+    });
+
+    it('should run the upload and download hooks for streams and share links', async () => {
+      const calls = [];
+      const events = [];
+      hook('before', 'uploadFile', context => {
+        calls.push(['uploadFile', Boolean(context.readable)]);
+        context.transforms.push(upperCase());
+      });
+      hook('before', 'downloadFile', context => {
+        calls.push(['downloadFile', context.fileId, context.token !== undefined]);
+        context.transforms.push(new Transform({
+          transform(chunk, encoding, callback) {
+            callback(null, chunk.toString().replace('CONTENT', 'hooked'));
+          }
+        }));
+      });
+      aetherDrive.on('upload', context => events.push(['upload', context.file.id]));
+      aetherDrive.on('download', context => events.push(['download', context.file.id]));
+
+      const fileId = await aetherDrive.uploadStream(Readable.from(['streamed content']), { name: 'streamed.txt' });
+
+      const chunks = [];
+      for await (const chunk of aetherDrive.createReadStream(fileId)) {
+        chunks.push(chunk);
+      }
+      expect(Buffer.concat(chunks).toString()).to.equal('STREAMED hooked');
+
+      const token = await aetherDrive.createShareLink(fileId);
+      const sharedPath = path.join(tempDir, 'shared.txt');
+      await aetherDrive.downloadSharedFile(token, sharedPath);
+      expect(await fs.readFile(sharedPath, 'utf8')).to.equal('STREAMED hooked');
+
+      expect(calls).to.deep.equal([
+        ['uploadFile', true],
+        ['downloadFile', fileId, false],
+        ['downloadFile', fileId, true]
+      ]);
+      expect(events).to.deep.equal([['upload', fileId], ['download', fileId], ['download', fileId]]);
+    });
+
+    it('should let before hooks veto stream uploads, reads and shared downloads', async () => {
+      const fileId = await aetherDrive.uploadFile(testFilePath);
+      const token = await aetherDrive.createShareLink(fileId);
+      hook('before', 'uploadFile', () => {
+        throw new Error('Uploads are closed');
+      });
+      hook('before', 'downloadFile', context => {
+        if (context.file.id === fileId) {
+          throw new Error('Downloads are closed');
+        }
+      });
+
+      const expectVetoed = async (operation, message) => {
+        try {
+          await operation();
+          expect.fail('Should have thrown an error');
+        } catch (error) {
+          expect(error.message).to.equal(message);
+        }
+      };
+
+      await expectVetoed(() => aetherDrive.uploadStream(Readable.from(['content'])), 'Uploads are closed');
+      await expectVetoed(async () => {
+        for await (const chunk of aetherDrive.createReadStream(fileId)) {
+          expect.fail('Should not have read anything');
+        }
+      }, 'Downloads are closed');
+      await expectVetoed(() => aetherDrive.downloadSharedFile(token, path.join(tempDir, 'vetoed.txt')), 'Downloads are closed');
+    });
+
+    it('should run after hooks with the result', async () => {
+      const audit = [];
+      hook('after', 'deleteFile', context => audit.push({ fileId: context.fileId, result: context.result, principal: context.principal }));
+
+      const fileId = await aetherDrive.uploadFile(testFilePath);
+      await aetherDrive.deleteFile(fileId);
+
+      expect(audit).to.deep.equal([{ fileId, result: true, principal: null }]);
+    });
+
+    it('should reject hooks for unknown operations', () => {
+      expect(() => aetherDrive.before('listFiles', () => {})).to.throw('Cannot hook listFiles');
+    });
+  });
+
   describe('Error handling', () => {
     it('should handle file not found errors', async () => {
       try {
@@ -145,7 +426,8 @@ describe('AetherDrive Integration', function() {
         await aetherDrive.decryptFile(encryptedPath, 'wrong-key');
         expect.fail('Should have thrown an error');
       } catch (error) {
-        expect(error.message).to.include('Failed to decrypt file');
+        expect(error).to.be.instanceOf(AetherDrive.IntegrityError);
+        expect(error.code).to.equal('EINTEGRITY');
       }
     });
   });
@@ -0,0 +1,74 @@
+/**
+ * Unit tests for content type detection
+ */
+
+const { expect } = require('chai');
+const {
+  contentTypeFromSignature,
+  contentTypeFromName,
+  detectContentType
+} = require('../lib/contentType');
+
+/**
+ * Build the start of a ZIP archive whose first entry has the given name and content
+ */
+const zipHead = (name, content = '') => {
+  const header = Buffer.alloc(30);
+  header.write('PK\x03\x04', 0, 'latin1');
+  header.writeUInt32LE(content.length, 18);
+  header.writeUInt16LE(name.length, 26);
+  return Buffer.concat([header, Buffer.from(name + content, 'latin1')]);
+};
+
+describe('Content type detection', () => {
+  it('should recognize common signatures', () => {
+    const tar = Buffer.alloc(512);
+    tar.write('ustar', 257, 'latin1');
+
+    const samples = {
+      'application/pdf': Buffer.from('%PDF-1.7\n'),
+      'image/png': Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0]),
+      'image/jpeg': Buffer.from([0xff, 0xd8, 0xff, 0xe0]),
+      'image/gif': Buffer.from('GIF89a'),
+      'image/webp': Buffer.from('RIFF\0\0\0\0WEBPVP8 '),
+      'application/zip': zipHead('hello.txt', 'hello'),
+      'video/mp4': Buffer.from('\0\0\0\x18ftypisom', 'latin1'),
+      'audio/mp4': Buffer.from('\0\0\0\x18ftypM4A ', 'latin1'),
+      'audio/mpeg': Buffer.from('ID3\x04\0'),
+      'application/gzip': Buffer.from([0x1f, 0x8b, 0x08]),
+      'application/x-tar': tar
+    };
+
+    for (const [type, head] of Object.entries(samples)) {
+      expect(contentTypeFromSignature(head), type).to.equal(type);
+    }
+  });
+
+  it('should recognize MP3 frames without an ID3 tag', () => {
+    expect(contentTypeFromSignature(Buffer.from([0xff, 0xfb, 0x90, 0x64]))).to.equal('audio/mpeg');
+  });
+
+  it('should tell apart ZIP-based document formats', () => {
+    const docx = zipHead('[Content_Types].xml', '<Types/>PK\x03\x04word/document.xml');
+    const odt = zipHead('mimetype', 'application/vnd.oasis.opendocument.text');
+
+    expect(contentTypeFromSignature(docx)).to.equal('application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    expect(contentTypeFromSignature(odt)).to.equal('application/vnd.oasis.opendocument.text');
+  });
+
+  it('should fall back to the extension', () => {
+    expect(contentTypeFromName('/notes/Readme.MD')).to.equal('text/markdown');
+    expect(contentTypeFromName('archive.unknown')).to.be.null;
+    expect(detectContentType(Buffer.from('plain text'), 'data.json')).to.equal('application/json');
+    expect(detectContentType(null, 'slides.pptx')).to.equal('application/vnd.openxmlformats-officedocument.presentationml.presentation');
+    expect(detectContentType(Buffer.from('plain text'), 'data')).to.equal('application/octet-stream');
+  });
+
+  it('should prefer the signature over a misleading extension', () => {
+    expect(detectContentType(Buffer.from('%PDF-1.4'), 'invoice.png')).to.equal('application/pdf');
+  });
+
+  it('should use the extension for ZIP archives it cannot identify', () => {
+    expect(detectContentType(zipHead('other.xml'), 'book.xlsx')).to.equal('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  });
+});
@@ -42,7 +42,7 @@ describe('Direct Encryption Tests', function() {
 
     // Generate a secure key
     const password = 'test-password-123';
-    const { key, salt } = encryption.generateKey(password);
+    const { key, salt } = await encryption.generateKey(password);
 
     console.log('Generated key:', key.toString('hex'));
     console.log('Salt:', salt.toString('hex'));
@@ -107,7 +107,7 @@ describe('Direct Encryption Tests', function() {
       });
       expect.fail('Should have thrown an error');
     } catch (error) {
-      expect(error.message).to.include('Failed to decrypt file');
+      expect(error.message).to.include('Integrity check failed');
     }
   });
 });
@@ -6,7 +6,14 @@ const { expect } = require('chai');
 const fs = require('fs-extra');
 const path = require('path');
 const os = require('os');
+const crypto = require('crypto');
 const Encryption = require('../lib/encryption');
+const { IntegrityError, DecryptionError } = require('../lib/errors');
+const { Readable } = require('stream');
+const { MAGIC, FORMAT_VERSION, MAX_CHUNK_SIZE, KDF, encodeHeader, encodeRecipients, decodeHeader } = require('../lib/encryptionFormat');
+
+// AbortController is global from Node.js 15 on; cancellation tests need it
+const itWithAbort = typeof AbortController === 'undefined' ? it.skip : it;
 
 describe('Encryption', function() {
   // Set timeout to a higher value for file operations
@@ -39,8 +46,8 @@ describe('Encryption', function() {
   });
 
   describe('Key Generation', () => {
-    it('should generate a key from a password', () => {
-      const result = encryption.generateKey('test-password');
+    it('should generate a key from a password', async () => {
+      const result = await encryption.generateKey('test-password');
 
       expect(result).to.have.property('key');
       expect(result).to.have.property('salt');
@@ -49,25 +56,96 @@ describe('Encryption', function() {
       expect(result.key.length).to.equal(32); // AES-256 key length is 32 bytes
     });
 
-    it('should generate the same key for the same password and salt', () => {
+    it('should generate the same key for the same password and salt', async () => {
       const salt = Buffer.from('0123456789abcdef');
 
-      const result1 = encryption.generateKey('test-password', salt);
-      const result2 = encryption.generateKey('test-password', salt);
+      const result1 = await encryption.generateKey('test-password', salt);
+      const result2 = await encryption.generateKey('test-password', salt);
 
       expect(result1.key.toString('hex')).to.equal(result2.key.toString('hex'));
     });
 
-    it('should generate different keys for different passwords', () => {
+    it('should generate different keys for different passwords', async () => {
       const salt = Buffer.from('0123456789abcdef');
 
-      const result1 = encryption.generateKey('password1', salt);
-      const result2 = encryption.generateKey('password2', salt);
+      const result1 = await encryption.generateKey('password1', salt);
+      const result2 = await encryption.generateKey('password2', salt);
 
       expect(result1.key.toString('hex')).to.not.equal(result2.key.toString('hex'));
     });
   });
 
+  describe('Key Derivation', () => {
+    // Cheap parameters; the cost doesn't change what is tested
+    const scrypt = { algorithm: 'scrypt', cost: 1024, blockSize: 8, parallelization: 1 };
+
+    const roundTrip = async (encryptWith, decryptWith = encryptWith, options = {}) => {
+      const encryptedFilePath = path.join(tempDir, 'kdf.enc');
+      const decryptedFilePath = path.join(tempDir, 'kdf.txt');
+
+      await encryptWith.encryptFile(testFilePath, 'kdf-password', { ...options, outputPath: encryptedFilePath });
+      await decryptWith.decryptFile(encryptedFilePath, 'kdf-password', { outputPath: decryptedFilePath });
+
+      expect(await fs.readFile(decryptedFilePath, 'utf8')).to.equal(await fs.readFile(testFilePath, 'utf8'));
+      return decodeHeader(await fs.readFile(encryptedFilePath));
+    };
+
+    it('should derive keys without blocking the event loop', async () => {
+      let ticked = false;
+      setImmediate(() => {
+        ticked = true;
+      });
+
+      await encryption.generateKey('test-password');
+      expect(ticked).to.be.true;
+    });
+
+    it('should record the KDF and its parameters in the header', async () => {
+      expect((await roundTrip(encryption)).kdf).to.deep.equal({ id: KDF.PBKDF2_SHA256, iterations: 100000 });
+
+      const sha512 = new Encryption({ kdf: { algorithm: 'pbkdf2-sha512', iterations: 1000 } });
+      expect((await roundTrip(sha512)).kdf).to.deep.equal({ id: KDF.PBKDF2_SHA512, iterations: 1000 });
+
+      const header = await roundTrip(new Encryption({ kdf: scrypt }));
+      expect(header.kdf).to.deep.equal({ id: KDF.SCRYPT, cost: 1024, blockSize: 8, parallelization: 1 });
+    });
+
+    it('should decrypt with the parameters in the header, whatever is configured', async () => {
+      await roundTrip(new Encryption({ kdf: scrypt }), encryption);
+      await roundTrip(encryption, new Encryption({ kdf: { iterations: 1000 } }));
+    });
+
+    it('should accept a KDF per file', async () => {
+      const header = await roundTrip(encryption, encryption, { kdf: scrypt });
+      expect(header.kdf.id).to.equal(KDF.SCRYPT);
+    });
+
+    it('should reject invalid KDF options', () => {
+      expect(() => new Encryption({ kdf: { algorithm: 'md5' } })).to.throw('kdf.algorithm must be one of');
+      expect(() => new Encryption({ kdf: { iterations: 0 } })).to.throw('iterations must be');
+      expect(() => new Encryption({ kdf: { algorithm: 'scrypt', cost: 1000 } })).to.throw('power of two');
+      expect(() => new Encryption({ kdf: { algorithm: 'scrypt', cost: 2 ** 20, blockSize: 8 } })).to.throw('MiB of memory');
+    });
+
+    it('should refuse headers asking for excessive work', async () => {
+      const encryptedFilePath = path.join(tempDir, 'expensive.enc');
+      await fs.writeFile(encryptedFilePath, encodeHeader({
+        kdf: { id: KDF.SCRYPT, cost: 2 ** 24, blockSize: 8, parallelization: 1 },
+        salt: crypto.randomBytes(16),
+        nonce: crypto.randomBytes(7),
+        chunkSize: 64
+      }));
+
+      try {
+        await encryption.decryptFile(encryptedFilePath, 'kdf-password', { outputPath: path.join(tempDir, 'out.txt') });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(DecryptionError);
+        expect(error.message).to.include('Cannot derive the key');
+      }
+    });
+  });
+
   describe('File Encryption', () => {
     it('should encrypt a file', async () => {
       const encryptedFilePath = path.join(tempDir, 'encrypted-file.enc');
@@ -148,7 +226,8 @@ describe('Encryption', function() {
         });
         expect.fail('Should have thrown an error');
       } catch (error) {
-        expect(error.message).to.include('Failed to decrypt file');
+        expect(error).to.be.instanceOf(IntegrityError);
+        expect(error.message).to.include('Integrity check failed');
       }
     });
 
@@ -166,4 +245,484 @@ describe('Encryption', function() {
       }
     });
   });
+
+  describe('Authenticated Format', () => {
+    const password = 'format-password';
+    let encryptedFilePath;
+    let decryptedFilePath;
+
+    beforeEach(async () => {
+      encryptedFilePath = path.join(tempDir, 'format.enc');
+      decryptedFilePath = path.join(tempDir, 'format.dec');
+      await encryption.encryptFile(testFilePath, password, { outputPath: encryptedFilePath });
+    });
+
+    // Flip one bit at the given offset (negative offsets count from the end)
+    const flipByte = async offset => {
+      const data = await fs.readFile(encryptedFilePath);
+      const index = offset < 0 ? data.length + offset : offset;
+      data[index] ^= 0x01;
+      await fs.writeFile(encryptedFilePath, data);
+    };
+
+    const expectIntegrityError = async () => {
+      try {
+        await encryption.decryptFile(encryptedFilePath, password, { outputPath: decryptedFilePath });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(IntegrityError);
+        expect(error.code).to.equal('EINTEGRITY');
+        expect(error.message).to.include('Integrity check failed');
+      }
+      expect(fs.existsSync(decryptedFilePath)).to.be.false;
+    };
+
+    it('should write the magic bytes and version at the start of the file', async () => {
+      const data = await fs.readFile(encryptedFilePath);
+
+      expect(data.subarray(0, MAGIC.length).equals(MAGIC)).to.be.true;
+      expect(data[MAGIC.length]).to.equal(FORMAT_VERSION);
+    });
+
+    it('should detect a modified ciphertext', async () => {
+      await flipByte(-20);
+      await expectIntegrityError();
+    });
+
+    it('should detect a modified authentication tag', async () => {
+      await flipByte(-1);
+      await expectIntegrityError();
+    });
+
+    it('should detect a modified header', async () => {
+      // The 4 bytes before the single chunk hold the chunk size; flip the byte before them (nonce)
+      const data = await fs.readFile(encryptedFilePath);
+      const contentLength = (await fs.stat(testFilePath)).size;
+      await flipByte(data.length - contentLength - 16 - 5);
+      await expectIntegrityError();
+    });
+
+    it('should detect truncation', async () => {
+      const data = await fs.readFile(encryptedFilePath);
+      await fs.writeFile(encryptedFilePath, data.subarray(0, data.length - 5));
+      await expectIntegrityError();
+    });
+
+    it('should still decrypt files in the legacy salt|IV|CBC layout', async () => {
+      const legacyPath = path.join(tempDir, 'legacy.enc');
+      const { key, salt } = await encryption.generateKey(password);
+      const iv = crypto.randomBytes(16);
+      const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
+      await fs.writeFile(legacyPath, Buffer.concat([
+        salt,
+        iv,
+        cipher.update(await fs.readFile(testFilePath)),
+        cipher.final()
+      ]));
+
+      await encryption.decryptFile(legacyPath, password, { outputPath: decryptedFilePath });
+
+      expect(await fs.readFile(decryptedFilePath, 'utf8')).to.equal(await fs.readFile(testFilePath, 'utf8'));
+    });
+  });
+
+  describe('Chunked Streaming', () => {
+    const password = 'stream-password';
+    const chunkSize = 64;
+    const headerOverhead = () => encodeHeader({
+      kdf: { id: KDF.PBKDF2_SHA256, iterations: 1 },
+      salt: Buffer.alloc(16),
+      nonce: Buffer.alloc(7),
+      chunkSize
+    }).length;
+
+    const collect = async stream => {
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks);
+    };
+
+    const encrypt = content => collect(Readable.from([content]).pipe(encryption.createEncryptStream(password, { chunkSize })));
+    const decrypt = encrypted => collect(Readable.from([encrypted]).pipe(encryption.createDecryptStream(password)));
+
+    it('should round-trip content spanning many chunks', async () => {
+      const content = crypto.randomBytes(chunkSize * 5 + 17);
+      const encrypted = await encrypt(content);
+
+      // Six chunks, each with its own tag
+      expect(encrypted.length).to.equal(headerOverhead() + content.length + 6 * 16);
+      expect((await decrypt(encrypted)).equals(content)).to.be.true;
+    });
+
+    it('should round-trip content that is an exact multiple of the chunk size', async () => {
+      const content = crypto.randomBytes(chunkSize * 3);
+      expect((await decrypt(await encrypt(content))).equals(content)).to.be.true;
+    });
+
+    it('should round-trip empty content', async () => {
+      const encrypted = await encrypt(Buffer.alloc(0));
+
+      expect(encrypted.length).to.equal(headerOverhead() + 16);
+      expect((await decrypt(encrypted)).length).to.equal(0);
+    });
+
+    it('should accept input split at arbitrary points', async () => {
+      const content = crypto.randomBytes(chunkSize * 4 + 3);
+      const encrypted = await encrypt(content);
+
+      const pieces = [];
+      for (let offset = 0; offset < encrypted.length; offset += 5) {
+        pieces.push(encrypted.subarray(offset, offset + 5));
+      }
+      const decrypted = await collect(Readable.from(pieces).pipe(encryption.createDecryptStream(password)));
+
+      expect(decrypted.equals(content)).to.be.true;
+    });
+
+    it('should detect truncation at a chunk boundary', async () => {
+      const content = crypto.randomBytes(chunkSize * 3 + 10);
+      const encrypted = await encrypt(content);
+
+      // Drop the final chunk entirely
+      const truncated = encrypted.subarray(0, encrypted.length - (10 + 16));
+
+      try {
+        await decrypt(truncated);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Integrity check failed');
+      }
+    });
+
+    it('should detect reordered chunks', async () => {
+      const content = crypto.randomBytes(chunkSize * 3 + 10);
+      const encrypted = await encrypt(content);
+      const start = headerOverhead();
+      const size = chunkSize + 16;
+
+      const reordered = Buffer.concat([
+        encrypted.subarray(0, start),
+        encrypted.subarray(start + size, start + 2 * size),
+        encrypted.subarray(start, start + size),
+        encrypted.subarray(start + 2 * size)
+      ]);
+
+      try {
+        await decrypt(reordered);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Integrity check failed');
+      }
+    });
+
+    it('should refuse headers declaring chunks larger than the maximum', async () => {
+      const header = encodeHeader({
+        kdf: { id: KDF.PBKDF2_SHA256, iterations: 1 },
+        salt: Buffer.alloc(16),
+        nonce: Buffer.alloc(7),
+        chunkSize: 0xffffffff
+      });
+
+      // Refused on the header, before any of the chunk is buffered
+      try {
+        await decrypt(Buffer.concat([header, crypto.randomBytes(1024)]));
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(DecryptionError);
+        expect(error.message).to.include('exceeds the maximum');
+      }
+
+      expect(() => encryption.createEncryptStream(password, { chunkSize: MAX_CHUNK_SIZE + 1 })).to.throw('chunkSize');
+    });
+
+    it('should not leave a partial output file when decryption fails', async () => {
+      const encryptedFilePath = path.join(tempDir, 'chunked.enc');
+      const decryptedFilePath = path.join(tempDir, 'chunked.dec');
+      const encrypted = await encrypt(crypto.randomBytes(chunkSize * 3 + 10));
+      await fs.writeFile(encryptedFilePath, encrypted.subarray(0, encrypted.length - 1));
+
+      try {
+        await encryption.decryptFile(encryptedFilePath, password, { outputPath: decryptedFilePath });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Integrity check failed');
+      }
+      expect(fs.existsSync(decryptedFilePath)).to.be.false;
+    });
+
+    it('should still decrypt single-shot version 1 files', async () => {
+      const { key, salt } = await encryption.generateKey(password);
+      const nonce = crypto.randomBytes(12);
+
+      // Version 1 header: no chunk size field
+      const header = Buffer.concat([
+        MAGIC,
+        Buffer.from([1, KDF.PBKDF2_SHA256, 0, 4]),
+        Buffer.from([0x00, 0x01, 0x86, 0xa0]), // 100000 iterations
+        Buffer.from([salt.length]),
+        salt,
+        Buffer.from([nonce.length]),
+        nonce
+      ]);
+      const cipher = crypto.createCipheriv('aes-256-gcm', key, nonce);
+      cipher.setAAD(header);
+      const content = Buffer.from('version 1 content');
+      const encrypted = Buffer.concat([header, cipher.update(content), cipher.final(), cipher.getAuthTag()]);
+
+      expect((await decrypt(encrypted)).equals(content)).to.be.true;
+    });
+  });
+
+  describe('Buffer Encryption', () => {
+    const password = 'buffer-password';
+
+    it('should encrypt and decrypt buffers in memory', async () => {
+      const content = crypto.randomBytes(1000);
+      const encrypted = await encryption.encryptBuffer(content, password, { chunkSize: 64 });
+
+      expect(encrypted.subarray(0, MAGIC.length).equals(MAGIC)).to.be.true;
+      expect((await encryption.decryptBuffer(encrypted, password)).equals(content)).to.be.true;
+    });
+
+    it('should handle empty buffers and Uint8Arrays', async () => {
+      expect((await encryption.decryptBuffer(await encryption.encryptBuffer(Buffer.alloc(0), password), password)).length)
+        .to.equal(0);
+
+      const bytes = new Uint8Array([1, 2, 3]);
+      const decrypted = await encryption.decryptBuffer(await encryption.encryptBuffer(bytes, password), password);
+      expect([...decrypted]).to.deep.equal([1, 2, 3]);
+    });
+
+    it('should use the same format as files', async () => {
+      const encryptedFilePath = path.join(tempDir, 'from-buffer.enc');
+      const decryptedFilePath = path.join(tempDir, 'from-buffer.txt');
+      const content = await fs.readFile(testFilePath);
+
+      await fs.writeFile(encryptedFilePath, await encryption.encryptBuffer(content, password));
+      await encryption.decryptFile(encryptedFilePath, password, { outputPath: decryptedFilePath });
+      expect((await fs.readFile(decryptedFilePath)).equals(content)).to.be.true;
+
+      await encryption.encryptFile(testFilePath, password, { outputPath: encryptedFilePath });
+      expect((await encryption.decryptBuffer(await fs.readFile(encryptedFilePath), password)).equals(content)).to.be.true;
+    });
+
+    it('should encrypt buffers for recipients', async () => {
+      const recipient = crypto.generateKeyPairSync('x25519');
+      const encrypted = await encryption.encryptBuffer(Buffer.from('for you'), { recipients: [recipient.publicKey] });
+
+      expect((await encryption.decryptBuffer(encrypted, recipient.privateKey)).toString()).to.equal('for you');
+    });
+
+    it('should encrypt strings as base64 or hex', async () => {
+      const text = 'Grüße, 世界';
+
+      const base64 = await encryption.encryptString(text, password);
+      expect(base64).to.match(/^[A-Za-z0-9+/]+=*$/);
+      expect(await encryption.decryptString(base64, password)).to.equal(text);
+
+      const hex = await encryption.encryptString(text, password, { encoding: 'hex' });
+      expect(hex).to.match(/^[0-9a-f]+$/);
+      expect(await encryption.decryptString(hex, password, { encoding: 'hex' })).to.equal(text);
+    });
+
+    it('should detect a wrong password or modified data', async () => {
+      const encrypted = await encryption.encryptBuffer(Buffer.from('secret'), password);
+
+      try {
+        await encryption.decryptBuffer(encrypted, 'wrong-password');
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(IntegrityError);
+      }
+    });
+
+    it('should reject input of the wrong type', async () => {
+      try {
+        await encryption.encryptBuffer('not a buffer', password);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('Failed to encrypt buffer: data must be a Buffer or Uint8Array');
+      }
+
+      try {
+        await encryption.encryptString(Buffer.from('not a string'), password);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('Failed to encrypt string: text must be a string');
+      }
+    });
+  });
+
+  describe('Recipients', () => {
+    let alice;
+    let bob;
+    let carol;
+    let rsa;
+
+    before(() => {
+      alice = crypto.generateKeyPairSync('x25519');
+      bob = crypto.generateKeyPairSync('x25519');
+      carol = crypto.generateKeyPairSync('x25519');
+      rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    });
+
+    const encryptFor = (...keyPairs) => encryption.encryptFile(testFilePath, {
+      recipients: keyPairs.map(keyPair => keyPair.publicKey)
+    });
+
+    const decryptWith = async (encryptedFilePath, privateKey) => {
+      const decryptedFilePath = await encryption.decryptFile(encryptedFilePath, privateKey, {
+        outputPath: path.join(tempDir, 'decrypted.txt')
+      });
+      return fs.readFile(decryptedFilePath, 'utf8');
+    };
+
+    it('should decrypt a file with the private key of any recipient', async () => {
+      const encryptedFilePath = await encryptFor(alice, bob, rsa);
+      const expected = await fs.readFile(testFilePath, 'utf8');
+
+      expect(await decryptWith(encryptedFilePath, alice.privateKey)).to.equal(expected);
+      expect(await decryptWith(encryptedFilePath, { privateKey: bob.privateKey })).to.equal(expected);
+      expect(await decryptWith(encryptedFilePath, rsa.privateKey.export({ format: 'pem', type: 'pkcs8' }))).to.equal(expected);
+    });
+
+    it('should reject a private key that is not a recipient', async () => {
+      const encryptedFilePath = await encryptFor(alice);
+
+      try {
+        await decryptWith(encryptedFilePath, carol.privateKey);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('not a recipient');
+      }
+    });
+
+    it('should reject a password for a file encrypted for recipients', async () => {
+      const encryptedFilePath = await encryptFor(alice);
+
+      try {
+        await decryptWith(encryptedFilePath, 'password');
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('decrypt it with a private key');
+      }
+    });
+
+    it('should add and remove recipients without re-encrypting the content', async () => {
+      const encryptedFilePath = await encryptFor(alice);
+      const payload = async () => {
+        const { header } = await encryption._readFileHeader(encryptedFilePath);
+        return (await fs.readFile(encryptedFilePath)).subarray(header.length);
+      };
+      const before = await payload();
+
+      await encryption.addRecipient(encryptedFilePath, alice.privateKey, bob.publicKey);
+      expect(await encryption.listRecipients(encryptedFilePath)).to.have.members([
+        encryption.fingerprint(alice.publicKey),
+        encryption.fingerprint(bob.publicKey)
+      ]);
+      expect((await payload()).equals(before)).to.be.true;
+      expect(await decryptWith(encryptedFilePath, bob.privateKey)).to.equal(await fs.readFile(testFilePath, 'utf8'));
+
+      await encryption.removeRecipient(encryptedFilePath, bob.privateKey, encryption.fingerprint(alice.publicKey));
+      expect(await encryption.listRecipients(encryptedFilePath)).to.deep.equal([encryption.fingerprint(bob.publicKey)]);
+      expect((await payload()).equals(before)).to.be.true;
+
+      try {
+        await decryptWith(encryptedFilePath, alice.privateKey);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('not a recipient');
+      }
+    });
+
+    it('should refuse to remove the last recipient', async () => {
+      const encryptedFilePath = await encryptFor(alice);
+
+      try {
+        await encryption.removeRecipient(encryptedFilePath, alice.privateKey, alice.publicKey);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('last recipient');
+      }
+    });
+
+    it('should detect a modified recipient list', async () => {
+      const encryptedFilePath = await encryptFor(alice);
+      const original = await fs.readFile(encryptedFilePath);
+
+      // Splice in a stanza for a key whose holder does not know the data key
+      const { header } = await encryption._readFileHeader(encryptedFilePath);
+      const forged = Buffer.concat([
+        original.subarray(0, header.coreLength),
+        encodeRecipients([
+          ...header.recipients,
+          { type: 1, id: crypto.createHash('sha256').update('mallory').digest(), body: Buffer.alloc(80) }
+        ]),
+        header.mac,
+        original.subarray(header.length)
+      ]);
+      await fs.writeFile(encryptedFilePath, forged);
+
+      try {
+        await decryptWith(encryptedFilePath, alice.privateKey);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Integrity check failed');
+      }
+    });
+  });
+
+  describe('Progress and Cancellation', () => {
+    it('should report the progress of encryption and decryption', async () => {
+      const size = (await fs.stat(testFilePath)).size;
+      const reports = [];
+
+      const encryptedPath = await encryption.encryptFile(testFilePath, 'password', { onProgress: progress => reports.push(progress) });
+      expect(reports).to.deep.equal([{ bytesTransferred: size, totalBytes: size }]);
+
+      const encryptedSize = (await fs.stat(encryptedPath)).size;
+      reports.length = 0;
+      await encryption.decryptFile(encryptedPath, 'password', { onProgress: progress => reports.push(progress) });
+      expect(reports[reports.length - 1]).to.deep.equal({ bytesTransferred: encryptedSize, totalBytes: encryptedSize });
+    });
+
+    itWithAbort('should remove the partial output when cancelled', async () => {
+      const largeFilePath = path.join(tempDir, 'large-file.bin');
+      await fs.writeFile(largeFilePath, crypto.randomBytes(256 * 1024));
+      const controller = new AbortController();
+
+      try {
+        await encryption.encryptFile(largeFilePath, 'password', {
+          signal: controller.signal,
+          onProgress: () => controller.abort()
+        });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.name).to.equal('AbortError');
+        expect(error.message).to.not.include('Failed to encrypt file');
+      }
+
+      expect(await fs.pathExists(`${largeFilePath}.enc`)).to.be.false;
+    });
+
+    itWithAbort('should report progress and cancel buffer encryption', async () => {
+      const content = crypto.randomBytes(1000);
+      const reports = [];
+
+      await encryption.encryptBuffer(content, 'password', { onProgress: progress => reports.push(progress) });
+      expect(reports).to.deep.equal([{ bytesTransferred: 1000, totalBytes: 1000 }]);
+
+      const controller = new AbortController();
+      controller.abort();
+      try {
+        await encryption.decryptBuffer(content, 'password', { signal: controller.signal });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.name).to.equal('AbortError');
+      }
+    });
+  });
 });
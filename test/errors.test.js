@@ -0,0 +1,98 @@
+/**
+ * Unit tests for the error classes
+ */
+
+const { expect } = require('chai');
+const {
+  AetherDriveError,
+  NotFoundError,
+  PermissionDeniedError,
+  AlreadyExistsError,
+  NotAFolderError,
+  IsAFolderError,
+  FolderNotEmptyError,
+  LinkExpiredError,
+  LinkPasswordError,
+  IntegrityError,
+  DecryptionError,
+  QuotaExceededError,
+  ProviderUnavailableError,
+  TimeoutError,
+  CircuitOpenError,
+  AbortError,
+  failure
+} = require('../lib/errors');
+
+describe('Errors', () => {
+  it('should give every class a stable code and name', () => {
+    const errors = [
+      [new AetherDriveError('failed'), 'AetherDriveError', 'EFAILED'],
+      [new NotFoundError('No such file: x', { ref: 'x' }), 'NotFoundError', 'ENOENT'],
+      [new PermissionDeniedError({ id: 'bob' }, 'read', '/x'), 'PermissionDeniedError', 'EACCES'],
+      [new AlreadyExistsError('Already exists: /x'), 'AlreadyExistsError', 'EEXIST'],
+      [new NotAFolderError('Not a folder: /x'), 'NotAFolderError', 'ENOTDIR'],
+      [new IsAFolderError('Is a folder: /x'), 'IsAFolderError', 'EISDIR'],
+      [new FolderNotEmptyError('Folder is not empty: /x'), 'FolderNotEmptyError', 'ENOTEMPTY'],
+      [new LinkExpiredError('Share link has expired'), 'LinkExpiredError', 'EEXPIRED'],
+      [new LinkPasswordError('Wrong password for share link'), 'LinkPasswordError', 'EPASSWORD'],
+      [new IntegrityError('Integrity check failed'), 'IntegrityError', 'EINTEGRITY'],
+      [new DecryptionError('Invalid header'), 'DecryptionError', 'EDECRYPT'],
+      [new QuotaExceededError('Out of space'), 'QuotaExceededError', 'EQUOTA'],
+      [new ProviderUnavailableError('ipfs upload failed'), 'ProviderUnavailableError', 'EUNAVAILABLE'],
+      [new TimeoutError('ipfs upload', 10), 'TimeoutError', 'ETIMEDOUT'],
+      [new CircuitOpenError('ipfs', new Date(0)), 'CircuitOpenError', 'ECIRCUITOPEN'],
+      [new AbortError(), 'AbortError', 'ABORT_ERR']
+    ];
+
+    for (const [error, name, code] of errors) {
+      expect(error).to.be.instanceOf(AetherDriveError);
+      expect(error).to.be.instanceOf(Error);
+      expect(error.name).to.equal(name);
+      expect(error.code).to.equal(code);
+    }
+  });
+
+  it('should keep the fields of each error', () => {
+    expect(new NotFoundError('No such file: x', { ref: 'x' }).ref).to.equal('x');
+    expect(new AlreadyExistsError('Already exists: /x', { ref: '/x' }).ref).to.equal('/x');
+    expect(new AetherDriveError('failed')).to.not.have.property('ref');
+    expect(new PermissionDeniedError({ id: 'bob' }, 'read', '/x')).to.include({
+      message: 'Permission denied: bob cannot read /x',
+      principal: 'bob',
+      permission: 'read',
+      ref: '/x'
+    });
+    expect(new CircuitOpenError('ipfs', new Date(0)).provider).to.equal('ipfs');
+  });
+
+  it('should group provider outages under ProviderUnavailableError', () => {
+    expect(new TimeoutError('ipfs upload', 10)).to.be.instanceOf(ProviderUnavailableError);
+    expect(new CircuitOpenError('ipfs', new Date(0))).to.be.instanceOf(ProviderUnavailableError);
+  });
+
+  it('should chain causes', () => {
+    const cause = new Error('connect ECONNREFUSED');
+    expect(new ProviderUnavailableError('ipfs upload failed', { cause }).cause).to.equal(cause);
+    expect(new AbortError('user cancelled').cause).to.equal('user cancelled');
+    expect(new AbortError()).to.not.have.property('cause');
+  });
+
+  describe('failure', () => {
+    it('should wrap other errors once, naming the operation', () => {
+      const cause = new Error('disk on fire');
+      const error = failure('upload file', cause);
+
+      expect(error).to.be.instanceOf(AetherDriveError);
+      expect(error.message).to.equal('Failed to upload file: disk on fire');
+      expect(error.cause).to.equal(cause);
+
+      // Wrapping again, in an outer layer, changes nothing
+      expect(failure('upload file', error)).to.equal(error);
+    });
+
+    it('should pass AetherDrive errors on unchanged', () => {
+      const error = new NotFoundError('No such file: x');
+      expect(failure('download file', error)).to.equal(error);
+    });
+  });
+});
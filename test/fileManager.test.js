@@ -6,9 +6,17 @@ const { expect } = require('chai');
 const sinon = require('sinon');
 const fs = require('fs-extra');
 const path = require('path');
+const { Readable, PassThrough } = require('stream');
 const os = require('os');
+const crypto = require('crypto');
 const FileManager = require('../lib/fileManager');
 const MockStorage = require('./mock/mockStorage');
+const Storage = require('../lib/storage');
+const { NotFoundError, PermissionDeniedError, IntegrityError, DecryptionError, AbortError } = require('../lib/errors');
+const { MAGIC, decodeHeader } = require('../lib/encryptionFormat');
+
+// AbortController is global from Node.js 15 on; cancellation tests need it
+const itWithAbort = typeof AbortController === 'undefined' ? it.skip : it;
 
 describe('FileManager', function() {
   // Set timeout to a higher value for file operations
@@ -123,6 +131,57 @@ describe('FileManager', function() {
       expect(result).to.equal(downloadDestination);
       expect(fs.existsSync(downloadDestination)).to.be.true;
     });
+
+    it('should reject missing content with a single NotFoundError', async () => {
+      const manager = new FileManager(new Storage('local', { root: await fs.mkdtemp(path.join(tempDir, 'missing-')) }));
+      const storageId = 'f'.repeat(64);
+
+      try {
+        await manager.downloadFile(storageId, path.join(tempDir, 'missing.txt'));
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(NotFoundError);
+        expect(error.code).to.equal('ENOENT');
+        expect(error.message).to.equal(`File not found in local storage: ${storageId}`);
+      }
+    });
+
+    it('should reject unknown versions with a NotFoundError', async () => {
+      fileManager.fileRegistry.clear();
+      const fileId = await fileManager.uploadFile(testFilePath);
+
+      try {
+        await fileManager.downloadFile(fileId, path.join(tempDir, 'missing-version.txt'), { version: 7 });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(NotFoundError);
+        expect(error.message).to.equal(`Version 7 of ${fileId} does not exist`);
+      }
+    });
+  });
+
+  describe('uploadStream', () => {
+    it('should upload a stream and record its size', async () => {
+      const fileId = await fileManager.uploadStream(fs.createReadStream(testFilePath), { name: 'streamed.txt' });
+
+      const uploadedFile = (await fileManager.listFiles()).find(file => file.id === fileId);
+
+      expect(uploadedFile.name).to.equal('streamed.txt');
+      expect(uploadedFile.size).to.equal((await fs.stat(testFilePath)).size);
+    });
+  });
+
+  describe('createReadStream', () => {
+    it('should stream a file by file ID', async () => {
+      const fileId = await fileManager.uploadFile(testFilePath);
+
+      const chunks = [];
+      for await (const chunk of fileManager.createReadStream(fileId)) {
+        chunks.push(chunk);
+      }
+
+      expect(Buffer.concat(chunks).toString('utf8')).to.equal(await fs.readFile(testFilePath, 'utf8'));
+    });
   });
 
   describe('deleteFile', () => {
@@ -174,6 +233,1424 @@ describe('FileManager', function() {
     });
   });
 
+  describe('Virtual filesystem', () => {
+    beforeEach(() => {
+      // Clear registry between tests
+      fileManager.fileRegistry.clear();
+    });
+
+    it('should place uploads at a path, creating missing folders', async () => {
+      const fileId = await fileManager.uploadFile(testFilePath, { path: '/projects/q3/report.txt' });
+
+      const file = await fileManager.stat('/projects/q3/report.txt');
+      expect(file.id).to.equal(fileId);
+      expect(file.type).to.equal('file');
+      expect(file.name).to.equal('report.txt');
+      expect((await fileManager.stat(fileId)).path).to.equal('/projects/q3/report.txt');
+
+      expect((await fileManager.readdir('/')).map(entry => entry.name)).to.deep.equal(['projects']);
+      expect((await fileManager.stat('/projects/q3')).type).to.equal('folder');
+    });
+
+    it('should download, stream and delete files by path', async () => {
+      await fileManager.uploadFile(testFilePath, { path: '/docs/test.txt' });
+
+      const downloadPath = path.join(tempDir, 'by-path.txt');
+      await fileManager.downloadFile('/docs/test.txt', downloadPath);
+      expect(await fs.readFile(downloadPath, 'utf8')).to.equal('This is a test file for file manager');
+
+      const chunks = [];
+      for await (const chunk of fileManager.createReadStream('/docs/test.txt')) {
+        chunks.push(chunk);
+      }
+      expect(Buffer.concat(chunks).toString()).to.equal('This is a test file for file manager');
+
+      await fileManager.deleteFile('/docs/test.txt');
+      expect(await fileManager.readdir('/docs')).to.deep.equal([]);
+    });
+
+    it('should refuse to upload over an existing path', async () => {
+      await fileManager.uploadFile(testFilePath, { path: '/a.txt' });
+
+      try {
+        await fileManager.uploadFile(testFilePath, { path: '/a.txt' });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.code).to.equal('EEXIST');
+        expect(error.message).to.include('Already exists: /a.txt');
+      }
+    });
+
+    it('should list folder contents sorted by name, without folders in listFiles', async () => {
+      await fileManager.mkdir('/dir/b', { recursive: true });
+      await fileManager.mkdir('/dir/a');
+      await fileManager.uploadFile(testFilePath, { path: '/dir/c.txt' });
+
+      const entries = await fileManager.readdir('/dir');
+      expect(entries.map(entry => [entry.name, entry.type, entry.path])).to.deep.equal([
+        ['a', 'folder', '/dir/a'],
+        ['b', 'folder', '/dir/b'],
+        ['c.txt', 'file', '/dir/c.txt']
+      ]);
+
+      expect((await fileManager.listFiles()).map(file => file.path)).to.deep.equal(['/dir/c.txt']);
+    });
+
+    it('should tell files and folders apart', async () => {
+      await fileManager.uploadFile(testFilePath, { path: '/dir/c.txt' });
+
+      const expectCode = async (operation, code) => {
+        try {
+          await operation();
+          expect.fail('Should have thrown an error');
+        } catch (error) {
+          expect(error.code).to.equal(code);
+        }
+      };
+
+      await expectCode(() => fileManager.readdir('/dir/c.txt'), 'ENOTDIR');
+      await expectCode(() => fileManager.rmdir('/dir/c.txt'), 'ENOTDIR');
+      await expectCode(() => fileManager.mkdir('/dir/c.txt/d'), 'ENOTDIR');
+      await expectCode(() => fileManager.downloadFile('/dir', path.join(tempDir, 'dir.txt')), 'EISDIR');
+    });
+
+    it('should only create missing parents when recursive', async () => {
+      try {
+        await fileManager.mkdir('/x/y');
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('No such folder: /x');
+      }
+
+      await fileManager.mkdir('/x/y', { recursive: true });
+      await fileManager.mkdir('/x/y', { recursive: true });
+      expect((await fileManager.stat('/x/y')).type).to.equal('folder');
+    });
+
+    it('should move and rename files and folders', async () => {
+      const fileId = await fileManager.uploadFile(testFilePath, { path: '/inbox/report.txt' });
+      await fileManager.mkdir('/archive');
+
+      // Into an existing folder, keeping the name
+      expect((await fileManager.move('/inbox/report.txt', '/archive')).path).to.equal('/archive/report.txt');
+
+      // To a new path
+      expect((await fileManager.move(fileId, '/archive/2024.txt')).path).to.equal('/archive/2024.txt');
+
+      // Moving a folder moves its contents
+      await fileManager.rename('/archive', 'old');
+      expect((await fileManager.stat(fileId)).path).to.equal('/old/2024.txt');
+
+      await fileManager.move('/old', '/inbox');
+      expect((await fileManager.stat(fileId)).path).to.equal('/inbox/old/2024.txt');
+    });
+
+    it('should not overwrite entries or move a folder into itself', async () => {
+      await fileManager.uploadFile(testFilePath, { path: '/a/one.txt' });
+      await fileManager.uploadFile(testFilePath, { path: '/a/two.txt' });
+
+      try {
+        await fileManager.rename('/a/one.txt', 'two.txt');
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.code).to.equal('EEXIST');
+        expect(error.message).to.include('Already exists: /a/two.txt');
+      }
+
+      await fileManager.mkdir('/a/b');
+      try {
+        await fileManager.move('/a', '/a/b');
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('into itself');
+      }
+    });
+
+    it('should resolve paths without scanning the registry', async () => {
+      await fileManager.uploadFile(testFilePath, { path: '/deep/er/still/file.txt' });
+      await fileManager.readdir('/');
+      const scan = sinon.spy(fileManager.fileRegistry, 'values');
+
+      try {
+        await fileManager.uploadFile(testFilePath, { path: '/deep/er/still/other.txt' });
+        await fileManager.move('/deep/er/still/other.txt', '/deep/moved.txt');
+
+        expect((await fileManager.stat('/deep/moved.txt')).name).to.equal('moved.txt');
+        expect((await fileManager.readdir('/deep/er/still')).map(entry => entry.name)).to.deep.equal(['file.txt']);
+        expect(scan.called).to.be.false;
+      } finally {
+        scan.restore();
+      }
+    });
+
+    it('should put files uploaded without a path into the tree when moved', async () => {
+      const fileId = await fileManager.uploadFile(testFilePath);
+      expect((await fileManager.stat(fileId)).path).to.be.null;
+      expect(await fileManager.readdir('/')).to.deep.equal([]);
+
+      await fileManager.move(fileId, '/filed.txt');
+      expect((await fileManager.readdir('/')).map(entry => entry.id)).to.deep.equal([fileId]);
+    });
+
+    it('should let only one of the uploads racing for a path have it', async () => {
+      const sources = [new PassThrough(), new PassThrough()];
+      const uploads = sources.map(source => fileManager.uploadStream(source, { path: '/p/f.txt' }).catch(error => error));
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      // The name is taken while the content is on its way
+      await fileManager.mkdir('/p/other');
+      try {
+        await fileManager.move('/p/other', '/p/f.txt');
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.code).to.equal('EEXIST');
+      }
+
+      sources.forEach(source => source.end('content'));
+      const results = await Promise.all(uploads);
+
+      expect(results.filter(result => typeof result === 'string')).to.have.lengthOf(1);
+      expect(results.filter(result => result instanceof Error).map(error => error.code)).to.deep.equal(['EEXIST']);
+      expect((await fileManager.readdir('/')).map(entry => entry.name)).to.deep.equal(['p']);
+      expect((await fileManager.readdir('/p')).map(entry => entry.name)).to.deep.equal(['f.txt', 'other']);
+
+      // The name is free again once an upload fails
+      const source = new PassThrough();
+      const failing = fileManager.uploadStream(source, { path: '/p/g.txt' });
+      source.destroy(new Error('connection reset'));
+      try {
+        await failing;
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('connection reset');
+      }
+      await fileManager.uploadFile(testFilePath, { path: '/p/g.txt' });
+    });
+
+    it('should not store an upload whose folder was removed meanwhile', async () => {
+      const source = new PassThrough();
+      const uploading = fileManager.uploadStream(source, { path: '/gone/f.txt' });
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      await fileManager.rmdir('/gone');
+      source.end('content');
+
+      try {
+        await uploading;
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.code).to.equal('ENOENT');
+      }
+      expect(await fileManager.listFiles()).to.have.lengthOf(0);
+    });
+
+    it('should only remove non-empty folders when recursive', async () => {
+      await fileManager.uploadFile(testFilePath, { path: '/tmp/nested/file.txt' });
+      const deleteSpy = sinon.spy(mockStorage, 'deleteFile');
+
+      try {
+        try {
+          await fileManager.rmdir('/tmp');
+          expect.fail('Should have thrown an error');
+        } catch (error) {
+          expect(error.code).to.equal('ENOTEMPTY');
+          expect(error.message).to.include('Folder is not empty');
+        }
+
+        expect(await fileManager.rmdir('/tmp', { recursive: true })).to.be.true;
+        expect(await fileManager.readdir('/')).to.deep.equal([]);
+
+        // The file goes to the trash, keeping its content
+        expect(deleteSpy.called).to.be.false;
+        const [trashed] = await fileManager.listTrash();
+        expect(trashed.deletedFrom).to.equal('/tmp/nested/file.txt');
+        expect(fileManager.fileRegistry.values()).to.have.lengthOf(1);
+      } finally {
+        deleteSpy.restore();
+      }
+    });
+
+    it('should report missing paths', async () => {
+      try {
+        await fileManager.downloadFile('/missing.txt', path.join(tempDir, 'missing.txt'));
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('No such file or folder: /missing.txt');
+      }
+    });
+  });
+
+  describe('Versions', () => {
+    const revision = async content => {
+      const revisionPath = path.join(tempDir, 'revision.txt');
+      await fs.writeFile(revisionPath, content);
+      return revisionPath;
+    };
+
+    const read = async (manager, fileId, options) => {
+      const downloadPath = path.join(tempDir, 'version.txt');
+      await manager.downloadFile(fileId, downloadPath, options);
+      return fs.readFile(downloadPath, 'utf8');
+    };
+
+    beforeEach(() => {
+      // Clear registry between tests
+      fileManager.fileRegistry.clear();
+    });
+
+    it('should add a version when uploading to an existing file ID', async () => {
+      const fileId = await fileManager.uploadFile(await revision('first'), { fileId: 'doc' });
+      await fileManager.uploadFile(await revision('second draft'), { fileId: 'doc' });
+
+      const versions = await fileManager.listVersions(fileId);
+      expect(versions.map(version => [version.version, version.size, version.current])).to.deep.equal([
+        [1, 5, false],
+        [2, 12, true]
+      ]);
+      expect(await fileManager.listFiles()).to.have.lengthOf(1);
+
+      expect(await read(fileManager, fileId)).to.equal('second draft');
+      expect(await read(fileManager, fileId, { version: 1 })).to.equal('first');
+    });
+
+    it('should keep the path of a file across versions', async () => {
+      await fileManager.uploadFile(await revision('first'), { fileId: 'doc', path: '/docs/doc.txt' });
+      await fileManager.uploadStream(Readable.from([Buffer.from('second')]), { fileId: 'doc' });
+
+      const file = await fileManager.stat('/docs/doc.txt');
+      expect(file.version).to.equal(2);
+      expect(await read(fileManager, '/docs/doc.txt', { version: 1 })).to.equal('first');
+    });
+
+    it('should restore an earlier version as a new version', async () => {
+      await fileManager.uploadFile(await revision('first'), { fileId: 'doc' });
+      await fileManager.uploadFile(await revision('second'), { fileId: 'doc' });
+
+      const file = await fileManager.restoreVersion('doc', 1);
+
+      expect(file.version).to.equal(3);
+      expect(await read(fileManager, 'doc')).to.equal('first');
+      expect((await fileManager.listVersions('doc')).map(version => version.version)).to.deep.equal([1, 2, 3]);
+    });
+
+    it('should report unknown versions', async () => {
+      await fileManager.uploadFile(await revision('first'), { fileId: 'doc' });
+
+      try {
+        await read(fileManager, 'doc', { version: 7 });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Version 7 of doc does not exist');
+      }
+    });
+
+    it('should prune versions beyond keepVersions and delete their content', async () => {
+      const manager = new FileManager(mockStorage, { retention: { keepVersions: 2 } });
+      const deleteSpy = sinon.spy(mockStorage, 'deleteFile');
+
+      try {
+        await manager.uploadFile(await revision('one'), { fileId: 'doc' });
+        const [first] = await manager.listVersions('doc');
+        await manager.uploadFile(await revision('two'), { fileId: 'doc' });
+        await manager.uploadFile(await revision('three'), { fileId: 'doc' });
+
+        expect((await manager.listVersions('doc')).map(version => version.version)).to.deep.equal([2, 3]);
+        expect(deleteSpy.calledOnceWith(first.storageId)).to.be.true;
+      } finally {
+        deleteSpy.restore();
+      }
+    });
+
+    it('should prune versions older than keepDays, but never the current one', async () => {
+      const manager = new FileManager(mockStorage, { retention: { keepDays: 30 } });
+
+      await manager.uploadFile(await revision('old'), { fileId: 'doc' });
+
+      // Age the only version; being current, it survives
+      const record = manager.fileRegistry.get('doc');
+      record.versions[0].createdAt = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000);
+      await manager.fileRegistry.set('doc', record);
+
+      await manager.uploadFile(await revision('new'), { fileId: 'doc' });
+
+      expect((await manager.listVersions('doc')).map(version => version.version)).to.deep.equal([2]);
+    });
+
+    it('should prune expired versions of files that are not written to again', async () => {
+      const clock = sinon.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z'), toFake: ['Date'] });
+      const manager = new FileManager(mockStorage, { retention: { keepDays: 30 } });
+      const deleteSpy = sinon.spy(mockStorage, 'deleteFile');
+
+      try {
+        await manager.uploadFile(await revision('one'), { fileId: 'doc' });
+        const [first] = await manager.listVersions('doc');
+        clock.tick(10 * 24 * 60 * 60 * 1000);
+        await manager.uploadFile(await revision('two'), { fileId: 'doc' });
+
+        // Nothing has expired yet
+        expect(await manager.pruneVersions()).to.deep.equal({ pruned: 0, unreleased: [] });
+
+        clock.tick(25 * 24 * 60 * 60 * 1000);
+        expect(await manager.pruneVersions()).to.deep.equal({ pruned: 1, unreleased: [] });
+
+        expect((await manager.listVersions('doc')).map(version => version.version)).to.deep.equal([2]);
+        expect(deleteSpy.calledOnceWith(first.storageId)).to.be.true;
+      } finally {
+        deleteSpy.restore();
+        clock.restore();
+      }
+    });
+
+    it('should remember content it could not delete and retry it when pruning', async () => {
+      const manager = new FileManager(mockStorage, { retention: { keepVersions: 1 } });
+      const deleteStub = sinon.stub(mockStorage, 'deleteFile');
+      deleteStub.onFirstCall().rejects(new Error('node offline'));
+      deleteStub.callThrough();
+
+      try {
+        await manager.uploadFile(await revision('one'), { fileId: 'doc' });
+        const [first] = await manager.listVersions('doc');
+        await manager.uploadFile(await revision('two'), { fileId: 'doc' });
+
+        expect(manager.fileRegistry.get('doc').unreleased).to.deep.equal([first.storageId]);
+        expect(await manager.stat('doc')).to.not.have.property('unreleased');
+
+        expect(await manager.pruneVersions()).to.deep.equal({ pruned: 0, unreleased: [] });
+        expect(deleteStub.secondCall.args[0]).to.equal(first.storageId);
+        expect(manager.fileRegistry.get('doc')).to.not.have.property('unreleased');
+      } finally {
+        deleteStub.restore();
+      }
+    });
+
+    it('should not delete content still used by another version or file', async () => {
+      const manager = new FileManager(mockStorage, { retention: { keepVersions: 1 } });
+      const deleteSpy = sinon.spy(mockStorage, 'deleteFile');
+
+      try {
+        await manager.uploadFile(await revision('shared'), { fileId: 'a' });
+        await manager.uploadFile(await revision('shared'), { fileId: 'b' });
+        await manager.uploadFile(await revision('changed'), { fileId: 'a' });
+
+        expect(deleteSpy.called).to.be.false;
+        expect(await read(manager, 'b')).to.equal('shared');
+      } finally {
+        deleteSpy.restore();
+      }
+    });
+
+    it('should not delete content an upload in flight is storing again', async () => {
+      const manager = new FileManager(mockStorage, { retention: { keepVersions: 1 } });
+      const deleteSpy = sinon.spy(mockStorage, 'deleteFile');
+
+      try {
+        await manager.uploadFile(await revision('shared'), { fileId: 'a' });
+
+        // The same content is on its way to another file while file a lets go of it
+        const source = new PassThrough();
+        const uploading = manager.uploadStream(source, { fileId: 'b' });
+        source.write('shared');
+        const replacing = manager.uploadFile(await revision('changed'), { fileId: 'a' });
+
+        await new Promise(resolve => setTimeout(resolve, 20));
+        expect(deleteSpy.called).to.be.false;
+
+        source.end();
+        await Promise.all([uploading, replacing]);
+
+        expect(deleteSpy.called).to.be.false;
+        expect(await read(manager, 'b')).to.equal('shared');
+      } finally {
+        deleteSpy.restore();
+      }
+    });
+
+    it('should add versions to the file as it is once the upload is done', async () => {
+      await fileManager.uploadFile(await revision('v1'), { fileId: 'doc', path: '/drafts/doc.txt' });
+
+      // Two versions upload side by side while the file is moved and tagged
+      const first = new PassThrough();
+      const second = new PassThrough();
+      const uploads = [
+        fileManager.uploadStream(first, { fileId: 'doc' }),
+        fileManager.uploadStream(second, { fileId: 'doc' })
+      ];
+      await fileManager.move('doc', '/final.txt');
+      await fileManager.updateMetadata('doc', { tags: ['reviewed'] });
+      first.end('v2');
+      second.end('v3');
+      await Promise.all(uploads);
+
+      const file = await fileManager.stat('doc');
+      expect(file.path).to.equal('/final.txt');
+      expect(file.tags).to.deep.equal(['reviewed']);
+      expect((await fileManager.listVersions('doc')).map(version => version.version)).to.deep.equal([1, 2, 3]);
+    });
+
+    it('should not bring a file deleted during an upload back from the trash', async () => {
+      await fileManager.uploadFile(await revision('v1'), { fileId: 'doc' });
+      const deleteSpy = sinon.spy(mockStorage, 'deleteFile');
+
+      try {
+        const source = new PassThrough();
+        const uploading = fileManager.uploadStream(source, { fileId: 'doc' });
+        await fileManager.deleteFile('doc');
+        source.end('v2');
+
+        try {
+          await uploading;
+          expect.fail('Should have thrown an error');
+        } catch (error) {
+          expect(error.code).to.equal('ENOENT');
+        }
+
+        expect((await fileManager.listTrash()).map(file => file.id)).to.deep.equal(['doc']);
+
+        // The content of the rejected version is deleted again
+        expect(deleteSpy.callCount).to.equal(1);
+      } finally {
+        deleteSpy.restore();
+      }
+    });
+
+    it('should delete the content of every version with the file', async () => {
+      const deleteSpy = sinon.spy(mockStorage, 'deleteFile');
+
+      try {
+        await fileManager.uploadFile(await revision('v1'), { fileId: 'doc' });
+        await fileManager.uploadFile(await revision('v2'), { fileId: 'doc' });
+
+        await fileManager.deleteFile('doc', { permanent: true });
+
+        expect(deleteSpy.callCount).to.equal(2);
+      } finally {
+        deleteSpy.restore();
+      }
+    });
+
+    it('should reject invalid retention policies', () => {
+      expect(() => new FileManager(mockStorage, { retention: { keepVersions: 0 } })).to.throw('keepVersions');
+    });
+  });
+
+  describe('Metadata and queries', () => {
+    const upload = (name, content, options = {}) => fileManager.uploadStream(
+      Readable.from([Buffer.from(content)]),
+      { name, ...options }
+    );
+
+    beforeEach(async () => {
+      // Clear registry between tests
+      fileManager.fileRegistry.clear();
+
+      await upload('report.pdf', 'x'.repeat(300), { fileId: 'a', contentType: 'application/pdf', tags: ['finance', 'q3'], metadata: { owner: 'ana' } });
+      await upload('photo.png', 'x'.repeat(50), { fileId: 'b', contentType: 'image/png', tags: ['q3'] });
+      await upload('notes.txt', 'x'.repeat(10), { fileId: 'c', contentType: 'text/plain', metadata: { owner: 'ana' } });
+      await upload('diagram.png', 'x'.repeat(120), { fileId: 'd', contentType: 'image/png', tags: ['finance'] });
+    });
+
+    const ids = files => files.map(file => file.id);
+
+    it('should store metadata and tags given on upload', async () => {
+      const file = await fileManager.stat('a');
+
+      expect(file.metadata).to.deep.equal({ owner: 'ana' });
+      expect(file.tags).to.deep.equal(['finance', 'q3']);
+    });
+
+    it('should merge metadata updates and replace tags', async () => {
+      const file = await fileManager.updateMetadata('a', { metadata: { owner: null, project: 'apollo' }, tags: ['archived'] });
+
+      expect(file.metadata).to.deep.equal({ project: 'apollo' });
+      expect(file.tags).to.deep.equal(['archived']);
+      expect((await fileManager.stat('a')).metadata).to.deep.equal({ project: 'apollo' });
+    });
+
+    it('should reject invalid metadata', async () => {
+      try {
+        await fileManager.updateMetadata('a', { tags: 'finance' });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('tags must be an array');
+      }
+    });
+
+    it('should filter by tag, content type, size, name and metadata', async () => {
+      expect(ids(await fileManager.listFiles({ tag: 'finance' }))).to.deep.equal(['a', 'd']);
+      expect(ids(await fileManager.listFiles({ tag: ['finance', 'q3'] }))).to.deep.equal(['a']);
+      expect(ids(await fileManager.listFiles({ contentType: 'image/*' }))).to.deep.equal(['b', 'd']);
+      expect(ids(await fileManager.listFiles({ contentType: 'text/plain' }))).to.deep.equal(['c']);
+      expect(ids(await fileManager.listFiles({ minSize: 50, maxSize: 120 }))).to.deep.equal(['b', 'd']);
+      expect(ids(await fileManager.listFiles({ name: '*.png' }))).to.deep.equal(['b', 'd']);
+      expect(ids(await fileManager.listFiles({ name: 'n?tes.*' }))).to.deep.equal(['c']);
+      expect(ids(await fileManager.listFiles({ metadata: { owner: 'ana' } }))).to.deep.equal(['a', 'c']);
+    });
+
+    it('should filter by creation time', async () => {
+      const record = fileManager.fileRegistry.get('a');
+      await fileManager.fileRegistry.set('a', { ...record, createdAt: new Date('2020-01-01T00:00:00Z') });
+
+      expect(ids(await fileManager.listFiles({ createdBefore: '2021-01-01' }))).to.deep.equal(['a']);
+      expect(ids(await fileManager.listFiles({ createdAfter: new Date('2021-01-01') }))).to.have.members(['b', 'c', 'd']);
+    });
+
+    it('should sort by name or size in either order', async () => {
+      expect(ids(await fileManager.listFiles({ sortBy: 'name' }))).to.deep.equal(['d', 'c', 'b', 'a']);
+      expect(ids(await fileManager.listFiles({ sortBy: 'size', order: 'desc' }))).to.deep.equal(['a', 'd', 'b', 'c']);
+    });
+
+    it('should paginate with cursors', async () => {
+      const first = await fileManager.listFiles({ sortBy: 'size', limit: 3 });
+      expect(ids(first)).to.deep.equal(['c', 'b', 'd']);
+      expect(first.nextCursor).to.be.a('string');
+
+      // Files added between pages don't shift the next page
+      await upload('tiny.txt', 'x', { fileId: 'e' });
+
+      const second = await fileManager.listFiles({ sortBy: 'size', limit: 3, cursor: first.nextCursor });
+      expect(ids(second)).to.deep.equal(['a']);
+      expect(second.nextCursor).to.be.null;
+    });
+
+    it('should reject unknown sort fields and invalid cursors', async () => {
+      for (const options of [{ sortBy: 'colour' }, { cursor: 'not-a-cursor' }]) {
+        try {
+          await fileManager.listFiles(options);
+          expect.fail('Should have thrown an error');
+        } catch (error) {
+          expect(error.message).to.match(/Cannot sort by colour|Invalid cursor/);
+        }
+      }
+    });
+  });
+
+  describe('Content types', () => {
+    beforeEach(() => {
+      // Clear registry between tests
+      fileManager.fileRegistry.clear();
+    });
+
+    it('should detect the content type of uploaded files', async () => {
+      const pdfPath = path.join(tempDir, 'scan');
+      await fs.writeFile(pdfPath, '%PDF-1.7\n%âãÏÓ\n');
+
+      const fileId = await fileManager.uploadFile(pdfPath);
+
+      const [file] = await fileManager.listFiles();
+      expect(file.id).to.equal(fileId);
+      expect(file.contentType).to.equal('application/pdf');
+    });
+
+    it('should detect the content type of streams from their first bytes', async () => {
+      const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+      const fileId = await fileManager.uploadStream(Readable.from([png.subarray(0, 3), png.subarray(3), Buffer.alloc(64)]));
+
+      expect((await fileManager.stat(fileId)).contentType).to.equal('image/png');
+    });
+
+    it('should fall back to the name of the file', async () => {
+      const fileId = await fileManager.uploadStream(Readable.from([Buffer.from('a,b\n1,2\n')]), { path: '/data/table.csv' });
+
+      expect((await fileManager.stat(fileId)).contentType).to.equal('text/csv');
+    });
+
+    it('should keep a content type given by the caller', async () => {
+      const fileId = await fileManager.uploadFile(testFilePath, { contentType: 'text/x-custom' });
+
+      expect((await fileManager.stat(fileId)).contentType).to.equal('text/x-custom');
+    });
+
+    it('should not guess the type of encrypted content from the ciphertext', async () => {
+      // Random bytes that happen to start like a JPEG
+      const encryptedPath = path.join(tempDir, 'report.pdf.enc');
+      await fs.writeFile(encryptedPath, Buffer.from([0xff, 0xd8, 0xff, 0x00, 0x12]));
+
+      const fileId = await fileManager.uploadFile(encryptedPath, { encrypted: true });
+
+      expect((await fileManager.stat(fileId)).contentType).to.equal('application/pdf');
+    });
+  });
+
+  describe('Trash', () => {
+    beforeEach(() => {
+      // Clear registry between tests
+      fileManager.fileRegistry.clear();
+    });
+
+    it('should move deleted files to the trash', async () => {
+      const deleteSpy = sinon.spy(mockStorage, 'deleteFile');
+
+      try {
+        const fileId = await fileManager.uploadFile(testFilePath, { path: '/docs/test.txt' });
+        await fileManager.deleteFile('/docs/test.txt');
+
+        expect(deleteSpy.called).to.be.false;
+        expect(await fileManager.listFiles()).to.deep.equal([]);
+        expect(await fileManager.readdir('/docs')).to.deep.equal([]);
+
+        const [trashed] = await fileManager.listTrash();
+        expect(trashed.id).to.equal(fileId);
+        expect(trashed.deletedAt).to.be.an.instanceOf(Date);
+        expect(trashed.deletedFrom).to.equal('/docs/test.txt');
+        expect(trashed.expiresAt - trashed.deletedAt).to.equal(30 * 24 * 60 * 60 * 1000);
+
+        try {
+          await fileManager.downloadFile(fileId, path.join(tempDir, 'trashed.txt'));
+          expect.fail('Should have thrown an error');
+        } catch (error) {
+          expect(error.message).to.include('in the trash');
+        }
+      } finally {
+        deleteSpy.restore();
+      }
+    });
+
+    it('should restore files to where they were deleted from', async () => {
+      const fileId = await fileManager.uploadFile(testFilePath, { path: '/docs/a/test.txt' });
+      await fileManager.rmdir('/docs', { recursive: true });
+
+      const restored = await fileManager.restoreFile(fileId);
+
+      expect(restored.path).to.equal('/docs/a/test.txt');
+      expect(restored).to.not.have.property('deletedAt');
+      expect(await fileManager.listTrash()).to.deep.equal([]);
+
+      const downloadPath = path.join(tempDir, 'restored.txt');
+      await fileManager.downloadFile('/docs/a/test.txt', downloadPath);
+      expect(await fs.readFile(downloadPath, 'utf8')).to.equal('This is a test file for file manager');
+    });
+
+    it('should not overwrite a file taking the place of a deleted one', async () => {
+      const fileId = await fileManager.uploadFile(testFilePath, { path: '/test.txt' });
+      await fileManager.deleteFile(fileId);
+      await fileManager.uploadFile(testFilePath, { path: '/test.txt' });
+
+      try {
+        await fileManager.restoreFile(fileId);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.code).to.equal('EEXIST');
+        expect(error.message).to.include('Already exists: /test.txt');
+      }
+
+      expect((await fileManager.restoreFile(fileId, { path: '/test (restored).txt' })).path).to.equal('/test (restored).txt');
+    });
+
+    it('should purge only expired files', async () => {
+      const oldId = await fileManager.uploadStream(Readable.from([Buffer.from('old')]));
+      const newId = await fileManager.uploadStream(Readable.from([Buffer.from('new')]));
+      await fileManager.deleteFile(oldId);
+      await fileManager.deleteFile(newId);
+
+      const record = fileManager.fileRegistry.get(oldId);
+      await fileManager.fileRegistry.set(oldId, { ...record, deletedAt: new Date(Date.now() - 31 * 24 * 60 * 60 * 1000) });
+
+      const deleteSpy = sinon.spy(mockStorage, 'deleteFile');
+      try {
+        expect(await fileManager.purgeTrash()).to.equal(1);
+        expect(deleteSpy.calledOnceWith(record.storageId)).to.be.true;
+        expect((await fileManager.listTrash()).map(file => file.id)).to.deep.equal([newId]);
+
+        expect(await fileManager.emptyTrash()).to.equal(1);
+        expect(await fileManager.listTrash()).to.deep.equal([]);
+        expect(fileManager.fileRegistry.values()).to.deep.equal([]);
+      } finally {
+        deleteSpy.restore();
+      }
+    });
+
+    it('should keep content still used by a file in the trash', async () => {
+      const deleteSpy = sinon.spy(mockStorage, 'deleteFile');
+
+      try {
+        // Content-addressed providers give identical uploads the same storage ID
+        const fileId = await fileManager.uploadFile(testFilePath);
+        const record = fileManager.fileRegistry.get(fileId);
+        await fileManager.fileRegistry.set('copy', { ...record, id: 'copy' });
+
+        await fileManager.deleteFile(fileId);
+        await fileManager.deleteFile('copy', { permanent: true });
+
+        expect(deleteSpy.called).to.be.false;
+      } finally {
+        deleteSpy.restore();
+      }
+    });
+
+    it('should delete files immediately when the trash is disabled', async () => {
+      const manager = new FileManager(mockStorage, { trash: false });
+      const fileId = await manager.uploadFile(testFilePath);
+
+      await manager.deleteFile(fileId);
+
+      expect(await manager.listTrash()).to.deep.equal([]);
+      expect(manager.fileRegistry.values()).to.deep.equal([]);
+    });
+
+    it('should reject invalid trash policies', () => {
+      expect(() => new FileManager(mockStorage, { trash: { keepDays: 0 } })).to.throw('keepDays');
+    });
+  });
+
+  describe('Access control', () => {
+    let alice;
+    let bob;
+
+    const expectDenied = async (operation, permission) => {
+      try {
+        await operation();
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.an.instanceOf(PermissionDeniedError);
+        expect(error.code).to.equal('EACCES');
+        expect(error.permission).to.equal(permission);
+      }
+    };
+
+    beforeEach(() => {
+      // Clear registry between tests
+      fileManager.fileRegistry.clear();
+
+      alice = fileManager.as('alice');
+      bob = fileManager.as({ id: 'bob', roles: ['finance'] });
+    });
+
+    it('should make principals own what they create', async () => {
+      const fileId = await alice.uploadFile(testFilePath, { path: '/alice/notes.txt' });
+
+      expect((await alice.stat(fileId)).owner).to.equal('alice');
+      expect((await alice.stat('/alice')).owner).to.equal('alice');
+      expect((await fileManager.stat(fileId)).owner).to.equal('alice');
+    });
+
+    it('should deny access to files of others', async () => {
+      const fileId = await alice.uploadFile(testFilePath, { path: '/alice/notes.txt' });
+
+      await expectDenied(() => bob.downloadFile(fileId, path.join(tempDir, 'stolen.txt')), 'read');
+      await expectDenied(() => bob.stat('/alice/notes.txt'), 'read');
+      await expectDenied(() => bob.deleteFile(fileId), 'delete');
+      await expectDenied(() => bob.uploadFile(testFilePath, { fileId }), 'write');
+      await expectDenied(() => bob.uploadFile(testFilePath, { path: '/alice/bob.txt' }), 'write');
+      await expectDenied(() => bob.grant(fileId, 'user:bob', ['read']), 'share');
+
+      expect(await bob.listFiles()).to.deep.equal([]);
+      expect(await bob.readdir('/')).to.deep.equal([]);
+    });
+
+    it('should not let principals reach content by storage ID', async () => {
+      const fileId = await alice.uploadFile(testFilePath);
+      const { storageId } = await alice.stat(fileId);
+
+      try {
+        await bob.downloadFile(storageId, path.join(tempDir, 'stolen.txt'));
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('No such file');
+      }
+    });
+
+    it('should apply folder grants to everything below the folder', async () => {
+      const fileId = await alice.uploadFile(testFilePath, { path: '/reports/q3/summary.txt' });
+      await alice.grant('/reports', 'role:finance', ['read', 'write']);
+
+      const downloadPath = path.join(tempDir, 'shared.txt');
+      await bob.downloadFile('/reports/q3/summary.txt', downloadPath);
+      expect(await fs.readFile(downloadPath, 'utf8')).to.equal('This is a test file for file manager');
+      expect((await bob.listFiles()).map(file => file.id)).to.deep.equal([fileId]);
+
+      // Write access allows new files and versions, but not deleting
+      await bob.uploadFile(testFilePath, { path: '/reports/q3/extra.txt' });
+      await bob.uploadFile(testFilePath, { fileId });
+      await expectDenied(() => bob.deleteFile(fileId), 'delete');
+
+      await alice.revoke('/reports', 'role:finance');
+      await expectDenied(() => bob.stat(fileId), 'read');
+    });
+
+    it('should only let principals grant permissions they have', async () => {
+      const fileId = await alice.uploadFile(testFilePath, { path: '/shared.txt' });
+      await alice.grant(fileId, 'user:bob', ['read', 'share']);
+
+      const entry = await bob.grant(fileId, 'user:carol', ['read']);
+      expect(entry.acl).to.deep.equal({ 'user:bob': ['read', 'share'], 'user:carol': ['read'] });
+
+      await expectDenied(() => bob.grant(fileId, 'user:carol', ['read', 'delete']), 'delete');
+    });
+
+    it('should reject invalid grants', async () => {
+      const fileId = await alice.uploadFile(testFilePath);
+
+      for (const [grantee, permissions] of [['bob', ['read']], ['user:bob', ['admin']]]) {
+        try {
+          await alice.grant(fileId, grantee, permissions);
+          expect.fail('Should have thrown an error');
+        } catch (error) {
+          expect(error.message).to.match(/Grantee must be|Permissions must be/);
+        }
+      }
+    });
+
+    it('should give admins and the system full access', async () => {
+      const fileId = await alice.uploadFile(testFilePath, { path: '/alice/notes.txt' });
+      const admin = fileManager.as({ id: 'root', roles: ['admin'] });
+
+      expect((await admin.stat(fileId)).id).to.equal(fileId);
+      expect((await fileManager.stat(fileId)).id).to.equal(fileId);
+      expect(await admin.deleteFile(fileId)).to.be.true;
+    });
+
+    it('should let whoever deleted a file restore it', async () => {
+      const fileId = await alice.uploadFile(testFilePath, { path: '/team/plan.txt' });
+      await alice.grant('/team', 'user:bob', ['read', 'write', 'delete']);
+
+      await bob.deleteFile('/team/plan.txt');
+      expect((await bob.listTrash()).map(file => file.id)).to.deep.equal([fileId]);
+      expect(await fileManager.as('carol').listTrash()).to.deep.equal([]);
+
+      expect((await bob.restoreFile(fileId)).path).to.equal('/team/plan.txt');
+    });
+
+    it('should not let principals gain permissions by moving files into their folders', async () => {
+      const fileId = await alice.uploadFile(testFilePath, { path: '/alice/notes.txt' });
+      await alice.grant(fileId, 'user:bob', ['read', 'write']);
+      await expectDenied(() => bob.deleteFile(fileId), 'delete');
+
+      await bob.mkdir('/b');
+      await expectDenied(() => bob.move(fileId, '/b'), 'delete');
+      await expectDenied(() => bob.move(fileId, '/b/notes.txt'), 'delete');
+      await expectDenied(() => bob.move(fileId, '/notes.txt'), 'delete');
+      expect((await alice.stat(fileId)).path).to.equal('/alice/notes.txt');
+
+      // Within its folder, the file keeps the permissions it has
+      expect((await bob.rename(fileId, 'renamed.txt')).path).to.equal('/alice/renamed.txt');
+
+      // Files outside the tree can't be pulled into it either
+      const loose = await alice.uploadFile(testFilePath);
+      await alice.grant(loose, 'user:bob', ['read', 'write']);
+      await expectDenied(() => bob.move(loose, '/b'), 'delete');
+    });
+
+    it('should let principals move entries out of folders they may write to', async () => {
+      const fileId = await alice.uploadFile(testFilePath, { path: '/team/plan.txt' });
+      await alice.grant('/team', 'user:bob', ['read', 'write']);
+      await bob.mkdir('/team/drafts');
+
+      expect((await bob.move(fileId, '/team/drafts')).path).to.equal('/team/drafts/plan.txt');
+
+      await alice.grant(fileId, 'user:carol', ['read', 'write', 'delete']);
+      await fileManager.as('carol').mkdir('/carol');
+      expect((await fileManager.as('carol').move(fileId, '/carol')).path).to.equal('/carol/plan.txt');
+    });
+
+    it('should need the delete permission to remove a folder', async () => {
+      await alice.mkdir('/team');
+      await alice.grant('/team', 'user:bob', ['read', 'write']);
+      await bob.uploadFile(testFilePath, { path: '/team/bob.txt' });
+
+      await expectDenied(() => bob.rmdir('/team', { recursive: true }), 'delete');
+      expect((await alice.readdir('/team')).map(entry => entry.name)).to.deep.equal(['bob.txt']);
+
+      // Whether the folder has entries isn't given away
+      await expectDenied(() => bob.rmdir('/team'), 'delete');
+
+      await alice.grant('/team', 'user:bob', ['read', 'write', 'delete']);
+      expect(await bob.rmdir('/team', { recursive: true })).to.be.true;
+    });
+
+    it('should require a principal ID', () => {
+      expect(() => fileManager.as({ roles: ['admin'] })).to.throw('principal needs');
+    });
+  });
+
+  describe('Share links', () => {
+    let fileId;
+    let downloadPath;
+
+    const expectRejected = async (operation, message, code) => {
+      try {
+        await operation();
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include(message);
+        if (code) {
+          expect(error.code).to.equal(code);
+        }
+      }
+    };
+
+    beforeEach(async () => {
+      // Clear registry between tests
+      fileManager.fileRegistry.clear();
+
+      fileId = await fileManager.uploadFile(testFilePath, { path: '/shared/test.txt' });
+      downloadPath = path.join(tempDir, 'shared-download.txt');
+    });
+
+    it('should download a file through a share link', async () => {
+      const token = await fileManager.createShareLink('/shared/test.txt');
+
+      const { file, link } = await fileManager.resolveShareLink(token);
+      expect(file.id).to.equal(fileId);
+      expect(link).to.include({ expiresAt: null, maxDownloads: null, downloads: 0, password: false });
+
+      // The link works for anyone, whatever their permissions
+      await fileManager.as('stranger').downloadSharedFile(token, downloadPath);
+      expect(await fs.readFile(downloadPath, 'utf8')).to.equal('This is a test file for file manager');
+      expect((await fileManager.listShareLinks(fileId))[0].downloads).to.equal(1);
+    });
+
+    it('should reject tampered tokens', async () => {
+      const token = await fileManager.createShareLink(fileId);
+      const [payload, signature] = token.split('.');
+      const forged = Buffer.from(JSON.stringify(['other-file', 'link'])).toString('base64');
+
+      await expectRejected(() => fileManager.resolveShareLink(`${forged}.${signature}`), 'Invalid share link', 'ENOENT');
+      await expectRejected(() => fileManager.resolveShareLink(`${payload}.${signature.slice(1)}`), 'Invalid share link', 'ENOENT');
+      await expectRejected(() => new FileManager(mockStorage).resolveShareLink(token), 'Invalid share link', 'ENOENT');
+    });
+
+    it('should expire links', async () => {
+      const token = await fileManager.createShareLink(fileId, { expiresIn: '1h' });
+      const { link } = await fileManager.resolveShareLink(token);
+      expect(link.expiresAt - link.createdAt).to.equal(60 * 60 * 1000);
+
+      const clock = sinon.useFakeTimers({ now: Date.now() + 2 * 60 * 60 * 1000, toFake: ['Date'] });
+      try {
+        await expectRejected(() => fileManager.downloadSharedFile(token, downloadPath), 'Share link has expired', 'EEXPIRED');
+      } finally {
+        clock.restore();
+      }
+    });
+
+    it('should limit the number of downloads', async () => {
+      const token = await fileManager.createShareLink(fileId, { maxDownloads: 2 });
+
+      await fileManager.downloadSharedFile(token, downloadPath);
+      await fileManager.downloadSharedFile(token, downloadPath);
+      await expectRejected(() => fileManager.downloadSharedFile(token, downloadPath), 'download limit', 'EEXPIRED');
+    });
+
+    it('should give a download back when it fails', async () => {
+      const token = await fileManager.createShareLink(fileId, { maxDownloads: 1 });
+      const stub = sinon.stub(mockStorage, 'downloadFile').rejects(new Error('node offline'));
+
+      try {
+        await expectRejected(() => fileManager.downloadSharedFile(token, downloadPath), 'node offline');
+      } finally {
+        stub.restore();
+      }
+
+      expect((await fileManager.resolveShareLink(token)).link.downloads).to.equal(0);
+    });
+
+    it('should only give access to the current version', async () => {
+      const token = await fileManager.createShareLink(fileId);
+      await fileManager.uploadStream(Readable.from(['second version']), { fileId });
+
+      await fileManager.downloadSharedFile(token, downloadPath, { version: 1 });
+      expect(await fs.readFile(downloadPath, 'utf8')).to.equal('second version');
+    });
+
+    it('should ask for the password of protected links', async () => {
+      const token = await fileManager.createShareLink(fileId, { password: 'open sesame' });
+
+      await expectRejected(() => fileManager.downloadSharedFile(token, downloadPath), 'requires a password', 'EPASSWORD');
+      await expectRejected(() => fileManager.downloadSharedFile(token, downloadPath, { password: 'guess' }), 'Wrong password', 'EPASSWORD');
+
+      await fileManager.downloadSharedFile(token, downloadPath, { password: 'open sesame' });
+      expect(await fs.readFile(downloadPath, 'utf8')).to.equal('This is a test file for file manager');
+      expect(JSON.stringify(await fileManager.stat(fileId))).to.not.include('shareLinks');
+    });
+
+    it('should revoke links by token or ID', async () => {
+      const first = await fileManager.createShareLink(fileId);
+      const second = await fileManager.createShareLink(fileId);
+
+      expect(await fileManager.revokeShareLink(first)).to.be.true;
+      expect(await fileManager.revokeShareLink(first)).to.be.false;
+      await expectRejected(() => fileManager.downloadSharedFile(first, downloadPath), 'revoked');
+
+      const [{ id }] = await fileManager.listShareLinks(fileId);
+      expect(await fileManager.revokeShareLink(id)).to.be.true;
+      await expectRejected(() => fileManager.resolveShareLink(second), 'revoked');
+    });
+
+    it('should stop working when the file is deleted', async () => {
+      const token = await fileManager.createShareLink(fileId);
+      await fileManager.deleteFile(fileId);
+
+      await expectRejected(() => fileManager.downloadSharedFile(token, downloadPath), 'no longer exists');
+    });
+
+    it('should need the share permission to create links', async () => {
+      try {
+        await fileManager.as('stranger').createShareLink(fileId);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.an.instanceOf(PermissionDeniedError);
+        expect(error.permission).to.equal('share');
+      }
+    });
+
+    it('should reject invalid link options and secrets', async () => {
+      await expectRejected(() => fileManager.createShareLink(fileId, { expiresIn: '1 week' }), 'expiresIn');
+      await expectRejected(() => fileManager.createShareLink(fileId, { maxDownloads: 0 }), 'maxDownloads');
+      expect(() => new FileManager(mockStorage, { shareSecret: 'short' })).to.throw('shareSecret');
+    });
+  });
+
+  describe('Progress and cancellation', () => {
+    const size = 256 * 1024;
+    let manager;
+    let largeFilePath;
+
+    before(async () => {
+      // Large enough to be read in several chunks
+      largeFilePath = path.join(tempDir, 'large-file.bin');
+      await fs.writeFile(largeFilePath, Buffer.alloc(size, 1));
+    });
+
+    beforeEach(async () => {
+      // The storage layer does the counting, so use a real one
+      manager = new FileManager(new Storage('local', { root: await fs.mkdtemp(path.join(tempDir, 'progress-')) }));
+    });
+
+    it('should report the progress of uploads and downloads', async () => {
+      const uploads = [];
+      const fileId = await manager.uploadFile(largeFilePath, { onProgress: progress => uploads.push(progress) });
+      expect(uploads[uploads.length - 1]).to.deep.equal({ bytesTransferred: size, totalBytes: size });
+
+      // The size of a registered file is known up front
+      const downloads = [];
+      await manager.downloadFile(fileId, path.join(tempDir, 'progress.bin'), { onProgress: progress => downloads.push(progress) });
+      expect(downloads.length).to.be.greaterThan(1);
+      expect(downloads.every(progress => progress.totalBytes === size)).to.be.true;
+      expect(downloads[downloads.length - 1].bytesTransferred).to.equal(size);
+    });
+
+    it('should report the size of the version read', async () => {
+      const fileId = await manager.uploadFile(largeFilePath);
+      await manager.uploadStream(Readable.from([Buffer.from('second version')]), { fileId });
+
+      const reports = [];
+      for await (const chunk of manager.createReadStream(fileId, { version: 1, onProgress: progress => reports.push(progress) })) {
+        expect(chunk.length).to.be.greaterThan(0);
+      }
+      expect(reports[reports.length - 1]).to.deep.equal({ bytesTransferred: size, totalBytes: size });
+    });
+
+    itWithAbort('should reject with an AbortError and register nothing when an upload is cancelled', async () => {
+      const controller = new AbortController();
+
+      try {
+        await manager.uploadFile(largeFilePath, {
+          path: '/uploads/large.bin',
+          signal: controller.signal,
+          onProgress: () => controller.abort()
+        });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AbortError);
+      }
+
+      expect(await manager.listFiles()).to.have.lengthOf(0);
+    });
+
+    itWithAbort('should remove the partial file when a download is cancelled', async () => {
+      const fileId = await manager.uploadFile(largeFilePath);
+      const destination = path.join(tempDir, 'cancelled.bin');
+      const controller = new AbortController();
+
+      try {
+        await manager.downloadFile(fileId, destination, {
+          signal: controller.signal,
+          onProgress: () => controller.abort('user cancelled')
+        });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AbortError);
+        expect(error.cause).to.equal('user cancelled');
+      }
+
+      expect(await fs.pathExists(destination)).to.be.false;
+    });
+  });
+
+  describe('Encryption on upload and download', () => {
+    const encrypt = { password: 'upload-password', kdf: { iterations: 1000 } };
+    let manager;
+    let downloadDir;
+
+    const stored = async fileId => {
+      const chunks = [];
+      for await (const chunk of manager.storage.createReadStream((await manager.stat(fileId)).storageId)) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks);
+    };
+
+    beforeEach(async () => {
+      // The storage layer runs the cipher, so use a real one
+      downloadDir = await fs.mkdtemp(path.join(tempDir, 'decrypted-'));
+      manager = new FileManager(new Storage('local', { root: await fs.mkdtemp(path.join(tempDir, 'encrypted-')) }));
+    });
+
+    it('should store only the encrypted content', async () => {
+      const fileId = await manager.uploadFile(testFilePath, { encrypt, path: '/secret/notes.txt' });
+      const content = await stored(fileId);
+
+      expect(content.subarray(0, MAGIC.length).equals(MAGIC)).to.be.true;
+      expect(content.toString()).to.not.include('file manager');
+
+      // The type comes from the plaintext; the size is that of the stored content
+      expect(await manager.stat(fileId)).to.include({ encrypted: true, contentType: 'text/plain', size: content.length });
+    });
+
+    it('should decrypt into the destination when given the key', async () => {
+      const fileId = await manager.uploadFile(testFilePath, { encrypt });
+      const destination = path.join(downloadDir, 'notes.txt');
+
+      await manager.downloadFile(fileId, destination, { decrypt: { password: encrypt.password } });
+
+      expect(await fs.readFile(destination, 'utf8')).to.equal(await fs.readFile(testFilePath, 'utf8'));
+      expect(await fs.readdir(downloadDir)).to.deep.equal(['notes.txt']);
+    });
+
+    it('should download the stored content without the key', async () => {
+      const fileId = await manager.uploadFile(testFilePath, { encrypt });
+      const destination = path.join(downloadDir, 'notes.txt.enc');
+
+      await manager.downloadFile(fileId, destination);
+
+      expect((await fs.readFile(destination)).equals(await stored(fileId))).to.be.true;
+    });
+
+    it('should encrypt streams for recipients', async () => {
+      const recipient = crypto.generateKeyPairSync('x25519');
+      const fileId = await manager.uploadStream(Readable.from([Buffer.from('for your eyes only')]), {
+        encrypt: { recipients: [recipient.publicKey] }
+      });
+
+      const chunks = [];
+      for await (const chunk of manager.createReadStream(fileId, { decrypt: { privateKey: recipient.privateKey } })) {
+        chunks.push(chunk);
+      }
+      expect(Buffer.concat(chunks).toString()).to.equal('for your eyes only');
+    });
+
+    it('should leave nothing behind when the key is wrong', async () => {
+      const fileId = await manager.uploadFile(testFilePath, { encrypt });
+      const destination = path.join(downloadDir, 'notes.txt');
+
+      try {
+        await manager.downloadFile(fileId, destination, { decrypt: { password: 'wrong-password' } });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(IntegrityError);
+      }
+
+      expect(await fs.readdir(downloadDir)).to.be.empty;
+    });
+
+    it('should refuse to decrypt files that are not encrypted', async () => {
+      const fileId = await manager.uploadFile(testFilePath);
+
+      try {
+        await manager.downloadFile(fileId, path.join(downloadDir, 'notes.txt'), { decrypt: { password: 'password' } });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(DecryptionError);
+        expect(error.message).to.equal(`${fileId} is not encrypted`);
+      }
+    });
+
+    it('should reject an incomplete encrypt option before storing anything', async () => {
+      try {
+        await manager.uploadFile(testFilePath, { encrypt: { kdf: encrypt.kdf }, path: '/secret/notes.txt' });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('encrypt must have one of a password, recipients or a keyId');
+      }
+
+      expect(await manager.listFiles()).to.have.lengthOf(0);
+      expect(await manager.storage.listFiles()).to.have.lengthOf(0);
+    });
+  });
+
+  describe('Key rotation', () => {
+    const oldKey = { password: 'old-password', kdf: { iterations: 1000 } };
+    const newKey = { password: 'new-password', kdf: { iterations: 1000 } };
+    let manager;
+    let downloadDir;
+
+    const read = async (fileId, decrypt, version) => {
+      const destination = path.join(downloadDir, `${crypto.randomBytes(4).toString('hex')}.txt`);
+      await manager.downloadFile(fileId, destination, { decrypt, version });
+      return fs.readFile(destination, 'utf8');
+    };
+
+    beforeEach(async () => {
+      downloadDir = await fs.mkdtemp(path.join(tempDir, 'rotated-'));
+      manager = new FileManager(new Storage('local', { root: await fs.mkdtemp(path.join(tempDir, 'rotation-')) }));
+    });
+
+    it('should re-encrypt every version of a file and delete the old content', async () => {
+      const fileId = await manager.uploadFile(testFilePath, { encrypt: oldKey, path: '/keys/notes.txt' });
+      await manager.uploadStream(Readable.from(['second version']), { fileId, encrypt: oldKey });
+      const before = await manager.listVersions(fileId);
+
+      const result = await manager.rotateKey('/keys/notes.txt', oldKey.password, newKey);
+
+      expect(result.rotated).to.deep.equal([fileId]);
+      expect(result.jobId).to.be.a('string');
+
+      const after = await manager.listVersions(fileId);
+      expect(after.map(version => version.version)).to.deep.equal([1, 2]);
+      after.forEach((version, index) => {
+        expect(version.storageId).to.not.equal(before[index].storageId);
+        expect(version.rotatedBy).to.equal(result.jobId);
+      });
+      expect((await manager.storage.listFiles()).map(file => file.id).sort())
+        .to.deep.equal(after.map(version => version.storageId).sort());
+
+      expect(await read(fileId, { password: newKey.password }, 1)).to.equal('This is a test file for file manager');
+      expect(await read(fileId, { password: newKey.password })).to.equal('second version');
+      try {
+        await read(fileId, { password: oldKey.password });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(IntegrityError);
+      }
+    });
+
+    it('should report old content it could not delete, and delete it when pruning', async () => {
+      const fileId = await manager.uploadFile(testFilePath, { encrypt: oldKey });
+      const { storageId } = await manager.stat(fileId);
+
+      const deleteFile = sinon.stub(manager.storage, 'deleteFile').rejects(new Error('node offline'));
+      let result;
+      try {
+        result = await manager.rotateKey(fileId, oldKey, newKey);
+      } finally {
+        deleteFile.restore();
+      }
+
+      expect(result.rotated).to.deep.equal([fileId]);
+      expect(result.unreleased).to.have.lengthOf(1);
+      expect(result.unreleased[0]).to.include({ fileId, storageId });
+      expect(result.unreleased[0].error.message).to.include('node offline');
+      expect(await manager.storage.fileExists(storageId)).to.be.true;
+
+      expect((await manager.pruneVersions()).unreleased).to.deep.equal([]);
+      expect(await manager.storage.fileExists(storageId)).to.be.false;
+    });
+
+    it('should rotate the files matching a filter, reporting the ones that fail', async () => {
+      const first = await manager.uploadFile(testFilePath, { encrypt: oldKey, tags: ['rotate'] });
+      const plain = await manager.uploadFile(testFilePath, { tags: ['rotate'] });
+      const other = await manager.uploadFile(testFilePath, { encrypt: { ...oldKey, password: 'other' }, tags: ['rotate'] });
+      const untagged = await manager.uploadFile(testFilePath, { encrypt: oldKey });
+
+      const result = await manager.rotateKey({ tag: 'rotate' }, oldKey, newKey);
+
+      expect(result.rotated).to.deep.equal([first]);
+      expect(result.skipped).to.deep.equal([plain]);
+      expect(result.failed.map(entry => entry.fileId)).to.deep.equal([other]);
+      expect(result.failed[0].error).to.be.instanceOf(IntegrityError);
+
+      // Files that failed or weren't selected keep their key
+      expect(await read(other, { password: 'other' })).to.equal('This is a test file for file manager');
+      expect(await read(untagged, { password: oldKey.password })).to.equal('This is a test file for file manager');
+    });
+
+    it('should resume an interrupted rotation with its job ID', async () => {
+      const first = await manager.uploadFile(testFilePath, { encrypt: oldKey, tags: ['batch'] });
+      const second = await manager.uploadFile(testFilePath, { encrypt: oldKey, tags: ['batch'] });
+
+      // The provider fails while the second file is being stored
+      const upload = sinon.stub(manager.storage, 'uploadStream').callThrough();
+      upload.onSecondCall().rejects(new Error('connection lost'));
+
+      const interrupted = await manager.rotateKey({ tag: 'batch' }, oldKey, newKey);
+      expect(interrupted.rotated).to.deep.equal([first]);
+      expect(interrupted.failed.map(entry => entry.fileId)).to.deep.equal([second]);
+      upload.restore();
+
+      const resumed = await manager.rotateKey({ tag: 'batch' }, oldKey, newKey, { jobId: interrupted.jobId });
+      expect(resumed.skipped).to.deep.equal([first]);
+      expect(resumed.rotated).to.deep.equal([second]);
+
+      for (const fileId of [first, second]) {
+        expect(await read(fileId, { password: newKey.password })).to.equal('This is a test file for file manager');
+      }
+    });
+
+    it('should give every upload attempt its own streams', async () => {
+      const oldRecipient = crypto.generateKeyPairSync('x25519');
+      const newRecipient = crypto.generateKeyPairSync('x25519');
+      const fileId = await manager.uploadFile(testFilePath, { encrypt: { recipients: [oldRecipient.publicKey] } });
+
+      // Stand in for a failed first attempt, which would have used up its streams
+      const attempts = [];
+      const upload = sinon.stub(manager.storage, 'uploadStream').callsFake(function(source, options) {
+        attempts.push(options.transform());
+        return upload.wrappedMethod.call(this, source, options);
+      });
+      try {
+        await manager.rotateKey(fileId, { privateKey: oldRecipient.privateKey }, { recipients: [newRecipient.publicKey] });
+      } finally {
+        upload.restore();
+      }
+
+      // The upload itself went through streams of its own
+      const [, counter] = attempts[0];
+      expect(counter.bytes).to.equal(0);
+      expect(await read(fileId, { privateKey: newRecipient.privateKey })).to.equal('This is a test file for file manager');
+    });
+
+    it('should only re-wrap the data key of files encrypted for recipients', async () => {
+      const oldRecipient = crypto.generateKeyPairSync('x25519');
+      const newRecipient = crypto.generateKeyPairSync('x25519');
+      const fileId = await manager.uploadFile(testFilePath, { encrypt: { recipients: [oldRecipient.publicKey] } });
+
+      const payload = async () => {
+        const chunks = [];
+        for await (const chunk of manager.storage.createReadStream((await manager.stat(fileId)).storageId)) {
+          chunks.push(chunk);
+        }
+        const content = Buffer.concat(chunks);
+        return content.subarray(decodeHeader(content).length);
+      };
+      const before = await payload();
+
+      await manager.rotateKey(fileId, { privateKey: oldRecipient.privateKey }, { recipients: [newRecipient.publicKey] });
+
+      // The encrypted chunks are copied as they are
+      expect((await payload()).equals(before)).to.be.true;
+      expect(await read(fileId, { privateKey: newRecipient.privateKey })).to.equal('This is a test file for file manager');
+      try {
+        await read(fileId, { privateKey: oldRecipient.privateKey });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('not a recipient');
+      }
+    });
+
+    it('should check both keys before reading anything', async () => {
+      const fileId = await manager.uploadFile(testFilePath, { encrypt: oldKey });
+
+      for (const [from, to] of [[{}, newKey], [oldKey, {}]]) {
+        try {
+          await manager.rotateKey(fileId, from, to);
+          expect.fail('Should have thrown an error');
+        } catch (error) {
+          expect(error.message).to.match(/decrypt must be|encrypt must have/);
+        }
+      }
+      expect(await read(fileId, { password: oldKey.password })).to.equal('This is a test file for file manager');
+    });
+  });
+
   describe('getTempFilePath', () => {
     it('should return a path in the temporary directory', () => {
       const tempFilePath = fileManager.getTempFilePath('test');
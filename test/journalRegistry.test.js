@@ -0,0 +1,197 @@
+/**
+ * Unit tests for the journal file registry
+ */
+
+const { expect } = require('chai');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const JournalRegistry = require('../lib/registries/journal');
+const FileManager = require('../lib/fileManager');
+const MockStorage = require('./mock/mockStorage');
+
+describe('JournalRegistry', function() {
+  // Set timeout to a higher value for file operations
+  this.timeout(10000);
+
+  let tempDir;
+  let journalPath;
+  let registry;
+
+  const open = async (config = {}) => {
+    const instance = new JournalRegistry({ path: journalPath, ...config });
+    await instance.open();
+    return instance;
+  };
+
+  const journalLines = async () => (await fs.readFile(journalPath, 'utf8')).split('\n').filter(Boolean);
+
+  beforeEach(async () => {
+    // Create a temporary directory for the journal
+    tempDir = path.join(os.tmpdir(), 'aetherdrive-registry-test-' + Date.now());
+    journalPath = path.join(tempDir, 'registry', 'registry.journal');
+    registry = await open();
+  });
+
+  afterEach(async () => {
+    await registry.close();
+
+    // Clean up temporary directory
+    await fs.remove(tempDir);
+  });
+
+  it('should require a journal path', () => {
+    expect(() => new JournalRegistry()).to.throw('file path');
+  });
+
+  it('should keep records across reopening', async () => {
+    const createdAt = new Date();
+    await registry.set('a', { id: 'a', storageId: 'blob-a', size: 1, createdAt, encrypted: true });
+    await registry.set('b', { id: 'b', storageId: 'blob-b', size: 2, createdAt });
+    await registry.set('a', { id: 'a', storageId: 'blob-a2', size: 3, createdAt, encrypted: true });
+    expect(await registry.delete('b')).to.be.true;
+    expect(await registry.delete('missing')).to.be.false;
+    await registry.close();
+
+    registry = await open();
+
+    expect(registry.values()).to.have.lengthOf(1);
+    expect(registry.get('a')).to.deep.equal({ id: 'a', storageId: 'blob-a2', size: 3, createdAt, encrypted: true });
+    expect(registry.get('a').createdAt).to.be.an.instanceOf(Date);
+    expect(registry.has('b')).to.be.false;
+  });
+
+  it('should only turn date fields back into Dates', async () => {
+    const createdAt = new Date('2026-01-01T00:00:00.000Z');
+    await registry.set('a', {
+      id: 'a',
+      name: '2026-01-01T00:00:00.000Z',
+      createdAt,
+      metadata: { reviewed: '2026-02-01T00:00:00.000Z' },
+      versions: [{ version: 1, createdAt, rotatedAt: createdAt }],
+      shareLinks: { link: { createdAt, expiresAt: null } }
+    });
+    await registry.close();
+
+    registry = await open();
+    const record = registry.get('a');
+
+    expect(record.name).to.equal('2026-01-01T00:00:00.000Z');
+    expect(record.metadata.reviewed).to.equal('2026-02-01T00:00:00.000Z');
+    expect(record.createdAt).to.deep.equal(createdAt);
+    expect(record.versions[0].createdAt).to.deep.equal(createdAt);
+    expect(record.versions[0].rotatedAt).to.deep.equal(createdAt);
+    expect(record.shareLinks.link).to.deep.equal({ createdAt, expiresAt: null });
+  });
+
+  it('should refuse to open a journal another registry holds', async () => {
+    try {
+      await open();
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.message).to.include(`in use by process ${process.pid}`);
+    }
+
+    // Released on close
+    await registry.close();
+    registry = await open();
+  });
+
+  it('should take over a lock left by a process that crashed', async () => {
+    await registry.close();
+
+    // No process has this ID
+    await fs.writeFile(`${journalPath}.lock`, '2147483647\n');
+
+    registry = await open();
+    expect(await fs.readFile(`${journalPath}.lock`, 'utf8')).to.equal(`${process.pid}\n`);
+  });
+
+  it('should discard an entry torn by a crash', async () => {
+    await registry.set('a', { id: 'a' });
+    await registry.close();
+
+    // A crash in the middle of an append leaves a partial final line
+    await fs.appendFile(journalPath, '{"op":"set","id":"b","rec');
+
+    registry = await open();
+    expect(registry.values()).to.deep.equal([{ id: 'a' }]);
+
+    // The torn entry is cut off, so the next one is readable
+    await registry.set('c', { id: 'c' });
+    await registry.close();
+
+    registry = await open();
+    expect(registry.values()).to.deep.equal([{ id: 'a' }, { id: 'c' }]);
+    expect(await journalLines()).to.have.lengthOf(2);
+  });
+
+  it('should refuse to open a journal corrupted before its end', async () => {
+    await registry.set('a', { id: 'a' });
+    await registry.close();
+
+    await fs.writeFile(journalPath, 'garbage\n' + await fs.readFile(journalPath, 'utf8'));
+
+    try {
+      await open();
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.message).to.include('corrupt at line 1');
+    }
+  });
+
+  it('should compact the journal once it holds mostly stale entries', async () => {
+    await registry.close();
+    registry = await open({ compactThreshold: 10 });
+
+    for (let i = 0; i < 25; i++) {
+      await registry.set('a', { id: 'a', revision: i });
+    }
+    await registry.set('b', { id: 'b' });
+
+    expect((await journalLines()).length).to.be.below(10);
+    expect(fs.existsSync(`${journalPath}.compact`)).to.be.false;
+
+    await registry.close();
+    registry = await open();
+    expect(registry.values()).to.deep.equal([{ id: 'a', revision: 24 }, { id: 'b' }]);
+  });
+
+  it('should ignore a compaction interrupted before the rename', async () => {
+    await registry.set('a', { id: 'a' });
+    await registry.close();
+
+    await fs.writeFile(`${journalPath}.compact`, '{"op":"set","id":"half');
+
+    registry = await open();
+    expect(registry.values()).to.deep.equal([{ id: 'a' }]);
+    expect(fs.existsSync(`${journalPath}.compact`)).to.be.false;
+  });
+
+  it('should let a FileManager reopen the files of an earlier run', async () => {
+    await registry.close();
+
+    const storage = new MockStorage();
+    const testFilePath = path.join(tempDir, 'test-file.txt');
+    await fs.writeFile(testFilePath, 'This is a test file for the registry');
+
+    const first = new FileManager(storage, { registry: new JournalRegistry({ path: journalPath }) });
+    const fileId = await first.uploadFile(testFilePath, { encrypted: true });
+    await first.close();
+
+    const second = new FileManager(storage, { registry: new JournalRegistry({ path: journalPath }) });
+    await second.open();
+
+    const [file] = await second.listFiles();
+    expect(file.id).to.equal(fileId);
+    expect(file.name).to.equal('test-file.txt');
+    expect(file.encrypted).to.be.true;
+
+    const downloadPath = path.join(tempDir, 'downloaded.txt');
+    await second.downloadFile(fileId, downloadPath);
+    expect(await fs.readFile(downloadPath, 'utf8')).to.equal('This is a test file for the registry');
+    await second.close();
+
+    registry = await open();
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Unit tests for the keyring
+ */
+
+const { expect } = require('chai');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const Keyring = require('../lib/keyring');
+const Encryption = require('../lib/encryption');
+const FileManager = require('../lib/fileManager');
+const Storage = require('../lib/storage');
+const { KDF, decodeHeader } = require('../lib/encryptionFormat');
+const { NotFoundError, IntegrityError, DecryptionError } = require('../lib/errors');
+
+describe('Keyring', function() {
+  // Set timeout to a higher value for file operations
+  this.timeout(10000);
+
+  // Cheap keystore derivation keeps the tests fast
+  const kdf = { iterations: 1000 };
+
+  let tempDir;
+  let keystorePath;
+  let keyring;
+
+  const open = async (config = {}) => {
+    const instance = new Keyring({ path: keystorePath, passphrase: 'keystore passphrase', kdf, ...config });
+    await instance.open();
+    return instance;
+  };
+
+  beforeEach(async () => {
+    // Create a temporary directory for the keystore and test files
+    tempDir = path.join(os.tmpdir(), 'aetherdrive-keyring-test-' + Date.now());
+    keystorePath = path.join(tempDir, 'keys', 'keystore.aeth');
+    keyring = await open();
+  });
+
+  afterEach(async () => {
+    // Clean up temporary directory
+    await fs.remove(tempDir);
+  });
+
+  it('should require a keystore path and a passphrase', () => {
+    expect(() => new Keyring({ passphrase: 'x' })).to.throw('keystore path');
+    expect(() => new Keyring({ path: keystorePath })).to.throw('passphrase');
+  });
+
+  it('should create an empty, encrypted keystore', async () => {
+    expect(keyring.isOpen()).to.be.true;
+    expect(keyring.listKeys()).to.deep.equal([]);
+
+    const stored = await fs.readFile(keystorePath);
+    expect(stored.subarray(0, 4).toString('ascii')).to.equal('AETH');
+    expect(stored.toString('latin1')).to.not.include('"keys"');
+  });
+
+  it('should generate named keys and look them up by ID or name', async () => {
+    const described = await keyring.generateKey('backups');
+
+    expect(described.id).to.match(/^[0-9a-f]{32}$/);
+    expect(described.name).to.equal('backups');
+    expect(described.createdAt).to.be.instanceOf(Date);
+    expect(described).to.not.have.property('key');
+
+    const byId = keyring.getKey(described.id);
+    expect(byId.key).to.have.lengthOf(32);
+    expect(keyring.getKey('backups').key.equals(byId.key)).to.be.true;
+    expect(keyring.listKeys()).to.deep.equal([described]);
+  });
+
+  it('should keep keys across reopening', async () => {
+    const { id } = await keyring.generateKey('backups');
+    const key = keyring.getKey(id).key;
+
+    const reopened = await open();
+    expect(reopened.getKey('backups').id).to.equal(id);
+    expect(reopened.getKey(id).key.equals(key)).to.be.true;
+  });
+
+  it('should refuse to open with the wrong passphrase', async () => {
+    await keyring.generateKey('backups');
+
+    try {
+      await open({ passphrase: 'wrong passphrase' });
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(IntegrityError);
+    }
+  });
+
+  it('should reject duplicate and ID-like names', async () => {
+    await keyring.generateKey('backups');
+
+    for (const name of ['backups', '', 'a'.repeat(32)]) {
+      try {
+        await keyring.generateKey(name);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.match(/already exists|non-empty|look like a key ID/);
+      }
+    }
+    expect(keyring.listKeys()).to.have.lengthOf(1);
+  });
+
+  it('should delete keys', async () => {
+    const { id } = await keyring.generateKey('backups');
+    await keyring.generateKey('archive');
+
+    expect(await keyring.deleteKey('backups')).to.be.true;
+    expect(() => keyring.getKey(id)).to.throw(NotFoundError);
+    expect((await open()).listKeys().map(key => key.name)).to.deep.equal(['archive']);
+
+    try {
+      await keyring.deleteKey('backups');
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(NotFoundError);
+    }
+  });
+
+  it('should save concurrent changes one at a time', async () => {
+    await Promise.all(['a', 'b', 'c'].map(name => keyring.generateKey(name)));
+
+    expect((await open()).listKeys().map(key => key.name).sort()).to.deep.equal(['a', 'b', 'c']);
+  });
+
+  it('should fail lookups until it is open', () => {
+    const closed = new Keyring({ path: keystorePath, passphrase: 'keystore passphrase' });
+    expect(closed.isOpen()).to.be.false;
+    expect(() => closed.getKey('backups')).to.throw('not open');
+  });
+
+  describe('Encryption', () => {
+    let encryption;
+    let testFilePath;
+
+    beforeEach(async () => {
+      encryption = new Encryption({ keyring });
+      testFilePath = path.join(tempDir, 'test.txt');
+      await fs.writeFile(testFilePath, 'Keyring test content');
+    });
+
+    it('should write the key ID into the header and find the key from it', async () => {
+      const { id } = await keyring.generateKey('backups');
+
+      const encryptedPath = await encryption.encryptFile(testFilePath, { keyId: 'backups' });
+      const header = decodeHeader(await fs.readFile(encryptedPath));
+      expect(header.kdf).to.deep.equal({ id: KDF.KEYRING, keyId: id });
+
+      const decryptedPath = await encryption.decryptFile(encryptedPath);
+      expect(await fs.readFile(decryptedPath, 'utf8')).to.equal('Keyring test content');
+    });
+
+    it('should give every file its own content key', async () => {
+      await keyring.generateKey('backups');
+
+      const first = await encryption.encryptBuffer(Buffer.from('same'), { keyId: 'backups' });
+      const second = await encryption.encryptBuffer(Buffer.from('same'), { keyId: 'backups' });
+      expect(first.equals(second)).to.be.false;
+      expect((await encryption.decryptBuffer(second)).toString()).to.equal('same');
+    });
+
+    it('should fail clearly without the key or a keyring', async () => {
+      const { id } = await keyring.generateKey('backups');
+      const encrypted = await encryption.encryptBuffer(Buffer.from('secret'), { keyId: id });
+
+      await keyring.deleteKey(id);
+      try {
+        await encryption.decryptBuffer(encrypted);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(NotFoundError);
+        expect(error.ref).to.equal(id);
+      }
+
+      try {
+        await new Encryption().decryptBuffer(encrypted);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('no keyring is configured');
+      }
+    });
+
+    it('should still require a password for password files', async () => {
+      const encrypted = await encryption.encryptBuffer(Buffer.from('secret'), 'password', { kdf });
+
+      try {
+        await encryption.decryptBuffer(encrypted);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(DecryptionError);
+        expect(error.message).to.include('encrypted with a password');
+      }
+    });
+
+    it('should encrypt uploads and decrypt downloads with keyring keys', async () => {
+      await keyring.generateKey('uploads');
+      const manager = new FileManager(new Storage('local', { root: path.join(tempDir, 'storage') }), { encryption });
+
+      const fileId = await manager.uploadFile(testFilePath, { encrypt: { keyId: 'uploads' } });
+      expect(await manager.stat(fileId)).to.include({ encrypted: true });
+
+      const destination = path.join(tempDir, 'downloaded.txt');
+      await manager.downloadFile(fileId, destination, { decrypt: true });
+      expect(await fs.readFile(destination, 'utf8')).to.equal('Keyring test content');
+    });
+  });
+});
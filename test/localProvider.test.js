@@ -0,0 +1,154 @@
+/**
+ * Unit tests for the local filesystem storage provider
+ */
+
+const { expect } = require('chai');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const sinon = require('sinon');
+const Storage = require('../lib/storage');
+const LocalProvider = require('../lib/providers/local');
+const { NotFoundError } = require('../lib/errors');
+
+describe('LocalProvider', function() {
+  // Set timeout to a higher value for file operations
+  this.timeout(10000);
+
+  let tempDir;
+  let root;
+  let testFilePath;
+  let testFileHash;
+
+  beforeEach(async () => {
+    // Create a temporary directory for test files
+    tempDir = path.join(os.tmpdir(), 'aetherdrive-local-test-' + Date.now());
+    root = path.join(tempDir, 'store');
+    await fs.ensureDir(tempDir);
+
+    // Create a test file
+    testFilePath = path.join(tempDir, 'test-file.txt');
+    await fs.writeFile(testFilePath, 'This is a test file for local storage');
+    testFileHash = crypto.createHash('sha256').update(await fs.readFile(testFilePath)).digest('hex');
+  });
+
+  afterEach(async () => {
+    sinon.restore();
+
+    // Clean up temporary directory
+    await fs.remove(tempDir);
+  });
+
+  it('should require a root directory', () => {
+    expect(() => new LocalProvider()).to.throw('root directory');
+  });
+
+  it('should store files content-addressed in fan-out directories', async () => {
+    const provider = new LocalProvider({ root });
+
+    const id = await provider.upload(fs.createReadStream(testFilePath));
+
+    expect(id).to.equal(testFileHash);
+    const blobPath = path.join(root, id.substring(0, 2), id.substring(2, 4), id);
+    expect(fs.existsSync(blobPath)).to.be.true;
+  });
+
+  it('should deduplicate identical content', async () => {
+    const provider = new LocalProvider({ root });
+    const copyPath = path.join(tempDir, 'copy.txt');
+    await fs.copy(testFilePath, copyPath);
+
+    const id1 = await provider.upload(fs.createReadStream(testFilePath));
+    const id2 = await provider.upload(fs.createReadStream(copyPath));
+
+    expect(id1).to.equal(id2);
+    expect(await provider.list()).to.have.lengthOf(1);
+  });
+
+  it('should keep files across instances', async () => {
+    const id = await new LocalProvider({ root }).upload(fs.createReadStream(testFilePath));
+
+    // A fresh instance simulates a process restart
+    const reopened = new LocalProvider({ root });
+    const files = await reopened.list();
+
+    expect(files.map(file => file.id)).to.deep.equal([id]);
+
+    const chunks = [];
+    for await (const chunk of await reopened.createReadStream(id)) {
+      chunks.push(chunk);
+    }
+    expect(Buffer.concat(chunks).toString('utf8')).to.equal(await fs.readFile(testFilePath, 'utf8'));
+  });
+
+  it('should delete files and prune empty directories', async () => {
+    const provider = new LocalProvider({ root });
+    const id = await provider.upload(fs.createReadStream(testFilePath));
+
+    expect(await provider.delete(id)).to.be.true;
+    expect(await provider.exists(id)).to.be.false;
+    expect(fs.existsSync(path.join(root, id.substring(0, 2)))).to.be.false;
+    expect(await provider.delete(id)).to.be.false;
+  });
+
+  it('should honour a custom fan-out depth', async () => {
+    const provider = new LocalProvider({ root, fanout: 0 });
+    const id = await provider.upload(fs.createReadStream(testFilePath));
+
+    expect(fs.existsSync(path.join(root, id))).to.be.true;
+    expect((await provider.list()).map(file => file.id)).to.deep.equal([id]);
+  });
+
+  it('should report missing and invalid IDs', async () => {
+    const provider = new LocalProvider({ root });
+
+    expect(await provider.stat('0'.repeat(64))).to.be.null;
+    expect(await provider.stat('../../etc/passwd')).to.be.null;
+
+    try {
+      await provider.createReadStream('../../etc/passwd');
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(NotFoundError);
+      expect(error.code).to.equal('ENOENT');
+      expect(error.message).to.include('Invalid local storage ID');
+    }
+
+    expect(await provider.delete('bogus')).to.be.false;
+  });
+
+  it('should retry an upload whose directory is pruned before it is moved into place', async () => {
+    const provider = new LocalProvider({ root });
+
+    // Simulate a concurrent delete pruning the directory right after it is created
+    const ensureDir = fs.ensureDir;
+    let pruned = false;
+    sinon.stub(fs, 'ensureDir').callsFake(async (dir) => {
+      await ensureDir(dir);
+      if (!pruned && dir !== provider.tempDir) {
+        pruned = true;
+        await fs.remove(dir);
+      }
+    });
+
+    const id = await provider.upload(fs.createReadStream(testFilePath));
+
+    expect(pruned).to.be.true;
+    expect(await provider.exists(id)).to.be.true;
+  });
+
+  it('should be available as the "local" storage type', async () => {
+    const storage = new Storage('local', { root });
+    const id = await storage.uploadFile(testFilePath);
+
+    expect(await storage.fileExists(id)).to.be.true;
+
+    try {
+      await storage.downloadFile('f'.repeat(64), path.join(tempDir, 'missing.txt'));
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.message).to.include('File not found in local storage');
+    }
+  });
+});
@@ -6,6 +6,7 @@ const fs = require('fs-extra');
 const path = require('path');
 const os = require('os');
 const crypto = require('crypto');
+const { Readable } = require('stream');
 
 /**
  * MockStorage class implementing the same interface as the Storage class
@@ -66,6 +67,56 @@ class MockStorage {
     }
   }
 
+  /**
+   * Upload the content of a readable stream to the mock storage
+   * @param {stream.Readable} readable - Stream of the content to upload
+   * @param {Object} options - Upload options
+   * @returns {Promise<string>} - Returns the file ID
+   */
+  async uploadStream(readable, options = {}) {
+    try {
+      const chunks = [];
+      for await (const chunk of readable) {
+        chunks.push(Buffer.from(chunk));
+      }
+
+      const fileContent = Buffer.concat(chunks);
+      const fileId = options.fileId || this.generateFileId(fileContent);
+
+      // Store the content in our mock storage
+      const storagePath = path.join(this.tempDir, fileId);
+      await fs.writeFile(storagePath, fileContent);
+
+      this.files.set(fileId, {
+        id: fileId,
+        path: storagePath,
+        originalPath: null,
+        size: fileContent.length,
+        createdAt: new Date()
+      });
+
+      return fileId;
+    } catch (error) {
+      throw new Error(`Failed to upload stream: ${error.message}`);
+    }
+  }
+
+  /**
+   * Open a readable stream of a file in the mock storage
+   * @param {string} fileId - ID of the file to read
+   * @param {Object} options - Read options
+   * @returns {stream.Readable} - Stream of the file content
+   */
+  createReadStream(fileId, options = {}) {
+    const fileInfo = this.files.get(fileId);
+
+    if (!fileInfo) {
+      return Readable.from([Buffer.from(`Mock content for file ID: ${fileId}`)]);
+    }
+
+    return fs.createReadStream(fileInfo.path);
+  }
+
   /**
    * Download a file from the mock storage
    * @param {string} fileId - ID of the file to download
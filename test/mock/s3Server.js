@@ -0,0 +1,201 @@
+/**
+ * Minimal S3-compatible HTTP server for testing
+ *
+ * Supports the subset of the S3 REST API used by the S3 provider (objects,
+ * ListObjectsV2 and multipart uploads) with path-style addressing, and checks
+ * the SigV4 signature of every request.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { signRequest } = require('../../lib/providers/s3');
+
+class MockS3Server {
+  /**
+   * Create a new MockS3Server instance
+   * @param {Object} credentials - `{ accessKeyId, secretAccessKey }` requests must be signed with
+   * @param {string} region - Region requests must be signed for
+   */
+  constructor(credentials, region = 'us-east-1') {
+    this.credentials = credentials;
+    this.region = region;
+    this.buckets = new Map();
+    this.uploads = new Map();
+    this.requests = [];
+    this.server = http.createServer((req, res) => this._handle(req, res));
+  }
+
+  /**
+   * Start listening on a random local port
+   * @returns {Promise<string>} - Returns the endpoint URL
+   */
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    return `http://127.0.0.1:${this.server.address().port}`;
+  }
+
+  /**
+   * Stop the server
+   * @returns {Promise<void>}
+   */
+  stop() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Get (and create) the object map of a bucket
+   * @param {string} name - Bucket name
+   * @returns {Map} - Objects by key
+   */
+  bucket(name) {
+    if (!this.buckets.has(name)) {
+      this.buckets.set(name, new Map());
+    }
+    return this.buckets.get(name);
+  }
+
+  _send(res, statusCode, body = '', headers = {}) {
+    res.writeHead(statusCode, { 'content-type': 'application/xml', ...headers });
+    res.end(body);
+  }
+
+  _error(res, statusCode, code, message) {
+    this._send(res, statusCode, `<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${message}</Message></Error>`);
+  }
+
+  _verifySignature(req, rawPath, query, body) {
+    const authorization = req.headers.authorization || '';
+    const match = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/[^,]+, SignedHeaders=([^,]+), Signature=([a-f0-9]+)$/.exec(authorization);
+    if (!match || match[1] !== this.credentials.accessKeyId) {
+      return false;
+    }
+
+    const payloadHash = crypto.createHash('sha256').update(body).digest('hex');
+    if (req.headers['x-amz-content-sha256'] !== payloadHash) {
+      return false;
+    }
+
+    const headers = {};
+    for (const name of match[2].split(';')) {
+      headers[name] = req.headers[name];
+    }
+
+    const amzDate = req.headers['x-amz-date'];
+    const date = new Date(amzDate.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z'));
+
+    const expected = signRequest({
+      method: req.method,
+      host: req.headers.host,
+      path: rawPath,
+      query,
+      headers,
+      payloadHash
+    }, this.credentials, this.region, date);
+
+    return expected.Authorization === authorization;
+  }
+
+  _handle(req, res) {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      const url = new URL(req.url, 'http://localhost');
+      const query = Object.fromEntries(url.searchParams.entries());
+      const [, bucketName, ...keyParts] = url.pathname.split('/');
+      const key = keyParts.map(decodeURIComponent).join('/');
+
+      this.requests.push({ method: req.method, key, query });
+
+      if (!this._verifySignature(req, url.pathname, query, body)) {
+        return this._error(res, 403, 'SignatureDoesNotMatch', 'The request signature we calculated does not match');
+      }
+
+      const objects = this.bucket(bucketName);
+
+      if (!key) {
+        return this._listObjects(res, objects, query);
+      }
+
+      if (req.method === 'POST' && 'uploads' in query) {
+        const uploadId = crypto.randomBytes(8).toString('hex');
+        this.uploads.set(uploadId, { key, parts: new Map(), contentType: req.headers['content-type'] });
+        return this._send(res, 200, `<InitiateMultipartUploadResult><Bucket>${bucketName}</Bucket><Key>${key}</Key><UploadId>${uploadId}</UploadId></InitiateMultipartUploadResult>`);
+      }
+
+      if (query.uploadId) {
+        return this._handleMultipart(req, res, objects, key, query, body);
+      }
+
+      const object = objects.get(key);
+
+      switch (req.method) {
+        case 'PUT':
+          objects.set(key, { body, contentType: req.headers['content-type'], lastModified: new Date() });
+          return this._send(res, 200, '', { etag: `"${crypto.createHash('md5').update(body).digest('hex')}"` });
+        case 'GET':
+        case 'HEAD':
+          if (!object) {
+            return this._error(res, 404, 'NoSuchKey', 'The specified key does not exist.');
+          }
+          res.writeHead(200, {
+            'content-type': object.contentType || 'binary/octet-stream',
+            'content-length': object.body.length,
+            'last-modified': object.lastModified.toUTCString()
+          });
+          return res.end(req.method === 'GET' ? object.body : undefined);
+        case 'DELETE':
+          objects.delete(key);
+          return this._send(res, 204);
+        default:
+          return this._error(res, 405, 'MethodNotAllowed', 'The specified method is not allowed');
+      }
+    });
+  }
+
+  _handleMultipart(req, res, objects, key, query, body) {
+    const upload = this.uploads.get(query.uploadId);
+    if (!upload) {
+      return this._error(res, 404, 'NoSuchUpload', 'The specified upload does not exist.');
+    }
+
+    if (req.method === 'PUT') {
+      upload.parts.set(Number(query.partNumber), body);
+      return this._send(res, 200, '', { etag: `"${crypto.createHash('md5').update(body).digest('hex')}"` });
+    }
+
+    if (req.method === 'DELETE') {
+      this.uploads.delete(query.uploadId);
+      return this._send(res, 204);
+    }
+
+    const partNumbers = Array.from(body.toString().matchAll(/<PartNumber>(\d+)<\/PartNumber>/g), m => Number(m[1]));
+    const content = Buffer.concat(partNumbers.map(number => upload.parts.get(number)));
+    objects.set(key, { body: content, contentType: upload.contentType, lastModified: new Date() });
+    this.uploads.delete(query.uploadId);
+
+    return this._send(res, 200, `<CompleteMultipartUploadResult><Key>${key}</Key></CompleteMultipartUploadResult>`);
+  }
+
+  _listObjects(res, objects, query) {
+    const prefix = query.prefix || '';
+    const maxKeys = Number(query['max-keys'] || 1000);
+    const keys = Array.from(objects.keys()).filter(key => key.startsWith(prefix)).sort();
+
+    const start = query['continuation-token'] ? keys.indexOf(query['continuation-token']) : 0;
+    const page = keys.slice(start, start + maxKeys);
+    const next = keys[start + maxKeys];
+
+    const contents = page.map(key => {
+      const object = objects.get(key);
+      return `<Contents><Key>${key}</Key><LastModified>${object.lastModified.toISOString()}</LastModified><Size>${object.body.length}</Size></Contents>`;
+    }).join('');
+
+    this._send(res, 200, '<?xml version="1.0" encoding="UTF-8"?><ListBucketResult>' +
+      `<KeyCount>${page.length}</KeyCount><IsTruncated>${next !== undefined}</IsTruncated>` +
+      (next !== undefined ? `<NextContinuationToken>${next}</NextContinuationToken>` : '') +
+      contents + '</ListBucketResult>');
+  }
+}
+
+module.exports = MockS3Server;
@@ -0,0 +1,158 @@
+/**
+ * Unit tests for retries, timeouts and the circuit breaker
+ */
+
+const { expect } = require('chai');
+const {
+  TimeoutError,
+  CircuitOpenError,
+  CircuitBreaker,
+  isTransient,
+  backoffDelay,
+  validateRetry,
+  withTimeout
+} = require('../lib/resilience');
+
+/**
+ * Build an error with extra fields
+ */
+const errorWith = fields => Object.assign(new Error('failed'), fields);
+
+describe('Resilience', () => {
+  describe('isTransient', () => {
+    it('should recognize network errors, timeouts and server errors', () => {
+      expect(isTransient(errorWith({ code: 'ECONNREFUSED' }))).to.be.true;
+      expect(isTransient(errorWith({ cause: { code: 'ECONNRESET' } }))).to.be.true;
+      expect(isTransient(new TimeoutError('ipfs upload', 10))).to.be.true;
+      expect(isTransient(errorWith({ status: 503 }))).to.be.true;
+      expect(isTransient(errorWith({ $metadata: { httpStatusCode: 429 } }))).to.be.true;
+    });
+
+    it('should not retry client errors', () => {
+      expect(isTransient(new Error('File not found'))).to.be.false;
+      expect(isTransient(errorWith({ code: 'ENOENT' }))).to.be.false;
+      expect(isTransient(errorWith({ statusCode: 404 }))).to.be.false;
+    });
+
+    it('should let errors say whether they are transient', () => {
+      expect(isTransient(errorWith({ transient: true }))).to.be.true;
+      expect(isTransient(errorWith({ status: 503, transient: false }))).to.be.false;
+    });
+  });
+
+  describe('backoffDelay', () => {
+    const policy = validateRetry({ minDelay: 100, maxDelay: 1000, factor: 2 });
+
+    it('should grow exponentially up to the maximum', () => {
+      const caps = [0, 1, 2, 3, 4, 5].map(attempt => backoffDelay(attempt, policy, () => 0.999999));
+      expect(caps).to.deep.equal([100, 200, 400, 800, 1000, 1000]);
+    });
+
+    it('should randomize the delay below the cap', () => {
+      expect(backoffDelay(2, policy, () => 0)).to.equal(0);
+      expect(backoffDelay(2, policy, () => 0.5)).to.equal(200);
+    });
+  });
+
+  describe('validateRetry', () => {
+    it('should fill in defaults and accept false', () => {
+      expect(validateRetry()).to.include({ retries: 2, minDelay: 100 });
+      expect(validateRetry(false).retries).to.equal(0);
+    });
+
+    it('should reject invalid policies', () => {
+      expect(() => validateRetry({ retries: -1 })).to.throw('retry.retries');
+      expect(() => validateRetry({ factor: 0.5 })).to.throw('retry.factor');
+      expect(() => validateRetry({ retryOn: 'always' })).to.throw('retry.retryOn');
+    });
+  });
+
+  describe('withTimeout', () => {
+    it('should reject slow calls with a TimeoutError', async () => {
+      const slow = new Promise(resolve => setTimeout(resolve, 200));
+
+      try {
+        await withTimeout(slow, 10, 'ipfs stat');
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(TimeoutError);
+        expect(error.message).to.equal('ipfs stat timed out after 10ms');
+      }
+    });
+
+    it('should pass results through', async () => {
+      expect(await withTimeout(Promise.resolve('done'), 100, 'ipfs stat')).to.equal('done');
+      expect(await withTimeout(Promise.resolve('done'), 0, 'ipfs stat')).to.equal('done');
+    });
+  });
+
+  describe('CircuitBreaker', () => {
+    const transientError = errorWith({ code: 'ECONNREFUSED' });
+    let now;
+    let breaker;
+
+    beforeEach(() => {
+      now = 1000;
+      breaker = new CircuitBreaker('ipfs', { failureThreshold: 2, resetTimeout: 500 }, () => now);
+    });
+
+    it('should open after consecutive transient failures', () => {
+      breaker.check();
+      breaker.failure(transientError, true);
+      expect(breaker.status().state).to.equal('closed');
+
+      breaker.failure(transientError, true);
+      expect(breaker.status()).to.include({ state: 'open', failures: 2, lastError: 'failed' });
+      expect(() => breaker.check()).to.throw(CircuitOpenError, 'ipfs is unavailable');
+    });
+
+    it('should only count failures with no answer from the provider in between', () => {
+      breaker.failure(transientError, true);
+      breaker.failure(new Error('File not found'), false);
+      breaker.failure(transientError, true);
+
+      expect(breaker.status()).to.include({ state: 'closed', failures: 1 });
+    });
+
+    it('should ignore errors that say nothing about the provider', () => {
+      breaker.failure(new Error('File not found'), false);
+      breaker.failure(new Error('File not found'), false);
+      expect(breaker.status().state).to.equal('closed');
+    });
+
+    it('should let a single trial call through once the reset timeout has passed', () => {
+      breaker.failure(transientError, true);
+      breaker.failure(transientError, true);
+
+      now += 500;
+      breaker.check();
+      expect(breaker.status().state).to.equal('half-open');
+      expect(() => breaker.check()).to.throw(CircuitOpenError);
+
+      breaker.success();
+      expect(breaker.status()).to.deep.equal({ state: 'closed', failures: 0, lastError: 'failed', openedAt: null, retryAt: null });
+    });
+
+    it('should re-open when the trial call fails', () => {
+      breaker.failure(transientError, true);
+      breaker.failure(transientError, true);
+
+      now += 500;
+      breaker.check();
+      breaker.failure(transientError, true);
+
+      expect(breaker.status().state).to.equal('open');
+      expect(breaker.status().retryAt.getTime()).to.equal(now + 500);
+    });
+
+    it('should never open when disabled', () => {
+      const disabled = new CircuitBreaker('ipfs', false);
+      for (let i = 0; i < 10; i++) {
+        disabled.failure(transientError, true);
+      }
+
+      expect(() => disabled.check()).to.not.throw();
+      expect(disabled.status().failures).to.equal(10);
+    });
+  });
+});
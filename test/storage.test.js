@@ -0,0 +1,597 @@
+/**
+ * Unit tests for the Storage module
+ */
+
+const { expect } = require('chai');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { Readable, Transform } = require('stream');
+const Storage = require('../lib/storage');
+const StorageProvider = require('../lib/providers/base');
+const MockProvider = require('../lib/providers/mock');
+const LocalProvider = require('../lib/providers/local');
+const { NotFoundError, QuotaExceededError, ProviderUnavailableError, AbortError } = require('../lib/errors');
+
+// AbortController is global from Node.js 15 on; cancellation tests need it
+const itWithAbort = typeof AbortController === 'undefined' ? it.skip : it;
+
+describe('Storage', function() {
+  // Set timeout to a higher value for file operations
+  this.timeout(10000);
+
+  let tempDir;
+  let testFilePath;
+
+  before(async () => {
+    // Create a temporary directory for test files
+    tempDir = path.join(os.tmpdir(), 'aetherdrive-storage-test-' + Date.now());
+    await fs.ensureDir(tempDir);
+
+    // Create a test file
+    testFilePath = path.join(tempDir, 'test-file.txt');
+    await fs.writeFile(testFilePath, 'This is a test file for storage');
+  });
+
+  after(async () => {
+    // Clean up temporary directory
+    await fs.remove(tempDir);
+  });
+
+  describe('Provider registry', () => {
+    it('should throw for an unknown storage type', () => {
+      expect(() => new Storage('does-not-exist')).to.throw('Unsupported storage type');
+    });
+
+    it('should register and use a custom provider', async () => {
+      const calls = [];
+
+      class RecordingProvider extends StorageProvider {
+        async upload(filePath, options) { calls.push('upload'); return 'custom-id'; }
+        async createReadStream(id) { calls.push('createReadStream'); return Readable.from([Buffer.from(id)]); }
+        async delete(id) { calls.push('delete'); return true; }
+        async list() { calls.push('list'); return [{ id: 'custom-id' }]; }
+        async stat(id) { calls.push('stat'); return id === 'custom-id' ? { id, size: 1 } : null; }
+      }
+
+      Storage.registerProvider('recording', config => new RecordingProvider(config));
+      expect(Storage.hasProvider('recording')).to.be.true;
+
+      const storage = new Storage('recording');
+
+      expect(await storage.uploadFile(testFilePath)).to.equal('custom-id');
+      expect(await storage.listFiles()).to.deep.equal([{ id: 'custom-id' }]);
+      expect(await storage.fileExists('custom-id')).to.be.true;
+      expect(await storage.fileExists('other-id')).to.be.false;
+      expect(await storage.deleteFile('custom-id')).to.be.true;
+      expect(calls).to.include.members(['upload', 'list', 'stat', 'delete']);
+    });
+
+    it('should reject providers that do not implement the contract', () => {
+      Storage.registerProvider('incomplete', () => ({ upload: async () => 'id' }));
+
+      expect(() => new Storage('incomplete')).to.throw('does not implement');
+    });
+
+    it('should reject invalid registrations', () => {
+      expect(() => Storage.registerProvider('', () => ({}))).to.throw('non-empty string');
+      expect(() => Storage.registerProvider('no-factory')).to.throw('must be a function');
+    });
+  });
+
+  describe('Fallback provider', () => {
+    it('should use the fallback provider when the primary one fails', async () => {
+      class FailingProvider extends StorageProvider {
+        constructor(config) {
+          super(config);
+          this.name = 'failing';
+          this.fallback = new MockProvider(config);
+        }
+
+        async upload() { throw new Error('node offline'); }
+      }
+
+      Storage.registerProvider('failing', config => new FailingProvider(config));
+      const storage = new Storage('failing');
+
+      const fileId = await storage.uploadFile(testFilePath);
+
+      expect(fileId).to.match(/^mock-/);
+      expect(await storage.provider.fallback.exists(fileId)).to.be.true;
+    });
+  });
+
+  describe('Retries and circuit breaker', () => {
+    const refused = () => Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+
+    /**
+     * Register a provider whose calls fail while `failures` is positive
+     */
+    const flaky = (name, state, withFallback = false) => {
+      class FlakyProvider extends MockProvider {
+        constructor(config) {
+          super(config);
+          this.name = name;
+          if (withFallback) {
+            this.fallback = new MockProvider(config);
+          }
+        }
+
+        async stat(fileId, options) {
+          await this._flake();
+          if (state.hang) {
+            return new Promise(resolve => setTimeout(() => resolve(null), 200));
+          }
+          return super.stat(fileId, options);
+        }
+
+        async createReadStream(fileId, options) {
+          await this._flake();
+          return super.createReadStream(fileId, options);
+        }
+
+        async upload(source, options) {
+          await this._flake();
+          return super.upload(source, options);
+        }
+
+        async _flake() {
+          state.calls++;
+          if (state.failures > 0) {
+            state.failures--;
+            throw state.error || refused();
+          }
+        }
+      }
+
+      Storage.registerProvider(name, config => new FlakyProvider(config));
+    };
+
+    it('should retry transient errors', async () => {
+      const state = { calls: 0, failures: 2 };
+      flaky('flaky-retry', state);
+      const storage = new Storage('flaky-retry', { retry: { retries: 2, minDelay: 1 } });
+
+      expect(await storage.statFile('missing')).to.be.null;
+      expect(state.calls).to.equal(3);
+      expect(storage.health()).to.include({ provider: 'flaky-retry', state: 'closed', failures: 0 });
+    });
+
+    it('should give up once the retries are exhausted', async () => {
+      const state = { calls: 0, failures: 5 };
+      flaky('flaky-exhausted', state);
+      const storage = new Storage('flaky-exhausted', { retry: { retries: 1, minDelay: 1 } });
+
+      try {
+        await storage.statFile('missing');
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ProviderUnavailableError);
+        expect(error).to.include({ code: 'EUNAVAILABLE', provider: 'flaky-exhausted' });
+        expect(error.message).to.equal('flaky-exhausted stat failed: connect ECONNREFUSED');
+        expect(error.cause.code).to.equal('ECONNREFUSED');
+      }
+      expect(state.calls).to.equal(2);
+    });
+
+    it('should report providers running out of space', async () => {
+      const state = { calls: 0, failures: 1, error: Object.assign(new Error('no space left on device'), { code: 'ENOSPC' }) };
+      flaky('flaky-full', state);
+      const storage = new Storage('flaky-full', { retry: { minDelay: 1 } });
+
+      try {
+        await storage.statFile('missing');
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(QuotaExceededError);
+        expect(error.message).to.equal('flaky-full is out of space: no space left on device');
+      }
+      expect(state.calls).to.equal(1);
+    });
+
+    it('should report HTTP 404 responses as not found', async () => {
+      const state = { calls: 0, failures: 1, error: Object.assign(new Error('Not Found'), { statusCode: 404 }) };
+      flaky('flaky-404', state);
+      const storage = new Storage('flaky-404');
+
+      try {
+        await storage.statFile('missing');
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(NotFoundError);
+      }
+    });
+
+    it('should not retry other errors', async () => {
+      const state = { calls: 0, failures: 1, error: new Error('Access denied') };
+      flaky('flaky-permanent', state);
+      const storage = new Storage('flaky-permanent', { retry: { minDelay: 1 } });
+
+      try {
+        await storage.statFile('missing');
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Access denied');
+      }
+      expect(state.calls).to.equal(1);
+    });
+
+    it('should time out slow calls', async () => {
+      const state = { calls: 0, failures: 0, hang: true };
+      flaky('flaky-slow', state);
+      const storage = new Storage('flaky-slow', { retry: false, timeout: { stat: 20 } });
+
+      try {
+        await storage.statFile('missing');
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('flaky-slow stat timed out after 20ms');
+      }
+    });
+
+    it('should fail fast once the circuit is open', async () => {
+      const state = { calls: 0, failures: 100 };
+      flaky('flaky-down', state);
+      const storage = new Storage('flaky-down', {
+        retry: { retries: 5, minDelay: 1 },
+        circuitBreaker: { failureThreshold: 3, resetTimeout: 60000 }
+      });
+
+      try {
+        await storage.statFile('missing');
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('flaky-down is unavailable');
+      }
+      expect(state.calls).to.equal(3);
+
+      const health = storage.health();
+      expect(health).to.include({ state: 'open', failures: 3, lastError: 'connect ECONNREFUSED' });
+      expect(health.retryAt.getTime() - health.openedAt.getTime()).to.equal(60000);
+    });
+
+    it('should let another trial call through after one that threw before calling the provider', async () => {
+      const state = { calls: 0, failures: 2 };
+      flaky('flaky-throwing', state);
+      const storage = new Storage('flaky-throwing', {
+        retry: { retries: 0 },
+        circuitBreaker: { failureThreshold: 2, resetTimeout: 0 }
+      });
+
+      for (let i = 0; i < 2; i++) {
+        await storage.statFile('missing').catch(() => {});
+      }
+      expect(storage.health().state).to.equal('open');
+
+      // The provider throws synchronously, before any call is made
+      storage.provider.stat = () => {
+        throw new TypeError('bad arguments');
+      };
+      try {
+        await storage.statFile('missing');
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('bad arguments');
+      } finally {
+        delete storage.provider.stat;
+      }
+
+      expect(await storage.statFile('missing')).to.be.null;
+      expect(storage.health().state).to.equal('closed');
+    });
+
+    it('should rebuild the transform streams for every attempt', async () => {
+      const state = { calls: 0, failures: 1 };
+      flaky('flaky-transform', state);
+      const storage = new Storage('flaky-transform', { retry: { retries: 1, minDelay: 1 } });
+
+      let transforms = 0;
+      const changeCase = method => () => {
+        transforms++;
+        return new Transform({
+          transform(chunk, encoding, callback) {
+            callback(null, chunk.toString()[method]());
+          }
+        });
+      };
+
+      const fileId = await storage.uploadFile(testFilePath, { transform: changeCase('toUpperCase') });
+      expect(transforms).to.equal(2);
+
+      const content = await fs.readFile(testFilePath, 'utf8');
+      const destination = path.join(tempDir, 'transformed.txt');
+      await storage.downloadFile(fileId, destination);
+      expect(await fs.readFile(destination, 'utf8')).to.equal(content.toUpperCase());
+
+      await storage.downloadFile(fileId, destination, { transform: changeCase('toLowerCase') });
+      expect(await fs.readFile(destination, 'utf8')).to.equal(content.toLowerCase());
+    });
+
+    it('should use the fallback once the retries are exhausted', async () => {
+      const state = { calls: 0, failures: 100 };
+      flaky('flaky-fallback', state, true);
+      const storage = new Storage('flaky-fallback', { retry: { retries: 1, minDelay: 1 } });
+
+      expect(await storage.statFile('missing')).to.be.null;
+      expect(state.calls).to.equal(2);
+    });
+
+    itWithAbort('should stop retrying when cancelled', async () => {
+      const state = { calls: 0, failures: 100 };
+      flaky('flaky-cancelled', state, true);
+      const storage = new Storage('flaky-cancelled', { retry: { retries: 5, minDelay: 10000 } });
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(), 10);
+
+      try {
+        await storage.downloadFile('missing', path.join(tempDir, 'never.txt'), { signal: controller.signal });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AbortError);
+      }
+      expect(state.calls).to.equal(1);
+    });
+  });
+
+  describe('Strict mode', () => {
+    const expectRejected = async (operation, message) => {
+      try {
+        await operation();
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include(message);
+      }
+    };
+
+    /**
+     * Register a provider that is down, with a mock fallback
+     */
+    const registerDown = name => {
+      class DownProvider extends MockProvider {
+        constructor(config) {
+          super(config);
+          this.name = name;
+          this.fallback = new MockProvider(config);
+        }
+
+        async upload() { throw new Error('node offline'); }
+      }
+
+      Storage.registerProvider(name, config => new DownProvider(config));
+    };
+
+    it('should not serve placeholder content for unknown IDs', async () => {
+      const storage = new Storage('mock', { strict: true });
+      const destination = path.join(tempDir, 'strict-missing.txt');
+
+      await expectRejected(() => storage.downloadFile('mock-unknown', destination), 'File not found in mock storage: mock-unknown');
+      expect(await fs.pathExists(destination)).to.be.false;
+    });
+
+    it('should let provider errors propagate', async () => {
+      registerDown('down-strict');
+      const storage = new Storage('down-strict', { strict: true });
+
+      await expectRejected(() => storage.uploadFile(testFilePath), 'node offline');
+      expect(await storage.provider.fallback.list()).to.have.lengthOf(0);
+    });
+
+    it('should fall back to mock storage when it is allowed explicitly', async () => {
+      registerDown('down-mock');
+      const storage = new Storage('down-mock', { strict: true, mock: true });
+
+      expect(await storage.uploadFile(testFilePath)).to.match(/^mock-/);
+    });
+
+    it('should refuse to replace IPFS with mock storage', function() {
+      // Only meaningful where the IPFS client can't be loaded
+      if (!new Storage('ipfs').usingMock) {
+        this.skip();
+      }
+
+      expect(() => new Storage('ipfs', { strict: true })).to.throw('Cannot use IPFS storage: ipfs-http-client is not installed');
+      expect(new Storage('ipfs', { strict: true, mock: true }).usingMock).to.be.true;
+    });
+  });
+
+  describe('Mock provider', () => {
+    let storage;
+
+    beforeEach(() => {
+      storage = new Storage('mock');
+    });
+
+    it('should report that mock storage is in use', () => {
+      expect(storage.usingMock).to.be.true;
+    });
+
+    it('should upload, stat, download and delete a file', async () => {
+      const fileId = await storage.uploadFile(testFilePath);
+
+      const stats = await storage.statFile(fileId);
+      expect(stats.id).to.equal(fileId);
+      expect(stats.size).to.equal((await fs.stat(testFilePath)).size);
+
+      const destination = path.join(tempDir, 'downloaded.txt');
+      await storage.downloadFile(fileId, destination);
+      expect(await fs.readFile(destination, 'utf8')).to.equal(await fs.readFile(testFilePath, 'utf8'));
+
+      expect(await storage.deleteFile(fileId)).to.be.true;
+      expect(await storage.statFile(fileId)).to.be.null;
+      expect(await storage.listFiles()).to.have.lengthOf(0);
+    });
+
+    it('should upload from a stream and read back as a stream', async () => {
+      const fileId = await storage.uploadStream(Readable.from([Buffer.from('streamed '), Buffer.from('content')]));
+
+      const chunks = [];
+      for await (const chunk of storage.createReadStream(fileId)) {
+        chunks.push(chunk);
+      }
+
+      expect(Buffer.concat(chunks).toString('utf8')).to.equal('streamed content');
+      expect((await storage.statFile(fileId)).size).to.equal(16);
+    });
+
+    it('should reject non-stream uploads', async () => {
+      try {
+        await storage.uploadStream('not a stream');
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('expects a readable stream');
+      }
+    });
+
+    it('should emit lookup errors on the read stream', async () => {
+      const local = new Storage('local', { root: path.join(tempDir, 'local-store') });
+
+      try {
+        for await (const chunk of local.createReadStream('0'.repeat(64))) {
+          expect.fail(`Unexpected chunk: ${chunk}`);
+        }
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(NotFoundError);
+        expect(error.code).to.equal('ENOENT');
+        expect(error.message).to.equal(`File not found in local storage: ${'0'.repeat(64)}`);
+      }
+    });
+
+    it('should throw when uploading a missing file', async () => {
+      try {
+        await storage.uploadFile(path.join(tempDir, 'missing.txt'));
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('File not found');
+      }
+    });
+  });
+
+  describe('Progress and cancellation', () => {
+    let storage;
+    let storageRoot;
+    let largeFilePath;
+
+    before(async () => {
+      // Large enough to be read in several chunks
+      largeFilePath = path.join(tempDir, 'large-file.bin');
+      await fs.writeFile(largeFilePath, Buffer.alloc(512 * 1024, 7));
+    });
+
+    beforeEach(async () => {
+      // A fresh store for each test
+      storageRoot = await fs.mkdtemp(path.join(tempDir, 'progress-store-'));
+      storage = new Storage('local', { root: storageRoot });
+    });
+
+    it('should report upload and download progress', async () => {
+      const uploads = [];
+      const fileId = await storage.uploadFile(largeFilePath, { onProgress: progress => uploads.push(progress) });
+
+      expect(uploads.length).to.be.greaterThan(1);
+      expect(uploads[uploads.length - 1]).to.deep.equal({ bytesTransferred: 512 * 1024, totalBytes: 512 * 1024 });
+
+      const downloads = [];
+      const destination = path.join(tempDir, 'progress-download.bin');
+      await storage.downloadFile(fileId, destination, { totalBytes: 512 * 1024, onProgress: progress => downloads.push(progress) });
+
+      expect(downloads[downloads.length - 1]).to.deep.equal({ bytesTransferred: 512 * 1024, totalBytes: 512 * 1024 });
+    });
+
+    it('should report stream progress without a known size', async () => {
+      const reports = [];
+      await storage.uploadStream(Readable.from([Buffer.from('abc'), Buffer.from('de')]), {
+        onProgress: progress => reports.push(progress)
+      });
+
+      expect(reports).to.deep.equal([
+        { bytesTransferred: 3, totalBytes: null },
+        { bytesTransferred: 5, totalBytes: null }
+      ]);
+    });
+
+    itWithAbort('should reject operations on an aborted signal', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      try {
+        await storage.uploadFile(largeFilePath, { signal: controller.signal });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AbortError);
+        expect(error.code).to.equal('ABORT_ERR');
+      }
+      expect(await storage.listFiles()).to.have.lengthOf(0);
+    });
+
+    itWithAbort('should cancel a download and remove the partial file', async () => {
+      const fileId = await storage.uploadFile(largeFilePath);
+      const destination = path.join(tempDir, 'cancelled-download.bin');
+      const controller = new AbortController();
+
+      try {
+        await storage.downloadFile(fileId, destination, {
+          signal: controller.signal,
+          onProgress: () => controller.abort()
+        });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AbortError);
+      }
+      expect(await fs.pathExists(destination)).to.be.false;
+    });
+
+    itWithAbort('should cancel an upload', async () => {
+      const controller = new AbortController();
+
+      try {
+        await storage.uploadFile(largeFilePath, {
+          signal: controller.signal,
+          onProgress: () => controller.abort()
+        });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AbortError);
+      }
+    });
+
+    itWithAbort('should destroy a read stream when its signal is aborted', async () => {
+      const fileId = await storage.uploadFile(largeFilePath);
+      const controller = new AbortController();
+
+      try {
+        for await (const chunk of storage.createReadStream(fileId, { signal: controller.signal })) {
+          expect(chunk.length).to.be.greaterThan(0);
+          controller.abort();
+        }
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AbortError);
+      }
+    });
+
+    itWithAbort('should not fall back to another provider when cancelled', async () => {
+      class CancellableProvider extends LocalProvider {
+        constructor(config) {
+          super(config);
+          this.fallback = new MockProvider(config);
+        }
+      }
+
+      Storage.registerProvider('cancellable', config => new CancellableProvider(config));
+      const fallback = new Storage('cancellable', { root: storageRoot });
+      const controller = new AbortController();
+
+      try {
+        await fallback.uploadFile(largeFilePath, {
+          signal: controller.signal,
+          onProgress: () => controller.abort()
+        });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AbortError);
+      }
+      expect(await fallback.provider.fallback.list()).to.have.lengthOf(0);
+    });
+  });
+});